@@ -16,10 +16,18 @@ CREATE TABLE IF NOT EXISTS registered_services (
   version VARCHAR(50) NOT NULL,
   endpoint TEXT NOT NULL,
   health_check VARCHAR(255) DEFAULT '/health',
+  description TEXT,
+  metadata JSONB DEFAULT '{}',
   migration_file JSONB DEFAULT '{}',
   registered_at TIMESTAMPTZ DEFAULT NOW(),
   last_health_check TIMESTAMPTZ,
   status VARCHAR(50) DEFAULT 'active',
+  lease_ttl INTEGER,
+  lease_expires_at TIMESTAMPTZ,
+  instances JSONB DEFAULT '[]',
+  drain_until TIMESTAMPTZ,
+  owner JSONB,
+  grpc_tls JSONB,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -29,6 +37,28 @@ CREATE INDEX IF NOT EXISTS idx_registered_services_service_name ON registered_se
 CREATE INDEX IF NOT EXISTS idx_registered_services_status ON registered_services(status);
 CREATE INDEX IF NOT EXISTS idx_registered_services_registered_at ON registered_services(registered_at DESC);
 
+-- Lease columns for deployments created before heartbeat support
+ALTER TABLE registered_services ADD COLUMN IF NOT EXISTS lease_ttl INTEGER;
+ALTER TABLE registered_services ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_registered_services_lease_expires_at ON registered_services(lease_expires_at);
+
+-- Instances column for deployments created before multi-instance support
+ALTER TABLE registered_services ADD COLUMN IF NOT EXISTS instances JSONB DEFAULT '[]';
+
+-- Drain deadline for deployments created before deregistration support
+ALTER TABLE registered_services ADD COLUMN IF NOT EXISTS drain_until TIMESTAMPTZ;
+
+-- Description and capability metadata for deployments created before they were persisted
+ALTER TABLE registered_services ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE registered_services ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+CREATE INDEX IF NOT EXISTS idx_registered_services_capabilities ON registered_services USING GIN ((metadata -> 'capabilities'));
+
+-- Registering caller for deployments created before access control
+ALTER TABLE registered_services ADD COLUMN IF NOT EXISTS owner JSONB;
+
+-- gRPC transport security for deployments created before TLS support
+ALTER TABLE registered_services ADD COLUMN IF NOT EXISTS grpc_tls JSONB;
+
 -- Add comments for documentation
 COMMENT ON TABLE registered_services IS 'Stores registered microservices in the Coordinator system';
 COMMENT ON COLUMN registered_services.id IS 'Unique identifier for the service';
@@ -36,8 +66,16 @@ COMMENT ON COLUMN registered_services.service_name IS 'Name of the microservice'
 COMMENT ON COLUMN registered_services.version IS 'Version of the microservice';
 COMMENT ON COLUMN registered_services.endpoint IS 'Base URL endpoint of the microservice';
 COMMENT ON COLUMN registered_services.health_check IS 'Health check endpoint path';
+COMMENT ON COLUMN registered_services.description IS 'What the microservice does (used by AI routing)';
+COMMENT ON COLUMN registered_services.metadata IS 'Service metadata as JSON (capabilities, team, ...)';
 COMMENT ON COLUMN registered_services.migration_file IS 'Migration schema/configuration as JSON';
-COMMENT ON COLUMN registered_services.status IS 'Current status: active, inactive, etc.';
+COMMENT ON COLUMN registered_services.status IS 'Current status: active, degraded, unhealthy, expired, draining, pending_migration';
+COMMENT ON COLUMN registered_services.lease_ttl IS 'Lease TTL in ms renewed by heartbeats (NULL = never expires)';
+COMMENT ON COLUMN registered_services.lease_expires_at IS 'When the current lease runs out';
+COMMENT ON COLUMN registered_services.instances IS 'Service instances (endpoint, weight, status, lease) as JSON';
+COMMENT ON COLUMN registered_services.drain_until IS 'When a draining service is removed';
+COMMENT ON COLUMN registered_services.owner IS 'Caller that registered the service ({tenantId, userId}); only it or an admin may change the service';
+COMMENT ON COLUMN registered_services.grpc_tls IS 'TLS settings for gRPC calls to the service ({enabled, caCert, serverName, mutual}); NULL = coordinator default';
 
 -- ============================================================
 -- PART 2: KNOWLEDGE GRAPH TABLE
@@ -61,6 +99,94 @@ COMMENT ON TABLE knowledge_graph IS 'Stores the knowledge graph structure for se
 COMMENT ON COLUMN knowledge_graph.graph_data IS 'Complete knowledge graph structure as JSON';
 COMMENT ON COLUMN knowledge_graph.version IS 'Version number of the graph';
 
+-- ============================================================
+-- PART 2B: COORDINATOR DOCUMENTS TABLE
+-- ============================================================
+-- Stores changelog entries, schemas and the UI/UX configuration as JSON documents
+
+CREATE TABLE IF NOT EXISTS coordinator_documents (
+  collection VARCHAR(100) NOT NULL,
+  id TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (collection, id)
+);
+
+COMMENT ON TABLE coordinator_documents IS 'Coordinator state without a dedicated table (changelog, schemas, uiux)';
+COMMENT ON COLUMN coordinator_documents.collection IS 'Collection name: changelog, schemas, uiux';
+COMMENT ON COLUMN coordinator_documents.data IS 'Document as JSON';
+
+-- ============================================================
+-- PART 2C: RATE LIMIT BUCKETS TABLE
+-- ============================================================
+-- Token buckets shared by every coordinator replica (RATE_LIMIT_STORE=supabase)
+
+CREATE TABLE IF NOT EXISTS coordinator_rate_limits (
+  key TEXT PRIMARY KEY,
+  tokens DOUBLE PRECISION NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE coordinator_rate_limits IS 'Token buckets shared by coordinator replicas (RATE_LIMIT_STORE=supabase)';
+COMMENT ON COLUMN coordinator_rate_limits.key IS 'Tier and caller: <tier>:api_key:<id>, <tier>:tenant:<id> or <tier>:ip:<address>';
+COMMENT ON COLUMN coordinator_rate_limits.tokens IS 'Tokens left at updated_at';
+
+-- ============================================================
+-- PART 2D: AUDIT LOG TABLE
+-- ============================================================
+-- Append-only, hash-chained trail of administrative actions and auth failures
+
+CREATE TABLE IF NOT EXISTS coordinator_audit_log (
+  id TEXT PRIMARY KEY,
+  chain_id TEXT NOT NULL,
+  sequence BIGINT NOT NULL,
+  recorded_at TEXT NOT NULL,
+  action VARCHAR(100) NOT NULL,
+  outcome VARCHAR(20) NOT NULL,
+  actor JSONB,
+  target JSONB,
+  details JSONB NOT NULL DEFAULT '{}',
+  prev_hash CHAR(64) NOT NULL,
+  hash CHAR(64) NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_coordinator_audit_log_chain ON coordinator_audit_log(chain_id, sequence);
+CREATE INDEX IF NOT EXISTS idx_coordinator_audit_log_action ON coordinator_audit_log(action);
+
+COMMENT ON TABLE coordinator_audit_log IS 'Append-only, hash-chained audit trail of administrative actions and auth failures';
+COMMENT ON COLUMN coordinator_audit_log.chain_id IS 'Coordinator that appended the entry (AUDIT_CHAIN_ID); each chain is verified on its own';
+COMMENT ON COLUMN coordinator_audit_log.sequence IS 'Position in the chain, starting at 1 with no gaps';
+COMMENT ON COLUMN coordinator_audit_log.recorded_at IS 'ISO 8601 time as hashed (text, so the hash input round-trips unchanged)';
+COMMENT ON COLUMN coordinator_audit_log.actor IS 'Who acted ({type, userId, tenantId, keyId, serviceId, subject, ip, protocol})';
+COMMENT ON COLUMN coordinator_audit_log.prev_hash IS 'hash of the previous entry of the chain (64 zeros for the first)';
+COMMENT ON COLUMN coordinator_audit_log.hash IS 'SHA-256 (or HMAC-SHA256 with AUDIT_HMAC_SECRET) of the canonical JSON of the entry without hash';
+
+-- ============================================================
+-- PART 2E: ROUTING RULES TABLE
+-- ============================================================
+-- Declarative rules that route matching requests before AI routing
+
+CREATE TABLE IF NOT EXISTS coordinator_routing_rules (
+  id TEXT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  priority INTEGER NOT NULL DEFAULT 0,
+  match JSONB NOT NULL,
+  target JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_coordinator_routing_rules_priority ON coordinator_routing_rules(priority DESC, created_at);
+
+COMMENT ON TABLE coordinator_routing_rules IS 'Declarative routing rules evaluated before AI routing (see routingRulesService)';
+COMMENT ON COLUMN coordinator_routing_rules.priority IS 'Higher priorities are tried first; equal priorities oldest first';
+COMMENT ON COLUMN coordinator_routing_rules.match IS 'Conditions that must all hold ({pathPrefix, pathRegex, methods, headers, type, tenantId, queryRegex})';
+COMMENT ON COLUMN coordinator_routing_rules.target IS 'Service matching requests are routed to ({serviceName})';
+
 -- ============================================================
 -- PART 3: HELPER FUNCTIONS
 -- ============================================================
@@ -83,6 +209,52 @@ RETURNS JSONB AS $$
   LIMIT 1;
 $$ LANGUAGE SQL;
 
+-- Refill a rate limit bucket for the time passed and take p_cost tokens (atomic per key)
+CREATE OR REPLACE FUNCTION coordinator_rate_limit_take(
+  p_key TEXT,
+  p_capacity DOUBLE PRECISION,
+  p_refill_per_ms DOUBLE PRECISION,
+  p_cost DOUBLE PRECISION DEFAULT 1
+)
+RETURNS TABLE (allowed BOOLEAN, tokens DOUBLE PRECISION) AS $$
+DECLARE
+  v_now TIMESTAMPTZ := clock_timestamp();
+  v_tokens DOUBLE PRECISION;
+  v_updated_at TIMESTAMPTZ;
+BEGIN
+  INSERT INTO coordinator_rate_limits (key, tokens, updated_at)
+  VALUES (p_key, p_capacity, v_now)
+  ON CONFLICT (key) DO NOTHING;
+
+  SELECT r.tokens, r.updated_at INTO v_tokens, v_updated_at
+  FROM coordinator_rate_limits r
+  WHERE r.key = p_key
+  FOR UPDATE;
+
+  v_tokens := LEAST(p_capacity, v_tokens + EXTRACT(EPOCH FROM (v_now - v_updated_at)) * 1000 * p_refill_per_ms);
+  allowed := v_tokens >= p_cost;
+  IF allowed THEN
+    v_tokens := v_tokens - p_cost;
+  END IF;
+
+  UPDATE coordinator_rate_limits r SET tokens = v_tokens, updated_at = v_now WHERE r.key = p_key;
+
+  tokens := v_tokens;
+  RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Reject changes to audit entries (identical rewrites, e.g. replayed writes, pass)
+CREATE OR REPLACE FUNCTION coordinator_audit_log_append_only()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW IS NOT DISTINCT FROM OLD THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'coordinator_audit_log is append-only (% rejected)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
 -- ============================================================
 -- PART 4: TRIGGERS
 -- ============================================================
@@ -99,6 +271,23 @@ CREATE TRIGGER update_knowledge_graph_updated_at
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at_column();
 
+-- Trigger to automatically update updated_at for coordinator_routing_rules
+CREATE TRIGGER update_coordinator_routing_rules_updated_at
+  BEFORE UPDATE ON coordinator_routing_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Audit entries can't be changed or removed once written
+CREATE TRIGGER coordinator_audit_log_append_only
+  BEFORE UPDATE OR DELETE ON coordinator_audit_log
+  FOR EACH ROW
+  EXECUTE FUNCTION coordinator_audit_log_append_only();
+
+CREATE TRIGGER coordinator_audit_log_no_truncate
+  BEFORE TRUNCATE ON coordinator_audit_log
+  FOR EACH STATEMENT
+  EXECUTE FUNCTION coordinator_audit_log_append_only();
+
 -- ============================================================
 -- PART 5: ROW LEVEL SECURITY (RLS)
 -- ============================================================
@@ -106,6 +295,10 @@ CREATE TRIGGER update_knowledge_graph_updated_at
 -- Enable RLS on both tables
 ALTER TABLE registered_services ENABLE ROW LEVEL SECURITY;
 ALTER TABLE knowledge_graph ENABLE ROW LEVEL SECURITY;
+ALTER TABLE coordinator_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE coordinator_rate_limits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE coordinator_audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE coordinator_routing_rules ENABLE ROW LEVEL SECURITY;
 
 -- Policy for registered_services: Allow all operations
 -- ⚠️ For production, you should create more restrictive policies
@@ -124,6 +317,45 @@ CREATE POLICY "Allow all operations for knowledge_graph"
   USING (true)
   WITH CHECK (true);
 
+-- Policy for coordinator_documents: Allow all operations
+CREATE POLICY "Allow all operations for coordinator_documents" 
+  ON coordinator_documents
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Policy for coordinator_rate_limits: Allow all operations
+CREATE POLICY "Allow all operations for coordinator_rate_limits" 
+  ON coordinator_rate_limits
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Policies for coordinator_audit_log: read and append only (no DELETE policy)
+CREATE POLICY "Read coordinator_audit_log" 
+  ON coordinator_audit_log
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Append to coordinator_audit_log" 
+  ON coordinator_audit_log
+  FOR INSERT
+  WITH CHECK (true);
+
+-- Upserts of an existing entry (writes replayed after an outage) need UPDATE; the trigger rejects real changes
+CREATE POLICY "Replay coordinator_audit_log" 
+  ON coordinator_audit_log
+  FOR UPDATE
+  USING (true)
+  WITH CHECK (true);
+
+-- Policy for coordinator_routing_rules: Allow all operations
+CREATE POLICY "Allow all operations for coordinator_routing_rules" 
+  ON coordinator_routing_rules
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
 -- ============================================================
 -- ALTERNATIVE: More Secure Policies (Optional)
 -- ============================================================
@@ -0,0 +1,47 @@
+#!/bin/bash
+
+# Generate a local CA plus server and client certificates for testing gRPC TLS / mTLS
+# Usage: ./generate-grpc-certs.sh [output-dir] [server-name]
+# NOT for production - keys are unencrypted and the CA is self-signed
+
+set -e
+
+OUT_DIR="${1:-certs}"
+SERVER_NAME="${2:-localhost}"
+DAYS=365
+GREEN='\033[0;32m'
+NC='\033[0m' # No Color
+
+mkdir -p "${OUT_DIR}"
+cd "${OUT_DIR}"
+
+# CA
+openssl req -x509 -newkey rsa:2048 -nodes -days "${DAYS}" \
+  -keyout ca.key -out ca.crt -subj "/CN=coordinator-dev-ca" 2>/dev/null
+
+# Server certificate (CoordinatorService, or a microservice's MicroserviceAPI)
+openssl req -newkey rsa:2048 -nodes -keyout server.key -out server.csr -subj "/CN=${SERVER_NAME}" 2>/dev/null
+printf "subjectAltName=DNS:%s,DNS:localhost,IP:127.0.0.1\nextendedKeyUsage=serverAuth\n" "${SERVER_NAME}" > server.ext
+openssl x509 -req -in server.csr -CA ca.crt -CAkey ca.key -CAcreateserial \
+  -days "${DAYS}" -extfile server.ext -out server.crt 2>/dev/null
+
+# Client certificate (coordinator calling microservices, or RAG calling the coordinator)
+openssl req -newkey rsa:2048 -nodes -keyout client.key -out client.csr -subj "/CN=coordinator-client" 2>/dev/null
+printf "extendedKeyUsage=clientAuth\n" > client.ext
+openssl x509 -req -in client.csr -CA ca.crt -CAkey ca.key -CAcreateserial \
+  -days "${DAYS}" -extfile client.ext -out client.crt 2>/dev/null
+
+rm -f server.csr client.csr server.ext client.ext ca.srl
+
+echo -e "${GREEN}✓ Certificates written to ${OUT_DIR}${NC}"
+echo ""
+echo "Inbound (CoordinatorService):"
+echo "  GRPC_TLS_ENABLED=true"
+echo "  GRPC_TLS_CERT_PATH=${OUT_DIR}/server.crt"
+echo "  GRPC_TLS_KEY_PATH=${OUT_DIR}/server.key"
+echo "  GRPC_TLS_CLIENT_CA_PATH=${OUT_DIR}/ca.crt   # mTLS"
+echo ""
+echo "Outbound (MicroserviceAPI):"
+echo "  GRPC_CLIENT_CA_PATH=${OUT_DIR}/ca.crt"
+echo "  GRPC_CLIENT_CERT_PATH=${OUT_DIR}/client.crt   # mTLS"
+echo "  GRPC_CLIENT_KEY_PATH=${OUT_DIR}/client.key"
@@ -0,0 +1,60 @@
+/**
+ * AI Routing Configuration
+ * Model provider that ranks services for AI routing (see src/llm)
+ */
+
+/**
+ * Number from env, keeping an explicit 0
+ */
+const number = (value, defaultValue) => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : defaultValue);
+
+module.exports = {
+  // Rank services with a model (semantic and lexical ranking otherwise)
+  enabled: process.env.AI_ROUTING_ENABLED === 'true',
+  // Use semantic and lexical ranking when the model fails
+  fallbackEnabled: process.env.AI_FALLBACK_ENABLED !== 'false',
+  // Provider: openai, anthropic, azure, openai_compatible or scripted (offline fixtures)
+  provider: (process.env.AI_PROVIDER || 'openai').toLowerCase(),
+  providers: ['openai', 'anthropic', 'azure', 'openai_compatible', 'scripted'],
+  // Model name (Azure: deployment name); each provider has its own default
+  model: process.env.AI_MODEL || null,
+  temperature: number(process.env.AI_TEMPERATURE, 0.1),
+  // Room for 5-10 ranked candidates with reasoning
+  maxTokens: parseInt(process.env.AI_MAX_TOKENS) || 2000,
+  // Per-call timeout in ms (routing falls back to semantic and lexical ranking when it passes)
+  timeout: parseInt(process.env.AI_TIMEOUT) || 30000,
+
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY || null,
+    // Proxy or gateway in front of api.openai.com
+    baseUrl: process.env.OPENAI_BASE_URL || null,
+    defaultModel: 'gpt-4o-mini'
+  },
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY || null,
+    baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+    version: process.env.ANTHROPIC_VERSION || '2023-06-01',
+    defaultModel: 'claude-3-5-haiku-latest'
+  },
+  azure: {
+    apiKey: process.env.AZURE_OPENAI_API_KEY || null,
+    // https://<resource>.openai.azure.com
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT || null,
+    // Deployment to call when AI_MODEL is unset
+    deployment: process.env.AZURE_OPENAI_DEPLOYMENT || null,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01'
+  },
+  // Any server speaking the OpenAI chat completions API (Ollama, vLLM, LM Studio, LiteLLM)
+  openaiCompatible: {
+    // e.g. http://localhost:11434/v1
+    baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL || null,
+    // Most local servers don't check it
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || null
+  },
+  scripted: {
+    // JSON file of canned responses (built-in empty ranking when unset)
+    fixtures: process.env.AI_SCRIPTED_FIXTURES || null,
+    // Simulated model latency in ms
+    latency: parseInt(process.env.AI_SCRIPTED_LATENCY) || 0
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Audit Log Configuration
+ * Append-only, hash-chained record of administrative actions and auth failures
+ */
+
+module.exports = {
+  // Record audit entries
+  enabled: process.env.AUDIT_ENABLED !== 'false',
+  // Chain this coordinator appends to; replicas sharing storage each need their own stable ID.
+  // Required in production: an ID that changes on restart starts a new chain every time
+  chainId: process.env.AUDIT_CHAIN_ID || (process.env.NODE_ENV === 'production' ? null : 'coordinator'),
+  // Key for HMAC-SHA256 entry hashes (plain SHA-256 when unset). With a key, rewriting the
+  // chain takes the key as well as write access to storage. Changing it fails earlier entries.
+  hmacSecret: process.env.AUDIT_HMAC_SECRET || null,
+  // Record rejected credentials (401) and denied permissions (403)
+  recordAuthFailures: process.env.AUDIT_AUTH_FAILURES !== 'false',
+  // Repeated failures of one kind from one IP and credential within this window (ms) are
+  // recorded as the first entry plus one entry with the count when the window ends
+  authFailureWindow: parseInt(process.env.AUDIT_AUTH_FAILURE_WINDOW) || 60000,
+  // Most IP / credential pairs tracked at once; failures beyond that share one aggregate
+  authFailureMaxTracked: parseInt(process.env.AUDIT_AUTH_FAILURE_MAX_TRACKED) || 10000
+};
@@ -0,0 +1,49 @@
+/**
+ * Authentication Configuration
+ * JWT and API key verification for HTTP requests and gRPC calls
+ */
+
+const list = (value, fallback) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback);
+
+module.exports = {
+  jwt: {
+    // Verify bearer tokens on every request (except public paths)
+    enabled: process.env.JWT_ENABLED === 'true',
+    // Let requests without a token through as anonymous (invalid tokens are still rejected)
+    allowAnonymous: process.env.JWT_ALLOW_ANONYMOUS === 'true',
+    // Accepted algorithms (HS256 needs JWT_SECRET, RS256/ES256 need a public key or JWKS)
+    algorithms: list(process.env.JWT_ALGORITHMS, ['HS256', 'RS256', 'ES256']),
+    // Shared secret for HS256
+    secret: process.env.JWT_SECRET || null,
+    // PEM public key for RS256/ES256 (\n may be escaped)
+    publicKey: process.env.JWT_PUBLIC_KEY ? process.env.JWT_PUBLIC_KEY.replace(/\\n/g, '\n') : null,
+    // Local JWKS file ({ "keys": [...] }); keys are picked by the token's kid
+    jwksPath: process.env.JWT_JWKS_PATH || null,
+    // Expected aud / iss (any of the listed values; empty = not checked)
+    audience: list(process.env.JWT_AUDIENCE, []),
+    issuer: list(process.env.JWT_ISSUER, []),
+    // Tolerance (seconds) for exp / nbf / iat between clocks
+    clockSkew: parseInt(process.env.JWT_CLOCK_SKEW) || 30,
+    // Reject tokens without exp
+    requireExpiry: process.env.JWT_REQUIRE_EXP !== 'false',
+    // Claims mapped to the envelope's tenant_id and user_id
+    tenantClaim: process.env.JWT_TENANT_CLAIM || 'tenant_id',
+    userClaim: process.env.JWT_USER_CLAIM || 'sub',
+    // Paths reachable without a token (exact match or prefix followed by /)
+    publicPaths: list(process.env.JWT_PUBLIC_PATHS, ['/health', '/ready'])
+  },
+  apiKeys: {
+    // Accept API keys (X-API-Key or "Authorization: ApiKey <key>") wherever tokens are verified
+    enabled: process.env.API_KEYS_ENABLED !== 'false',
+    // Return a service-scoped key from POST /register
+    issueOnRegister: process.env.API_KEYS_ISSUE_ON_REGISTER !== 'false',
+    // Lifetime of issued keys (ms) when the request doesn't set one; 0 = no expiry
+    defaultTtl: parseInt(process.env.API_KEYS_DEFAULT_TTL) || 0,
+    // How long (ms) a rotated key keeps working next to its replacement
+    rotationGracePeriod: parseInt(process.env.API_KEYS_ROTATION_GRACE_PERIOD) || 0,
+    // Permissions of keys returned by registration (limited to the registered service)
+    servicePermissions: ['services:read', 'services:register', 'services:manage', 'schemas:read', 'keys:rotate'],
+    // lastUsedAt is written at most this often per key (ms)
+    touchInterval: 60000
+  }
+};
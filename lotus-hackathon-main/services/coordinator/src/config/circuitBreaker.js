@@ -0,0 +1,16 @@
+/**
+ * Circuit Breaker Configuration
+ * Per-service breakers shared by HTTP, gRPC and proxy calls
+ */
+
+module.exports = {
+  enabled: process.env.CIRCUIT_BREAKER_ENABLED !== 'false',
+  // Consecutive failures before a closed circuit opens
+  failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || 5,
+  // Time an open circuit waits before letting a trial call through (half-open)
+  resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT) || 30000,
+  // Concurrent trial calls allowed while half-open
+  halfOpenMaxCalls: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_MAX_CALLS) || 1,
+  // Successful trial calls needed to close a half-open circuit
+  successThreshold: parseInt(process.env.CIRCUIT_BREAKER_SUCCESS_THRESHOLD) || 1
+};
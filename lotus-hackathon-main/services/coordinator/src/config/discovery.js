@@ -0,0 +1,15 @@
+/**
+ * Discovery Configuration
+ * Paging and sorting of GET /services (and its /registry alias)
+ */
+
+module.exports = {
+  // Services per page when no limit is given
+  defaultLimit: parseInt(process.env.DISCOVERY_DEFAULT_LIMIT) || 100,
+  // Largest page a client may ask for
+  maxLimit: parseInt(process.env.DISCOVERY_MAX_LIMIT) || 500,
+  // Fields services can be sorted by
+  sortFields: ['registeredAt', 'serviceName', 'version', 'status', 'lastHealthCheck'],
+  // Views: summary (a few fields per service) or full (details plus migration summary)
+  views: ['summary', 'full']
+};
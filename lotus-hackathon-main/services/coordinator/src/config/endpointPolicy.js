@@ -0,0 +1,33 @@
+/**
+ * Endpoint Policy Configuration
+ * Which URLs services may register as endpoints, checked at registration and
+ * again (after DNS resolution) before every call
+ */
+
+/**
+ * Split a comma separated list (empty entries dropped)
+ */
+const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+module.exports = {
+  // Check endpoints against the policy below
+  enabled: process.env.ENDPOINT_POLICY_ENABLED !== 'false',
+  // URL schemes services may register (bare "host:port" endpoints count as grpc)
+  allowedSchemes: list(process.env.ENDPOINT_ALLOWED_SCHEMES || 'http,https,grpc'),
+  // Resolved addresses must fall in one of these ranges (empty = any range not denied)
+  allowedCidrs: list(process.env.ENDPOINT_ALLOWED_CIDRS),
+  // Addresses never called: link-local (cloud metadata services), "this network",
+  // Alibaba Cloud and AWS IPv6 metadata addresses
+  deniedCidrs: list(process.env.ENDPOINT_DENIED_CIDRS ||
+    '169.254.0.0/16,fe80::/10,0.0.0.0/8,100.100.100.200/32,fd00:ec2::254/128'),
+  // Host names must match one of these patterns (empty = any); "*.example.com" matches subdomains
+  allowedHosts: list(process.env.ENDPOINT_ALLOWED_HOSTS),
+  // Host names never called
+  deniedHosts: list(process.env.ENDPOINT_DENIED_HOSTS || 'metadata.google.internal,metadata.goog'),
+  // Ports (or ranges like 4000-4999) endpoints may use (empty = any)
+  allowedPorts: list(process.env.ENDPOINT_ALLOWED_PORTS),
+  // Ports never called (e.g. admin ports of infrastructure on the same network)
+  deniedPorts: list(process.env.ENDPOINT_DENIED_PORTS),
+  // How long (ms) a host's resolved-address verdict is reused at call time
+  dnsCacheTtl: parseInt(process.env.ENDPOINT_POLICY_DNS_CACHE_TTL) || 10000
+};
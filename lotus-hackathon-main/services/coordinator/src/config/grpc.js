@@ -0,0 +1,35 @@
+/**
+ * gRPC Configuration
+ * Inbound CoordinatorService server and outbound MicroserviceAPI client transport security
+ */
+
+module.exports = {
+  // Port of the CoordinatorService server
+  port: parseInt(process.env.GRPC_PORT) || 50051,
+  server: {
+    tls: {
+      // Serve CoordinatorService over TLS instead of plaintext
+      enabled: process.env.GRPC_TLS_ENABLED === 'true',
+      // Server certificate chain and private key (PEM files)
+      certPath: process.env.GRPC_TLS_CERT_PATH || null,
+      keyPath: process.env.GRPC_TLS_KEY_PATH || null,
+      // CA bundle client certificates are verified against (mTLS)
+      clientCaPath: process.env.GRPC_TLS_CLIENT_CA_PATH || null,
+      // Reject clients without a certificate signed by GRPC_TLS_CLIENT_CA_PATH
+      requireClientCert: process.env.GRPC_TLS_REQUIRE_CLIENT_CERT === 'true'
+    }
+  },
+  client: {
+    tls: {
+      // Use TLS for services that registered without grpcTls settings
+      enabled: process.env.GRPC_CLIENT_TLS_ENABLED === 'true',
+      // CA bundle service certificates are verified against (default: system roots)
+      caPath: process.env.GRPC_CLIENT_CA_PATH || null,
+      // Client certificate and key presented to services that require mTLS
+      certPath: process.env.GRPC_CLIENT_CERT_PATH || null,
+      keyPath: process.env.GRPC_CLIENT_KEY_PATH || null
+    }
+  },
+  // How often (ms) certificate files are re-read; changed files apply without a restart
+  certReloadInterval: parseInt(process.env.GRPC_TLS_RELOAD_INTERVAL) || 30000
+};
@@ -0,0 +1,20 @@
+/**
+ * Health Check Configuration
+ * Controls the background poller that probes registered services
+ */
+
+module.exports = {
+  enabled: process.env.HEALTH_CHECK_ENABLED !== 'false',
+  interval: parseInt(process.env.HEALTH_CHECK_INTERVAL) || 30000,
+  timeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 5000,
+  thresholds: {
+    // Consecutive failed probes before an active service is marked degraded
+    degraded: parseInt(process.env.HEALTH_CHECK_DEGRADED_THRESHOLD) || 1,
+    // Consecutive failed probes before a service is marked unhealthy
+    unhealthy: parseInt(process.env.HEALTH_CHECK_UNHEALTHY_THRESHOLD) || 3,
+    // Consecutive successful probes before a degraded/unhealthy service is active again
+    recovery: parseInt(process.env.HEALTH_CHECK_RECOVERY_THRESHOLD) || 2
+  },
+  // Only services in these statuses are probed (pending_migration is left alone)
+  probedStatuses: ['active', 'degraded', 'unhealthy']
+};
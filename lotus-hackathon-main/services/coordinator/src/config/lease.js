@@ -0,0 +1,15 @@
+/**
+ * Lease Configuration
+ * Registrations carry a lease that services renew via heartbeat
+ */
+
+module.exports = {
+  // Lease TTL (ms) for registrations that don't send leaseTtl; 0 = no lease (never expires)
+  defaultTtl: parseInt(process.env.LEASE_DEFAULT_TTL) || 0,
+  // Smallest TTL (ms) a service may request, so heartbeats can't flood the coordinator
+  minTtl: parseInt(process.env.LEASE_MIN_TTL) || 5000,
+  // How long (ms) an expired service is kept before being removed from the registry
+  gracePeriod: parseInt(process.env.LEASE_GRACE_PERIOD) || 300000,
+  // How often (ms) leases are checked
+  sweepInterval: parseInt(process.env.LEASE_SWEEP_INTERVAL) || 10000
+};
@@ -0,0 +1,12 @@
+/**
+ * Load Balancing Configuration
+ * Controls how calls are spread across the instances of a service
+ */
+
+module.exports = {
+  // round_robin | least_outstanding | weighted
+  strategy: process.env.LOAD_BALANCING_STRATEGY || 'round_robin',
+  // Instances tried for one service before the cascade moves on to the next ranked service
+  maxInstanceAttempts: parseInt(process.env.LOAD_BALANCING_MAX_INSTANCE_ATTEMPTS) || 3,
+  strategies: ['round_robin', 'least_outstanding', 'weighted']
+};
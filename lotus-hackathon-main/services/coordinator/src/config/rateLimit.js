@@ -0,0 +1,80 @@
+/**
+ * Rate Limiting Configuration
+ * Token buckets per caller (API key, tenant or client IP) and tier
+ */
+
+/**
+ * Limits of one tier: `limit` requests refill every `window` ms, up to `burst` saved up
+ * @param {string} name - Tier name in env variables (RATE_LIMIT_<NAME>_LIMIT, ...)
+ * @param {number} limit - Default requests per window
+ * @param {number} window - Default window in ms
+ */
+const tier = (name, limit, window) => {
+  const tierLimit = parseInt(process.env[`RATE_LIMIT_${name}_LIMIT`]) || limit;
+  return {
+    limit: tierLimit,
+    window: parseInt(process.env[`RATE_LIMIT_${name}_WINDOW`]) || window,
+    burst: parseInt(process.env[`RATE_LIMIT_${name}_BURST`]) || tierLimit
+  };
+};
+
+/**
+ * Tier per route, first match wins (same patterns as config/rbac.js)
+ * ai: calls that run AI routing (OpenAI tokens); read: cheap admin reads;
+ * default: everything else (registration, heartbeats, admin writes)
+ */
+const ROUTE_TIERS = [
+  { method: 'GET', path: '/route/context', tier: 'read' },
+  { method: '*', path: '/route*', tier: 'ai' },
+  { method: 'GET', path: '/services*', tier: 'read' },
+  { method: 'GET', path: '/registry*', tier: 'read' },
+  { method: 'GET', path: '/knowledge-graph*', tier: 'read' },
+  { method: 'GET', path: '/graph*', tier: 'read' },
+  { method: 'GET', path: '/changelog*', tier: 'read' },
+  { method: 'GET', path: '/audit*', tier: 'read' },
+  { method: 'GET', path: '/routing-rules*', tier: 'read' },
+  { method: 'GET', path: '/schemas*', tier: 'read' },
+  { method: 'GET', path: '/uiux*', tier: 'read' },
+  { method: 'GET', path: '/api-keys*', tier: 'read' },
+  { method: 'GET', path: '/metrics*', tier: 'read' },
+  { method: 'GET', path: '/info', tier: 'read' },
+  { method: 'GET', path: '/test', tier: 'read' },
+  { method: 'GET', path: '/openapi.json', tier: 'read' },
+  { method: '*', path: '/register*', tier: 'default' },
+  { method: '*', path: '/api-keys*', tier: 'default' },
+  { method: '*', path: '/uiux*', tier: 'default' },
+  { method: '*', path: '/knowledge-graph*', tier: 'default' },
+  { method: '*', path: '/graph*', tier: 'default' },
+  { method: '*', path: '/changelog*', tier: 'default' },
+  { method: '*', path: '/schemas*', tier: 'default' },
+  { method: '*', path: '/routing-rules*', tier: 'default' },
+  // Everything else is proxied to a microservice through AI routing
+  { method: '*', path: '*', tier: 'ai' }
+];
+
+module.exports = {
+  // Limit request rates (429 / RESOURCE_EXHAUSTED when a bucket is empty)
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+  // Bucket store: memory (per replica) or supabase (shared by every replica)
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+  stores: ['memory', 'supabase'],
+  // Supabase calls slower than this use the replica's own buckets instead (ms)
+  storeTimeout: parseInt(process.env.RATE_LIMIT_STORE_TIMEOUT) || 500,
+  // What identifies a caller, first available wins: api_key, tenant (verified by JWT), ip
+  keyBy: (process.env.RATE_LIMIT_KEY_BY || 'api_key,tenant,ip').split(',').map(item => item.trim()).filter(Boolean),
+  // Paths that are never limited
+  exemptPaths: (process.env.RATE_LIMIT_EXEMPT_PATHS || '/health,/ready').split(',').map(item => item.trim()).filter(Boolean),
+  tiers: {
+    // Every request from one IP address, taken before authentication so failed logins count too
+    ip: tier('IP', 1200, 60000),
+    ai: tier('AI', 60, 60000),
+    read: tier('READ', 600, 60000),
+    default: tier('DEFAULT', 120, 60000)
+  },
+  // Tier of gRPC methods
+  grpcTiers: {
+    Route: 'ai',
+    Heartbeat: 'default'
+  },
+  routes: ROUTE_TIERS
+};
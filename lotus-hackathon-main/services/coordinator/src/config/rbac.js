@@ -0,0 +1,97 @@
+/**
+ * Role-Based Access Control Configuration
+ * Roles, their permissions and the permission each coordinator route needs
+ */
+
+const authConfig = require('./auth');
+
+/**
+ * Permissions granted per role ('*' = everything, 'area:*' = every permission of an area)
+ * services:manage only covers services the caller registered; services:admin covers all of them
+ */
+const DEFAULT_ROLES = {
+  admin: ['*'],
+  'service-owner': [
+    'services:read', 'services:register', 'services:manage',
+    'schemas:read', 'schemas:validate', 'graph:read', 'changelog:read', 'uiux:read'
+  ],
+  'router-client': [
+    'routing:read', 'routing:execute',
+    'services:read', 'schemas:read', 'uiux:read'
+  ],
+  reader: [
+    'services:read', 'schemas:read', 'graph:read', 'changelog:read',
+    'uiux:read', 'routing:read', 'system:read'
+  ]
+};
+
+/**
+ * Path prefixes the coordinator serves itself
+ * Methods and sub-paths of these not listed below are denied instead of being
+ * proxied to a microservice under routing:execute
+ */
+const COORDINATOR_PREFIXES = [
+  '/register', '/api-keys', '/services', '/registry', '/uiux', '/knowledge-graph', '/graph',
+  '/changelog', '/audit', '/routing-rules', '/schemas', '/route', '/metrics', '/info', '/test', '/openapi.json'
+];
+
+/**
+ * Permission per route, first match wins (":param" matches one path segment, a trailing "*" any rest)
+ * owner: 'serviceId' (the :serviceId param) or 'serviceName' (the body's serviceName) must
+ * belong to the caller unless it has services:admin; 'keyId' (the :keyId param) must be the
+ * caller's own API key unless it has keys:admin; deny: every caller is refused
+ */
+const ROUTE_PERMISSIONS = [
+  { method: 'DELETE', path: '/register/services', permission: 'services:admin' },
+  { method: 'POST', path: '/register', permission: 'services:register', owner: 'serviceName' },
+  { method: 'PATCH', path: '/register/:serviceId', permission: 'services:manage', owner: 'serviceId' },
+  { method: 'DELETE', path: '/register/:serviceId', permission: 'services:manage', owner: 'serviceId' },
+  { method: 'POST', path: '/register/:serviceId/migration', permission: 'services:manage', owner: 'serviceId' },
+  { method: 'POST', path: '/register/:serviceId/heartbeat', permission: 'services:manage', owner: 'serviceId' },
+  { method: 'POST', path: '/register/:serviceId/signing-key/rotate', permission: 'services:manage', owner: 'serviceId' },
+  { method: 'POST', path: '/api-keys/:keyId/rotate', permission: 'keys:rotate', owner: 'keyId' },
+  { method: '*', path: '/api-keys*', permission: 'keys:admin' },
+  { method: 'GET', path: '/services*', permission: 'services:read' },
+  { method: 'GET', path: '/registry*', permission: 'services:read' },
+  { method: 'POST', path: '/uiux', permission: 'uiux:write' },
+  { method: 'GET', path: '/uiux*', permission: 'uiux:read' },
+  { method: 'POST', path: '/knowledge-graph/rebuild', permission: 'graph:admin' },
+  { method: 'POST', path: '/graph/rebuild', permission: 'graph:admin' },
+  { method: 'GET', path: '/knowledge-graph*', permission: 'graph:read' },
+  { method: 'GET', path: '/graph*', permission: 'graph:read' },
+  { method: 'POST', path: '/changelog/cleanup', permission: 'changelog:admin' },
+  { method: 'GET', path: '/changelog*', permission: 'changelog:read' },
+  { method: 'GET', path: '/audit*', permission: 'audit:read' },
+  { method: 'GET', path: '/routing-rules*', permission: 'routing:read' },
+  { method: '*', path: '/routing-rules*', permission: 'routing:admin' },
+  { method: 'POST', path: '/schemas/:serviceId/validate', permission: 'schemas:validate' },
+  { method: 'GET', path: '/schemas*', permission: 'schemas:read' },
+  { method: 'POST', path: '/route*', permission: 'routing:execute' },
+  { method: 'GET', path: '/route*', permission: 'routing:read' },
+  { method: 'GET', path: '/metrics*', permission: 'system:read' },
+  { method: 'GET', path: '/info', permission: 'system:read' },
+  { method: 'GET', path: '/test', permission: 'system:read' },
+  { method: 'GET', path: '/openapi.json', permission: 'system:read' },
+  ...COORDINATOR_PREFIXES.flatMap(prefix => [prefix, `${prefix}/*`]
+    .map(path => ({ method: '*', path, permission: null, deny: true }))),
+  // Everything else is proxied to a microservice through AI routing
+  { method: '*', path: '*', permission: 'routing:execute' }
+];
+
+module.exports = {
+  // Enforce permissions (defaults to on whenever JWT authentication is on)
+  enabled: process.env.RBAC_ENABLED !== undefined
+    ? process.env.RBAC_ENABLED === 'true'
+    : authConfig.jwt.enabled,
+  roles: DEFAULT_ROLES,
+  // Extra or replaced roles as JSON: {"role": ["permission", ...]}
+  customRoles: process.env.RBAC_ROLES || null,
+  // Claim holding the caller's roles (array, or a space/comma separated string)
+  rolesClaim: process.env.JWT_ROLES_CLAIM || 'roles',
+  // Role of authenticated callers whose token names no role
+  defaultRole: process.env.RBAC_DEFAULT_ROLE || 'reader',
+  // Role of anonymous callers (JWT_ALLOW_ANONYMOUS=true); empty = no access
+  anonymousRole: process.env.RBAC_ANONYMOUS_ROLE ?? 'reader',
+  routes: ROUTE_PERMISSIONS,
+  coordinatorPrefixes: COORDINATOR_PREFIXES
+};
@@ -0,0 +1,38 @@
+/**
+ * Redaction Configuration
+ * Secrets and personal data masked in log metadata and in the AI routing prompt
+ */
+
+/**
+ * Split a comma separated list (empty entries dropped)
+ */
+const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Field names whose values are always masked (compared without case, "-" and "_")
+ */
+const DEFAULT_FIELDS = [
+  'password', 'passwd', 'secret', 'clientSecret', 'token', 'accessToken', 'refreshToken', 'idToken',
+  'apiKey', 'privateKey', 'authorization', 'proxyAuthorization', 'cookie', 'setCookie',
+  'signature', 'ssn', 'cardNumber', 'creditCard', 'cvv', 'cvc', 'iban'
+];
+
+module.exports = {
+  // Mask winston log metadata and messages
+  logs: process.env.REDACTION_LOGS_ENABLED !== 'false',
+  // Mask request payload, context and service data sent to the AI routing model and embedder
+  prompts: process.env.REDACTION_PROMPTS_ENABLED !== 'false',
+  // Sensitive field names (replaces the defaults); names ending in password, secret, token or apikey always count
+  fields: list(process.env.REDACTION_FIELDS).length ? list(process.env.REDACTION_FIELDS) : DEFAULT_FIELDS,
+  // Added to the field names above
+  extraFields: list(process.env.REDACTION_EXTRA_FIELDS),
+  // Value detectors applied to every string: authorization, jwt, api_key, email, card, credential
+  detectors: list(process.env.REDACTION_DETECTORS || 'authorization,jwt,api_key,email,card,credential'),
+  // Extra detectors as JSON: {"name": "regex"} (matches become [name:<hash>])
+  patterns: process.env.REDACTION_PATTERNS || null,
+  // Key for the hash in masks, so one value always gets the same mask
+  // (random per process when unset; set it to correlate masks across replicas and restarts)
+  hashSecret: process.env.REDACTION_HASH_SECRET || null,
+  // Nesting depth masked before the rest of a value is cut off
+  maxDepth: parseInt(process.env.REDACTION_MAX_DEPTH) || 10
+};
@@ -14,6 +14,25 @@ module.exports = {
       requireRelevant: true,
       rejectEmpty: true
     }
+  },
+
+  // BM25 ranking used when there is no AI or semantic decision
+  lexical: {
+    // Term frequency saturation: how much repeating a term keeps adding
+    k1: parseFloat(process.env.BM25_K1) || 1.2,
+    // Length normalization: 0 ignores field length, 1 fully normalizes it
+    b: process.env.BM25_B !== undefined && !isNaN(parseFloat(process.env.BM25_B))
+      ? Math.min(1, Math.max(0, parseFloat(process.env.BM25_B)))
+      : 0.75,
+    // Weight of a term found in each part of a service
+    fieldWeights: {
+      name: 3,
+      capabilities: 2.5,
+      events: 1.5,
+      endpoints: 1.2,
+      description: 1
+    },
+    // Most services ranked
+    maxCandidates: 10
   }
 };
-
@@ -0,0 +1,13 @@
+/**
+ * Routing Cache Configuration
+ * AI routing decisions reused for the same query until the registry changes
+ */
+
+module.exports = {
+  // Reuse AI routing decisions (semantic and lexical fallback results are never cached)
+  enabled: process.env.ROUTING_CACHE_ENABLED !== 'false',
+  // How long (ms) a decision is reused
+  ttl: parseInt(process.env.ROUTING_CACHE_TTL) || 300000,
+  // Most decisions kept; the least recently used are dropped first
+  maxEntries: parseInt(process.env.ROUTING_CACHE_MAX_ENTRIES) || 1000
+};
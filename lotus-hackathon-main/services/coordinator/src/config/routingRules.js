@@ -0,0 +1,20 @@
+/**
+ * Routing Rules Configuration
+ * Declarative rules that send matching requests straight to a service,
+ * evaluated before AI, semantic and lexical routing
+ */
+
+module.exports = {
+  // Evaluate rules before any other routing
+  enabled: process.env.ROUTING_RULES_ENABLED !== 'false',
+  // Reload rules from storage this often (ms), to pick up changes made on other replicas
+  refreshInterval: parseInt(process.env.ROUTING_RULES_REFRESH_INTERVAL) || 30000,
+  // Most rules kept
+  maxRules: parseInt(process.env.ROUTING_RULES_MAX) || 500,
+  // Longest regular expression accepted in a rule (characters)
+  maxPatternLength: 500,
+  // Longest path, query or header value a rule's regular expressions are run on; longer values don't match
+  maxInputLength: parseInt(process.env.ROUTING_RULES_MAX_INPUT_LENGTH) || 512,
+  // Time (ms) one regular expression may run on one value; a rule that runs out is skipped until updated
+  matchTimeout: parseInt(process.env.ROUTING_RULES_MATCH_TIMEOUT) || 20
+};
@@ -0,0 +1,31 @@
+/**
+ * Semantic Routing Configuration
+ * Services ranked by embedding similarity when there is no AI decision
+ * (AI routing disabled or failed), before lexical matching
+ */
+
+module.exports = {
+  // Try semantic ranking before lexical matching
+  enabled: process.env.SEMANTIC_ROUTING_ENABLED !== 'false',
+  // Embeddings: local (hashed TF-IDF vectors, no network) or openai (hosted)
+  embeddings: (process.env.SEMANTIC_EMBEDDINGS || 'local').toLowerCase(),
+  embeddingProviders: ['local', 'openai'],
+  // Lowest cosine similarity the best match needs; below it, lexical matching decides
+  minSimilarity: parseFloat(process.env.SEMANTIC_MIN_SIMILARITY) || 0.1,
+  // Most services ranked
+  maxCandidates: parseInt(process.env.SEMANTIC_MAX_CANDIDATES) || 10,
+
+  local: {
+    // Vector size of hashed features (more = fewer collisions)
+    dimensions: parseInt(process.env.SEMANTIC_DIMENSIONS) || 2048
+  },
+  openai: {
+    model: process.env.SEMANTIC_EMBEDDINGS_MODEL || 'text-embedding-3-small',
+    // Defaults to OPENAI_API_KEY
+    apiKey: process.env.SEMANTIC_EMBEDDINGS_API_KEY || process.env.OPENAI_API_KEY || null,
+    // Any server with an OpenAI-compatible /embeddings endpoint (e.g. http://localhost:11434/v1)
+    baseUrl: process.env.SEMANTIC_EMBEDDINGS_BASE_URL || process.env.OPENAI_BASE_URL || null,
+    // Per-call timeout in ms
+    timeout: parseInt(process.env.SEMANTIC_EMBEDDINGS_TIMEOUT) || 10000
+  }
+};
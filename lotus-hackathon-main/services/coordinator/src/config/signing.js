@@ -0,0 +1,11 @@
+/**
+ * Envelope Signing Configuration
+ * Envelopes sent to microservices are signed with a per-service shared secret
+ */
+
+module.exports = {
+  // Sign envelopes (HTTP headers / gRPC metadata) and return the secret from POST /register
+  enabled: process.env.ENVELOPE_SIGNING_ENABLED !== 'false',
+  // How long (ms) a rotated secret keeps signing next to its replacement
+  rotationGracePeriod: parseInt(process.env.ENVELOPE_SIGNING_ROTATION_GRACE_PERIOD) || 3600000
+};
@@ -0,0 +1,36 @@
+/**
+ * Storage Configuration
+ * Selects the backend shared by the registry, knowledge graph, changelog,
+ * schema registry, UI/UX configuration and audit log
+ */
+
+const hasSupabaseCredentials = !!(process.env.SUPABASE_URL &&
+  (process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY));
+
+// supabase, memory or file (defaults to supabase when credentials are set, memory otherwise)
+const backend = process.env.STORAGE_BACKEND || (hasSupabaseCredentials ? 'supabase' : 'memory');
+
+module.exports = {
+  backend,
+  backends: ['supabase', 'memory', 'file'],
+  // Supabase operations slower than this fall back to an in-memory copy
+  timeout: parseInt(process.env.STORAGE_TIMEOUT) || 10000,
+  file: {
+    // Append-only JSON lines file (relative paths resolve from the working directory)
+    path: process.env.STORAGE_FILE_PATH || 'data/coordinator-store.jsonl',
+    // Log lines before the file is rewritten with only the current documents
+    compactThreshold: parseInt(process.env.STORAGE_FILE_COMPACT_THRESHOLD) || 1000
+  },
+  sync: {
+    // How often writes queued during a Supabase outage are replayed (ms)
+    interval: parseInt(process.env.STORAGE_SYNC_INTERVAL) || 15000,
+    // Who wins when a row changed in Supabase while a write for it was queued: local or remote
+    conflictPolicy: process.env.STORAGE_SYNC_CONFLICT_POLICY === 'remote' ? 'remote' : 'local',
+    // Write-ahead queue file so queued writes survive a restart ('' = keep the queue in memory)
+    queuePath: process.env.STORAGE_SYNC_QUEUE_PATH ?? 'data/supabase-sync-queue.jsonl'
+  },
+  // Knowledge graph versions kept (0 = all); Supabase keeps its full history by default
+  graphHistory: process.env.KNOWLEDGE_GRAPH_HISTORY !== undefined
+    ? parseInt(process.env.KNOWLEDGE_GRAPH_HISTORY) || 0
+    : (backend === 'supabase' ? 0 : 10)
+};
@@ -0,0 +1,10 @@
+/**
+ * Request Validation Configuration
+ * Requests are always checked against the route schemas (src/schemas)
+ */
+
+module.exports = {
+  // Also check JSON responses against the declared response schemas and log mismatches
+  // (development aid; responses are sent unchanged)
+  responses: process.env.RESPONSE_VALIDATION_ENABLED === 'true'
+};
@@ -0,0 +1,50 @@
+const OpenAI = require('openai');
+const logger = require('../utils/logger');
+const semanticConfig = require('../config/semanticRouting');
+const LocalEmbedder = require('./localEmbedder');
+const OpenAIEmbedder = require('./openaiEmbedder');
+
+/**
+ * Embedder - Turns service documents and queries into vectors for semantic routing
+ *
+ * Embedders expose:
+ *   embed(texts) -> Promise<Array<Float32Array>>
+ *     one unit-length vector per text, so cosine similarity is a dot product
+ *   fit(texts) (optional)
+ *     learn corpus statistics from the service documents; called before they
+ *     are embedded, and every document is embedded again after it
+ *   name, getStatus()
+ *
+ * Embedders: local (hashed TF-IDF vectors, no network) and openai (hosted, or
+ * an OpenAI-compatible server). Selected by SEMANTIC_EMBEDDINGS.
+ */
+function createEmbedder(config = semanticConfig) {
+  if (config.embeddings === 'openai') {
+    if (config.openai.apiKey || config.openai.baseUrl) {
+      const client = new OpenAI({
+        // Local OpenAI-compatible servers don't check the key, but the SDK requires one
+        apiKey: config.openai.apiKey || 'unused',
+        ...(config.openai.baseUrl && { baseURL: config.openai.baseUrl }),
+        timeout: config.openai.timeout
+      });
+      return new OpenAIEmbedder(client, { model: config.openai.model, baseUrl: config.openai.baseUrl });
+    }
+    logger.warn('SEMANTIC_EMBEDDINGS=openai but no API key or base URL is set, using local embeddings');
+    return new LocalEmbedder(config.local);
+  }
+
+  if (config.embeddings !== 'local') {
+    logger.warn('Unknown embeddings provider, using local', {
+      embeddings: config.embeddings,
+      supported: config.embeddingProviders
+    });
+  }
+
+  return new LocalEmbedder(config.local);
+}
+
+module.exports = {
+  createEmbedder,
+  LocalEmbedder,
+  OpenAIEmbedder
+};
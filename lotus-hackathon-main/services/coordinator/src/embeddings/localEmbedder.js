@@ -0,0 +1,125 @@
+const { tokenize } = require('../utils/text');
+
+/**
+ * Share of a word's weight carried by its character trigrams, which let
+ * variants the stemmer misses ("authorisation", "authorization") still overlap
+ */
+const TRIGRAM_WEIGHT = 0.5;
+
+/**
+ * 32-bit FNV-1a hash of a feature
+ * @private
+ */
+const hash = (feature) => {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    value ^= feature.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+};
+
+/**
+ * Weighted features of a text: stemmed words and their character trigrams
+ * @private
+ */
+const features = (text) => {
+  const weights = new Map();
+  const add = (feature, weight) => weights.set(feature, (weights.get(feature) || 0) + weight);
+
+  for (const token of tokenize(text)) {
+    add(`w:${token}`, 1);
+    const padded = `#${token}#`;
+    const trigrams = padded.length - 2;
+    for (let i = 0; i < trigrams; i++) {
+      add(`t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT / trigrams);
+    }
+  }
+  return weights;
+};
+
+/**
+ * Local Embedder - TF-IDF weighted feature hashing, no network
+ * fit() learns how rare each feature is across the service documents, so
+ * words every service shares count less than the ones that set a service apart.
+ * Vectors are unit length, so cosine similarity is a dot product.
+ * Matches words and word variants, not synonyms ("purchase" and "buy" share
+ * nothing); use hosted embeddings for that.
+ */
+class LocalEmbedder {
+  /**
+   * @param {Object} options - Embedder options
+   * @param {number} options.dimensions - Vector size
+   */
+  constructor({ dimensions = 2048 } = {}) {
+    this.name = 'local';
+    this.dimensions = dimensions;
+    this.documentFrequency = new Map();
+    this.documents = 0;
+  }
+
+  /**
+   * Learn feature rarity from the documents that will be searched
+   * @param {Array<string>} texts - Service documents
+   */
+  fit(texts) {
+    this.documentFrequency = new Map();
+    this.documents = texts.length;
+    for (const text of texts) {
+      for (const feature of features(text).keys()) {
+        this.documentFrequency.set(feature, (this.documentFrequency.get(feature) || 0) + 1);
+      }
+    }
+  }
+
+  /**
+   * Embed texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Float32Array>>} - Unit-length vectors (all zeros for texts without features)
+   */
+  async embed(texts) {
+    return texts.map(text => this._embedOne(text));
+  }
+
+  /**
+   * Embedder summary
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      dimensions: this.dimensions,
+      documents: this.documents,
+      features: this.documentFrequency.size
+    };
+  }
+
+  /**
+   * Hash weighted features into a vector
+   * @private
+   */
+  _embedOne(text) {
+    const vector = new Float32Array(this.dimensions);
+    for (const [feature, weight] of features(text)) {
+      // Smoothed IDF: features no document has get the highest weight
+      const idf = Math.log((this.documents + 1) / ((this.documentFrequency.get(feature) || 0) + 1)) + 1;
+      const h = hash(feature);
+      // The sign bit keeps colliding features from only ever adding up
+      vector[h % this.dimensions] += (h & 0x80000000 ? -1 : 1) * weight * idf;
+    }
+
+    let norm = 0;
+    for (const value of vector) {
+      norm += value * value;
+    }
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (let i = 0; i < vector.length; i++) {
+        vector[i] /= norm;
+      }
+    }
+    return vector;
+  }
+}
+
+module.exports = LocalEmbedder;
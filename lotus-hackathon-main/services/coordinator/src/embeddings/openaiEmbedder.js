@@ -0,0 +1,59 @@
+/**
+ * OpenAI Embedder - Hosted embeddings through the OpenAI SDK
+ * Also works with any server exposing an OpenAI-compatible /embeddings
+ * endpoint (client with a baseURL). Captures meaning, so synonyms match.
+ */
+class OpenAIEmbedder {
+  /**
+   * @param {Object} client - OpenAI SDK client
+   * @param {Object} options - Embedder options
+   * @param {string} options.model - Embedding model
+   * @param {string} options.baseUrl - Server other than api.openai.com (for getStatus)
+   */
+  constructor(client, { model, baseUrl = null }) {
+    this.name = 'openai';
+    this.client = client;
+    this.model = model;
+    this.baseUrl = baseUrl;
+    this.calls = 0;
+  }
+
+  /**
+   * Embed texts (one request)
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Float32Array>>} - Unit-length vectors in the order of texts
+   */
+  async embed(texts) {
+    if (texts.length === 0) {
+      return [];
+    }
+
+    this.calls += 1;
+    // float: compatible servers that ignore encoding_format answer with floats anyway
+    const response = await this.client.embeddings.create({ model: this.model, input: texts, encoding_format: 'float' });
+    const vectors = [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+    if (vectors.length !== texts.length) {
+      throw new Error(`Embeddings returned ${vectors.length} vectors for ${texts.length} texts`);
+    }
+
+    return vectors.map(values => {
+      const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return Float32Array.from(values, value => value / norm);
+    });
+  }
+
+  /**
+   * Embedder summary
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      model: this.model,
+      calls: this.calls,
+      ...(this.baseUrl && { baseUrl: this.baseUrl })
+    };
+  }
+}
+
+module.exports = OpenAIEmbedder;
@@ -1,7 +1,9 @@
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
+const net = require('net');
 const path = require('path');
 const logger = require('../utils/logger');
+const { createChannelCredentials, getTlsStatus } = require('./tls');
 
 /**
  * gRPC Client - Calls microservices via gRPC
@@ -10,9 +12,12 @@ const logger = require('../utils/logger');
 class GrpcClient {
   constructor() {
     this.clients = new Map(); // Cache gRPC clients
+    this.healthClients = new Map(); // Cache grpc.health.v1 clients
     this.protoPath = path.join(__dirname, 'proto', 'microservice.proto');
+    this.healthProtoPath = path.join(__dirname, 'proto', 'health.proto');
     this.timeout = 30000; // 30 seconds timeout
     this.proto = null;
+    this.healthProto = null;
     
     this.loadProto();
   }
@@ -41,6 +46,16 @@ class GrpcClient {
         service: 'microservice.v1.MicroserviceAPI'
       });
 
+      const healthDefinition = protoLoader.loadSync(this.healthProtoPath, {
+        keepCase: true,
+        longs: String,
+        enums: String,
+        defaults: true,
+        oneofs: true,
+      });
+
+      this.healthProto = grpc.loadPackageDefinition(healthDefinition).grpc.health.v1;
+
     } catch (error) {
       logger.error('Failed to load gRPC client proto', {
         error: error.message,
@@ -54,10 +69,14 @@ class GrpcClient {
    * Create or get cached gRPC client for a microservice
    * @param {string} serviceName - Name of the microservice
    * @param {string} endpoint - gRPC endpoint (e.g., "service:5051")
+   * @param {Object|null} tls - Service's grpcTls settings (null = coordinator default)
+   * @param {string|null} address - Address to dial instead of resolving the host (from the endpoint policy)
    * @returns {Object} - gRPC client instance
    */
-  createMicroserviceClient(serviceName, endpoint) {
-    const clientKey = `${serviceName}:${endpoint}`;
+  createMicroserviceClient(serviceName, endpoint, tls = null, address = null) {
+    // Changed TLS settings or addresses get a new client (the old one stays cached until shutdown)
+    const { credentials, options, cacheKey } = createChannelCredentials(tls);
+    const clientKey = `${serviceName}:${endpoint}:${address || ''}:${cacheKey}`;
     
     // Return cached client if exists
     if (this.clients.has(clientKey)) {
@@ -66,24 +85,16 @@ class GrpcClient {
     }
 
     try {
-      // Ensure endpoint has gRPC port (convert HTTP port to gRPC port if needed)
-      let grpcEndpoint = endpoint;
-      if (endpoint.includes(':')) {
-        const [host, port] = endpoint.split(':');
-        // Convert HTTP port to gRPC port (add 1000 to HTTP port as convention)
-        // e.g., service:5000 -> service:5051 (or use explicit gRPC port if provided)
-        if (!endpoint.includes('505')) { // If not already a gRPC port
-          const httpPort = parseInt(port);
-          const grpcPort = httpPort + 51; // 5000 -> 5051, 4000 -> 4051
-          grpcEndpoint = `${host}:${grpcPort}`;
-        }
-      }
+      const grpcEndpoint = this._toGrpcEndpoint(endpoint);
+      const channel = this._channelTarget(grpcEndpoint, address);
 
       // Create new gRPC client
       const client = new this.proto.MicroserviceAPI(
-        grpcEndpoint,
-        grpc.credentials.createInsecure(),
+        channel.target,
+        credentials,
         {
+          ...channel.options,
+          ...options,
           'grpc.keepalive_time_ms': 30000,
           'grpc.keepalive_timeout_ms': 5000,
           'grpc.keepalive_permit_without_calls': true,
@@ -100,7 +111,9 @@ class GrpcClient {
         serviceName,
         originalEndpoint: endpoint,
         grpcEndpoint,
-        clientKey
+        address,
+        clientKey,
+        tls: cacheKey !== 'insecure'
       });
 
       return client;
@@ -115,14 +128,100 @@ class GrpcClient {
     }
   }
 
+  /**
+   * Ensure endpoint has gRPC port (convert HTTP port to gRPC port if needed)
+   * @param {string} endpoint - Service endpoint
+   * @returns {string} - gRPC endpoint
+   * @private
+   */
+  _toGrpcEndpoint(endpoint) {
+    let grpcEndpoint = endpoint;
+    if (endpoint.includes(':')) {
+      const [host, port] = endpoint.split(':');
+      // Convert HTTP port to gRPC port (add 1000 to HTTP port as convention)
+      // e.g., service:5000 -> service:5051 (or use explicit gRPC port if provided)
+      if (!endpoint.includes('505')) { // If not already a gRPC port
+        const httpPort = parseInt(port);
+        const grpcPort = httpPort + 51; // 5000 -> 5051, 4000 -> 4051
+        grpcEndpoint = `${host}:${grpcPort}`;
+      }
+    }
+    return grpcEndpoint;
+  }
+
+  /**
+   * Channel target for a gRPC endpoint, dialing the given address when there is one
+   * The host name stays the authority and the name the server certificate is checked against
+   * @param {string} grpcEndpoint - host:port
+   * @param {string|null} address - Address checked by the endpoint policy
+   * @returns {Object} - { target, options }
+   * @private
+   */
+  _channelTarget(grpcEndpoint, address) {
+    const match = address ? /^(.+):(\d+)$/.exec(grpcEndpoint) : null;
+    if (!match) {
+      return { target: grpcEndpoint, options: {} };
+    }
+
+    return {
+      target: `${net.isIPv6(address) ? `[${address}]` : address}:${match[2]}`,
+      options: {
+        'grpc.default_authority': grpcEndpoint,
+        'grpc.ssl_target_name_override': match[1].replace(/^\[|\]$/g, '')
+      }
+    };
+  }
+
+  /**
+   * Wait until a client's channel is connected
+   * Rejects with UNAVAILABLE when the service can't be reached and DEADLINE_EXCEEDED
+   * when it doesn't connect in time; both errors are marked as not delivered.
+   * @param {Object} client - gRPC client
+   * @param {Date} deadline - Call deadline
+   * @returns {Promise<void>}
+   * @private
+   */
+  _connect(client, deadline) {
+    const channel = client.getChannel();
+    const notDelivered = (code, details) => Object.assign(new Error(`${code} ${grpc.status[code]}: ${details}`), {
+      code,
+      details,
+      delivered: false
+    });
+
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const state = channel.getConnectivityState(true);
+        if (state === grpc.connectivityState.READY) {
+          return resolve();
+        }
+        if (state === grpc.connectivityState.TRANSIENT_FAILURE || state === grpc.connectivityState.SHUTDOWN) {
+          return reject(notDelivered(grpc.status.UNAVAILABLE, 'No connection established'));
+        }
+        channel.watchConnectivityState(state, deadline, (error) => {
+          if (error) {
+            reject(notDelivered(grpc.status.DEADLINE_EXCEEDED, 'Failed to connect before the deadline'));
+          } else {
+            check();
+          }
+        });
+      };
+      check();
+    });
+  }
+
   /**
    * Call microservice via gRPC
    * @param {string} serviceName - Name of the microservice
    * @param {string} endpoint - Service endpoint
    * @param {string} envelopeJson - Universal Envelope as JSON string
+   * @param {number} timeoutMs - Optional deadline override in milliseconds
+   * @param {Object} headers - Optional metadata to send (e.g. envelope signature)
+   * @param {Object|null} tls - Service's grpcTls settings (null = coordinator default)
+   * @param {string|null} address - Address to dial (from the endpoint policy)
    * @returns {Promise<Object>} - Response from microservice
    */
-  async callMicroserviceViaGrpc(serviceName, endpoint, envelopeJson) {
+  async callMicroserviceViaGrpc(serviceName, endpoint, envelopeJson, timeoutMs = null, headers = {}, tls = null, address = null) {
     const startTime = Date.now();
     
     try {
@@ -134,18 +233,25 @@ class GrpcClient {
       });
 
       // Get or create gRPC client
-      const client = this.createMicroserviceClient(serviceName, endpoint);
+      const client = this.createMicroserviceClient(serviceName, endpoint, tls, address);
 
       // Prepare request
       const request = {
         envelope_json: envelopeJson
       };
 
+      // Connect first: a call that fails before the channel is ready was never delivered
+      const deadline = new Date(Date.now() + (timeoutMs || this.timeout));
+      await this._connect(client, deadline);
+
       // Call Process RPC with timeout
       const response = await new Promise((resolve, reject) => {
-        const deadline = new Date(Date.now() + this.timeout);
-        
-        client.Process(request, { deadline }, (error, response) => {
+        const metadata = new grpc.Metadata();
+        for (const [key, value] of Object.entries(headers)) {
+          metadata.set(key, value);
+        }
+
+        client.Process(request, metadata, { deadline }, (error, response) => {
           if (error) {
             reject(error);
           } else {
@@ -209,7 +315,9 @@ class GrpcClient {
         protocol: 'grpc',
         grpcError: {
           code: error.code,
-          details: error.details
+          details: error.details,
+          // Whether the service may have received the call
+          delivered: error.delivered !== false
         }
       };
     }
@@ -236,6 +344,16 @@ class GrpcClient {
     }
 
     this.clients.clear();
+
+    for (const client of this.healthClients.values()) {
+      try {
+        client.close();
+      } catch (error) {
+        // Ignore - health clients hold no state worth reporting
+      }
+    }
+    this.healthClients.clear();
+
     logger.info('All gRPC clients closed');
   }
 
@@ -249,7 +367,8 @@ class GrpcClient {
       clientCount: this.clients.size,
       clients: Array.from(this.clients.keys()),
       timeout: this.timeout,
-      protoPath: this.protoPath
+      protoPath: this.protoPath,
+      tls: getTlsStatus().client
     };
   }
 
@@ -257,9 +376,11 @@ class GrpcClient {
    * Health check for a specific microservice
    * @param {string} serviceName - Service name
    * @param {string} endpoint - Service endpoint
+   * @param {Object|null} tls - Service's grpcTls settings (null = coordinator default)
+   * @param {string|null} address - Address to dial (from the endpoint policy)
    * @returns {Promise<boolean>} - True if service is reachable
    */
-  async healthCheck(serviceName, endpoint) {
+  async healthCheck(serviceName, endpoint, tls = null, address = null) {
     try {
       // Create a simple envelope for health check
       const healthEnvelope = JSON.stringify({
@@ -276,7 +397,7 @@ class GrpcClient {
         }
       });
 
-      const result = await this.callMicroserviceViaGrpc(serviceName, endpoint, healthEnvelope);
+      const result = await this.callMicroserviceViaGrpc(serviceName, endpoint, healthEnvelope, null, {}, tls, address);
       return result.success;
 
     } catch (error) {
@@ -288,6 +409,63 @@ class GrpcClient {
       return false;
     }
   }
+
+  /**
+   * Probe a microservice with the standard grpc.health.v1 Check RPC
+   * Services that do not implement the health service report supported: false
+   * @param {string} serviceName - Service name
+   * @param {string} endpoint - Service endpoint
+   * @param {number} timeoutMs - Probe deadline in milliseconds
+   * @param {Object|null} tls - Service's grpcTls settings (null = coordinator default)
+   * @param {string|null} address - Address to dial (from the endpoint policy)
+   * @returns {Promise<Object>} - { supported, healthy, status, error }
+   */
+  async checkHealth(serviceName, endpoint, timeoutMs = 5000, tls = null, address = null) {
+    if (!this.healthProto || !this.healthProto.Health) {
+      return { supported: false, healthy: false, status: 'UNKNOWN', error: 'Health proto not loaded' };
+    }
+
+    let channel;
+    try {
+      channel = createChannelCredentials(tls);
+    } catch (error) {
+      return { supported: true, healthy: false, status: 'UNREACHABLE', error: error.message };
+    }
+
+    const clientKey = `${serviceName}:${endpoint}:${address || ''}:${channel.cacheKey}`;
+    let client = this.healthClients.get(clientKey);
+    if (!client) {
+      const target = this._channelTarget(this._toGrpcEndpoint(endpoint), address);
+      client = new this.healthProto.Health(
+        target.target,
+        channel.credentials,
+        { ...target.options, ...channel.options }
+      );
+      this.healthClients.set(clientKey, client);
+    }
+
+    return new Promise((resolve) => {
+      const deadline = new Date(Date.now() + timeoutMs);
+
+      client.Check({ service: '' }, { deadline }, (error, response) => {
+        if (error) {
+          if (error.code === grpc.status.UNIMPLEMENTED) {
+            resolve({ supported: false, healthy: false, status: 'UNIMPLEMENTED', error: null });
+            return;
+          }
+          resolve({ supported: true, healthy: false, status: 'UNREACHABLE', error: error.message });
+          return;
+        }
+
+        resolve({
+          supported: true,
+          healthy: response.status === 'SERVING',
+          status: response.status,
+          error: null
+        });
+      });
+    });
+  }
 }
 
 // Singleton instance
@@ -298,6 +476,7 @@ module.exports = {
   callMicroserviceViaGrpc: grpcClient.callMicroserviceViaGrpc.bind(grpcClient),
   closeMicroserviceClients: grpcClient.closeMicroserviceClients.bind(grpcClient),
   healthCheck: grpcClient.healthCheck.bind(grpcClient),
+  checkHealth: grpcClient.checkHealth.bind(grpcClient),
   getStatus: grpcClient.getStatus.bind(grpcClient),
   GrpcClient
 };
@@ -2,6 +2,8 @@ const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
 const path = require('path');
 const logger = require('../utils/logger');
+const grpcConfig = require('../config/grpc');
+const { createServerCredentials, getTlsStatus } = require('./tls');
 const coordinatorService = require('./services/coordinator.service');
 
 /**
@@ -11,7 +13,7 @@ const coordinatorService = require('./services/coordinator.service');
 class GrpcServer {
   constructor() {
     this.server = null;
-    this.port = process.env.GRPC_PORT || 50051;
+    this.port = grpcConfig.port;
     this.protoPath = path.join(__dirname, 'proto', 'coordinator.proto');
   }
 
@@ -40,9 +42,10 @@ class GrpcServer {
       // Create gRPC server
       this.server = new grpc.Server();
 
-      // Register CoordinatorService with Route RPC handler
+      // Register CoordinatorService with Route and Heartbeat RPC handlers
       this.server.addService(proto.CoordinatorService.service, {
-        Route: coordinatorService.handleRoute.bind(coordinatorService)
+        Route: coordinatorService.handleRoute.bind(coordinatorService),
+        Heartbeat: coordinatorService.handleHeartbeat.bind(coordinatorService)
       });
 
       logger.info('gRPC server created successfully', {
@@ -74,11 +77,11 @@ class GrpcServer {
           this.createServer();
         }
 
-        // Bind server to port
+        // Bind server to port (TLS / mTLS when GRPC_TLS_ENABLED=true; certificates reload from disk)
         const bindAddress = `0.0.0.0:${this.port}`;
         this.server.bindAsync(
           bindAddress,
-          grpc.ServerCredentials.createInsecure(),
+          createServerCredentials(),
           (error, port) => {
             if (error) {
               logger.error('Failed to bind gRPC server', {
@@ -97,7 +100,8 @@ class GrpcServer {
               port: port,
               address: bindAddress,
               service: 'CoordinatorService',
-              methods: ['Route']
+              methods: ['Route', 'Heartbeat'],
+              tls: getTlsStatus().server
             });
             
             resolve(this.server);
@@ -151,7 +155,8 @@ class GrpcServer {
       running: this.server !== null,
       port: this.port,
       protoPath: this.protoPath,
-      service: 'rag.v1.CoordinatorService'
+      service: 'rag.v1.CoordinatorService',
+      tls: getTlsStatus().server
     };
   }
 }
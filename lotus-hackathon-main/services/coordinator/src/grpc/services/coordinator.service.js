@@ -1,13 +1,15 @@
 const logger = require('../../utils/logger');
-const aiRoutingService = require('../../services/aiRoutingService');
-const registryService = require('../../services/registryService');
-const envelopeService = require('../../services/envelopeService');
-const communicationService = require('../../services/communicationService');
+const routeExecutionService = require('../../services/routeExecutionService');
 const metricsService = require('../../services/metricsService');
+const leaseService = require('../../services/leaseService');
+const authService = require('../../services/authService');
+const rbacService = require('../../services/rbacService');
+const rateLimitService = require('../../services/rateLimitService');
+const auditService = require('../../services/auditService');
 
 /**
  * Coordinator gRPC Service Handler
- * Handles Route RPC calls from RAG
+ * Handles Route RPC calls from RAG and Heartbeat RPC calls from microservices
  */
 class CoordinatorServiceHandler {
   constructor() {
@@ -23,222 +25,55 @@ class CoordinatorServiceHandler {
     const startTime = Date.now();
     const request = call.request;
 
+    let auth;
+    try {
+      await this._rateLimit(call, undefined, 'Route', true);
+      auth = await this._authenticate(call, 'Route');
+      await this._rateLimit(call, auth, 'Route');
+      await this._authorize(call, auth, 'Route', 'routing:execute');
+    } catch (error) {
+      callback(error);
+      return;
+    }
+
+    // A verified token decides who is calling; message fields only count for unauthenticated calls
+    const tenantId = auth ? auth.tenantId : request.tenant_id;
+    const userId = auth ? auth.userId : request.user_id;
+
     try {
       logger.info('gRPC Route request received from RAG', {
-        tenantId: request.tenant_id,
-        userId: request.user_id,
+        tenantId,
+        userId,
         queryText: request.query_text,
         metadataKeys: Object.keys(request.metadata || {}),
         timestamp: new Date().toISOString()
       });
 
-      // Step 1: Create Universal Envelope from gRPC request
-      const envelope = envelopeService.createEnvelopeFromGrpcRequest(request);
-      
-      logger.debug('Created envelope for gRPC request', {
-        requestId: envelope.request_id,
-        tenantId: envelope.tenant_id,
-        query: envelope.payload.query
-      });
-
-      // Step 2: Get active services from registry
-      const services = await registryService.getAllServicesFull();
-      const activeServices = services.filter(service => service.status === 'active');
-
-      if (activeServices.length === 0) {
-        const error = new Error('No active services available for routing');
-        logger.error('gRPC routing failed - no active services', {
-          requestId: envelope.request_id
-        });
-        
-        return callback(error);
-      }
-
-      // Step 3: Use existing AI routing logic (same as HTTP path!)
-      const routingData = {
-        type: 'grpc_query',
-        payload: envelope.payload,
-        context: {
-          protocol: 'grpc',
-          source: 'rag',
-          tenantId: request.tenant_id,
-          userId: request.user_id
-        }
-      };
-
-      const routingConfig = {
-        strategy: 'single', // RAG typically wants single service
-        priority: 'accuracy'
-      };
-
-      logger.debug('Performing AI routing for gRPC request', {
-        requestId: envelope.request_id,
-        activeServiceCount: activeServices.length,
-        strategy: routingConfig.strategy
-      });
-
-      const routingResult = await aiRoutingService.routeRequest(routingData, routingConfig);
-      
-      if (!routingResult.success || !routingResult.routing.rankedServices || routingResult.routing.rankedServices.length === 0) {
-        const error = new Error('AI routing failed to find suitable services');
-        logger.error('gRPC AI routing failed', {
-          requestId: envelope.request_id,
-          error: error.message
-        });
-        
-        return callback(error);
-      }
-
-      // Step 4: Get ranked services for cascading
-      const rankedServices = routingResult.routing.rankedServices;
-      
-      logger.info('gRPC routing completed', {
-        requestId: envelope.request_id,
-        totalCandidates: routingResult.routing.totalCandidates,
-        primaryTarget: routingResult.routing.primaryTarget?.serviceName,
-        primaryConfidence: routingResult.routing.primaryTarget?.confidence,
-        method: routingResult.routing.method
-      });
-
-      // Step 5: Call services with cascading fallback via gRPC
-      logger.debug('Calling microservices with cascading fallback via gRPC', {
-        requestId: envelope.request_id,
-        candidateCount: rankedServices.length,
-        protocol: 'grpc'
-      });
-
-      const cascadeResult = await communicationService.callWithCascadingFallback(
-        rankedServices,
+      // Steps 1-6: envelope, AI routing, cascading fallback and response assembly
+      // (shared with POST /route/execute so both protocols return the same shape)
+      const { envelope, cascadeResult, response: result, processingTime } = await routeExecutionService.execute(
         {
-          tenant_id: request.tenant_id,
-          user_id: request.user_id,
-          query_text: request.query_text,
-          metadata: request.metadata,
-          context: { protocol: 'grpc', source: 'rag' },
-          request_id: envelope.request_id
+          tenantId,
+          userId,
+          queryText: request.query_text,
+          metadata: request.metadata
         },
-        'grpc', // ← CRITICAL: Use gRPC protocol for RAG path
         {
-          tenantId: request.tenant_id,
-          userId: request.user_id,
-          requestId: envelope.request_id,
-          protocol: 'grpc'
+          protocol: 'grpc', // ← CRITICAL: Use gRPC protocol for RAG path
+          source: 'rag',
+          routingConfig: {
+            strategy: 'single', // RAG typically wants single service
+            priority: 'accuracy'
+          }
         }
       );
 
-      logger.info('Cascading routing completed', {
-        requestId: envelope.request_id,
-        successful_service: cascadeResult.successfulResult?.serviceName,
-        rank_used: cascadeResult.successfulResult?.rank,
-        total_attempts: cascadeResult.totalAttempts,
-        stopped_reason: cascadeResult.stopped,
-        total_duration: cascadeResult.totalTime
-      });
-      
-      // Step 6: Build gRPC RouteResponse with cascade metadata
-      const processingTime = Date.now() - startTime;
-      
-      // Extract base normalized fields and add cascade information
-      const baseNormalizedFields = envelopeService.extractNormalizedFields(envelope);
-      const normalizedFields = {
-        ...baseNormalizedFields,
-        // Cascade information
-        successful_service: cascadeResult.successfulResult?.serviceName || 'none',
-        rank_used: cascadeResult.successfulResult?.rank?.toString() || '0',
-        total_attempts: cascadeResult.totalAttempts.toString(),
-        // AI ranking information
-        primary_target: routingResult.routing.primaryTarget?.serviceName || 'none',
-        primary_confidence: routingResult.routing.primaryTarget?.confidence?.toString() || '0',
-        // Execution information
-        stopped_reason: cascadeResult.stopped,
-        quality_score: cascadeResult.successfulResult?.quality?.toString() || '0',
-        total_time: cascadeResult.totalTime,
-        processing_time: `${processingTime}ms`
-      };
-
-      // Build envelope_json with full cascade details
-      const envelopeJson = JSON.stringify({
-        request: {
-          tenant_id: request.tenant_id,
-          user_id: request.user_id,
-          query_text: request.query_text
-        },
-        aiRanking: routingResult.routing.rankedServices.map(s => ({
-          serviceName: s.serviceName,
-          endpoint: s.endpoint,
-          confidence: s.confidence,
-          reasoning: s.reasoning
-        })),
-        cascadeAttempts: cascadeResult.allAttempts.map(a => ({
-          rank: a.rank,
-          serviceName: a.serviceName,
-          confidence: a.confidence,
-          success: a.success,
-          quality: a.quality,
-          duration: a.duration,
-          error: a.error,
-          rejectReason: a.rejectReason
-        })),
-        successfulResult: cascadeResult.successfulResult ? {
-          serviceName: cascadeResult.successfulResult.serviceName,
-          rank: cascadeResult.successfulResult.rank,
-          confidence: cascadeResult.successfulResult.confidence,
-          quality: cascadeResult.successfulResult.quality,
-          duration: cascadeResult.successfulResult.duration,
-          protocol: cascadeResult.successfulResult.protocol,
-          reasoning: cascadeResult.successfulResult.reasoning,
-          data: cascadeResult.successfulResult.data
-        } : null,
-        metadata: {
-          total_attempts: cascadeResult.totalAttempts,
-          stopped_reason: cascadeResult.stopped,
-          total_time: cascadeResult.totalTime,
-          processing_time: `${processingTime}ms`
-        },
-        original_envelope: envelope
-      }, null, 2);
-
-      // Build routing_metadata with cascade execution details
-      const routingMetadata = JSON.stringify({
-        routing_strategy: 'cascading_fallback',
-        ai_ranking: routingResult.routing.rankedServices.map(s => ({
-          name: s.serviceName,
-          confidence: s.confidence,
-          reasoning: s.reasoning
-        })),
-        execution: {
-          total_attempts: cascadeResult.totalAttempts,
-          successful_rank: cascadeResult.successfulResult?.rank || null,
-          stopped_reason: cascadeResult.stopped,
-          successful_service: cascadeResult.successfulResult?.serviceName || null
-        },
-        performance: {
-          cascade_time: cascadeResult.totalTime,
-          total_duration_ms: processingTime
-        },
-        all_attempts: cascadeResult.allAttempts.map(a => ({
-          rank: a.rank,
-          service: a.serviceName,
-          success: a.success,
-          quality: a.quality,
-          duration: a.duration,
-          reject_reason: a.rejectReason,
-          error: a.error
-        })),
-        ai_routing: {
-          method: routingResult.routing.method,
-          processingTime: routingResult.routing.processingTime,
-          strategy: routingConfig.strategy,
-          totalCandidates: routingResult.routing.totalCandidates
-        }
-      }, null, 2);
-
-      // Build response
+      // Build gRPC RouteResponse (proto fields are strings)
       const response = {
-        target_services: cascadeResult.allAttempts.map(a => a.serviceName),
-        normalized_fields: normalizedFields,
-        envelope_json: envelopeJson,
-        routing_metadata: routingMetadata
+        target_services: result.target_services,
+        normalized_fields: result.normalized_fields,
+        envelope_json: JSON.stringify(result.envelope_json, null, 2),
+        routing_metadata: JSON.stringify(result.routing_metadata, null, 2)
       };
 
       // Step 7: Record metrics
@@ -264,8 +99,8 @@ class CoordinatorServiceHandler {
       logger.error('gRPC Route handler failed', {
         error: error.message,
         stack: error.stack,
-        tenantId: request?.tenant_id,
-        userId: request?.user_id,
+        tenantId,
+        userId,
         processingTime: `${processingTime}ms`
       });
 
@@ -274,9 +109,14 @@ class CoordinatorServiceHandler {
         metricsService.recordGrpcRequest('Route', 'error', processingTime / 1000);
       }
 
-      // Send error response
+      // Send error response (map pipeline HTTP-style statuses to gRPC codes)
+      const grpcCode = error.status === 502
+        ? grpc.status.UNAVAILABLE
+        : error.status === 404
+          ? grpc.status.NOT_FOUND
+          : grpc.status.INTERNAL;
       const grpcError = {
-        code: grpc.status.INTERNAL,
+        code: grpcCode,
         message: `Route processing failed: ${error.message}`,
         details: error.stack
       };
@@ -285,6 +125,204 @@ class CoordinatorServiceHandler {
     }
   }
 
+  /**
+   * Handle Heartbeat RPC - renews a registered service's lease
+   * @param {Object} call - gRPC call object with request
+   * @param {Function} callback - gRPC callback function
+   */
+  async handleHeartbeat(call, callback) {
+    const startTime = Date.now();
+    const request = call.request;
+
+    try {
+      await this._rateLimit(call, undefined, 'Heartbeat', true);
+      const auth = await this._authenticate(call, 'Heartbeat');
+      await this._rateLimit(call, auth, 'Heartbeat');
+      await this._authorize(call, auth, 'Heartbeat', 'services:manage', request.service_id ? { serviceId: request.service_id } : {});
+    } catch (error) {
+      callback(error);
+      return;
+    }
+
+    try {
+      if (!request.service_id) {
+        callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: 'service_id is required'
+        });
+        return;
+      }
+
+      // proto3 int32 defaults to 0 - treat as "keep current TTL"
+      const { service, instance } = await leaseService.heartbeat(
+        request.service_id,
+        request.lease_ttl > 0 ? request.lease_ttl : null,
+        request.instance_id || null
+      );
+
+      if (metricsService.recordGrpcRequest) {
+        metricsService.recordGrpcRequest('Heartbeat', 'success', (Date.now() - startTime) / 1000);
+      }
+
+      callback(null, {
+        success: true,
+        service_id: request.service_id,
+        status: service.status,
+        lease_ttl: instance.leaseTtl || 0,
+        lease_expires_at: instance.leaseExpiresAt || '',
+        instance_id: instance.instanceId,
+        instance_status: instance.status
+      });
+    } catch (error) {
+      logger.warn('gRPC Heartbeat handler failed', {
+        error: error.message,
+        serviceId: request?.service_id
+      });
+
+      if (metricsService.recordGrpcRequest) {
+        metricsService.recordGrpcRequest('Heartbeat', 'error', (Date.now() - startTime) / 1000);
+      }
+
+      const grpcCode = error.status === 404
+        ? grpc.status.NOT_FOUND
+        : error.status === 400
+          ? grpc.status.INVALID_ARGUMENT
+          : grpc.status.INTERNAL;
+
+      callback({
+        code: grpcCode,
+        message: `Heartbeat failed: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Verify the bearer token or API key in the call's authorization / x-api-key metadata
+   * (same rules as the HTTP middleware; nothing is checked unless JWT_ENABLED=true)
+   * @param {Object} call - gRPC call object
+   * @param {string} method - RPC name (for logs and metrics)
+   * @returns {Promise<Object|null|undefined>} - Identity, null for an anonymous caller, undefined when auth is off
+   * @throws {Object} - gRPC UNAUTHENTICATED error
+   * @private
+   */
+  async _authenticate(call, method) {
+    if (!authService.isEnabled()) {
+      return undefined;
+    }
+
+    try {
+      const [authorization] = call.metadata ? call.metadata.get('authorization') : [];
+      const [apiKey] = call.metadata ? call.metadata.get('x-api-key') : [];
+      return await authService.authenticate({
+        authorization: authorization ? String(authorization) : undefined,
+        apiKey: apiKey ? String(apiKey) : undefined
+      });
+    } catch (error) {
+      logger.warn('gRPC authentication failed', {
+        method,
+        code: error.code,
+        error: error.message
+      });
+
+      if (metricsService.recordGrpcRequest) {
+        metricsService.recordGrpcRequest(method, 'unauthenticated', 0);
+      }
+
+      auditService.recordAuthFailure('auth_failed',
+        auditService.actorFrom(null, { ip: this._peerAddress(call), protocol: 'grpc' }),
+        { method, code: error.code || null, reason: error.message });
+
+      throw {
+        code: grpc.status.UNAUTHENTICATED,
+        message: `Authentication failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Take a token from the caller's bucket (same buckets as the HTTP middleware)
+   * @param {Object} call - gRPC call object
+   * @param {Object|null|undefined} auth - Identity from _authenticate
+   * @param {string} method - RPC name (config/rateLimit.js grpcTiers)
+   * @param {boolean} byIp - Take from the peer address's `ip` bucket (before authentication)
+   * @throws {Object} - gRPC RESOURCE_EXHAUSTED error (retry-after in the trailing metadata)
+   * @private
+   */
+  async _rateLimit(call, auth, method, byIp = false) {
+    if (!rateLimitService.isEnabled()) {
+      return;
+    }
+
+    const result = byIp
+      ? await rateLimitService.consumeByIp({ ip: this._peerAddress(call), protocol: 'grpc' })
+      : await rateLimitService.consume({
+        tier: rateLimitService.config.grpcTiers[method] || 'default',
+        identity: auth,
+        ip: this._peerAddress(call),
+        protocol: 'grpc'
+      });
+    if (result.allowed) {
+      return;
+    }
+
+    if (metricsService.recordGrpcRequest) {
+      metricsService.recordGrpcRequest(method, 'rate_limited', 0);
+    }
+
+    const metadata = new grpc.Metadata();
+    for (const [name, value] of Object.entries(rateLimitService.headersFor(result))) {
+      metadata.set(name.toLowerCase(), value);
+    }
+    throw {
+      code: grpc.status.RESOURCE_EXHAUSTED,
+      message: `Rate limit exceeded (${result.tier}), retry after ${result.retryAfter}s`,
+      metadata
+    };
+  }
+
+  /**
+   * Client address of a call ("ipv4:1.2.3.4:5678", "[::1]:5678" -> address only)
+   * @private
+   */
+  _peerAddress(call) {
+    const peer = typeof call.getPeer === 'function' ? call.getPeer() : '';
+    return peer
+      .replace(/^ipv[46]:/, '')
+      .replace(/:\d+$/, '')
+      .replace(/^\[|\]$/g, '') || null;
+  }
+
+  /**
+   * Check the caller's permission (same rules as the HTTP RBAC middleware)
+   * @param {Object} call - gRPC call object
+   * @param {Object|null|undefined} auth - Identity from _authenticate
+   * @param {string} method - RPC name
+   * @param {string} permission - Required permission
+   * @param {Object} target - { serviceId } for owner checks (optional)
+   * @throws {Object} - gRPC PERMISSION_DENIED error
+   * @private
+   */
+  async _authorize(call, auth, method, permission, target = {}) {
+    if (!rbacService.isEnabled()) {
+      return;
+    }
+
+    const identity = auth ?? null;
+    const { allowed, reason } = await rbacService.authorize(identity, permission, target);
+    if (allowed) {
+      return;
+    }
+
+    rbacService.recordDenied(identity, { protocol: 'grpc', method, permission, reason });
+    auditService.recordAuthFailure('access_denied',
+      auditService.actorFrom(identity, { ip: this._peerAddress(call), protocol: 'grpc' }),
+      { method, permission, reason, ...target });
+    throw {
+      code: grpc.status.PERMISSION_DENIED,
+      message: `Forbidden: ${reason}`
+    };
+  }
+
   /**
    * Get service status for debugging
    * @returns {Object} - Service status
@@ -292,7 +330,7 @@ class CoordinatorServiceHandler {
   getStatus() {
     return {
       serviceName: this.serviceName,
-      methods: ['Route'],
+      methods: ['Route', 'Heartbeat'],
       protocol: 'gRPC',
       package: 'rag.v1'
     };
@@ -0,0 +1,269 @@
+const grpc = require('@grpc/grpc-js');
+const crypto = require('crypto');
+const fs = require('fs');
+const tls = require('tls');
+const logger = require('../utils/logger');
+const grpcConfig = require('../config/grpc');
+
+/**
+ * Certificate provider (grpc-js experimental CertificateProvider interface)
+ * serving an identity (cert + key) and a CA bundle from PEM files or inline PEM.
+ * Files are re-read every certReloadInterval while credentials use the provider;
+ * listeners are only notified when the contents change, so rotated certificates
+ * apply to new connections without a restart. A file that can't be read keeps
+ * the last good contents.
+ */
+class CertificateProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.certPath - Certificate chain file (identity)
+   * @param {string} options.keyPath - Private key file (identity)
+   * @param {string} options.caPath - CA bundle file
+   * @param {string} options.caPem - Inline CA bundle (instead of caPath)
+   * @param {number} options.refreshInterval - Re-read interval in ms
+   */
+  constructor({ certPath = null, keyPath = null, caPath = null, caPem = null, refreshInterval = grpcConfig.certReloadInterval }) {
+    if (!certPath !== !keyPath) {
+      throw new Error('TLS certificate and private key must be configured together');
+    }
+
+    this.certPath = certPath;
+    this.keyPath = keyPath;
+    this.caPath = caPath;
+    this.caPem = caPem;
+    this.refreshInterval = refreshInterval;
+    this.identity = undefined; // { certificate, privateKey } once loaded
+    this.ca = undefined; // { caCertificate } once loaded
+    this.identityListeners = new Set();
+    this.caListeners = new Set();
+    this.timer = null;
+  }
+
+  addCaCertificateListener(listener) {
+    this.caListeners.add(listener);
+    this._start();
+    process.nextTick(listener, this.ca ?? null);
+  }
+
+  removeCaCertificateListener(listener) {
+    this.caListeners.delete(listener);
+    this._stop();
+  }
+
+  addIdentityCertificateListener(listener) {
+    this.identityListeners.add(listener);
+    this._start();
+    process.nextTick(listener, this.identity ?? null);
+  }
+
+  removeIdentityCertificateListener(listener) {
+    this.identityListeners.delete(listener);
+    this._stop();
+  }
+
+  /**
+   * Read the files and notify listeners of changed contents
+   * @returns {boolean} - Whether anything changed
+   */
+  reload() {
+    let changed = false;
+
+    if (this.certPath) {
+      const certificate = this._readFile(this.certPath);
+      const privateKey = this._readFile(this.keyPath);
+      if (certificate && privateKey &&
+          (!this.identity || !certificate.equals(this.identity.certificate) || !privateKey.equals(this.identity.privateKey))) {
+        const reloaded = this.identity !== undefined;
+        this.identity = { certificate, privateKey };
+        changed = true;
+        for (const listener of this.identityListeners) listener(this.identity);
+        if (reloaded) {
+          logger.info('TLS certificate reloaded', { certPath: this.certPath });
+        }
+      }
+    }
+
+    // Without a CA file or inline bundle, peers are verified against the system roots
+    const caCertificate = this.caPath
+      ? this._readFile(this.caPath)
+      : Buffer.from(this.caPem || tls.rootCertificates.join('\n'));
+    if (caCertificate && (!this.ca || !caCertificate.equals(this.ca.caCertificate))) {
+      const reloaded = this.ca !== undefined;
+      this.ca = { caCertificate };
+      changed = true;
+      for (const listener of this.caListeners) listener(this.ca);
+      if (reloaded) {
+        logger.info('TLS CA bundle reloaded', { caPath: this.caPath });
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Load once and start polling while anyone listens
+   * @private
+   */
+  _start() {
+    if (this.timer) {
+      return;
+    }
+    if (this.identity === undefined && this.ca === undefined) {
+      this.reload();
+    }
+    this.timer = setInterval(() => this.reload(), this.refreshInterval);
+    // Don't keep the process alive just for certificate polling
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling once nobody listens
+   * @private
+   */
+  _stop() {
+    if (this.timer && this.caListeners.size === 0 && this.identityListeners.size === 0) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Read a PEM file (null when it can't be read)
+   * @private
+   */
+  _readFile(path) {
+    try {
+      return fs.readFileSync(path);
+    } catch (error) {
+      logger.error('Failed to read TLS file', { path, error: error.message });
+      return null;
+    }
+  }
+}
+
+/**
+ * Server credentials for the CoordinatorService (GRPC_TLS_*)
+ * @returns {Object} - grpc.ServerCredentials
+ */
+function createServerCredentials() {
+  const config = grpcConfig.server.tls;
+  if (!config.enabled) {
+    return grpc.ServerCredentials.createInsecure();
+  }
+
+  if (!config.certPath || !config.keyPath) {
+    throw new Error('GRPC_TLS_ENABLED=true requires GRPC_TLS_CERT_PATH and GRPC_TLS_KEY_PATH');
+  }
+  if (config.requireClientCert && !config.clientCaPath) {
+    throw new Error('GRPC_TLS_REQUIRE_CLIENT_CERT=true requires GRPC_TLS_CLIENT_CA_PATH');
+  }
+
+  const provider = new CertificateProvider({
+    certPath: config.certPath,
+    keyPath: config.keyPath,
+    caPath: config.clientCaPath
+  });
+  if (!provider.reload()) {
+    throw new Error('Failed to load gRPC server certificate');
+  }
+
+  // One provider serves both the identity and the client CA, so the argument
+  // order of the experimental factory doesn't matter
+  return grpc.experimental.createCertificateProviderServerCredentials(provider, provider, config.requireClientCert);
+}
+
+/**
+ * Effective TLS settings for calls to a service: the service's own grpcTls
+ * settings, else the coordinator's default (GRPC_CLIENT_TLS_ENABLED)
+ * @param {Object|null} serviceTls - Service's grpcTls settings
+ * @returns {Object|null} - { caPem, serverName, mutual } or null for plaintext
+ */
+function resolveClientTls(serviceTls) {
+  if (serviceTls ? serviceTls.enabled === false : !grpcConfig.client.tls.enabled) {
+    return null;
+  }
+  return {
+    caPem: serviceTls?.caCert || null,
+    serverName: serviceTls?.serverName || null,
+    mutual: !!serviceTls?.mutual
+  };
+}
+
+/**
+ * Providers shared by channels with the same settings (one poller per file set)
+ */
+const clientProviders = new Map();
+
+/**
+ * Channel credentials and options for calls to a service
+ * @param {Object|null} serviceTls - Service's grpcTls settings
+ * @returns {Object} - { credentials, options, cacheKey }
+ */
+function createChannelCredentials(serviceTls) {
+  const settings = resolveClientTls(serviceTls);
+  if (!settings) {
+    return { credentials: grpc.credentials.createInsecure(), options: {}, cacheKey: 'insecure' };
+  }
+
+  const config = grpcConfig.client.tls;
+  if (settings.mutual && (!config.certPath || !config.keyPath)) {
+    throw new Error('mTLS requires GRPC_CLIENT_CERT_PATH and GRPC_CLIENT_KEY_PATH');
+  }
+
+  const source = {
+    certPath: settings.mutual ? config.certPath : null,
+    keyPath: settings.mutual ? config.keyPath : null,
+    caPath: settings.caPem ? null : config.caPath,
+    caPem: settings.caPem
+  };
+  const cacheKey = crypto.createHash('sha256')
+    .update(JSON.stringify({ ...source, serverName: settings.serverName }))
+    .digest('hex')
+    .slice(0, 16);
+
+  const providerKey = JSON.stringify(source);
+  if (!clientProviders.has(providerKey)) {
+    clientProviders.set(providerKey, new CertificateProvider(source));
+  }
+  const provider = clientProviders.get(providerKey);
+
+  return {
+    credentials: grpc.experimental.createCertificateProviderChannelCredentials(
+      provider,
+      settings.mutual ? provider : null
+    ),
+    options: settings.serverName
+      ? { 'grpc.ssl_target_name_override': settings.serverName, 'grpc.default_authority': settings.serverName }
+      : {},
+    cacheKey
+  };
+}
+
+/**
+ * Transport security summary (no key material)
+ * @returns {Object}
+ */
+function getTlsStatus() {
+  const { server, client } = grpcConfig;
+  return {
+    server: {
+      enabled: server.tls.enabled,
+      mutual: server.tls.enabled && !!server.tls.clientCaPath,
+      requireClientCert: server.tls.enabled && server.tls.requireClientCert
+    },
+    client: {
+      defaultTls: client.tls.enabled,
+      customCa: !!client.tls.caPath,
+      clientCertificate: !!(client.tls.certPath && client.tls.keyPath)
+    },
+    certReloadInterval: grpcConfig.certReloadInterval
+  };
+}
+
+module.exports = {
+  CertificateProvider,
+  createServerCredentials,
+  createChannelCredentials,
+  resolveClientTls,
+  getTlsStatus
+};
@@ -18,6 +18,14 @@ const express = require('express');
 // Create Express app IMMEDIATELY - before loading any services
 const app = express();
 const PORT = process.env.PORT || 3000;
+
+// Behind a load balancer, req.ip (rate limiting, logs) must come from X-Forwarded-For:
+// TRUST_PROXY=true, a hop count, or addresses/subnets of the trusted proxies. Without it
+// every client shares the balancer's per-IP rate limit bucket
+if (process.env.TRUST_PROXY && process.env.TRUST_PROXY !== 'false') {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy));
+}
 const HOST = process.env.HOST || (process.env.NODE_ENV === 'production' ? '0.0.0.0' : '127.0.0.1');
 
 // ============================================================
@@ -158,8 +166,9 @@ app.use((req, res, next) => {
     // Credentials only work with specific origins
   }
   
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
+  res.header('Access-Control-Expose-Headers', 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After');
   
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -296,8 +305,32 @@ async function loadRoutesAsync() {
     const knowledgeGraphRoutes = require('./routes/knowledgeGraph');
     const changelogRoutes = require('./routes/changelog');
     const schemasRoutes = require('./routes/schemas');
+    const apiKeyRoutes = require('./routes/apiKeys');
+    const auditRoutes = require('./routes/audit');
+    const routingRuleRoutes = require('./routes/routingRules');
     const proxyRoutes = require('./routes/proxy');
+
+    // Load state kept in storage before serving requests (registry and graph read it directly)
+    await Promise.all([
+      require('./services/changelogService').load(),
+      require('./services/schemaRegistryService').load(),
+      require('./services/uiuxService').load(),
+      require('./services/auditService').load(),
+      require('./services/routingRulesService').load()
+    ]);
     
+    // Limit the client IP's request rate, verify bearer tokens / API keys, limit the caller's
+    // request rate, then check the route's permission (no-ops unless JWT_ENABLED /
+    // RATE_LIMIT_ENABLED / RBAC_ENABLED)
+    const { rateLimitByIp, rateLimit } = require('./middleware/rateLimit');
+    app.use(rateLimitByIp);
+    app.use(require('./middleware/jwt'));
+    app.use(rateLimit);
+    app.use(require('./middleware/rbac').authorize);
+
+    // Check params, query and body against the route schemas (src/schemas)
+    app.use(require('./middleware/validation').validateRequest);
+
     // Register routes
     // IMPORTANT: Register before proxy route
     app.use('/register', registerRoutes);
@@ -310,6 +343,9 @@ async function loadRoutesAsync() {
     app.use('/changelog', changelogRoutes);
     app.use('/schemas', schemasRoutes);
     app.use('/metrics', metricsRoutes);
+    app.use('/api-keys', apiKeyRoutes);
+    app.use('/audit', auditRoutes);
+    app.use('/routing-rules', routingRuleRoutes);
     
     // Additional endpoints
     app.get('/info', (req, res) => {
@@ -318,21 +354,37 @@ async function loadRoutesAsync() {
         version: '1.0.0',
         status: 'running',
         timestamp: new Date().toISOString(),
+        storage: require('./storage').getStatus(),
+        endpointPolicy: require('./services/endpointPolicyService').getStatus(),
+        rateLimit: require('./services/rateLimitService').getStatus(),
+        audit: require('./services/auditService').getStatus(),
+        routingRules: require('./services/routingRulesService').getStatus(),
         endpoints: {
-          register: 'POST /register, POST /register/:serviceId/migration',
-          route: 'GET /route, POST /route (AI-based routing)',
+          register: 'POST /register, PATCH /register/:serviceId, DELETE /register/:serviceId, POST /register/:serviceId/migration, POST /register/:serviceId/heartbeat, POST /register/:serviceId/signing-key/rotate',
+          route: 'GET /route, POST /route (AI-based routing), POST /route/execute (route + cascading call), GET /route/context',
           knowledgeGraph: 'GET /knowledge-graph, GET /graph, POST /knowledge-graph/rebuild',
           uiux: 'GET /uiux, POST /uiux',
-          services: 'GET /services, GET /registry',
+          services: 'GET /services, GET /registry, GET /services/:serviceId, GET /services/by-name/:name, GET /services/health, GET /registry/sync-status',
           changelog: 'GET /changelog, GET /changelog/stats, GET /changelog/search, POST /changelog/cleanup',
           schemas: 'GET /schemas, GET /schemas/:serviceId, POST /schemas/:serviceId/validate',
           health: 'GET /health',
           metrics: 'GET /metrics',
-          proxy: 'All other routes are proxied through AI routing'
+          apiKeys: 'POST /api-keys, GET /api-keys, GET /api-keys/:keyId, POST /api-keys/:keyId/rotate, DELETE /api-keys/:keyId',
+          audit: 'GET /audit, GET /audit/verify, GET /audit/export',
+          routingRules: 'POST /routing-rules, GET /routing-rules, GET /routing-rules/:ruleId, PATCH /routing-rules/:ruleId, DELETE /routing-rules/:ruleId',
+          openapi: 'GET /openapi.json',
+          proxy: 'All other routes are proxied through routing rules or AI routing'
         }
       });
     });
 
+    // OpenAPI document generated from the same route schemas the validation enforces
+    app.get('/openapi.json', (req, res) => {
+      res.status(200).json(require('./utils/openapi').buildOpenApiDocument({
+        serverUrl: `${req.protocol}://${req.get('host')}`
+      }));
+    });
+
     app.get('/test', (req, res) => {
       res.status(200).json({
         success: true,
@@ -374,6 +426,11 @@ async function loadRoutesAsync() {
     routesReady = true;
     logger.info('All routes registered');
     console.log('✅ All API endpoints registered');
+
+    // Start background health checks, lease sweeps and storage sync once services are loaded
+    require('./services/healthCheckService').start();
+    require('./services/leaseService').start();
+    require('./services/storageSyncService').start();
     
   } catch (error) {
     // Don't exit - server is running, health endpoint works
@@ -464,6 +521,27 @@ if (grpcEnabled) {
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} signal received: shutting down gracefully`);
+
+  // Stop background health checks
+  try {
+    require('./services/healthCheckService').stop();
+  } catch (error) {
+    logger.warn('Failed to stop health check poller', { error: error.message });
+  }
+
+  // Stop lease sweeper
+  try {
+    require('./services/leaseService').stop();
+  } catch (error) {
+    logger.warn('Failed to stop lease sweeper', { error: error.message });
+  }
+
+  // Stop storage sync
+  try {
+    require('./services/storageSyncService').stop();
+  } catch (error) {
+    logger.warn('Failed to stop storage sync', { error: error.message });
+  }
   
   // Set timeout for graceful shutdown (prevent hanging)
   const shutdownTimeout = setTimeout(() => {
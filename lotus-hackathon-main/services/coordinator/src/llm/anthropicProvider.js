@@ -0,0 +1,74 @@
+/**
+ * Anthropic Provider - Claude models through the Messages API
+ * Called with fetch, so no SDK is needed.
+ */
+class AnthropicProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Anthropic API key
+   * @param {string} options.baseUrl - API base URL
+   * @param {string} options.version - anthropic-version header
+   * @param {string} options.model - Model
+   * @param {number} options.temperature - Sampling temperature
+   * @param {number} options.maxTokens - Most tokens in a response
+   * @param {number} options.timeout - Per-call timeout in ms
+   */
+  constructor({ apiKey, baseUrl, version, model, temperature, maxTokens, timeout }) {
+    this.name = 'anthropic';
+    this.apiKey = apiKey;
+    this.url = `${baseUrl.replace(/\/+$/, '')}/v1/messages`;
+    this.version = version;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Ask the model
+   * @param {Object} request - { system, prompt }
+   * @returns {Promise<string>} - Text of the response
+   */
+  async complete({ system, prompt }) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': this.version
+      },
+      body: JSON.stringify({
+        model: this.model,
+        system,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: this.temperature,
+        max_tokens: this.maxTokens
+      }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(`anthropic returned ${response.status}: ${body?.error?.message || response.statusText}`);
+    }
+
+    const content = (body?.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    if (!content) {
+      throw new Error('anthropic returned an empty response');
+    }
+    return content;
+  }
+
+  /**
+   * Provider summary
+   * @returns {Object}
+   */
+  getStatus() {
+    return { name: this.name, model: this.model, url: this.url };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,116 @@
+const OpenAI = require('openai');
+const logger = require('../utils/logger');
+const aiConfig = require('../config/ai');
+const OpenAIProvider = require('./openaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const ScriptedProvider = require('./scriptedProvider');
+
+/**
+ * Value a provider can't work without
+ * @private
+ */
+const required = (value, variable) => {
+  if (!value) {
+    throw new Error(`${variable} is not set`);
+  }
+  return value;
+};
+
+/**
+ * LLM Provider - Model that AI routing asks to rank services
+ *
+ * Providers expose:
+ *   complete({ system, prompt, request }) -> Promise<string>
+ *     the model's answer to the system and user prompt; `request` is the routed
+ *     request as it appears in the prompt (only the scripted provider reads it)
+ *   name, model, getStatus()
+ * Other providers only need the same members and can be set with
+ * aiRoutingService.setProvider().
+ *
+ * Providers: openai, anthropic, azure, openai_compatible (Ollama, vLLM, LM Studio...)
+ * and scripted (canned responses from fixtures, no network). Selected by AI_PROVIDER.
+ * Throws when the selected provider is missing its settings.
+ */
+function createProvider(config = aiConfig) {
+  const common = {
+    temperature: config.temperature,
+    maxTokens: config.maxTokens
+  };
+
+  let provider = config.provider;
+  if (!config.providers.includes(provider)) {
+    logger.warn('Unknown AI provider, using openai', {
+      provider,
+      supported: config.providers
+    });
+    provider = 'openai';
+  }
+
+  if (provider === 'scripted') {
+    return new ScriptedProvider(config.scripted);
+  }
+
+  if (provider === 'anthropic') {
+    return new AnthropicProvider({
+      ...common,
+      apiKey: required(config.anthropic.apiKey, 'ANTHROPIC_API_KEY'),
+      baseUrl: config.anthropic.baseUrl,
+      version: config.anthropic.version,
+      model: config.model || config.anthropic.defaultModel,
+      timeout: config.timeout
+    });
+  }
+
+  if (provider === 'azure') {
+    const endpoint = required(config.azure.endpoint, 'AZURE_OPENAI_ENDPOINT');
+    const deployment = required(config.model || config.azure.deployment, 'AZURE_OPENAI_DEPLOYMENT');
+    const client = new OpenAI.AzureOpenAI({
+      apiKey: required(config.azure.apiKey, 'AZURE_OPENAI_API_KEY'),
+      endpoint,
+      deployment,
+      apiVersion: config.azure.apiVersion,
+      timeout: config.timeout
+    });
+    return new OpenAIProvider(client, {
+      ...common,
+      name: 'azure',
+      model: deployment,
+      details: { endpoint, apiVersion: config.azure.apiVersion }
+    });
+  }
+
+  if (provider === 'openai_compatible') {
+    const baseUrl = required(config.openaiCompatible.baseUrl, 'OPENAI_COMPATIBLE_BASE_URL');
+    const client = new OpenAI({
+      // The SDK requires a key even when the server ignores it
+      apiKey: config.openaiCompatible.apiKey || 'unused',
+      baseURL: baseUrl,
+      timeout: config.timeout
+    });
+    return new OpenAIProvider(client, {
+      ...common,
+      name: 'openai_compatible',
+      model: required(config.model, 'AI_MODEL'),
+      details: { baseUrl }
+    });
+  }
+
+  const client = new OpenAI({
+    apiKey: required(config.openai.apiKey, 'OPENAI_API_KEY'),
+    ...(config.openai.baseUrl && { baseURL: config.openai.baseUrl }),
+    timeout: config.timeout
+  });
+  return new OpenAIProvider(client, {
+    ...common,
+    name: 'openai',
+    model: config.model || config.openai.defaultModel,
+    details: config.openai.baseUrl ? { baseUrl: config.openai.baseUrl } : {}
+  });
+}
+
+module.exports = {
+  createProvider,
+  OpenAIProvider,
+  AnthropicProvider,
+  ScriptedProvider
+};
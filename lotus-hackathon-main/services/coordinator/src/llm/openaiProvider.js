@@ -0,0 +1,57 @@
+/**
+ * OpenAI Provider - Chat completions through the OpenAI SDK
+ * Also used for Azure OpenAI (AzureOpenAI client) and OpenAI-compatible
+ * servers (client with a baseURL), which only differ in how the client is built.
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} client - OpenAI SDK client
+   * @param {Object} options - Provider options
+   * @param {string} options.name - Provider name (openai, azure, openai_compatible)
+   * @param {string} options.model - Model (Azure: deployment)
+   * @param {number} options.temperature - Sampling temperature
+   * @param {number} options.maxTokens - Most tokens in a response
+   * @param {Object} options.details - Extra getStatus() fields (no secrets)
+   */
+  constructor(client, { name = 'openai', model, temperature, maxTokens, details = {} }) {
+    this.name = name;
+    this.client = client;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.details = details;
+  }
+
+  /**
+   * Ask the model
+   * @param {Object} request - { system, prompt }
+   * @returns {Promise<string>} - Text of the response
+   */
+  async complete({ system, prompt }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      temperature: this.temperature,
+      max_tokens: this.maxTokens
+    });
+
+    const content = response.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error(`${this.name} returned an empty response`);
+    }
+    return content;
+  }
+
+  /**
+   * Provider summary
+   * @returns {Object}
+   */
+  getStatus() {
+    return { name: this.name, model: this.model, ...this.details };
+  }
+}
+
+module.exports = OpenAIProvider;
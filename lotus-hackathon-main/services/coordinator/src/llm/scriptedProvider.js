@@ -0,0 +1,121 @@
+const fs = require('fs');
+
+/**
+ * Request fields a fixture can match on (regex, case-insensitive)
+ */
+const MATCH_FIELDS = {
+  type: request => request.type,
+  query: request => request.payload?.query,
+  method: request => request.payload?.context?.method || request.context?.method,
+  path: request => request.payload?.context?.path || request.context?.path,
+  prompt: (request, prompt) => prompt
+};
+
+/**
+ * Fixture answered when no other one matches and the file has no default
+ * (no ranking, so AI routing keeps every service for cascading)
+ */
+const EMPTY_RANKING = { name: 'default', response: { targetServices: [], strategy: 'single' } };
+
+/**
+ * Scripted Provider - Deterministic canned responses, no network
+ * For CI and local development: AI routing (prompt, parsing, ranking) runs
+ * end-to-end while the "model" answers from fixtures.
+ *
+ * Fixtures are JSON, either a list or { responses: [...], default: {...} }.
+ * The first response whose `match` regexes all match the routed request wins:
+ *   { "name": "refunds",
+ *     "match": { "query": "refund|chargeback", "type": "http_query" },
+ *     "response": { "targetServices": [{ "serviceName": "payment-service", "confidence": 0.92 }] } }
+ * Match fields: type, query, method, path, prompt. Instead of `response` (sent
+ * as JSON) a fixture can give raw `text` (e.g. a fenced or malformed answer) or
+ * an `error` message to simulate a failing model.
+ */
+class ScriptedProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.fixtures - Path of the fixtures file (built-in empty ranking when unset)
+   * @param {number} options.latency - Simulated latency in ms
+   */
+  constructor({ fixtures = null, latency = 0 } = {}) {
+    this.name = 'scripted';
+    this.model = 'scripted';
+    this.source = fixtures;
+    this.latency = latency;
+    this.calls = 0;
+    this.matches = {}; // fixture name -> times answered
+    this.setFixtures(fixtures ? JSON.parse(fs.readFileSync(fixtures, 'utf8')) : []);
+  }
+
+  /**
+   * Replace the fixtures (e.g. from a test)
+   * @param {Array|Object} fixtures - List of responses, or { responses, default }
+   */
+  setFixtures(fixtures) {
+    const responses = Array.isArray(fixtures) ? fixtures : fixtures?.responses || [];
+    this.responses = responses.map((fixture, index) => this._compile(fixture, `responses[${index}]`));
+    this.fallback = !Array.isArray(fixtures) && fixtures?.default
+      ? this._compile({ name: 'default', ...fixtures.default }, 'default')
+      : EMPTY_RANKING;
+  }
+
+  /**
+   * Answer from the first matching fixture
+   * @param {Object} request - { system, prompt, request } (request: the routed request as sent to the model)
+   * @returns {Promise<string>} - Text of the response
+   */
+  async complete({ prompt, request = {} }) {
+    this.calls += 1;
+    if (this.latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latency));
+    }
+
+    const fixture = this.responses.find(candidate => candidate.patterns.every(([field, pattern]) =>
+      pattern.test(String(MATCH_FIELDS[field](request, prompt) ?? '')))) || this.fallback;
+    this.matches[fixture.name] = (this.matches[fixture.name] || 0) + 1;
+
+    if (fixture.error) {
+      throw new Error(fixture.error);
+    }
+    return fixture.text ?? JSON.stringify(fixture.response);
+  }
+
+  /**
+   * Provider summary
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      model: this.model,
+      fixtures: this.source,
+      responses: this.responses.length,
+      calls: this.calls,
+      matches: this.matches
+    };
+  }
+
+  /**
+   * Check a fixture and compile its match regexes
+   * @private
+   */
+  _compile(fixture, label) {
+    if (!fixture || typeof fixture !== 'object') {
+      throw new Error(`Scripted fixture ${label} must be an object`);
+    }
+    if ([fixture.response, fixture.text, fixture.error].filter(value => value !== undefined).length !== 1) {
+      throw new Error(`Scripted fixture ${label} needs exactly one of response, text or error`);
+    }
+
+    const patterns = Object.entries(fixture.match || {}).map(([field, pattern]) => {
+      if (!MATCH_FIELDS[field]) {
+        throw new Error(`Scripted fixture ${label} matches on unknown field "${field}" (use ${Object.keys(MATCH_FIELDS).join(', ')})`);
+      }
+      return [field, new RegExp(pattern, 'i')];
+    });
+
+    return { ...fixture, name: fixture.name || label, patterns };
+  }
+}
+
+module.exports = ScriptedProvider;
@@ -1,24 +1,52 @@
+const logger = require('../utils/logger');
+const authService = require('../services/authService');
+const auditService = require('../services/auditService');
+
 /**
- * JWT Authentication Middleware (Placeholder)
- * 
- * This is a placeholder for JWT validation that Team 4 will implement.
- * Currently, it just passes through without validation.
+ * JWT Authentication Middleware
+ * Verifies the bearer token or API key (X-API-Key, "Authorization: ApiKey <key>")
+ * of every request (except public paths) and sets
+ * req.auth = { method, tenantId, userId, subject, claims }. The verified
+ * tenant/user replace the tenant_id/user_id sent in request bodies.
+ * Does nothing unless JWT_ENABLED=true.
  */
+const jwtAuth = async (req, res, next) => {
+  if (!authService.isEnabled() || req.method === 'OPTIONS' || authService.isPublicPath(req.path)) {
+    return next();
+  }
+
+  try {
+    req.auth = await authService.authenticate({
+      authorization: req.headers.authorization,
+      apiKey: req.headers['x-api-key']
+    });
+  } catch (error) {
+    logger.warn('Request authentication failed', {
+      path: req.path,
+      method: req.method,
+      code: error.code,
+      error: error.message
+    });
+    auditService.recordAuthFailure('auth_failed', auditService.actorFromRequest(req), {
+      method: req.method,
+      path: req.path,
+      code: error.code || null,
+      reason: error.message
+    });
 
-const jwtPlaceholder = (req, res, next) => {
-  // TODO: Team 4 will implement JWT validation here
-  // For now, just check if Authorization header exists (optional)
-  const authHeader = req.headers.authorization;
-  
-  if (authHeader) {
-    // Log that JWT token was provided (but not validated yet)
-    // Team 4 will add actual validation logic
+    // RFC 6750: no error attribute when the request simply had no token
+    res.set('WWW-Authenticate', error.code === 'TOKEN_MISSING'
+      ? 'Bearer'
+      : `Bearer error="invalid_token", error_description="${error.message.replace(/"/g, "'")}"`);
+    res.status(error.status || 401).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+    return;
   }
 
-  // Allow request to proceed (Team 4 will add actual validation)
   next();
 };
 
-module.exports = jwtPlaceholder;
-
-
+module.exports = jwtAuth;
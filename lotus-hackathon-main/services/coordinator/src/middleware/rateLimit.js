@@ -0,0 +1,87 @@
+const logger = require('../utils/logger');
+const rateLimitService = require('../services/rateLimitService');
+
+let proxyWarningLogged = false;
+
+/**
+ * Answer the request from a consume() result: next() when allowed, 429 with Retry-After otherwise
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ * @param {Object} result - Result of rateLimitService.consume()
+ */
+const respond = (res, next, result) => {
+  res.set(rateLimitService.headersFor(result));
+
+  if (result.allowed) {
+    return next();
+  }
+
+  res.status(429).json({
+    success: false,
+    message: 'Too many requests',
+    code: 'RATE_LIMITED',
+    tier: result.tier,
+    retryAfter: result.retryAfter
+  });
+};
+
+/**
+ * Whether a request is limited at all (disabled limiter, preflights and exempt paths are not)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const isLimited = (req) =>
+  rateLimitService.isEnabled() && req.method !== 'OPTIONS' && rateLimitService.resolveTier(req.method, req.path) !== null;
+
+/**
+ * IP Rate Limit Middleware
+ * Takes a token from the client IP's `ip` tier bucket. Runs before the JWT
+ * middleware, so requests with bad credentials are limited too. Behind a load
+ * balancer req.ip is the balancer's address unless TRUST_PROXY is set, and every
+ * client would share one bucket; a warning is logged once when X-Forwarded-For
+ * arrives without it.
+ */
+const rateLimitByIp = async (req, res, next) => {
+  if (!isLimited(req)) {
+    return next();
+  }
+
+  if (!proxyWarningLogged && req.headers['x-forwarded-for'] && !req.app.get('trust proxy')) {
+    proxyWarningLogged = true;
+    logger.warn('X-Forwarded-For received but TRUST_PROXY is not set: per-IP rate limits apply to the proxy address', {
+      ip: req.ip
+    });
+  }
+
+  try {
+    respond(res, next, await rateLimitService.consumeByIp({ ip: req.ip }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rate Limit Middleware
+ * Takes a token from the caller's bucket for the route's tier
+ * (config/rateLimit.js), sets the RateLimit-* headers and answers 429 with
+ * Retry-After when the bucket is empty. Runs after the JWT middleware so
+ * authenticated callers are limited by API key or tenant instead of IP.
+ * Does nothing when RATE_LIMIT_ENABLED=false.
+ */
+const rateLimit = async (req, res, next) => {
+  if (!isLimited(req)) {
+    return next();
+  }
+
+  try {
+    const tier = rateLimitService.resolveTier(req.method, req.path);
+    respond(res, next, await rateLimitService.consume({ tier, identity: req.auth, ip: req.ip }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  rateLimitByIp,
+  rateLimit
+};
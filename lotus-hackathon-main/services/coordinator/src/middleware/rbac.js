@@ -0,0 +1,89 @@
+const authService = require('../services/authService');
+const rbacService = require('../services/rbacService');
+const auditService = require('../services/auditService');
+
+/**
+ * Send the 403 body shared by every denied request
+ * @param {Object} res - Express response
+ * @param {string} permission - Permission that was required
+ * @param {string} reason - Why access was denied
+ */
+const sendForbidden = (res, permission, reason) => {
+  res.status(403).json({
+    success: false,
+    message: 'Forbidden',
+    code: 'FORBIDDEN',
+    required: permission,
+    reason
+  });
+};
+
+/**
+ * RBAC Middleware
+ * Looks up the permission of the route (config/rbac.js) and checks it against
+ * the caller's roles; routes on a service also require owning that service
+ * (or services:admin), and rotating an API key requires being that key (or
+ * keys:admin). Runs after the JWT middleware and does nothing unless RBAC is
+ * enabled.
+ */
+const authorize = async (req, res, next) => {
+  if (!rbacService.isEnabled() || req.method === 'OPTIONS' || authService.isPublicPath(req.path)) {
+    return next();
+  }
+
+  const rule = rbacService.resolveRoute(req.method, req.path);
+  if (!rule) {
+    return next();
+  }
+
+  try {
+    const identity = req.auth ?? null;
+
+    if (rule.deny) {
+      const reason = 'Method or path not served by the coordinator';
+      rbacService.recordDenied(identity, { protocol: 'http', method: req.method, path: req.path, permission: null, reason });
+      auditService.recordAuthFailure('access_denied', auditService.actorFromRequest(req), {
+        method: req.method,
+        path: req.path,
+        reason
+      });
+      return sendForbidden(res, null, reason);
+    }
+
+    const target = rule.owner === 'serviceId'
+      ? { serviceId: rule.params.serviceId }
+      : rule.owner === 'keyId'
+        ? { keyId: rule.params.keyId }
+        : rule.owner === 'serviceName' && typeof req.body?.serviceName === 'string'
+          ? { serviceName: req.body.serviceName.trim() }
+          : {};
+
+    const { allowed, reason } = await rbacService.authorize(identity, rule.permission, target);
+    if (allowed) {
+      return next();
+    }
+
+    rbacService.recordDenied(identity, {
+      protocol: 'http',
+      method: req.method,
+      path: req.path,
+      permission: rule.permission,
+      reason
+    });
+    auditService.recordAuthFailure('access_denied', auditService.actorFromRequest(req), {
+      method: req.method,
+      path: req.path,
+      permission: rule.permission,
+      reason,
+      ...target
+    });
+    sendForbidden(res, rule.permission, reason);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authorize,
+  sendForbidden
+};
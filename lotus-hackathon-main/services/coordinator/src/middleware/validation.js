@@ -1,112 +1,239 @@
 const logger = require('../utils/logger');
+const validationConfig = require('../config/validation');
+const { validate } = require('../utils/jsonSchema');
+const { components, formats, findOperation, allowedMethods, isCoordinatorPath } = require('../schemas');
+const { notFoundHandler } = require('./errorHandler');
 
 /**
  * Validation middleware for request data
+ * Every coordinator route declares its params, query and body in src/schemas
  */
 
 /**
- * Validate service registration request
+ * Parts of a request, in the order they are checked
  */
-const validateRegistration = (req, res, next) => {
-  const { serviceName, version, endpoint, healthCheck, migrationFile } = req.body;
+const REQUEST_PARTS = [
+  { name: 'params', in: 'path', root: 'path' },
+  { name: 'query', in: 'query', root: 'query string' },
+  { name: 'body', in: 'body', root: 'body' }
+];
 
+/**
+ * Schema a $ref points to (or the schema itself)
+ * @private
+ */
+const resolveRef = (schema) => (schema?.$ref
+  ? components[schema.$ref.split('/').pop()]
+  : schema);
+
+/**
+ * Convert query and path values to the types their schemas declare
+ * (?limit=20 is checked as an integer, ?rebuild=true as a boolean)
+ * @param {Object} schema - Object schema of the part
+ * @param {Object} values - Values as parsed by Express
+ * @param {string} location - path or query
+ * @returns {Object} - { values, errors }
+ */
+const coerceValues = (schema, values, location) => {
+  const coerced = { ...values };
   const errors = [];
 
-  // Validate serviceName
-  if (!serviceName || typeof serviceName !== 'string' || serviceName.trim().length === 0) {
-    errors.push('serviceName is required and must be a non-empty string');
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const value = values[name];
+    if (value === undefined) {
+      continue;
+    }
+
+    const types = [].concat(resolveRef(property)?.type || []);
+    if (Array.isArray(value) && !types.includes('array')) {
+      errors.push({ in: location, field: name, message: `${name} must be given once`, keyword: 'type' });
+    } else if (typeof value === 'string' && !types.includes('string')) {
+      if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+        coerced[name] = Number(value);
+      } else if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        coerced[name] = value === 'true';
+      }
+    }
   }
 
-  // Validate version
-  if (!version || typeof version !== 'string' || version.trim().length === 0) {
-    errors.push('version is required and must be a non-empty string');
+  return { values: coerced, errors };
+};
+
+/**
+ * Remove control characters from strings, keys included (routes declared with sanitize)
+ * Tabs and line breaks are kept (PEM certificates, multi-line descriptions)
+ * @private
+ */
+const sanitizeValue = (value) => {
+  if (typeof value === 'string') {
+    // Remove null bytes and other control characters
+    return value.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
   }
+  if (Array.isArray(value)) {
+    return value.map(sanitizeValue);
+  }
+  if (typeof value === 'object' && value !== null) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [sanitizeValue(key), sanitizeValue(item)]));
+  }
+  return value;
+};
 
-  // Validate endpoint
-  if (!endpoint || typeof endpoint !== 'string' || endpoint.trim().length === 0) {
-    errors.push('endpoint is required and must be a non-empty string');
-  } else {
-    // Validate URL format
-    try {
-      new URL(endpoint);
-    } catch (error) {
-      errors.push('endpoint must be a valid URL');
+/**
+ * Log responses that don't match their declared schema (RESPONSE_VALIDATION_ENABLED)
+ * @private
+ */
+const checkResponses = (req, res, operation) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const response = operation.responses?.[res.statusCode];
+    if (response?.schema && !response.contentType) {
+      const errors = validate(response.schema, body, { components, formats, root: 'response' });
+      if (errors.length > 0) {
+        logger.warn('Response does not match its schema', {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          errors: errors.map(error => error.message)
+        });
+      }
     }
+    return json(body);
+  };
+};
+
+/**
+ * Validate a request against the schema of its route
+ * Query and path values are converted to their declared types (req.query holds
+ * the converted values); failures return 400 with one error per field:
+ * { success: false, message: 'Validation failed', code: 'VALIDATION_FAILED',
+ *   errors: [{ in, field, message, keyword }] }
+ * Requests without a declaration pass through when they are proxied to
+ * microservices; undeclared coordinator routes get 405 (path declared for
+ * other methods, listed in Allow) or 404.
+ */
+const validateRequest = (req, res, next) => {
+  if (req.method === 'OPTIONS') {
+    return next();
   }
 
-  // healthCheck is optional, but if provided, should be a string
-  if (healthCheck !== undefined && typeof healthCheck !== 'string') {
-    errors.push('healthCheck must be a string if provided');
+  // Express serves HEAD with the GET handler
+  const match = findOperation(req.method === 'HEAD' ? 'GET' : req.method, req.path);
+  if (!match) {
+    if (!isCoordinatorPath(req.path)) {
+      return next();
+    }
+
+    const allowed = allowedMethods(req.path);
+    if (allowed.length === 0) {
+      return notFoundHandler(req, res);
+    }
+    res.set('Allow', allowed.join(', '));
+    return res.status(405).json({
+      success: false,
+      message: `Method ${req.method} not allowed on ${req.path}`,
+      code: 'METHOD_NOT_ALLOWED',
+      allowed
+    });
   }
 
-  // migrationFile is optional, but if provided, should be an object or string
-  if (migrationFile !== undefined && typeof migrationFile !== 'object' && typeof migrationFile !== 'string') {
-    errors.push('migrationFile must be an object or string if provided');
+  const { operation } = match;
+  const values = {
+    params: Object.fromEntries(Object.entries(match.params).map(([name, value]) => {
+      try {
+        return [name, decodeURIComponent(value)];
+      } catch (error) {
+        return [name, value];
+      }
+    })),
+    query: req.query,
+    body: operation.sanitize ? sanitizeValue(req.body) : req.body
+  };
+  const errors = [];
+
+  for (const part of REQUEST_PARTS) {
+    const schema = operation[part.name];
+    if (!schema) {
+      continue;
+    }
+
+    let value = values[part.name] ?? {};
+    const reported = new Set(); // Values given more than once (not checked further)
+    if (part.name !== 'body') {
+      const coerced = coerceValues(schema, value, part.in);
+      coerced.errors.forEach(error => {
+        errors.push(error);
+        reported.add(error.field);
+      });
+      value = coerced.values;
+    }
+
+    validate(schema, value, { components, formats, root: part.root })
+      .filter(error => !reported.has(error.path[0]))
+      .forEach(error => errors.push({ in: part.in, field: error.field, message: error.message, keyword: error.keyword }));
+    values[part.name] = value;
   }
 
   if (errors.length > 0) {
-    logger.warn('Validation failed for registration request', { errors, body: req.body });
+    logger.warn('Request validation failed', {
+      method: req.method,
+      path: req.path,
+      operation: operation.operationId,
+      errors: errors.map(error => error.message)
+    });
     return res.status(400).json({
       success: false,
       message: 'Validation failed',
+      code: 'VALIDATION_FAILED',
       errors
     });
   }
 
+  req.query = values.query;
+  if (operation.sanitize) {
+    req.body = values.body;
+  }
+  if (validationConfig.responses) {
+    checkResponses(req, res, operation);
+  }
+
   next();
 };
 
 /**
- * Validate UI/UX configuration request
+ * Split a query parameter given as a comma list and/or repeated (?tag=a,b&tag=c)
+ * @param {string|Array|undefined} value - Query value
+ * @returns {Array<string>}
  */
-const validateUIUXConfig = (req, res, next) => {
-  const { config } = req.body;
-
-  if (!config || typeof config !== 'object') {
-    logger.warn('Validation failed for UI/UX config request', { body: req.body });
-    return res.status(400).json({
-      success: false,
-      message: 'config is required and must be an object'
-    });
+const toList = (value) => {
+  if (value === undefined) {
+    return [];
   }
-
-  next();
+  return [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
 };
 
 /**
- * Sanitize input to prevent injection attacks
+ * Build the discovery query of GET /services (already validated) as req.serviceQuery
  */
-const sanitizeInput = (req, res, next) => {
-  // Basic sanitization - remove potentially dangerous characters
-  if (req.body) {
-    const sanitizeString = (str) => {
-      if (typeof str !== 'string') return str;
-      // Remove null bytes and other control characters
-      return str.replace(/[\x00-\x1F\x7F]/g, '');
-    };
-
-    const sanitizeObject = (obj) => {
-      if (typeof obj !== 'object' || obj === null) return obj;
-      if (Array.isArray(obj)) {
-        return obj.map(sanitizeObject);
-      }
-      const sanitized = {};
-      for (const [key, value] of Object.entries(obj)) {
-        sanitized[sanitizeString(key)] = typeof value === 'string' ? sanitizeString(value) : sanitizeObject(value);
-      }
-      return sanitized;
-    };
-
-    req.body = sanitizeObject(req.body);
-  }
+const normalizeServiceQuery = (req, res, next) => {
+  const { version, q, sort, order, limit, cursor, view } = req.query;
+
+  req.serviceQuery = {
+    status: toList(req.query.status),
+    capability: toList(req.query.capability),
+    tag: toList(req.query.tag),
+    version: version || null,
+    search: q ? q.trim() : null,
+    sort,
+    order,
+    limit,
+    cursor: cursor || null,
+    view: view || 'summary'
+  };
 
   next();
 };
 
 module.exports = {
-  validateRegistration,
-  validateUIUXConfig,
-  sanitizeInput
+  validateRequest,
+  normalizeServiceQuery
 };
-
-
@@ -0,0 +1,46 @@
+const logger = require('../utils/logger');
+const rateLimitConfig = require('../config/rateLimit');
+const MemoryRateLimitStore = require('./memoryStore');
+const SupabaseRateLimitStore = require('./supabaseStore');
+
+/**
+ * Rate Limit Store - Where token buckets are kept
+ *
+ * Stores expose:
+ *   take(key, { capacity, refillPerMs, cost }) -> Promise<{ allowed, tokens }>
+ *     refill the bucket for the time since its last use (at most capacity),
+ *     then take `cost` tokens if there are enough; a missing bucket is full
+ *   getStatus()
+ * Other stores (e.g. Redis) only need the same two methods and can be set with
+ * rateLimitService.setStore().
+ *
+ * Stores: memory (per replica) and supabase (shared). Selected by RATE_LIMIT_STORE.
+ */
+function createStore() {
+  if (rateLimitConfig.store === 'supabase') {
+    const supabase = require('../config/supabase');
+    if (supabase) {
+      return new SupabaseRateLimitStore(supabase, {
+        timeout: rateLimitConfig.storeTimeout,
+        fallback: new MemoryRateLimitStore()
+      });
+    }
+    logger.warn('RATE_LIMIT_STORE=supabase but Supabase is not configured, using memory');
+    return new MemoryRateLimitStore();
+  }
+
+  if (rateLimitConfig.store !== 'memory') {
+    logger.warn('Unknown rate limit store, using memory', {
+      store: rateLimitConfig.store,
+      supported: rateLimitConfig.stores
+    });
+  }
+
+  return new MemoryRateLimitStore();
+}
+
+module.exports = {
+  createStore,
+  MemoryRateLimitStore,
+  SupabaseRateLimitStore
+};
@@ -0,0 +1,63 @@
+/**
+ * How often (ms) buckets that have refilled completely are dropped
+ */
+const SWEEP_INTERVAL = 60000;
+
+/**
+ * Memory Store - Token buckets kept by this coordinator replica
+ * (each replica enforces its own limits; use the Supabase store to share them)
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.buckets = new Map(); // key -> { tokens, updatedAt, capacity, refillPerMs }
+    this.sweeper = setInterval(() => this._sweep(), SWEEP_INTERVAL);
+    // Don't keep the process alive just for sweeping
+    this.sweeper.unref();
+  }
+
+  /**
+   * Refill a bucket for the time passed and take tokens from it
+   * @param {string} key - Bucket key
+   * @param {Object} limit - { capacity, refillPerMs, cost }
+   * @returns {Promise<Object>} - { allowed, tokens } (tokens left after this request)
+   */
+  async take(key, { capacity, refillPerMs, cost = 1 }) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key);
+
+    let tokens = bucket
+      ? Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs)
+      : capacity;
+    const allowed = tokens >= cost;
+    if (allowed) {
+      tokens -= cost;
+    }
+
+    this.buckets.set(key, { tokens, updatedAt: now, capacity, refillPerMs });
+    return { allowed, tokens };
+  }
+
+  /**
+   * Store summary
+   * @returns {Object}
+   */
+  getStatus() {
+    return { name: this.name, buckets: this.buckets.size };
+  }
+
+  /**
+   * Drop buckets that are full again (same as a missing bucket)
+   * @private
+   */
+  _sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryRateLimitStore;
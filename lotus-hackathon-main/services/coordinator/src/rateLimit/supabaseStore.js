@@ -0,0 +1,80 @@
+const logger = require('../utils/logger');
+
+/**
+ * How often (ms) store failures are logged while the fallback is in use
+ */
+const FAILURE_LOG_INTERVAL = 60000;
+
+/**
+ * Supabase Store - Token buckets shared by every coordinator replica
+ * Each take is one call to the coordinator_rate_limit_take() Postgres function
+ * (see SUPABASE_SCHEMA_COMPLETE.sql), which refills and takes under a row lock.
+ * When Supabase is slow or unreachable the replica's own buckets are used, so
+ * limits stay enforced (per replica) without adding latency.
+ */
+class SupabaseRateLimitStore {
+  /**
+   * @param {Object} client - Supabase client
+   * @param {Object} options - Store options
+   * @param {number} options.timeout - Per-call timeout in ms
+   * @param {Object} options.fallback - Store used when Supabase fails
+   */
+  constructor(client, { timeout, fallback }) {
+    this.name = 'supabase';
+    this.client = client;
+    this.timeout = timeout;
+    this.fallback = fallback;
+    this.failures = 0;
+    this.lastFailureLog = 0;
+  }
+
+  /**
+   * Refill a bucket for the time passed and take tokens from it
+   * @param {string} key - Bucket key
+   * @param {Object} limit - { capacity, refillPerMs, cost }
+   * @returns {Promise<Object>} - { allowed, tokens } (tokens left after this request)
+   */
+  async take(key, { capacity, refillPerMs, cost = 1 }) {
+    let timer;
+    try {
+      const { data, error } = await Promise.race([
+        this.client.rpc('coordinator_rate_limit_take', {
+          p_key: key,
+          p_capacity: capacity,
+          p_refill_per_ms: refillPerMs,
+          p_cost: cost
+        }),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`Rate limit store timed out after ${this.timeout}ms`)), this.timeout);
+        })
+      ]).finally(() => clearTimeout(timer));
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      const row = Array.isArray(data) ? data[0] : data;
+      return { allowed: row.allowed, tokens: Number(row.tokens) };
+    } catch (error) {
+      this.failures += 1;
+      if (Date.now() - this.lastFailureLog > FAILURE_LOG_INTERVAL) {
+        this.lastFailureLog = Date.now();
+        logger.warn('Shared rate limit store failed, using per-replica buckets', {
+          error: error.message,
+          failures: this.failures
+        });
+      }
+      return this.fallback.take(key, { capacity, refillPerMs, cost });
+    }
+  }
+
+  /**
+   * Store summary
+   * @returns {Object}
+   */
+  getStatus() {
+    return { name: this.name, failures: this.failures, fallback: this.fallback.getStatus() };
+  }
+}
+
+module.exports = SupabaseRateLimitStore;
@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyService = require('../services/apiKeyService');
+const authService = require('../services/authService');
+const rbacService = require('../services/rbacService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+/**
+ * Caller recorded as creator / revoker of keys
+ * @private
+ */
+const callerOf = (req) => req.auth?.userId || null;
+
+/**
+ * Refuse to hand out a key when nobody is authenticated, or when the key could
+ * do more than the caller: a key minted anonymously would become a working
+ * credential as soon as authentication is turned on
+ * @returns {boolean} - true when a response was sent
+ * @private
+ */
+const refuseIssuance = (req, res, permissions) => {
+  if (!authService.isEnabled()) {
+    res.status(409).json({
+      success: false,
+      message: 'API keys can only be issued while authentication is enabled (JWT_ENABLED=true)'
+    });
+    return true;
+  }
+
+  const beyond = (Array.isArray(permissions) ? permissions : [])
+    .filter(permission => typeof permission === 'string' && !rbacService.hasPermission(req.auth ?? null, permission));
+  if (beyond.length > 0) {
+    res.status(403).json({
+      success: false,
+      message: `A key can't have permissions the caller doesn't have: ${beyond.join(', ')}`,
+      code: 'FORBIDDEN'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * POST /api-keys
+ * Issue a key scoped to a tenant and a set of permissions (and optionally one service)
+ * The full key is only returned in this response
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, tenantId, permissions, serviceId, ttl } = req.body;
+
+    if (refuseIssuance(req, res, permissions)) {
+      return;
+    }
+
+    const { key, apiKey } = await apiKeyService.issue({
+      name: name?.trim(),
+      tenantId: tenantId?.trim() || req.auth?.tenantId || undefined,
+      permissions,
+      serviceId: serviceId?.trim() || null,
+      ttl,
+      createdBy: callerOf(req)
+    });
+
+    auditService.recordRequest(req, 'api_key_issued', {
+      target: { type: 'api_key', id: apiKey.keyId, name: apiKey.name },
+      details: { tenantId: apiKey.tenantId, serviceId: apiKey.serviceId, permissions: apiKey.permissions }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key issued',
+      key,
+      apiKey
+    });
+  } catch (error) {
+    logger.error('Failed to issue API key', {
+      error: error.message
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /api-keys
+ * List keys (never includes the keys themselves)
+ * Query: tenantId, serviceId, status (active, expired, revoked)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { tenantId, serviceId, status } = req.query;
+
+    const apiKeys = await apiKeyService.list({ tenantId, serviceId, status });
+
+    res.status(200).json({
+      success: true,
+      apiKeys,
+      total: apiKeys.length
+    });
+  } catch (error) {
+    logger.error('Failed to list API keys', {
+      error: error.message
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /api-keys/:keyId
+ * Get one key
+ */
+router.get('/:keyId', async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.get(req.params.keyId);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      apiKey
+    });
+  } catch (error) {
+    logger.error('Failed to get API key', {
+      error: error.message,
+      keyId: req.params.keyId
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /api-keys/:keyId/rotate
+ * Replace a key with a new one of the same scope
+ * Body: { gracePeriod } - ms the old key keeps working (default API_KEYS_ROTATION_GRACE_PERIOD)
+ */
+router.post('/:keyId/rotate', async (req, res, next) => {
+  try {
+    const gracePeriod = req.body?.gracePeriod;
+
+    // The new key keeps the scope of the old one
+    const current = await apiKeyService.get(req.params.keyId);
+    if (refuseIssuance(req, res, current?.permissions)) {
+      return;
+    }
+
+    const { key, apiKey, previous } = await apiKeyService.rotate(req.params.keyId, {
+      gracePeriod,
+      rotatedBy: callerOf(req)
+    });
+
+    auditService.recordRequest(req, 'api_key_rotated', {
+      target: { type: 'api_key', id: apiKey.keyId, name: apiKey.name },
+      details: { previousKeyId: req.params.keyId, gracePeriod: gracePeriod ?? null }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'API key rotated',
+      key,
+      apiKey,
+      previous
+    });
+  } catch (error) {
+    logger.error('Failed to rotate API key', {
+      error: error.message,
+      keyId: req.params.keyId
+    });
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api-keys/:keyId
+ * Revoke a key (takes effect immediately)
+ */
+router.delete('/:keyId', async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.params.keyId, callerOf(req));
+
+    auditService.recordRequest(req, 'api_key_revoked', {
+      target: { type: 'api_key', id: apiKey.keyId, name: apiKey.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      apiKey
+    });
+  } catch (error) {
+    logger.error('Failed to revoke API key', {
+      error: error.message,
+      keyId: req.params.keyId
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+/**
+ * Filters shared by the list and export endpoints
+ * @param {Object} query - Request query
+ * @returns {Object} - { action, outcome, chainId, userId, tenantId, since, until }
+ */
+const filtersFrom = (query) => {
+  const { action, outcome, chainId, userId, tenantId, since, until } = query;
+  return { action, outcome, chainId, userId, tenantId, since, until };
+};
+
+/**
+ * GET /audit
+ * Audit entries, newest first, with pagination
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const limitNum = Math.min(200, limit); // Max 200 per page
+
+    const result = await auditService.list(filtersFrom(req.query), page, limitNum);
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Failed to get audit log', {
+      error: error.message
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /audit/verify
+ * Check the hash chains for edited, missing or inserted entries
+ */
+router.get('/verify', async (req, res, next) => {
+  try {
+    const verification = await auditService.verify({ chainId: req.query.chainId });
+
+    logger.info('Audit log verified', {
+      valid: verification.valid,
+      entries: verification.entries
+    });
+
+    res.status(200).json({
+      success: true,
+      ...verification
+    });
+  } catch (error) {
+    logger.error('Failed to verify audit log', {
+      error: error.message
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /audit/export
+ * Audit entries as NDJSON (one entry per line, by chain then sequence)
+ */
+router.get('/export', async (req, res, next) => {
+  try {
+    const entries = await auditService.query(filtersFrom(req.query));
+    const date = new Date().toISOString().slice(0, 10);
+
+    logger.info('Audit log exported', {
+      entries: entries.length
+    });
+
+    res.status(200);
+    res.set('Content-Type', 'application/x-ndjson');
+    res.set('Content-Disposition', `attachment; filename="audit-${date}.ndjson"`);
+    for (const entry of entries) {
+      res.write(`${JSON.stringify(entry)}\n`);
+    }
+    res.end();
+  } catch (error) {
+    logger.error('Failed to export audit log', {
+      error: error.message
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const changelogService = require('../services/changelogService');
+const auditService = require('../services/auditService');
 const logger = require('../utils/logger');
 
 /**
@@ -15,13 +16,12 @@ router.get('/', async (req, res, next) => {
       type
     } = req.query;
 
-    const pageNum = Math.max(1, parseInt(page, 10));
-    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10))); // Max 100 per page
+    const limitNum = Math.min(100, limit); // Max 100 per page
 
-    const result = changelogService.getChangelog(pageNum, limitNum, type);
+    const result = changelogService.getChangelog(page, limitNum, type);
 
     logger.info('Changelog requested', {
-      page: pageNum,
+      page,
       limit: limitNum,
       type,
       totalChanges: result.pagination.total
@@ -69,15 +69,7 @@ router.get('/search', async (req, res, next) => {
   try {
     const { q, query, limit = 20 } = req.query;
     const searchQuery = q || query;
-
-    if (!searchQuery) {
-      return res.status(400).json({
-        success: false,
-        error: 'Search query is required (use "q" or "query" parameter)'
-      });
-    }
-
-    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10))); // Max 50 results
+    const limitNum = Math.min(50, limit); // Max 50 results
     const results = changelogService.searchChangelog(searchQuery, limitNum);
 
     logger.info('Changelog search performed', {
@@ -107,10 +99,16 @@ router.get('/search', async (req, res, next) => {
 router.post('/cleanup', async (req, res, next) => {
   try {
     const { keepCount = 500 } = req.body;
-    const keepNum = Math.max(100, Math.min(1000, parseInt(keepCount, 10)));
+    const keepNum = Math.max(100, Math.min(1000, keepCount));
 
+    const before = changelogService.getStats().totalChanges;
     changelogService.cleanup(keepNum);
 
+    auditService.recordRequest(req, 'changelog_cleaned', {
+      target: { type: 'changelog' },
+      details: { keepCount: keepNum, entriesBefore: before }
+    });
+
     logger.info('Changelog cleanup triggered', {
       keepCount: keepNum
     });
@@ -10,9 +10,9 @@ const logger = require('../utils/logger');
  */
 router.get('/', async (req, res, next) => {
   try {
-    const forceRebuild = req.query.rebuild === 'true';
+    const forceRebuild = req.query.rebuild === true;
     
-    // Get knowledge graph (from cache/Supabase or rebuild)
+    // Get knowledge graph (from cache/storage or rebuild)
     const knowledgeGraph = await knowledgeGraphService.getGraph(forceRebuild);
 
     logger.info('Knowledge graph request', {
@@ -1,22 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const registryService = require('../services/registryService');
+const leaseService = require('../services/leaseService');
+const rbacService = require('../services/rbacService');
+const apiKeyService = require('../services/apiKeyService');
+const signingService = require('../services/signingService');
+const auditService = require('../services/auditService');
+const authConfig = require('../config/auth');
+const authService = require('../services/authService');
+const circuitBreakerService = require('../services/circuitBreakerService');
 const metricsService = require('../services/metricsService');
 const logger = require('../utils/logger');
-const { validateRegistration, sanitizeInput } = require('../middleware/validation');
 
 /**
  * POST /register
- * Register a new microservice
+ * Register a new microservice, or another instance of an already registered one
  */
-router.post('/', sanitizeInput, validateRegistration, async (req, res, next) => {
+router.post('/', async (req, res, next) => {
   // No route-level timeout needed:
-  // - Supabase operations have their own timeout (15s) with in-memory fallback
+  // - Supabase operations have their own timeout (STORAGE_TIMEOUT) with in-memory fallback
   // - Express server has server-level timeout (30s) configured in index.js
   // - Removing route timeout allows Supabase fallback to work properly
 
   try {
-    const { serviceName, version, endpoint, healthCheck, migrationFile, description, metadata } = req.body;
+    const { serviceName, version, endpoint, healthCheck, migrationFile, description, metadata, leaseTtl, weight, grpcTls } = req.body || {};
 
     logger.info('Registration request received', {
       serviceName,
@@ -26,7 +33,7 @@ router.post('/', sanitizeInput, validateRegistration, async (req, res, next) =>
     });
 
     // Register the service
-    // Supabase has its own timeout (15s) and falls back to in-memory if slow
+    // Supabase has its own timeout (STORAGE_TIMEOUT) and queues the write for replay if slow or unreachable
     logger.info('Calling registryService.registerService', {
       serviceName,
       timestamp: new Date().toISOString()
@@ -39,7 +46,11 @@ router.post('/', sanitizeInput, validateRegistration, async (req, res, next) =>
       healthCheck,
       migrationFile,
       description,
-      metadata
+      metadata,
+      leaseTtl,
+      weight,
+      owner: rbacService.ownerOf(req.auth),
+      grpcTls
     });
 
     // Update metrics
@@ -54,15 +65,64 @@ router.post('/', sanitizeInput, validateRegistration, async (req, res, next) =>
 
     logger.info('Service registration successful', {
       serviceId: result.serviceId,
+      instanceId: result.instanceId,
       serviceName
     });
 
+    const instance = result.service.instances.find(i => i.instanceId === result.instanceId);
+
+    // Service-scoped key for heartbeats, migration uploads and updates
+    // (not re-issued when the caller already authenticates with this service's key,
+    // nor while authentication is off and anyone could ask for one)
+    let apiKey = null;
+    if (authService.isEnabled() && authConfig.apiKeys.enabled && authConfig.apiKeys.issueOnRegister &&
+        req.auth?.serviceId !== result.serviceId) {
+      try {
+        apiKey = await apiKeyService.issueServiceKey(result.service, rbacService.ownerOf(req.auth));
+      } catch (keyError) {
+        // Don't fail registration if the key can't be stored; a key can be issued later via POST /api-keys
+        logger.error('Failed to issue service API key', { serviceId: result.serviceId, error: keyError.message });
+      }
+    }
+
+    // Shared secret the service uses to verify envelopes signed by the coordinator
+    // (returned only when created: re-posting a service name must not reveal it)
+    let signingKey = null;
+    if (signingService.isEnabled()) {
+      try {
+        const { key, created } = await signingService.ensureServiceKey(result.service);
+        signingKey = created ? key : null;
+      } catch (keyError) {
+        // Envelopes to this service are sent unsigned until a key exists
+        logger.error('Failed to create envelope signing key', { serviceId: result.serviceId, error: keyError.message });
+      }
+    }
+
+    auditService.recordRequest(req, 'service_registered', {
+      target: { type: 'service', id: result.serviceId, name: serviceName },
+      details: {
+        instanceId: result.instanceId,
+        version,
+        endpoint,
+        ...(apiKey && { apiKeyId: apiKey.apiKey.keyId }),
+        ...(signingKey && { signingKeyId: signingKey.keyId })
+      }
+    });
+
     // Ensure response is sent
     if (!res.headersSent) {
       res.status(201).json({
         success: true,
-        message: 'Service registered successfully',
-        serviceId: result.serviceId
+        message: result.service.instances.length > 1
+          ? 'Service instance registered successfully'
+          : 'Service registered successfully',
+        serviceId: result.serviceId,
+        instanceId: result.instanceId,
+        instanceCount: result.service.instances.length,
+        leaseTtl: instance?.leaseTtl || null,
+        leaseExpiresAt: instance?.leaseExpiresAt || null,
+        ...(apiKey && { apiKey: apiKey.key, apiKeyId: apiKey.apiKey.keyId }),
+        ...(signingKey && { signingKey })
       });
     }
   } catch (error) {
@@ -102,31 +162,27 @@ router.post('/', sanitizeInput, validateRegistration, async (req, res, next) =>
  * POST /register/:serviceId/migration
  * Upload migration file for a registered service (Stage 2)
  */
-router.post('/:serviceId/migration', sanitizeInput, async (req, res, next) => {
+router.post('/:serviceId/migration', async (req, res, next) => {
   try {
     const { serviceId } = req.params;
-    const { migrationFile } = req.body;
-
-    if (!migrationFile) {
-      return res.status(400).json({
-        success: false,
-        message: 'Migration file is required'
-      });
-    }
-
     // Complete the service registration with migration file
-    const result = await registryService.completeMigration(serviceId, migrationFile);
+    const result = await registryService.completeMigration(serviceId, req.body.migrationFile);
 
     logger.info('Migration file uploaded successfully', {
       serviceId,
       serviceName: result.serviceName
     });
 
+    auditService.recordRequest(req, 'migration_uploaded', {
+      target: { type: 'service', id: serviceId, name: result.serviceName },
+      details: { migrationVersion: result.migrationFile.version ?? null }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Migration file uploaded successfully',
       serviceId: serviceId,
-      status: 'active'
+      status: result.status
     });
   } catch (error) {
     logger.error('Migration upload failed', {
@@ -138,6 +194,89 @@ router.post('/:serviceId/migration', sanitizeInput, async (req, res, next) => {
   }
 });
 
+/**
+ * POST /register/:serviceId/signing-key/rotate
+ * Replace the secret envelopes to this service are signed with
+ * Body: { gracePeriod } - ms the previous secret keeps signing (default ENVELOPE_SIGNING_ROTATION_GRACE_PERIOD)
+ */
+router.post('/:serviceId/signing-key/rotate', async (req, res, next) => {
+  try {
+    const { serviceId } = req.params;
+    const gracePeriod = req.body?.gracePeriod;
+
+    if (!signingService.isEnabled()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Envelope signing is disabled (ENVELOPE_SIGNING_ENABLED=false)'
+      });
+    }
+
+    const service = await registryService.getServiceById(serviceId);
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const signingKey = await signingService.rotate(service, {
+      gracePeriod,
+      rotatedBy: req.auth?.userId || 'system'
+    });
+
+    auditService.recordRequest(req, 'signing_key_rotated', {
+      target: { type: 'service', id: serviceId, name: service.serviceName },
+      details: { keyId: signingKey.keyId, gracePeriod: gracePeriod ?? null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Signing key rotated',
+      serviceId,
+      signingKey
+    });
+  } catch (error) {
+    logger.error('Signing key rotation failed', {
+      error: error.message,
+      serviceId: req.params.serviceId
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * POST /register/:serviceId/heartbeat
+ * Renew an instance's lease (optionally with a new leaseTtl in ms)
+ * instanceId is required once a service has more than one instance
+ */
+router.post('/:serviceId/heartbeat', async (req, res, next) => {
+  try {
+    const { serviceId } = req.params;
+    const leaseTtl = req.body?.leaseTtl;
+    const instanceId = req.body?.instanceId || null;
+
+    const { service, instance } = await leaseService.heartbeat(serviceId, leaseTtl, instanceId);
+
+    res.json({
+      success: true,
+      serviceId,
+      instanceId: instance.instanceId,
+      status: service.status,
+      instanceStatus: instance.status,
+      leaseTtl: instance.leaseTtl,
+      leaseExpiresAt: instance.leaseExpiresAt
+    });
+  } catch (error) {
+    logger.warn('Heartbeat failed', {
+      error: error.message,
+      serviceId: req.params.serviceId
+    });
+
+    next(error);
+  }
+});
+
 /**
  * DELETE /register/services
  * Delete all services
@@ -145,14 +284,18 @@ router.post('/:serviceId/migration', sanitizeInput, async (req, res, next) => {
 router.delete('/services', async (req, res, next) => {
   try {
     // Get all services
-    const allServices = await registryService.getAllServicesFull();
+    const allServices = await registryService.getAllServicesFull({ includeExpired: true });
     
     // Delete each one
     let deleted = 0;
+    const deletedIds = [];
     for (const service of allServices) {
       try {
         const success = await registryService.deleteService(service.id || service.serviceId);
-        if (success) deleted++;
+        if (success) {
+          deleted++;
+          deletedIds.push(service.id || service.serviceId);
+        }
       } catch (error) {
         logger.warn('Failed to delete service', {
           serviceId: service.id || service.serviceId,
@@ -163,6 +306,11 @@ router.delete('/services', async (req, res, next) => {
     }
     
     logger.info('Deleted all services', { count: deleted });
+
+    auditService.recordRequest(req, 'services_deleted', {
+      target: { type: 'registry' },
+      details: { count: deleted, serviceIds: deletedIds }
+    });
     
     res.json({ 
       success: true, 
@@ -175,5 +323,100 @@ router.delete('/services', async (req, res, next) => {
   }
 });
 
-module.exports = router;
+/**
+ * PATCH /register/:serviceId
+ * Update endpoint, version, healthCheck, description or metadata of a service
+ */
+router.patch('/:serviceId', async (req, res, next) => {
+  try {
+    const { serviceId } = req.params;
+    const { service, changedFields } = await registryService.updateService(serviceId, req.body);
+
+    // Failures recorded against the old endpoint no longer apply
+    if (changedFields.includes('endpoint')) {
+      circuitBreakerService.reset(service.serviceName);
+    }
+
+    auditService.recordRequest(req, 'service_updated', {
+      target: { type: 'service', id: serviceId, name: service.serviceName },
+      details: { fields: changedFields }
+    });
+
+    res.json({
+      success: true,
+      message: 'Service updated successfully',
+      serviceId,
+      updated: changedFields,
+      service: {
+        serviceName: service.serviceName,
+        version: service.version,
+        endpoint: service.endpoint,
+        healthCheck: service.healthCheck,
+        description: service.description ?? null,
+        metadata: service.metadata ?? {},
+        status: service.status,
+        instanceCount: service.instances.length
+      }
+    });
+  } catch (error) {
+    logger.error('Service update failed', {
+      error: error.message,
+      serviceId: req.params.serviceId
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * DELETE /register/:serviceId
+ * Deregister a service; ?drainPeriod=<ms> stops new routes first and removes it when the period ends
+ */
+router.delete('/:serviceId', async (req, res, next) => {
+  try {
+    const { serviceId } = req.params;
+    // Already a number (validated against the route schema)
+    const drainPeriod = req.query.drainPeriod ?? 0;
+
+    const { service, deleted, drainUntil } = await registryService.deregisterService(serviceId, drainPeriod);
+
+    auditService.recordRequest(req, 'service_deregistered', {
+      target: { type: 'service', id: serviceId, name: service.serviceName },
+      details: { drainPeriod, drainUntil: drainUntil ?? null }
+    });
+
+    if (!deleted) {
+      return res.status(202).json({
+        success: true,
+        message: 'Service is draining and will be removed when the drain period ends',
+        serviceId,
+        status: 'draining',
+        drainUntil
+      });
+    }
+
+    circuitBreakerService.reset(service.serviceName);
+
+    // Update metrics
+    try {
+      metricsService.updateRegisteredServices(await registryService.getTotalServices());
+    } catch (metricsError) {
+      logger.warn('Failed to update metrics', { error: metricsError.message });
+    }
 
+    res.json({
+      success: true,
+      message: 'Service deregistered successfully',
+      serviceId
+    });
+  } catch (error) {
+    logger.error('Service deregistration failed', {
+      error: error.message,
+      serviceId: req.params.serviceId
+    });
+
+    next(error);
+  }
+});
+
+module.exports = router;
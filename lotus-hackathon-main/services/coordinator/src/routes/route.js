@@ -1,26 +1,100 @@
 const express = require('express');
 const router = express.Router();
 const aiRoutingService = require('../services/aiRoutingService');
+const routeExecutionService = require('../services/routeExecutionService');
 const logger = require('../utils/logger');
-const { sanitizeInput } = require('../middleware/validation');
 
 /**
- * POST /route
- * AI-based routing - Determine which microservice should handle a request
+ * Run the full route pipeline (AI ranking + cascading fallback) over HTTP
+ * Response mirrors the gRPC RouteResponse, with envelope_json/routing_metadata as objects
  */
-router.post('/', sanitizeInput, async (req, res, next) => {
+const executeRoute = async (req, res, next) => {
   try {
-    const { query, intent, method, path, body } = req.body;
+    const { query, intent, query_text, metadata } = req.body;
+    const userQuery = query || intent || query_text;
+
+    // A verified token decides who is calling; body fields only count for unauthenticated requests
+    const tenantId = req.auth ? req.auth.tenantId : req.body.tenant_id;
+    const userId = req.auth ? req.auth.userId : req.body.user_id;
+
+    logger.info('Route execute request', {
+      query: userQuery,
+      tenantId,
+      userId
+    });
+
+    let result;
+    try {
+      result = await routeExecutionService.execute(
+        {
+          tenantId,
+          userId,
+          queryText: userQuery,
+          metadata: metadata || {}
+        },
+        {
+          protocol: 'http',
+          source: 'rest',
+          routingConfig: {
+            strategy: req.body.routing?.strategy || 'single',
+            priority: req.body.routing?.priority || 'accuracy'
+          }
+        }
+      );
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
 
-    // Validate input
-    if (!query && !intent) {
-      return res.status(400).json({
+      logger.error('Route execution failed', {
+        error: error.message
+      });
+      return res.status(error.status).json({
         success: false,
-        message: 'Either "query" or "intent" is required'
+        message: error.message,
+        query: userQuery
       });
     }
 
-    const userQuery = query || intent;
+    const { cascadeResult, response } = result;
+    const success = !!cascadeResult.successfulResult;
+
+    res.status(success ? 200 : 502).json({
+      success,
+      ...(success ? {} : { message: 'No service returned a good response' }),
+      result: cascadeResult.successfulResult?.data ?? null,
+      ...response
+    });
+  } catch (error) {
+    logger.error('Route execute endpoint error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    next(error);
+  }
+};
+
+/**
+ * POST /route/execute
+ * Route AND call the target service (same pipeline as the gRPC Route RPC)
+ */
+router.post('/execute', executeRoute);
+
+/**
+ * POST /route
+ * AI-based routing - Determine which microservice should handle a request
+ * Add ?execute=true to also call the service (same as POST /route/execute)
+ */
+router.post('/', async (req, res, next) => {
+  if (req.query.execute === true) {
+    return executeRoute(req, res, next);
+  }
+
+  try {
+    const { query, intent, query_text, type, method, path, body } = req.body;
+
+    const userQuery = query || intent || query_text;
     const requestContext = {
       method: method || req.method,
       path: path || req.path,
@@ -29,7 +103,7 @@ router.post('/', sanitizeInput, async (req, res, next) => {
 
     // Create structured data object (same format as gRPC)
     const routingData = {
-      type: 'http_query',
+      type: type || 'http_query',
       payload: {
         query: userQuery,
         metadata: req.body.metadata || {},
@@ -45,7 +119,9 @@ router.post('/', sanitizeInput, async (req, res, next) => {
 
     const routingConfig = {
       strategy: req.body.routing?.strategy || 'single',
-      priority: req.body.routing?.priority || 'accuracy'
+      priority: req.body.routing?.priority || 'accuracy',
+      // Cached decisions are kept per tenant
+      tenantId: req.auth ? req.auth.tenantId : req.body.tenant_id
     };
 
     logger.info('AI routing request', {
@@ -58,7 +134,8 @@ router.post('/', sanitizeInput, async (req, res, next) => {
     // Note: routeRequest already handles fallback internally if AI routing fails
     let routingResult;
     try {
-      routingResult = await aiRoutingService.routeRequest(routingData, routingConfig);
+      // Routing rules may match on this request's headers
+      routingResult = await aiRoutingService.routeRequest(routingData, { ...routingConfig, headers: req.headers });
     } catch (error) {
       // If routing fails completely (e.g., no active services), return error
       logger.error('Routing failed completely', {
@@ -96,17 +173,10 @@ router.post('/', sanitizeInput, async (req, res, next) => {
  */
 router.get('/', async (req, res, next) => {
   try {
-    const { q, query, intent } = req.query;
+    const { q, query, intent, type } = req.query;
 
     const userQuery = q || query || intent;
 
-    if (!userQuery) {
-      return res.status(400).json({
-        success: false,
-        message: 'Query parameter "q", "query", or "intent" is required'
-      });
-    }
-
     logger.info('AI routing request (GET)', {
       query: userQuery
     });
@@ -117,7 +187,7 @@ router.get('/', async (req, res, next) => {
     try {
       // Create proper routing data structure for GET request
       const routingData = {
-        type: 'query',
+        type: type || 'query',
         payload: {
           query: userQuery,
           metadata: {},
@@ -136,7 +206,9 @@ router.get('/', async (req, res, next) => {
       
       routingResult = await aiRoutingService.routeRequest(routingData, {
         method: 'GET',
-        path: req.path
+        path: req.path,
+        tenantId: req.auth?.tenantId,
+        headers: req.headers
       });
     } catch (error) {
       // If routing fails completely (e.g., no active services), return error
@@ -168,5 +240,26 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /route/context
+ * Current routing context (routable services, capabilities, circuit breaker state)
+ */
+router.get('/context', async (req, res, next) => {
+  try {
+    const context = await aiRoutingService.getRoutingContext();
+
+    res.status(200).json({
+      success: true,
+      context
+    });
+  } catch (error) {
+    logger.error('Failed to get routing context', {
+      error: error.message
+    });
+
+    next(error);
+  }
+});
+
 module.exports = router;
 
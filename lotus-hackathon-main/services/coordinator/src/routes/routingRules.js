@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const routingRulesService = require('../services/routingRulesService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+/**
+ * Caller recorded as creator / editor of rules
+ * @private
+ */
+const callerOf = (req) => req.auth?.userId || null;
+
+/**
+ * Audit target of a rule
+ * @private
+ */
+const targetOf = (rule) => ({ type: 'routing_rule', id: rule.id, name: rule.name });
+
+/**
+ * POST /routing-rules
+ * Create a rule sending matching requests to a service
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const rule = await routingRulesService.create(req.body, callerOf(req));
+
+    auditService.recordRequest(req, 'routing_rule_created', {
+      target: targetOf(rule),
+      details: { target: rule.target.serviceName, priority: rule.priority, match: rule.match }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Routing rule created',
+      rule
+    });
+  } catch (error) {
+    logger.error('Failed to create routing rule', {
+      error: error.message
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /routing-rules
+ * List rules in evaluation order (highest priority first)
+ * Query: serviceName, enabled
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { serviceName, enabled } = req.query;
+
+    const rules = await routingRulesService.list({ serviceName, enabled });
+
+    res.status(200).json({
+      success: true,
+      rules,
+      total: rules.length
+    });
+  } catch (error) {
+    logger.error('Failed to list routing rules', {
+      error: error.message
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /routing-rules/:ruleId
+ * Get one rule
+ */
+router.get('/:ruleId', async (req, res, next) => {
+  try {
+    const rule = await routingRulesService.get(req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Routing rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    logger.error('Failed to get routing rule', {
+      error: error.message,
+      ruleId: req.params.ruleId
+    });
+    next(error);
+  }
+});
+
+/**
+ * PATCH /routing-rules/:ruleId
+ * Change a rule (match, when given, replaces the conditions as a whole)
+ */
+router.patch('/:ruleId', async (req, res, next) => {
+  try {
+    const rule = await routingRulesService.update(req.params.ruleId, req.body, callerOf(req));
+
+    auditService.recordRequest(req, 'routing_rule_updated', {
+      target: targetOf(rule),
+      details: { fields: Object.keys(req.body), target: rule.target.serviceName, enabled: rule.enabled }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Routing rule updated',
+      rule
+    });
+  } catch (error) {
+    logger.error('Failed to update routing rule', {
+      error: error.message,
+      ruleId: req.params.ruleId
+    });
+    next(error);
+  }
+});
+
+/**
+ * DELETE /routing-rules/:ruleId
+ * Delete a rule (matching requests are ranked again)
+ */
+router.delete('/:ruleId', async (req, res, next) => {
+  try {
+    const rule = await routingRulesService.remove(req.params.ruleId, callerOf(req));
+
+    auditService.recordRequest(req, 'routing_rule_deleted', {
+      target: targetOf(rule),
+      details: { target: rule.target.serviceName }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Routing rule deleted',
+      rule
+    });
+  } catch (error) {
+    logger.error('Failed to delete routing rule', {
+      error: error.message,
+      ruleId: req.params.ruleId
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
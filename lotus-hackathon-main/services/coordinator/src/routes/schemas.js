@@ -2,7 +2,6 @@ const express = require('express');
 const router = express.Router();
 const schemaRegistryService = require('../services/schemaRegistryService');
 const logger = require('../utils/logger');
-const { sanitizeInput } = require('../middleware/validation');
 
 /**
  * GET /schemas
@@ -101,18 +100,11 @@ router.get('/:serviceId/:schemaType', async (req, res, next) => {
  * POST /schemas/:serviceId/validate
  * Validate data against service schema
  */
-router.post('/:serviceId/validate', sanitizeInput, async (req, res, next) => {
+router.post('/:serviceId/validate', async (req, res, next) => {
   try {
     const { serviceId } = req.params;
     const { data, schemaType, schemaName } = req.body;
     
-    if (!data || !schemaType || !schemaName) {
-      return res.status(400).json({
-        success: false,
-        error: 'data, schemaType, and schemaName are required'
-      });
-    }
-    
     const result = await schemaRegistryService.validateSchema(serviceId, data, schemaType, schemaName);
     
     logger.info('Schema validation requested', {
@@ -1,25 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const registryService = require('../services/registryService');
+const healthCheckService = require('../services/healthCheckService');
+const storageSyncService = require('../services/storageSyncService');
+const { normalizeServiceQuery } = require('../middleware/validation');
 const logger = require('../utils/logger');
 
 /**
  * GET /services
  * GET /registry
- * Service discovery endpoint - Get all registered services
+ * Service discovery endpoint - Find registered services
+ * Query: status, capability, tag (comma lists), version (range), q (name/description),
+ * sort, order, limit, cursor, view (summary | full)
  */
-router.get('/', async (req, res, next) => {
+router.get('/', normalizeServiceQuery, async (req, res, next) => {
   try {
-    const services = await registryService.getAllServices();
+    const { services, total, nextCursor } = await registryService.queryServices(req.serviceQuery);
 
     logger.info('Service discovery request', {
-      serviceCount: services.length
+      serviceCount: services.length,
+      total,
+      query: req.query
     });
 
     res.status(200).json({
       success: true,
       services,
-      total: services.length
+      total,
+      nextCursor
     });
   } catch (error) {
     logger.error('Failed to retrieve services', {
@@ -30,5 +38,119 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /services/health
+ * Health check poller status and per-instance probe state
+ */
+router.get('/health', async (req, res, next) => {
+  try {
+    const services = await registryService.getAllServicesFull();
+    const status = healthCheckService.getStatus();
+    const probeState = new Map(status.instances.map(s => [`${s.serviceId}:${s.instanceId}`, s]));
+
+    res.status(200).json({
+      success: true,
+      poller: {
+        enabled: status.enabled,
+        running: status.running,
+        interval: status.interval,
+        timeout: status.timeout,
+        thresholds: status.thresholds,
+        lastRunAt: status.lastRunAt
+      },
+      services: services.map(service => ({
+        serviceId: service.id,
+        serviceName: service.serviceName,
+        status: service.status,
+        healthCheck: service.healthCheck,
+        lastHealthCheck: service.lastHealthCheck,
+        instances: service.instances.map(instance => ({
+          instanceId: instance.instanceId,
+          endpoint: instance.endpoint,
+          status: instance.status,
+          lastHealthCheck: instance.lastHealthCheck,
+          probe: probeState.get(`${service.id}:${instance.instanceId}`) || null
+        }))
+      }))
+    });
+  } catch (error) {
+    logger.error('Failed to retrieve service health', {
+      error: error.message
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * GET /registry/sync-status
+ * GET /services/sync-status
+ * Supabase outage state and writes queued for replay
+ */
+router.get('/sync-status', async (req, res, next) => {
+  try {
+    const status = await storageSyncService.getStatus();
+
+    res.status(200).json({
+      success: true,
+      ...status
+    });
+  } catch (error) {
+    logger.error('Failed to retrieve storage sync status', {
+      error: error.message
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * GET /services/by-name/:name
+ * Service details by service name
+ */
+router.get('/by-name/:name', async (req, res, next) => {
+  try {
+    const service = await registryService.getServiceByName(req.params.name);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: `Service ${req.params.name} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      service: registryService.toFullView(service)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /services/:serviceId
+ * Service details by ID (keep after the fixed paths above)
+ */
+router.get('/:serviceId', async (req, res, next) => {
+  try {
+    const service = await registryService.getServiceById(req.params.serviceId);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      service: registryService.toFullView(service)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
 
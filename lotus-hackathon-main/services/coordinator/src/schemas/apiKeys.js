@@ -0,0 +1,118 @@
+const { ref, ok, failure, pathParams } = require('./helpers');
+
+const keyId = pathParams({ keyId: 'API key ID' });
+
+/**
+ * Routes mounted at /api-keys
+ */
+module.exports = [
+  {
+    method: 'POST',
+    path: '/',
+    operationId: 'issueApiKey',
+    summary: 'Issue a key scoped to a tenant and a set of permissions (and optionally one service)',
+    tags: ['API Keys'],
+    sanitize: true,
+    body: {
+      type: 'object',
+      required: ['permissions'],
+      properties: {
+        name: ref('NonEmptyString'),
+        tenantId: { ...ref('NonEmptyString'), description: "Default: the caller's tenant" },
+        permissions: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'string' },
+          description: 'Permissions of the key (see Roles and Permissions)'
+        },
+        serviceId: {
+          anyOf: [ref('NonEmptyString'), { type: 'null' }],
+          'x-message': 'must be a non-empty string or null',
+          description: 'Service the key acts for'
+        },
+        ttl: { ...ref('Milliseconds'), description: 'Lifetime in ms (0 = no expiry)' }
+      }
+    },
+    responses: {
+      201: ok('Key issued (the full key is only returned here)', {
+        message: { type: 'string' },
+        key: { type: 'string' },
+        apiKey: ref('ApiKey')
+      }, ['key', 'apiKey'])
+    }
+  },
+  {
+    method: 'GET',
+    path: '/',
+    operationId: 'listApiKeys',
+    summary: 'List keys (never includes the keys themselves)',
+    tags: ['API Keys'],
+    query: {
+      type: 'object',
+      properties: {
+        tenantId: { type: 'string' },
+        serviceId: { type: 'string' },
+        status: { enum: ['active', 'expired', 'revoked'] }
+      }
+    },
+    responses: {
+      200: ok('Keys', {
+        apiKeys: { type: 'array', items: ref('ApiKey') },
+        total: { type: 'integer' }
+      }, ['apiKeys', 'total'])
+    }
+  },
+  {
+    method: 'GET',
+    path: '/:keyId',
+    operationId: 'getApiKey',
+    summary: 'Get one key',
+    tags: ['API Keys'],
+    params: keyId,
+    responses: {
+      200: ok('Key', { apiKey: ref('ApiKey') }, ['apiKey']),
+      404: failure('API key not found')
+    }
+  },
+  {
+    method: 'POST',
+    path: '/:keyId/rotate',
+    operationId: 'rotateApiKey',
+    summary: 'Replace a key with a new one of the same scope',
+    tags: ['API Keys'],
+    params: keyId,
+    body: {
+      type: 'object',
+      properties: {
+        gracePeriod: {
+          ...ref('Milliseconds'),
+          description: 'ms the old key keeps working (default API_KEYS_ROTATION_GRACE_PERIOD)'
+        }
+      }
+    },
+    responses: {
+      200: ok('Key rotated', {
+        message: { type: 'string' },
+        key: { type: 'string' },
+        apiKey: ref('ApiKey'),
+        previous: ref('ApiKey')
+      }, ['key', 'apiKey']),
+      404: failure('API key not found')
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/:keyId',
+    operationId: 'revokeApiKey',
+    summary: 'Revoke a key (takes effect immediately)',
+    tags: ['API Keys'],
+    params: keyId,
+    responses: {
+      200: ok('Key revoked', {
+        message: { type: 'string' },
+        apiKey: ref('ApiKey')
+      }, ['apiKey']),
+      404: failure('API key not found')
+    }
+  }
+];
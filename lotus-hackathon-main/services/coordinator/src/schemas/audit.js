@@ -0,0 +1,75 @@
+const { ref, ok } = require('./helpers');
+
+/**
+ * Filters shared by the list and export endpoints
+ */
+const FILTERS = {
+  action: { type: 'string', description: 'service_registered, api_key_revoked, auth_failed, ...' },
+  outcome: { enum: ['success', 'failure'] },
+  chainId: { type: 'string', description: 'Coordinator chain' },
+  userId: { type: 'string', description: 'Acting user' },
+  tenantId: { type: 'string', description: 'Acting tenant' },
+  since: { type: 'string', format: 'date-time' },
+  until: { type: 'string', format: 'date-time' }
+};
+
+/**
+ * Routes mounted at /audit
+ */
+module.exports = [
+  {
+    method: 'GET',
+    path: '/',
+    operationId: 'listAuditEntries',
+    summary: 'Audit entries, newest first',
+    tags: ['Audit Log'],
+    query: {
+      type: 'object',
+      properties: {
+        ...FILTERS,
+        page: { type: 'integer', minimum: 1, description: 'Page number (default 1)' },
+        limit: { type: 'integer', minimum: 1, description: 'Entries per page (default 50, larger values are capped at 200)' }
+      }
+    },
+    responses: {
+      200: ok('Audit page', {
+        entries: { type: 'array', items: ref('AuditEntry') },
+        pagination: ref('Pagination')
+      }, ['entries', 'pagination'])
+    }
+  },
+  {
+    method: 'GET',
+    path: '/verify',
+    operationId: 'verifyAuditLog',
+    summary: 'Check the hash chains for edited, missing or inserted entries',
+    tags: ['Audit Log'],
+    query: {
+      type: 'object',
+      properties: {
+        chainId: FILTERS.chainId
+      }
+    },
+    responses: {
+      200: ok('Verification report', {
+        valid: { type: 'boolean' },
+        entries: { type: 'integer' },
+        chains: { type: 'array', items: { type: 'object' } }
+      }, ['valid', 'entries', 'chains'])
+    }
+  },
+  {
+    method: 'GET',
+    path: '/export',
+    operationId: 'exportAuditLog',
+    summary: 'Audit entries as NDJSON, by chain then sequence',
+    tags: ['Audit Log'],
+    query: {
+      type: 'object',
+      properties: FILTERS
+    },
+    responses: {
+      200: { description: 'One entry per line', contentType: 'application/x-ndjson', schema: ref('AuditEntry') }
+    }
+  }
+];
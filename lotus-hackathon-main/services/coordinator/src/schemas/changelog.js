@@ -0,0 +1,80 @@
+const { ref, ok } = require('./helpers');
+
+/**
+ * Routes mounted at /changelog
+ */
+module.exports = [
+  {
+    method: 'GET',
+    path: '/',
+    operationId: 'getChangelog',
+    summary: 'System changelog, newest first',
+    tags: ['Changelog'],
+    query: {
+      type: 'object',
+      properties: {
+        page: { type: 'integer', minimum: 1, description: 'Page number (default 1)' },
+        limit: { type: 'integer', minimum: 1, description: 'Entries per page (default 50, larger values are capped at 100)' },
+        type: { type: 'string', description: 'Only changes of this type' }
+      }
+    },
+    responses: {
+      200: ok('Changelog page', {
+        changes: { type: 'array', items: { type: 'object' } },
+        pagination: ref('Pagination')
+      }, ['changes', 'pagination'])
+    }
+  },
+  {
+    method: 'GET',
+    path: '/stats',
+    operationId: 'getChangelogStats',
+    summary: 'Changelog statistics',
+    tags: ['Changelog'],
+    responses: {
+      200: ok('Statistics', { stats: { type: 'object' } }, ['stats'])
+    }
+  },
+  {
+    method: 'GET',
+    path: '/search',
+    operationId: 'searchChangelog',
+    summary: 'Search changelog entries',
+    tags: ['Changelog'],
+    query: {
+      type: 'object',
+      properties: {
+        q: ref('NonEmptyString'),
+        query: ref('NonEmptyString'),
+        limit: { type: 'integer', minimum: 1, description: 'Results (default 20, larger values are capped at 50)' }
+      },
+      allOf: [{
+        anyOf: [{ required: ['q'] }, { required: ['query'] }],
+        'x-message': 'must include "q" or "query"'
+      }]
+    },
+    responses: {
+      200: ok('Matching entries', {
+        query: { type: 'string' },
+        results: { type: 'array', items: { type: 'object' } },
+        total: { type: 'integer' }
+      }, ['results', 'total'])
+    }
+  },
+  {
+    method: 'POST',
+    path: '/cleanup',
+    operationId: 'cleanupChangelog',
+    summary: 'Remove old changelog entries',
+    tags: ['Changelog'],
+    body: {
+      type: 'object',
+      properties: {
+        keepCount: { type: 'integer', description: 'Entries to keep (default 500, between 100 and 1000)' }
+      }
+    },
+    responses: {
+      200: ok('Changelog trimmed', { message: { type: 'string' } })
+    }
+  }
+];
@@ -0,0 +1,219 @@
+const { ref } = require('./helpers');
+
+/**
+ * Schemas shared by the route declarations (referenced as "#/components/schemas/<name>")
+ * and published under components.schemas of the OpenAPI document
+ */
+
+module.exports = {
+  NonEmptyString: {
+    type: 'string',
+    pattern: '\\S',
+    'x-message': 'must be a non-empty string'
+  },
+  Milliseconds: {
+    type: 'integer',
+    minimum: 0,
+    'x-message': 'must be a non-negative integer (ms)'
+  },
+  GrpcTls: {
+    type: ['object', 'null'],
+    description: 'TLS settings for gRPC calls to the service (null = coordinator default)',
+    properties: {
+      enabled: { type: 'boolean', description: 'Use TLS (false = plaintext)' },
+      caCert: {
+        type: ['string', 'null'],
+        format: 'pem-certificate',
+        description: 'PEM bundle trusted for the service certificate (default: GRPC_CLIENT_CA_PATH)'
+      },
+      serverName: {
+        type: ['string', 'null'],
+        format: 'hostname',
+        description: 'Name expected in the service certificate'
+      },
+      mutual: { type: 'boolean', description: 'Present the coordinator client certificate' }
+    },
+    additionalProperties: false
+  },
+  MigrationFile: {
+    type: ['object', 'string'],
+    description: 'Migration file (API endpoints, events, schemas) as an object or JSON text'
+  },
+  ValidationError: {
+    type: 'object',
+    description: 'Request that does not match the route schema (400)',
+    required: ['success', 'message', 'code', 'errors'],
+    properties: {
+      success: { const: false },
+      message: { const: 'Validation failed' },
+      code: { const: 'VALIDATION_FAILED' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['in', 'field', 'message', 'keyword'],
+          properties: {
+            in: { enum: ['path', 'query', 'body'], description: 'Part of the request' },
+            field: { type: 'string', description: 'Dotted path of the field ("" = the whole part)' },
+            message: { type: 'string' },
+            keyword: { type: 'string', description: 'Schema keyword that failed (required, type, format, ...)' }
+          }
+        }
+      }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { const: false },
+      message: { type: 'string' },
+      error: { type: 'string' },
+      code: { type: 'string' }
+    }
+  },
+  ServiceSummary: {
+    type: 'object',
+    required: ['serviceId', 'serviceName', 'version', 'endpoint', 'status'],
+    properties: {
+      serviceId: { type: 'string' },
+      serviceName: { type: 'string' },
+      version: { type: 'string' },
+      endpoint: { type: 'string' },
+      status: { type: 'string' },
+      instanceCount: { type: 'integer' },
+      registeredAt: { type: ['string', 'null'] }
+    }
+  },
+  ServiceDetails: {
+    type: 'object',
+    required: ['serviceId', 'serviceName', 'version', 'endpoint', 'status', 'instances'],
+    properties: {
+      serviceId: { type: 'string' },
+      serviceName: { type: 'string' },
+      version: { type: 'string' },
+      endpoint: { type: 'string' },
+      healthCheck: { type: ['string', 'null'] },
+      description: { type: ['string', 'null'] },
+      metadata: { type: ['object', 'null'] },
+      status: { type: 'string' },
+      registeredAt: { type: ['string', 'null'] },
+      lastHealthCheck: { type: ['string', 'null'] },
+      leaseTtl: { type: ['integer', 'null'] },
+      leaseExpiresAt: { type: ['string', 'null'] },
+      drainUntil: { type: ['string', 'null'] },
+      instances: { type: 'array', items: { type: 'object' } },
+      grpcTls: { type: ['object', 'null'] },
+      migration: { type: ['object', 'null'] }
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    description: 'API key record (never includes the key itself)',
+    required: ['keyId', 'permissions', 'status'],
+    properties: {
+      keyId: { type: 'string' },
+      name: { type: ['string', 'null'] },
+      type: { type: 'string' },
+      prefix: { type: 'string' },
+      tenantId: { type: ['string', 'null'] },
+      serviceId: { type: ['string', 'null'] },
+      permissions: { type: 'array', items: { type: 'string' } },
+      status: { enum: ['active', 'expired', 'revoked'] },
+      createdAt: { type: 'string' },
+      createdBy: { type: ['string', 'null'] },
+      expiresAt: { type: ['string', 'null'] },
+      lastUsedAt: { type: ['string', 'null'] },
+      revokedAt: { type: ['string', 'null'] },
+      rotatedFrom: { type: ['string', 'null'] },
+      rotatedTo: { type: ['string', 'null'] }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    required: ['page', 'limit', 'total', 'totalPages'],
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      totalPages: { type: 'integer' }
+    }
+  },
+  AuditEntry: {
+    type: 'object',
+    required: ['id', 'chainId', 'sequence', 'timestamp', 'action', 'outcome', 'prevHash', 'hash'],
+    properties: {
+      id: { type: 'string' },
+      chainId: { type: 'string' },
+      sequence: { type: 'integer' },
+      timestamp: { type: 'string' },
+      action: { type: 'string' },
+      outcome: { enum: ['success', 'failure'] },
+      actor: { type: 'object' },
+      target: { type: ['object', 'null'] },
+      details: { type: 'object' },
+      prevHash: { type: 'string' },
+      hash: { type: 'string' }
+    }
+  },
+  RoutingRuleMatch: {
+    type: 'object',
+    description: 'Conditions of a routing rule; all given ones must hold',
+    properties: {
+      pathPrefix: {
+        type: 'string',
+        pattern: '^/\\S*$',
+        'x-message': 'must be a path starting with /',
+        description: 'Path starts with this prefix at a segment boundary (/api/payment matches /api/payment/refunds, not /api/payments)'
+      },
+      pathRegex: { type: 'string', format: 'regex', maxLength: 500, description: 'Regular expression the path matches' },
+      methods: {
+        type: 'array',
+        minItems: 1,
+        items: { enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'] },
+        description: 'HTTP methods'
+      },
+      headers: {
+        type: 'object',
+        minProperties: 1,
+        additionalProperties: { type: 'string', format: 'regex', maxLength: 500 },
+        description: 'Header name -> regular expression its value matches (the header must be present)'
+      },
+      type: { ...ref('NonEmptyString'), description: 'Request type (e.g. billing)' },
+      tenantId: { ...ref('NonEmptyString'), description: 'Tenant of the caller' },
+      queryRegex: { type: 'string', format: 'regex', maxLength: 500, description: 'Case-insensitive regular expression the query text matches' }
+    },
+    additionalProperties: false,
+    minProperties: 1
+  },
+  RoutingRule: {
+    type: 'object',
+    required: ['id', 'name', 'enabled', 'priority', 'match', 'target'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      description: { type: ['string', 'null'] },
+      enabled: { type: 'boolean' },
+      priority: { type: 'integer' },
+      match: ref('RoutingRuleMatch'),
+      target: {
+        type: 'object',
+        required: ['serviceName'],
+        properties: { serviceName: { type: 'string' } }
+      },
+      createdAt: { type: 'string' },
+      createdBy: { type: ['string', 'null'] },
+      updatedAt: { type: 'string' },
+      updatedBy: { type: ['string', 'null'] }
+    }
+  },
+  RoutingResult: {
+    type: 'object',
+    description: 'Ranked target services for a query',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean' },
+      routing: { type: 'object' }
+    }
+  }
+};
@@ -0,0 +1,43 @@
+const { X509Certificate } = require('crypto');
+const { parseRange } = require('../utils/version');
+
+/**
+ * Formats of the coordinator's own schemas (in addition to utils/jsonSchema.js built-ins)
+ */
+module.exports = {
+  // Version range accepted by discovery (^1.2, >=1.0 <2, 1.x, ...)
+  'version-range': {
+    validate: (value) => {
+      try {
+        parseRange(value);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    message: 'must be a valid version range'
+  },
+  // One or more PEM certificates
+  'pem-certificate': {
+    validate: (value) => {
+      try {
+        return value.includes('-----BEGIN CERTIFICATE-----') && !!new X509Certificate(value);
+      } catch (error) {
+        return false;
+      }
+    },
+    message: 'must be a PEM certificate bundle'
+  },
+  // JavaScript regular expression source (routing rules)
+  regex: {
+    validate: (value) => {
+      try {
+        new RegExp(value);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    message: 'must be a valid regular expression'
+  }
+};
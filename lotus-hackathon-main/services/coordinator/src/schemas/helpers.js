@@ -0,0 +1,52 @@
+/**
+ * Helpers for route declarations
+ */
+
+/**
+ * Reference to a shared schema (schemas/components.js)
+ * @param {string} name - Component name
+ * @returns {Object}
+ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * JSON response with { success: true, ...properties }
+ * @param {string} description - What the response means
+ * @param {Object} properties - Schemas of the other fields
+ * @param {Array<string>} required - Fields always present (besides success)
+ * @returns {Object} - { description, schema }
+ */
+const ok = (description, properties = {}, required = []) => ({
+  description,
+  schema: {
+    type: 'object',
+    required: ['success', ...required],
+    properties: { success: { const: true }, ...properties }
+  }
+});
+
+/**
+ * Error response ({ success: false, message })
+ * @param {string} description - When it is returned
+ * @returns {Object} - { description, schema }
+ */
+const failure = (description) => ({ description, schema: ref('Error') });
+
+/**
+ * Path parameters schema (every parameter is a required string)
+ * @param {Object} descriptions - { name: description }
+ * @returns {Object}
+ */
+const pathParams = (descriptions) => ({
+  type: 'object',
+  required: Object.keys(descriptions),
+  properties: Object.fromEntries(Object.entries(descriptions)
+    .map(([name, description]) => [name, { type: 'string', description }]))
+});
+
+module.exports = {
+  ref,
+  pathParams,
+  ok,
+  failure
+};
@@ -0,0 +1,93 @@
+const { compilePattern } = require('../utils/routePattern');
+const components = require('./components');
+const formats = require('./formats');
+
+/**
+ * Route Schemas
+ * Parameters, query, body and responses of every coordinator route, declared once.
+ * middleware/validation.js checks requests against them and utils/openapi.js
+ * publishes them as the OpenAPI document (GET /openapi.json).
+ *
+ * A declaration: { method, path, operationId, summary, tags, sanitize, params,
+ * query, body, responses: { status: { description, schema, contentType } } }
+ * params/query/body are object schemas; sanitize strips control characters
+ * from the body before it is checked.
+ */
+
+const services = require('./services');
+const knowledgeGraph = require('./knowledgeGraph');
+
+/**
+ * Declarations per mount path (same order as the routers in src/index.js)
+ * alias: served there as well, but left out of the OpenAPI document
+ */
+const MOUNTS = [
+  { prefix: '', operations: require('./system') },
+  { prefix: '/register', operations: require('./register') },
+  { prefix: '/uiux', operations: require('./uiux') },
+  { prefix: '/services', operations: services },
+  { prefix: '/registry', operations: services, alias: true },
+  { prefix: '/route', operations: require('./route') },
+  { prefix: '/knowledge-graph', operations: knowledgeGraph },
+  { prefix: '/graph', operations: knowledgeGraph, alias: true },
+  { prefix: '/changelog', operations: require('./changelog') },
+  { prefix: '/schemas', operations: require('./schemas') },
+  { prefix: '/metrics', operations: require('./metrics') },
+  { prefix: '/api-keys', operations: require('./apiKeys') },
+  { prefix: '/audit', operations: require('./audit') },
+  { prefix: '/routing-rules', operations: require('./routingRules') }
+];
+
+const operations = MOUNTS.flatMap(({ prefix, operations: declared, alias = false }) => declared.map(operation => {
+  const path = prefix + (operation.path === '/' && prefix ? '' : operation.path);
+  return { ...operation, path, alias, regex: compilePattern(path) };
+}));
+
+/**
+ * Declaration of a request, first match wins
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @returns {Object|null} - { operation, params } or null for routes without one (proxied requests)
+ */
+function findOperation(method, path) {
+  for (const operation of operations) {
+    if (operation.method !== method) {
+      continue;
+    }
+    const match = operation.regex.exec(path);
+    if (match) {
+      return { operation, params: match.groups || {} };
+    }
+  }
+  return null;
+}
+
+/**
+ * Methods declared for a path
+ * @param {string} path - Request path
+ * @returns {Array<string>}
+ */
+function allowedMethods(path) {
+  return [...new Set(operations.filter(operation => operation.regex.test(path)).map(operation => operation.method))];
+}
+
+/**
+ * Whether the coordinator serves a path itself (under a mount path, in any case)
+ * instead of proxying it to a microservice
+ * @param {string} path - Request path
+ * @returns {boolean}
+ */
+function isCoordinatorPath(path) {
+  const lower = path.toLowerCase();
+  return MOUNTS.some(({ prefix }) => prefix && (lower === prefix || lower.startsWith(`${prefix}/`)))
+    || allowedMethods(path).length > 0;
+}
+
+module.exports = {
+  operations,
+  components,
+  formats,
+  findOperation,
+  allowedMethods,
+  isCoordinatorPath
+};
@@ -0,0 +1,36 @@
+const { ok } = require('./helpers');
+
+/**
+ * Routes mounted at /knowledge-graph (and the /graph alias)
+ */
+module.exports = [
+  {
+    method: 'GET',
+    path: '/',
+    operationId: 'getKnowledgeGraph',
+    summary: 'Registered services and their relationships',
+    tags: ['Knowledge Graph'],
+    query: {
+      type: 'object',
+      properties: {
+        rebuild: { type: 'boolean', description: 'Rebuild instead of using the stored graph' }
+      }
+    },
+    responses: {
+      200: ok('Knowledge graph', { knowledgeGraph: { type: 'object' } }, ['knowledgeGraph'])
+    }
+  },
+  {
+    method: 'POST',
+    path: '/rebuild',
+    operationId: 'rebuildKnowledgeGraph',
+    summary: 'Rebuild the knowledge graph',
+    tags: ['Knowledge Graph'],
+    responses: {
+      200: ok('Graph rebuilt', {
+        message: { type: 'string' },
+        graph: { type: 'object' }
+      }, ['graph'])
+    }
+  }
+];
@@ -0,0 +1,15 @@
+/**
+ * Routes mounted at /metrics
+ */
+module.exports = [
+  {
+    method: 'GET',
+    path: '/',
+    operationId: 'getMetrics',
+    summary: 'Prometheus metrics',
+    tags: ['System'],
+    responses: {
+      200: { description: 'Metrics in the Prometheus text format', contentType: 'text/plain', schema: { type: 'string' } }
+    }
+  }
+];
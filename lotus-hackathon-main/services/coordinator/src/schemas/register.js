@@ -0,0 +1,218 @@
+const { ref, ok, failure, pathParams } = require('./helpers');
+
+/**
+ * Fields PATCH /register/:serviceId may change (instanceId picks the instance whose endpoint changes)
+ */
+const UPDATABLE_SERVICE_FIELDS = ['endpoint', 'version', 'healthCheck', 'description', 'metadata', 'grpcTls'];
+
+/**
+ * Service fields accepted by registration and updates
+ */
+const SERVICE_FIELDS = {
+  serviceName: { ...ref('NonEmptyString'), description: 'Service name (instances of a service share it)' },
+  version: { ...ref('NonEmptyString'), description: 'Service version' },
+  endpoint: { type: 'string', format: 'uri', description: 'Base URL of the instance' },
+  healthCheck: { type: 'string', description: 'Health check path (default /health)' },
+  description: { type: ['string', 'null'] },
+  metadata: { type: 'object', description: 'Free-form metadata (capabilities, tags, ...)' },
+  grpcTls: ref('GrpcTls')
+};
+
+const serviceId = pathParams({ serviceId: 'Service ID' });
+
+/**
+ * Routes mounted at /register
+ */
+module.exports = [
+  {
+    method: 'POST',
+    path: '/',
+    operationId: 'registerService',
+    summary: 'Register a service, or another instance of an already registered one',
+    tags: ['Registration'],
+    sanitize: true,
+    body: {
+      type: 'object',
+      required: ['serviceName', 'version', 'endpoint'],
+      properties: {
+        ...SERVICE_FIELDS,
+        migrationFile: ref('MigrationFile'),
+        leaseTtl: { ...ref('Milliseconds'), description: 'Lease length in ms (0 = no lease)' },
+        weight: {
+          type: 'integer',
+          minimum: 1,
+          'x-message': 'must be a positive integer',
+          description: 'Load balancing weight of this instance'
+        }
+      }
+    },
+    responses: {
+      201: ok('Service (instance) registered', {
+        message: { type: 'string' },
+        serviceId: { type: 'string' },
+        instanceId: { type: 'string' },
+        instanceCount: { type: 'integer' },
+        leaseTtl: { type: ['integer', 'null'] },
+        leaseExpiresAt: { type: ['string', 'null'] },
+        apiKey: { type: 'string', description: 'Service-scoped API key (only returned here)' },
+        apiKeyId: { type: 'string' },
+        signingKey: { type: 'object', description: '{ keyId, secret, algorithm } for envelope signatures' }
+      }, ['serviceId', 'instanceId'])
+    }
+  },
+  {
+    method: 'POST',
+    path: '/:serviceId/migration',
+    operationId: 'uploadMigration',
+    summary: 'Upload the migration file of a registered service (stage 2)',
+    tags: ['Registration'],
+    sanitize: true,
+    params: serviceId,
+    body: {
+      type: 'object',
+      required: ['migrationFile'],
+      properties: {
+        migrationFile: ref('MigrationFile')
+      }
+    },
+    responses: {
+      200: ok('Migration file stored', {
+        message: { type: 'string' },
+        serviceId: { type: 'string' },
+        status: { type: 'string' }
+      }, ['serviceId']),
+      404: failure('Service not found'),
+      409: failure('Service is draining')
+    }
+  },
+  {
+    method: 'POST',
+    path: '/:serviceId/signing-key/rotate',
+    operationId: 'rotateSigningKey',
+    summary: 'Replace the secret envelopes to a service are signed with',
+    tags: ['Registration'],
+    params: serviceId,
+    body: {
+      type: 'object',
+      properties: {
+        gracePeriod: {
+          ...ref('Milliseconds'),
+          description: 'ms the previous secret keeps signing (default ENVELOPE_SIGNING_ROTATION_GRACE_PERIOD)'
+        }
+      }
+    },
+    responses: {
+      200: ok('Signing key rotated', {
+        message: { type: 'string' },
+        serviceId: { type: 'string' },
+        signingKey: { type: 'object' }
+      }, ['serviceId', 'signingKey']),
+      404: failure('Service not found'),
+      409: failure('Envelope signing is disabled')
+    }
+  },
+  {
+    method: 'POST',
+    path: '/:serviceId/heartbeat',
+    operationId: 'heartbeat',
+    summary: "Renew an instance's lease",
+    tags: ['Registration'],
+    params: serviceId,
+    body: {
+      type: 'object',
+      properties: {
+        leaseTtl: {
+          type: 'integer',
+          minimum: 1,
+          'x-message': 'must be a positive integer (ms)',
+          description: 'New lease length in ms'
+        },
+        instanceId: { type: 'string', description: 'Required once a service has more than one instance' }
+      }
+    },
+    responses: {
+      200: ok('Lease renewed', {
+        serviceId: { type: 'string' },
+        instanceId: { type: 'string' },
+        status: { type: 'string' },
+        instanceStatus: { type: 'string' },
+        leaseTtl: { type: ['integer', 'null'] },
+        leaseExpiresAt: { type: ['string', 'null'] }
+      }, ['serviceId', 'instanceId']),
+      404: failure('Service or instance not found')
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/services',
+    operationId: 'deleteAllServices',
+    summary: 'Delete all services',
+    tags: ['Registration'],
+    responses: {
+      200: ok('Services deleted', {
+        deleted: { type: 'integer' },
+        message: { type: 'string' }
+      }, ['deleted'])
+    }
+  },
+  {
+    method: 'PATCH',
+    path: '/:serviceId',
+    operationId: 'updateService',
+    summary: 'Update endpoint, version, healthCheck, description, metadata or gRPC TLS settings of a service',
+    tags: ['Registration'],
+    sanitize: true,
+    params: serviceId,
+    body: {
+      type: 'object',
+      properties: {
+        ...Object.fromEntries(UPDATABLE_SERVICE_FIELDS.map(field => [field, SERVICE_FIELDS[field]])),
+        instanceId: { type: 'string', description: 'Instance whose endpoint changes' }
+      },
+      additionalProperties: false,
+      allOf: [{
+        anyOf: UPDATABLE_SERVICE_FIELDS.map(field => ({ required: [field] })),
+        'x-message': `must include at least one of ${UPDATABLE_SERVICE_FIELDS.join(', ')}`
+      }]
+    },
+    responses: {
+      200: ok('Service updated', {
+        message: { type: 'string' },
+        serviceId: { type: 'string' },
+        updated: { type: 'array', items: { type: 'string' } },
+        service: { type: 'object' }
+      }, ['serviceId', 'updated']),
+      404: failure('Service not found')
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/:serviceId',
+    operationId: 'deregisterService',
+    summary: 'Deregister a service, optionally after a drain period',
+    tags: ['Registration'],
+    params: serviceId,
+    query: {
+      type: 'object',
+      properties: {
+        drainPeriod: {
+          ...ref('Milliseconds'),
+          description: 'Stop new routes first and remove the service when the period ends'
+        }
+      }
+    },
+    responses: {
+      200: ok('Service deregistered', {
+        message: { type: 'string' },
+        serviceId: { type: 'string' }
+      }, ['serviceId']),
+      202: ok('Service is draining', {
+        message: { type: 'string' },
+        serviceId: { type: 'string' },
+        status: { const: 'draining' },
+        drainUntil: { type: 'string' }
+      }, ['serviceId', 'drainUntil']),
+      404: failure('Service not found')
+    }
+  }
+];
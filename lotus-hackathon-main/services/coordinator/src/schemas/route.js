@@ -0,0 +1,122 @@
+const { ref, ok, failure } = require('./helpers');
+
+/**
+ * Routing preferences shared by POST /route and POST /route/execute
+ */
+const ROUTING = {
+  type: 'object',
+  properties: {
+    strategy: { enum: ['single', 'multiple', 'broadcast'], description: 'How many services to route to (default single)' },
+    priority: { enum: ['speed', 'accuracy', 'cost'], description: 'What to optimize for (default accuracy)' }
+  }
+};
+
+/**
+ * Body of POST /route/execute (and POST /route?execute=true)
+ */
+const EXECUTE_BODY = {
+  type: 'object',
+  properties: {
+    query: ref('NonEmptyString'),
+    intent: ref('NonEmptyString'),
+    query_text: ref('NonEmptyString'),
+    metadata: { type: 'object' },
+    routing: ROUTING,
+    tenant_id: { type: 'string', description: 'Only used for unauthenticated requests' },
+    user_id: { type: 'string', description: 'Only used for unauthenticated requests' }
+  },
+  allOf: [{
+    anyOf: [{ required: ['query'] }, { required: ['intent'] }, { required: ['query_text'] }],
+    'x-message': 'must include "query", "intent" or "query_text"'
+  }]
+};
+
+const EXECUTE_RESPONSES = {
+  200: ok('Routed and called; result is the data of the service that answered', {
+    result: {},
+    envelope_json: { type: 'object' },
+    routing_metadata: { type: 'object' }
+  }),
+  502: failure('No service returned a good response')
+};
+
+/**
+ * Routes mounted at /route
+ */
+module.exports = [
+  {
+    method: 'POST',
+    path: '/execute',
+    operationId: 'executeRoute',
+    summary: 'Route and call the target service (same pipeline as the gRPC Route RPC)',
+    tags: ['Routing'],
+    sanitize: true,
+    body: EXECUTE_BODY,
+    responses: EXECUTE_RESPONSES
+  },
+  {
+    method: 'POST',
+    path: '/',
+    operationId: 'route',
+    summary: 'Determine which microservice should handle a request (execute=true also calls it)',
+    tags: ['Routing'],
+    sanitize: true,
+    query: {
+      type: 'object',
+      properties: {
+        execute: { type: 'boolean', description: 'Same as POST /route/execute' }
+      }
+    },
+    body: {
+      ...EXECUTE_BODY,
+      properties: {
+        ...EXECUTE_BODY.properties,
+        type: { ...ref('NonEmptyString'), description: 'Request type routing rules may match on (default http_query)' },
+        method: { type: 'string', description: 'Method of the request being routed' },
+        path: { type: 'string', description: 'Path of the request being routed' },
+        body: { description: 'Body of the request being routed' }
+      }
+    },
+    responses: {
+      ...EXECUTE_RESPONSES,
+      200: { description: 'Ranked target services (or the execute result)', schema: ref('RoutingResult') },
+      404: failure('No suitable service found'),
+      502: failure('No active services available for routing')
+    }
+  },
+  {
+    method: 'GET',
+    path: '/',
+    operationId: 'routeQuery',
+    summary: 'Routing information for a simple query',
+    tags: ['Routing'],
+    query: {
+      type: 'object',
+      properties: {
+        q: ref('NonEmptyString'),
+        query: ref('NonEmptyString'),
+        intent: ref('NonEmptyString'),
+        type: { ...ref('NonEmptyString'), description: 'Request type routing rules may match on (default query)' }
+      },
+      allOf: [{
+        anyOf: [{ required: ['q'] }, { required: ['query'] }, { required: ['intent'] }],
+        'x-message': 'must include "q", "query" or "intent"'
+      }]
+    },
+    responses: {
+      200: { description: 'Ranked target services', schema: ref('RoutingResult') },
+      404: failure('No suitable service found'),
+      502: failure('No active services available for routing')
+    }
+  },
+  {
+    method: 'GET',
+    path: '/context',
+    operationId: 'getRoutingContext',
+    summary: 'Routable services, capabilities and circuit breaker state',
+    tags: ['Routing'],
+    responses: {
+      200: ok('Routing context', { context: { type: 'object' } }, ['context'])
+    }
+  }
+];
@@ -0,0 +1,118 @@
+const { ref, ok, failure, pathParams } = require('./helpers');
+
+/**
+ * Fields of a rule accepted by create and update
+ */
+const RULE_FIELDS = {
+  name: ref('NonEmptyString'),
+  description: { type: ['string', 'null'] },
+  enabled: { type: 'boolean', description: 'Evaluate the rule (default true)' },
+  priority: { type: 'integer', description: 'Higher priorities are tried first (default 0)' },
+  match: ref('RoutingRuleMatch'),
+  target: {
+    type: 'object',
+    required: ['serviceName'],
+    properties: {
+      serviceName: { ...ref('NonEmptyString'), description: 'Service matching requests are routed to' }
+    },
+    additionalProperties: false
+  }
+};
+
+const ruleId = pathParams({ ruleId: 'Routing rule ID' });
+
+/**
+ * Routes mounted at /routing-rules
+ */
+module.exports = [
+  {
+    method: 'POST',
+    path: '/',
+    operationId: 'createRoutingRule',
+    summary: 'Create a rule sending matching requests to a service',
+    tags: ['Routing Rules'],
+    sanitize: true,
+    body: {
+      type: 'object',
+      required: ['name', 'match', 'target'],
+      properties: RULE_FIELDS,
+      additionalProperties: false
+    },
+    responses: {
+      201: ok('Rule created', {
+        message: { type: 'string' },
+        rule: ref('RoutingRule')
+      }, ['rule']),
+      409: failure('Too many rules')
+    }
+  },
+  {
+    method: 'GET',
+    path: '/',
+    operationId: 'listRoutingRules',
+    summary: 'List rules in evaluation order (highest priority first)',
+    tags: ['Routing Rules'],
+    query: {
+      type: 'object',
+      properties: {
+        serviceName: { type: 'string', description: 'Rules targeting this service' },
+        enabled: { type: 'boolean' }
+      }
+    },
+    responses: {
+      200: ok('Rules', {
+        rules: { type: 'array', items: ref('RoutingRule') },
+        total: { type: 'integer' }
+      }, ['rules', 'total'])
+    }
+  },
+  {
+    method: 'GET',
+    path: '/:ruleId',
+    operationId: 'getRoutingRule',
+    summary: 'Get one rule',
+    tags: ['Routing Rules'],
+    params: ruleId,
+    responses: {
+      200: ok('Rule', { rule: ref('RoutingRule') }, ['rule']),
+      404: failure('Routing rule not found')
+    }
+  },
+  {
+    method: 'PATCH',
+    path: '/:ruleId',
+    operationId: 'updateRoutingRule',
+    summary: 'Change a rule (match, when given, replaces the conditions as a whole)',
+    tags: ['Routing Rules'],
+    sanitize: true,
+    params: ruleId,
+    body: {
+      type: 'object',
+      properties: RULE_FIELDS,
+      additionalProperties: false,
+      minProperties: 1
+    },
+    responses: {
+      200: ok('Rule updated', {
+        message: { type: 'string' },
+        rule: ref('RoutingRule')
+      }, ['rule']),
+      404: failure('Routing rule not found')
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/:ruleId',
+    operationId: 'deleteRoutingRule',
+    summary: 'Delete a rule (matching requests are ranked again)',
+    tags: ['Routing Rules'],
+    params: ruleId,
+    responses: {
+      200: ok('Rule deleted', {
+        message: { type: 'string' },
+        rule: ref('RoutingRule')
+      }, ['rule']),
+      404: failure('Routing rule not found')
+    }
+  }
+];
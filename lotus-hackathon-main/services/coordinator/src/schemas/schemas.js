@@ -0,0 +1,89 @@
+const { ref, ok, failure, pathParams } = require('./helpers');
+
+/**
+ * Routes mounted at /schemas
+ */
+module.exports = [
+  {
+    method: 'GET',
+    path: '/',
+    operationId: 'listSchemas',
+    summary: 'List all registered schemas',
+    tags: ['Schema Registry'],
+    responses: {
+      200: ok('Schemas of every service')
+    }
+  },
+  {
+    method: 'GET',
+    path: '/:serviceId',
+    operationId: 'getServiceSchemas',
+    summary: 'All schemas of a service',
+    tags: ['Schema Registry'],
+    params: pathParams({ serviceId: 'Service ID' }),
+    responses: {
+      200: ok('Schemas of the service'),
+      404: failure('Service not found')
+    }
+  },
+  {
+    method: 'GET',
+    path: '/:serviceId/:schemaType',
+    operationId: 'getSchema',
+    summary: 'One schema type of a service',
+    tags: ['Schema Registry'],
+    params: pathParams({ serviceId: 'Service ID', schemaType: 'Schema type (api, events, database, ...)' }),
+    query: {
+      type: 'object',
+      properties: {
+        version: { type: 'string', description: 'Schema version (default latest)' }
+      }
+    },
+    responses: {
+      200: ok('Schema', {
+        serviceId: { type: 'string' },
+        schemaType: { type: 'string' },
+        version: { type: 'string' },
+        schema: {}
+      }, ['schema']),
+      404: failure('Schema type not found for the service')
+    }
+  },
+  {
+    method: 'POST',
+    path: '/:serviceId/validate',
+    operationId: 'validateAgainstSchema',
+    summary: 'Validate data against a schema of a service',
+    tags: ['Schema Registry'],
+    sanitize: true,
+    params: pathParams({ serviceId: 'Service ID' }),
+    body: {
+      type: 'object',
+      required: ['data', 'schemaType', 'schemaName'],
+      properties: {
+        data: { description: 'Data to validate' },
+        schemaType: ref('NonEmptyString'),
+        schemaName: ref('NonEmptyString')
+      }
+    },
+    responses: {
+      200: ok('Validation result', {
+        valid: { type: 'boolean' },
+        errors: { type: 'array', items: { type: 'string' } }
+      }, ['valid']),
+      404: failure('Service or schema not found')
+    }
+  },
+  {
+    method: 'GET',
+    path: '/:serviceId/compare/:version1/:version2',
+    operationId: 'compareSchemaVersions',
+    summary: 'Compare two schema versions',
+    tags: ['Schema Registry'],
+    params: pathParams({ serviceId: 'Service ID', version1: 'First version', version2: 'Second version' }),
+    responses: {
+      200: ok('Differences between the versions'),
+      404: failure('Service or version not found')
+    }
+  }
+];
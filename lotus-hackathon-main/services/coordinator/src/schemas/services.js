@@ -0,0 +1,104 @@
+const discoveryConfig = require('../config/discovery');
+const { ref, ok, failure, pathParams } = require('./helpers');
+
+/**
+ * Query parameter given as a comma list and/or repeated (?tag=a,b&tag=c)
+ * @param {string} description - What the values are
+ * @returns {Object}
+ */
+const listParam = (description) => ({
+  type: ['string', 'array'],
+  items: { type: 'string' },
+  description: `${description} (comma list, or repeat the parameter)`
+});
+
+/**
+ * Routes mounted at /services (and the /registry alias)
+ */
+module.exports = [
+  {
+    method: 'GET',
+    path: '/',
+    operationId: 'listServices',
+    summary: 'Find registered services',
+    tags: ['Service Discovery'],
+    query: {
+      type: 'object',
+      properties: {
+        status: listParam('Service statuses'),
+        capability: listParam('Capabilities (metadata.capabilities)'),
+        tag: listParam('Tags (metadata.tags)'),
+        version: { type: 'string', format: 'version-range', description: 'Version range (^1.2, >=1.0 <2, 1.x)' },
+        q: { type: 'string', description: 'Text in the name or description' },
+        sort: { enum: discoveryConfig.sortFields },
+        order: { enum: ['asc', 'desc'] },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: discoveryConfig.maxLimit,
+          description: `Services per page (default ${discoveryConfig.defaultLimit})`
+        },
+        cursor: { type: 'string', description: 'nextCursor of the previous page' },
+        view: { enum: discoveryConfig.views }
+      }
+    },
+    responses: {
+      200: ok('Matching services', {
+        services: {
+          type: 'array',
+          items: { anyOf: [ref('ServiceSummary'), ref('ServiceDetails')] },
+          description: 'ServiceSummary, or ServiceDetails with view=full'
+        },
+        total: { type: 'integer' },
+        nextCursor: { type: ['string', 'null'] }
+      }, ['services', 'total'])
+    }
+  },
+  {
+    method: 'GET',
+    path: '/health',
+    operationId: 'getServiceHealth',
+    summary: 'Health check poller status and per-instance probe state',
+    tags: ['Service Discovery'],
+    responses: {
+      200: ok('Poller and instance health', {
+        poller: { type: 'object' },
+        services: { type: 'array', items: { type: 'object' } }
+      }, ['poller', 'services'])
+    }
+  },
+  {
+    method: 'GET',
+    path: '/sync-status',
+    operationId: 'getSyncStatus',
+    summary: 'Supabase outage state and writes queued for replay',
+    tags: ['Service Discovery'],
+    responses: {
+      200: ok('Storage sync status')
+    }
+  },
+  {
+    method: 'GET',
+    path: '/by-name/:name',
+    operationId: 'getServiceByName',
+    summary: 'Service details by service name',
+    tags: ['Service Discovery'],
+    params: pathParams({ name: 'Service name' }),
+    responses: {
+      200: ok('Service', { service: ref('ServiceDetails') }, ['service']),
+      404: failure('Service not found')
+    }
+  },
+  {
+    method: 'GET',
+    path: '/:serviceId',
+    operationId: 'getService',
+    summary: 'Service details by ID',
+    tags: ['Service Discovery'],
+    params: pathParams({ serviceId: 'Service ID' }),
+    responses: {
+      200: ok('Service', { service: ref('ServiceDetails') }, ['service']),
+      404: failure('Service not found')
+    }
+  }
+];
@@ -0,0 +1,68 @@
+const { ok } = require('./helpers');
+
+/**
+ * Endpoints registered on the app itself
+ */
+module.exports = [
+  {
+    method: 'GET',
+    path: '/',
+    operationId: 'getRoot',
+    summary: 'Coordinator name and status',
+    tags: ['System'],
+    responses: {
+      200: { description: 'Running', schema: { type: 'object', properties: { service: { type: 'string' }, status: { type: 'string' } } } }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/health',
+    operationId: 'getHealth',
+    summary: 'Liveness check (no dependencies)',
+    tags: ['System'],
+    responses: {
+      200: { description: 'Healthy', schema: { type: 'object', properties: { status: { const: 'healthy' } } } }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/ready',
+    operationId: 'getReady',
+    summary: 'Readiness check (routes and services loaded)',
+    tags: ['System'],
+    responses: {
+      200: { description: 'Ready', schema: { type: 'object', properties: { status: { const: 'ready' } } } },
+      503: { description: 'Still starting', schema: { type: 'object', properties: { status: { const: 'starting' } } } }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/info',
+    operationId: 'getInfo',
+    summary: 'Version, configuration summaries and endpoint list',
+    tags: ['System'],
+    responses: {
+      200: { description: 'Coordinator information', schema: { type: 'object', required: ['service', 'version'] } }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/test',
+    operationId: 'getTest',
+    summary: 'Check that the server responds',
+    tags: ['System'],
+    responses: {
+      200: ok('Responding', { routesReady: { type: 'boolean' } })
+    }
+  },
+  {
+    method: 'GET',
+    path: '/openapi.json',
+    operationId: 'getOpenApiDocument',
+    summary: 'OpenAPI document of the coordinator (generated from these route schemas)',
+    tags: ['System'],
+    responses: {
+      200: { description: 'OpenAPI 3.1 document', schema: { type: 'object', required: ['openapi', 'paths'] } }
+    }
+  }
+];
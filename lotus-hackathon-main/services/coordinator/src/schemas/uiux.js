@@ -0,0 +1,44 @@
+const { ok, failure } = require('./helpers');
+
+/**
+ * Routes mounted at /uiux
+ */
+module.exports = [
+  {
+    method: 'POST',
+    path: '/',
+    operationId: 'updateUiuxConfig',
+    summary: 'Upload or update the UI/UX configuration',
+    tags: ['UI/UX'],
+    sanitize: true,
+    body: {
+      type: 'object',
+      required: ['config'],
+      properties: {
+        config: { type: 'object', description: 'Configuration sections (theme, components, ...)' }
+      }
+    },
+    responses: {
+      200: ok('Configuration stored', {
+        message: { type: 'string' },
+        version: { type: 'integer' },
+        lastUpdated: { type: 'string' }
+      }, ['version'])
+    }
+  },
+  {
+    method: 'GET',
+    path: '/',
+    operationId: 'getUiuxConfig',
+    summary: 'Current UI/UX configuration',
+    tags: ['UI/UX'],
+    responses: {
+      200: ok('Configuration', {
+        config: { type: 'object' },
+        lastUpdated: { type: 'string' },
+        version: { type: 'integer' }
+      }, ['config']),
+      404: failure('No configuration uploaded yet')
+    }
+  }
+];
@@ -1,54 +1,100 @@
-const OpenAI = require('openai');
 const logger = require('../utils/logger');
 const registryService = require('./registryService');
+const circuitBreakerService = require('./circuitBreakerService');
+const routingCacheService = require('./routingCacheService');
+const semanticRoutingService = require('./semanticRoutingService');
+const lexicalRoutingService = require('./lexicalRoutingService');
+const routingRulesService = require('./routingRulesService');
+const aiConfig = require('../config/ai');
+const redactionConfig = require('../config/redaction');
+const { redact } = require('../utils/redaction');
+const { createProvider } = require('../llm');
+const { requestText } = require('../utils/serviceDocument');
+
+/**
+ * System prompt of every routing call
+ */
+const SYSTEM_PROMPT = 'You are a microservices router. Analyze requests and determine the best service(s) to handle them. Always respond with valid JSON.';
 
 /**
  * AI-Powered Routing Service
- * Uses OpenAI to intelligently route requests to appropriate microservices
+ * Asks a model (OpenAI, Anthropic, Azure OpenAI, a local server or scripted
+ * fixtures, see src/llm) to route requests to appropriate microservices
  */
 class AIRoutingService {
   constructor() {
-    this.openai = null;
-    this.aiEnabled = process.env.AI_ROUTING_ENABLED === 'true';
-    this.fallbackEnabled = process.env.AI_FALLBACK_ENABLED !== 'false';
-    
-    if (this.aiEnabled && process.env.OPENAI_API_KEY) {
+    this.provider = null;
+    this.aiEnabled = aiConfig.enabled;
+    this.fallbackEnabled = aiConfig.fallbackEnabled;
+
+    if (this.aiEnabled) {
       try {
-        this.openai = new OpenAI({
-          apiKey: process.env.OPENAI_API_KEY,
-        });
-        logger.info('AI Routing Service initialized with OpenAI');
+        this.provider = createProvider();
+        logger.info('AI Routing Service initialized', this.provider.getStatus());
       } catch (error) {
-        logger.error('Failed to initialize OpenAI client', { error: error.message });
+        logger.error('Failed to initialize AI provider, using lexical matching', {
+          provider: aiConfig.provider,
+          error: error.message
+        });
         this.aiEnabled = false;
       }
     } else {
-      logger.info('AI Routing Service initialized without OpenAI (disabled or no API key)');
+      logger.info('AI Routing Service initialized without a model (AI routing disabled)');
     }
   }
 
+  /**
+   * Replace the model provider (e.g. a scripted provider in tests); enables AI routing
+   * @param {Object} provider - Object with complete(), name, model and getStatus() (see src/llm)
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    this.aiEnabled = Boolean(provider);
+    logger.info('AI provider replaced', { provider: provider?.name || null });
+  }
+
   /**
    * Route a request to appropriate microservice(s)
    * @param {Object} data - Request data
-   * @param {Object} routing - Routing configuration
-   * @returns {Promise<Object>} - Routing result
+   * @param {Object} routing - Routing configuration ({ strategy, priority, tenantId,
+   *   headers: HTTP headers routing rules may match on })
+   * @returns {Promise<Object>} - Routing result (method: rule, ai, cache, semantic or fallback)
    */
   async routeRequest(data, routing = {}) {
     const startTime = Date.now();
     
     try {
-      // Get all active services
+      // Get all routable services (active, plus degraded ones ranked last)
       const services = await registryService.getAllServicesFull();
-      const activeServices = services.filter(service => service.status === 'active');
+      const activeServices = services.filter(service => registryService.isRoutable(service));
 
       if (activeServices.length === 0) {
         throw new Error('No active services available for routing');
       }
 
-      let routingResult;
+      // A declared routing rule decides before any ranking
+      let routingResult = await this._ruleRoute(data, activeServices, routing);
+
+      // Same query, context, tenant and registry version as a recent AI decision: reuse it
+      const cacheKey = !routingResult && this.aiEnabled && this.provider && routingCacheService.isEnabled()
+        ? routingCacheService.keyFor(data, routing, activeServices, this._promptRequest(data))
+        : null;
+      const cached = cacheKey ? routingCacheService.get(cacheKey) : null;
 
-      // Try AI routing first if enabled
-      if (this.aiEnabled && this.openai) {
+      if (routingResult) {
+        logger.info('Request routed by rule', {
+          ruleId: routingResult.rule.id,
+          rule: routingResult.rule.name,
+          primaryTarget: routingResult.primaryTarget.serviceName
+        });
+      } else if (cached) {
+        routingResult = { ...structuredClone(cached), method: 'cache' };
+        logger.info('Routing decision served from cache', {
+          primaryTarget: routingResult.primaryTarget?.serviceName,
+          totalCandidates: routingResult.totalCandidates
+        });
+      } else if (this.aiEnabled && this.provider) {
+        // Try AI routing first if enabled
         try {
           routingResult = await this._aiRoute(data, activeServices, routing);
           logger.info('AI routing successful', {
@@ -56,24 +102,34 @@ class AIRoutingService {
             totalCandidates: routingResult.totalCandidates,
             primaryTarget: routingResult.primaryTarget?.serviceName,
             confidence: routingResult.primaryTarget?.confidence,
-            aiModel: process.env.AI_MODEL || 'gpt-4o-mini'
+            aiProvider: this.provider.name,
+            aiModel: this.provider.model
           });
+
+          // Semantic and lexical results are not cached, so AI routing is retried next time
+          if (cacheKey) {
+            routingCacheService.set(cacheKey, structuredClone(routingResult));
+          }
         } catch (aiError) {
-          logger.warn('AI routing failed, falling back to keyword matching', {
+          logger.warn('AI routing failed, falling back to semantic and lexical matching', {
             error: aiError.message
           });
           
-          if (this.fallbackEnabled) {
-            routingResult = await this._fallbackRoute(data, activeServices, routing);
-          } else {
+          if (!this.fallbackEnabled) {
             throw aiError;
           }
         }
-      } else {
-        // Use fallback routing
-        routingResult = await this._fallbackRoute(data, activeServices, routing);
       }
 
+      // No AI decision: semantic similarity, then lexical matching
+      if (!routingResult) {
+        routingResult = await this._semanticRoute(data, activeServices)
+          || await this._fallbackRoute(data, activeServices, routing);
+      }
+
+      routingResult = this._demoteDegraded(routingResult, activeServices);
+      routingResult = this._attachInstances(routingResult, activeServices);
+
       const processingTime = Date.now() - startTime;
       
       return {
@@ -86,7 +142,8 @@ class AIRoutingService {
           totalCandidates: routingResult.totalCandidates || routingResult.targetServices.length,
           strategy: routing.strategy || 'single',
           processingTime: `${processingTime}ms`,
-          method: routingResult.method || 'fallback'
+          method: routingResult.method || 'fallback',
+          ...(routingResult.rule && { rule: routingResult.rule })
         }
       };
 
@@ -103,7 +160,7 @@ class AIRoutingService {
   }
 
   /**
-   * AI-powered routing using OpenAI
+   * AI-powered routing using the configured provider
    * @param {Object} data - Request data
    * @param {Array} services - Available services
    * @param {Object} routing - Routing configuration
@@ -111,44 +168,47 @@ class AIRoutingService {
    * @private
    */
   async _aiRoute(data, services, routing) {
-    const prompt = this._buildRoutingPrompt(data, services, routing);
-    
-    const response = await this.openai.chat.completions.create({
-      model: process.env.AI_MODEL || 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a microservices router. Analyze requests and determine the best service(s) to handle them. Always respond with valid JSON.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.1,
-      max_tokens: 2000 // Increased to accommodate 5-10 candidates
+    const request = this._promptRequest(data);
+    const prompt = this._buildRoutingPrompt(data, services, routing, request);
+
+    const aiResponse = await this.provider.complete({
+      system: SYSTEM_PROMPT,
+      prompt,
+      request
     });
 
-    const aiResponse = response.choices[0].message.content;
     return this._parseAIResponse(aiResponse, services);
   }
 
+  /**
+   * Request data as the model sees it
+   * Secrets and personal data never leave for the model; equal values share a mask
+   * @param {Object} data - Request data
+   * @returns {Object} - { type, payload, context }
+   * @private
+   */
+  _promptRequest(data) {
+    return this._redactForPrompt({ type: data.type, payload: data.payload, context: data.context || {} });
+  }
+
   /**
    * Build routing prompt for AI
    * @param {Object} data - Request data
    * @param {Array} services - Available services
    * @param {Object} routing - Routing configuration
+   * @param {Object} request - Request data as the model sees it (built from data when omitted)
    * @returns {string} - Formatted prompt
    * @private
    */
-  _buildRoutingPrompt(data, services, routing) {
+  _buildRoutingPrompt(data, services, routing, request = this._promptRequest(data)) {
     logger.info('Building AI prompt', {
       servicesCount: services.length,
       dataType: typeof data,
       query: data
     });
     
-    const serviceDescriptions = services.map(service => {
+    // Service data is masked like the request (see _promptRequest)
+    const serviceDescriptions = this._redactForPrompt(services.map(service => {
       const capabilities = service.metadata?.capabilities || [];
       const endpoints = service.migrationFile?.api?.endpoints || [];
       const events = service.migrationFile?.events || {};
@@ -168,14 +228,14 @@ class AIRoutingService {
   Publishes Events: ${events.publishes?.join(', ') || 'none'}
   Subscribes to Events: ${events.subscribes?.join(', ') || 'none'}
   Description: ${service.description || 'No description'}`;
-    }).join('\n');
+    }).join('\n'));
 
     return `You are a microservices router. Analyze the following request and determine which service(s) should handle it.
 
 Request Details:
-- Type: ${data.type}
-- Payload: ${JSON.stringify(data.payload, null, 2)}
-- Context: ${JSON.stringify(data.context || {}, null, 2)}
+- Type: ${request.type}
+- Payload: ${JSON.stringify(request.payload, null, 2)}
+- Context: ${JSON.stringify(request.context, null, 2)}
 
 Routing Strategy: ${routing.strategy || 'single'}
 Priority: ${routing.priority || 'accuracy'}
@@ -215,6 +275,16 @@ IMPORTANT:
 If no services match well, return an empty targetServices array with reasoning.`;
   }
 
+  /**
+   * Mask secrets and personal data in prompt content (config/redaction.js)
+   * @param {*} value - Request data or prompt text
+   * @returns {*} - Masked copy, or the value itself when prompt redaction is off
+   * @private
+   */
+  _redactForPrompt(value) {
+    return redactionConfig.prompts ? redact(value) : value;
+  }
+
   /**
    * Parse AI response into structured routing decision
    * @param {string} aiResponse - Raw AI response
@@ -313,91 +383,137 @@ If no services match well, return an empty targetServices array with reasoning.`
   }
 
   /**
-   * Fallback routing using keyword matching
+   * Routing by the first matching routing rule (see routingRulesService)
    * @param {Object} data - Request data
    * @param {Array} services - Available services
    * @param {Object} routing - Routing configuration
-   * @returns {Promise<Object>} - Routing result
+   * @returns {Promise<Object|null>} - Routing result with only the rule's target, or null
+   *   when no rule matches (or the rules can't be read) and the request is ranked instead
    * @private
    */
-  async _fallbackRoute(data, services, routing) {
-    logger.info('Using fallback keyword-based routing');
+  async _ruleRoute(data, services, routing) {
+    if (!routingRulesService.isEnabled()) {
+      return null;
+    }
 
-    const matches = [];
-    const requestText = JSON.stringify(data).toLowerCase();
-    
-    for (const service of services) {
-      let score = 0;
-      const reasons = [];
-
-      // Check service name match
-      if (requestText.includes(service.serviceName.toLowerCase())) {
-        score += 0.8;
-        reasons.push('service name match');
-      }
+    const request = data.payload?.context || data.context || {};
+    let matched;
+    try {
+      matched = await routingRulesService.evaluate({
+        method: request.method,
+        path: request.path,
+        headers: routing.headers || {},
+        type: data.type,
+        tenantId: routing.tenantId ?? data.context?.tenantId,
+        query: requestText(data)
+      }, services);
+    } catch (error) {
+      logger.warn('Routing rules failed, ranking the request instead', { error: error.message });
+      return null;
+    }
 
-      // Check capabilities match
-      const capabilities = service.metadata?.capabilities || [];
-      for (const capability of capabilities) {
-        if (requestText.includes(capability.toLowerCase())) {
-          score += 0.6;
-          reasons.push(`capability match: ${capability}`);
-        }
-      }
+    if (!matched) {
+      return null;
+    }
 
-      // Check API endpoints match
-      const endpoints = service.migrationFile?.api?.endpoints || [];
-      for (const endpoint of endpoints) {
-        const pathParts = endpoint.path?.toLowerCase().split('/') || [];
-        for (const part of pathParts) {
-          if (part && requestText.includes(part)) {
-            score += 0.4;
-            reasons.push(`endpoint match: ${part}`);
-          }
-        }
-      }
+    const { rule, service } = matched;
+    const target = {
+      serviceName: service.serviceName,
+      endpoint: service.endpoint,
+      confidence: 1,
+      reasoning: `Routing rule "${rule.name}"`
+    };
 
-      // Check events match
-      const events = service.migrationFile?.events || {};
-      const allEvents = [...(events.publishes || []), ...(events.subscribes || [])];
-      for (const event of allEvents) {
-        if (requestText.includes(event.toLowerCase())) {
-          score += 0.5;
-          reasons.push(`event match: ${event}`);
-        }
-      }
+    return {
+      targetServices: [target],
+      rankedServices: [target],
+      primaryTarget: target,
+      backupTargets: [],
+      totalCandidates: 1,
+      method: 'rule',
+      rule: { id: rule.id, name: rule.name, priority: rule.priority }
+    };
+  }
 
-      // Check data type match
-      if (data.type && service.serviceName.toLowerCase().includes(data.type.toLowerCase())) {
-        score += 0.7;
-        reasons.push('data type match');
-      }
+  /**
+   * Routing by embedding similarity of the request to each service (see semanticRoutingService)
+   * @param {Object} data - Request data
+   * @param {Array} services - Available services
+   * @returns {Promise<Object|null>} - Routing result, or null when no service is similar
+   *   enough (or the embeddings fail) and lexical matching should decide
+   * @private
+   */
+  async _semanticRoute(data, services) {
+    if (!semanticRoutingService.isEnabled()) {
+      return null;
+    }
 
-      if (score > 0) {
-        matches.push({
-          serviceName: service.serviceName,
-          endpoint: service.endpoint,
-          confidence: Math.min(score, 1.0),
-          reasoning: `Keyword matching: ${reasons.join(', ')}`
-        });
-      }
+    let matches;
+    try {
+      matches = await semanticRoutingService.rank(data, services);
+    } catch (error) {
+      logger.warn('Semantic routing failed, using lexical matching', { error: error.message });
+      return null;
+    }
+
+    if (matches.length === 0) {
+      logger.debug('No service is semantically similar enough, using lexical matching');
+      return null;
     }
 
-    // Sort by confidence descending
-    matches.sort((a, b) => b.confidence - a.confidence);
+    const rankedServices = matches.map(match => {
+      const service = services.find(s => s.serviceName === match.serviceName);
+      return {
+        serviceName: service.serviceName,
+        endpoint: service.endpoint,
+        confidence: match.confidence,
+        similarity: match.similarity,
+        reasoning: `Semantic similarity ${match.similarity}` +
+          (match.terms.length > 0 ? ` (shared terms: ${match.terms.slice(0, 5).join(', ')})` : '')
+      };
+    });
+
+    logger.info('Semantic routing successful', {
+      primaryTarget: rankedServices[0].serviceName,
+      similarity: rankedServices[0].similarity,
+      totalCandidates: rankedServices.length
+    });
 
-    // Filter by confidence > 0.3 and limit to 10 candidates
-    let rankedServices = matches
-      .filter(m => m.confidence > 0.3)
-      .slice(0, 10); // Maximum 10 candidates
+    return {
+      targetServices: rankedServices,
+      rankedServices,
+      primaryTarget: rankedServices[0],
+      backupTargets: rankedServices.slice(1, 5), // Top 4 backups (ranks 2-5)
+      totalCandidates: rankedServices.length,
+      method: 'semantic'
+    };
+  }
 
-    // If no matches found with confidence > 0.3, return top matches anyway (for cascading)
-    if (rankedServices.length === 0 && matches.length > 0) {
-      rankedServices = matches.slice(0, 10);
-    }
+  /**
+   * Fallback routing by BM25 lexical ranking (see lexicalRoutingService)
+   * @param {Object} data - Request data
+   * @param {Array} services - Available services
+   * @param {Object} routing - Routing configuration
+   * @returns {Promise<Object>} - Routing result
+   * @private
+   */
+  async _fallbackRoute(data, services, routing) {
+    logger.info('Using fallback lexical routing');
 
-    // If still no matches, return ALL available services with low confidence (for cascading)
-    // This ensures cascade can try all services even without keyword matches
+    let rankedServices = lexicalRoutingService.rank(data, services).map(match => {
+      const service = services.find(s => s.serviceName === match.serviceName);
+      const terms = Object.entries(match.matches)
+        .map(([term, fields]) => `${term} (${fields.join(', ')})`);
+      return {
+        serviceName: service.serviceName,
+        endpoint: service.endpoint,
+        confidence: match.confidence,
+        reasoning: `Lexical match, BM25 ${match.score}: ${terms.join('; ')}`
+      };
+    });
+
+    // If no service shares a term with the request, return ALL available services with low confidence (for cascading)
+    // This ensures cascade can try all services even without lexical matches
     if (rankedServices.length === 0 && services.length > 0) {
       rankedServices = services.map((service, index) => ({
         serviceName: service.serviceName,
@@ -421,21 +537,93 @@ If no services match well, return an empty targetServices array with reasoning.`
     };
   }
 
+  /**
+   * Move degraded services behind active ones so cascading tries healthy services first
+   * @param {Object} routingResult - Routing result from AI or fallback routing
+   * @param {Array} services - Routable services
+   * @returns {Object} - Routing result with reordered candidates
+   * @private
+   */
+  _demoteDegraded(routingResult, services) {
+    const degraded = new Set(
+      services.filter(s => s.status === 'degraded').map(s => s.serviceName)
+    );
+
+    if (degraded.size === 0) {
+      return routingResult;
+    }
+
+    const ranked = routingResult.rankedServices || routingResult.targetServices;
+    const reordered = [
+      ...ranked.filter(s => !degraded.has(s.serviceName)),
+      ...ranked.filter(s => degraded.has(s.serviceName))
+    ];
+
+    return {
+      ...routingResult,
+      targetServices: reordered,
+      rankedServices: reordered,
+      primaryTarget: reordered[0] || null,
+      backupTargets: reordered.slice(1, 5)
+    };
+  }
+
+  /**
+   * Attach service IDs and instances to ranked candidates so callers can
+   * load-balance without another registry lookup
+   * @param {Object} routingResult - Result from AI or fallback routing
+   * @param {Array} services - Routable services
+   * @returns {Object} - Routing result with instances on each candidate
+   * @private
+   */
+  _attachInstances(routingResult, services) {
+    const byName = new Map(services.map(s => [s.serviceName, s]));
+    const attach = candidate => {
+      const service = byName.get(candidate.serviceName);
+      return service
+        ? { ...candidate, serviceId: service.id, instances: service.instances }
+        : candidate;
+    };
+
+    const ranked = (routingResult.rankedServices || routingResult.targetServices).map(attach);
+
+    return {
+      ...routingResult,
+      targetServices: routingResult.targetServices.map(attach),
+      rankedServices: ranked,
+      primaryTarget: routingResult.primaryTarget ? attach(routingResult.primaryTarget) : null,
+      backupTargets: (routingResult.backupTargets || []).map(attach)
+    };
+  }
+
   /**
    * Get routing context for debugging
    * @returns {Promise<Object>} - Current routing context
    */
   async getRoutingContext() {
     const services = await registryService.getAllServicesFull();
-    const activeServices = services.filter(service => service.status === 'active');
+    const activeServices = services.filter(service => registryService.isRoutable(service));
 
     return {
       aiEnabled: this.aiEnabled,
+      aiProvider: this.provider ? this.provider.getStatus() : null,
       fallbackEnabled: this.fallbackEnabled,
+      rules: routingRulesService.getStatus(),
+      cache: routingCacheService.getStatus(),
+      semantic: semanticRoutingService.getStatus(),
+      lexical: lexicalRoutingService.getStatus(),
       totalServices: services.length,
       activeServices: activeServices.length,
       services: activeServices.map(service => ({
         serviceName: service.serviceName,
+        status: service.status,
+        instances: (service.instances || []).map(instance => ({
+          instanceId: instance.instanceId,
+          endpoint: instance.endpoint,
+          status: instance.status,
+          weight: instance.weight
+        })),
+        circuitBreaker: circuitBreakerService.getState(service.serviceName),
         capabilities: service.metadata?.capabilities || [],
         endpoints: service.migrationFile?.api?.endpoints?.length || 0,
         events: {
@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const storage = require('../storage');
+const authConfig = require('../config/auth');
+const changelogService = require('./changelogService');
+
+/**
+ * Storage collection holding API keys (hashes only, never the key itself)
+ */
+const COLLECTION = 'api_keys';
+
+/**
+ * Key format: ck_<keyId>_<secret>
+ */
+const KEY_PATTERN = /^ck_([0-9a-f]{24})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Permission names a key may carry ('*', 'area:*' or 'area:action')
+ */
+const PERMISSION_PATTERN = /^(\*|[a-z][a-z-]*:(\*|[a-z][a-z-]*))$/;
+
+/**
+ * Hash a key secret (secrets are 256 random bits, so a plain digest is enough)
+ * @private
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Build a request error
+ * @private
+ */
+function requestError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * API Key Service - Credentials for microservices and client applications
+ * Keys are scoped to a tenant and a set of permissions (service keys also to
+ * one service), stored as SHA-256 hashes and shown in full only when issued
+ */
+class ApiKeyService {
+  constructor() {
+    this.store = storage;
+    this.config = authConfig.apiKeys;
+    this.touched = new Map(); // keyId -> last lastUsedAt write (ms)
+  }
+
+  /**
+   * Whether API keys are accepted
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Issue a new key
+   * @param {Object} options - Key options
+   * @param {string} options.name - Label shown in listings
+   * @param {string} options.tenantId - Tenant the key acts for
+   * @param {Array<string>} options.permissions - Granted permissions
+   * @param {string} options.serviceId - Service the key is limited to (service keys)
+   * @param {number} options.ttl - Lifetime in ms (0 = no expiry, default API_KEYS_DEFAULT_TTL)
+   * @param {string} options.createdBy - Caller that issued the key
+   * @param {string} options.rotatedFrom - Key this one replaces
+   * @returns {Promise<Object>} - { key, apiKey } (key is the secret, only returned here)
+   */
+  async issue({ name, tenantId, permissions, serviceId = null, ttl, createdBy = null, rotatedFrom = null }) {
+    const invalid = (permissions || []).filter(permission => !PERMISSION_PATTERN.test(permission));
+    if (!Array.isArray(permissions) || permissions.length === 0 || invalid.length > 0) {
+      throw requestError(`permissions must be a non-empty list of permission names${invalid.length ? ` (invalid: ${invalid.join(', ')})` : ''}`, 400);
+    }
+
+    const lifetime = ttl ?? this.config.defaultTtl;
+    if (!Number.isInteger(lifetime) || lifetime < 0) {
+      throw requestError('ttl must be a non-negative integer (ms)', 400);
+    }
+
+    const keyId = crypto.randomBytes(12).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    const doc = {
+      id: keyId,
+      name: name || (serviceId ? `service ${serviceId}` : 'api key'),
+      type: serviceId ? 'service' : 'client',
+      tenantId: tenantId || 'default',
+      serviceId,
+      permissions: [...new Set(permissions)],
+      hash: hashSecret(secret),
+      prefix: `ck_${keyId}_${secret.slice(0, 4)}`,
+      createdAt: now.toISOString(),
+      createdBy,
+      expiresAt: lifetime > 0 ? new Date(now.getTime() + lifetime).toISOString() : null,
+      lastUsedAt: null,
+      revokedAt: null,
+      rotatedFrom,
+      rotatedTo: null
+    };
+
+    await this.store.put(COLLECTION, doc);
+    changelogService.recordApiKeyOperation(rotatedFrom ? 'rotate' : 'issue', {
+      keyId,
+      type: doc.type,
+      tenantId: doc.tenantId,
+      serviceId,
+      permissions: doc.permissions,
+      rotatedFrom
+    }, createdBy || 'system');
+
+    logger.info('API key issued', { keyId, type: doc.type, tenantId: doc.tenantId, serviceId });
+
+    return { key: `ck_${keyId}_${secret}`, apiKey: this._toPublic(doc) };
+  }
+
+  /**
+   * Issue the key returned by service registration
+   * @param {Object} service - Registered service
+   * @param {Object|null} owner - { tenantId, userId } of the registering caller
+   * @returns {Promise<Object>} - { key, apiKey }
+   */
+  async issueServiceKey(service, owner) {
+    return this.issue({
+      name: `${service.serviceName} service key`,
+      tenantId: owner?.tenantId || 'default',
+      permissions: this.config.servicePermissions,
+      serviceId: service.id,
+      createdBy: owner?.userId || null
+    });
+  }
+
+  /**
+   * List keys (without hashes)
+   * @param {Object} filters - { tenantId, serviceId, status }
+   * @returns {Promise<Array>}
+   */
+  async list(filters = {}) {
+    const where = {};
+    if (filters.tenantId) where.tenantId = filters.tenantId;
+    if (filters.serviceId) where.serviceId = filters.serviceId;
+
+    const docs = await this.store.list(COLLECTION, {
+      where: Object.keys(where).length > 0 ? where : undefined,
+      orderBy: 'createdAt',
+      descending: true
+    });
+
+    return docs
+      .map(doc => this._toPublic(doc))
+      .filter(apiKey => !filters.status || apiKey.status === filters.status);
+  }
+
+  /**
+   * Get a key (without hash)
+   * @param {string} keyId - Key ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(keyId) {
+    const doc = await this.store.get(COLLECTION, keyId);
+    return doc ? this._toPublic(doc) : null;
+  }
+
+  /**
+   * Replace a key with a new one with the same scope
+   * @param {string} keyId - Key to rotate
+   * @param {Object} options - { gracePeriod (ms the old key keeps working), rotatedBy }
+   * @returns {Promise<Object>} - { key, apiKey, previous }
+   */
+  async rotate(keyId, { gracePeriod = this.config.rotationGracePeriod, rotatedBy = null } = {}) {
+    if (!Number.isInteger(gracePeriod) || gracePeriod < 0) {
+      throw requestError('gracePeriod must be a non-negative integer (ms)', 400);
+    }
+
+    const doc = await this.store.get(COLLECTION, keyId);
+    if (!doc) {
+      throw requestError('API key not found', 404);
+    }
+    if (this._status(doc) !== 'active') {
+      throw requestError(`API key is ${this._status(doc)} and can't be rotated`, 409);
+    }
+
+    // Keep the remaining lifetime of the old key
+    const ttl = doc.expiresAt ? Math.max(new Date(doc.expiresAt).getTime() - Date.now(), 1) : 0;
+    const issued = await this.issue({
+      name: doc.name,
+      tenantId: doc.tenantId,
+      permissions: doc.permissions,
+      serviceId: doc.serviceId,
+      ttl,
+      createdBy: rotatedBy,
+      rotatedFrom: keyId
+    });
+
+    const previous = await this.store.update(COLLECTION, keyId, {
+      rotatedTo: issued.apiKey.keyId,
+      revokedAt: new Date(Date.now() + gracePeriod).toISOString()
+    });
+
+    logger.info('API key rotated', { keyId, newKeyId: issued.apiKey.keyId, gracePeriod });
+
+    return { ...issued, previous: previous ? this._toPublic(previous) : null };
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} keyId - Key ID
+   * @param {string} revokedBy - Caller revoking the key
+   * @returns {Promise<Object>} - Revoked key
+   */
+  async revoke(keyId, revokedBy = null) {
+    const doc = await this.store.get(COLLECTION, keyId);
+    if (!doc) {
+      throw requestError('API key not found', 404);
+    }
+
+    const now = Date.now();
+    const updated = doc.revokedAt && new Date(doc.revokedAt).getTime() <= now
+      ? doc
+      : await this.store.update(COLLECTION, keyId, { revokedAt: new Date(now).toISOString() });
+
+    changelogService.recordApiKeyOperation('revoke', {
+      keyId,
+      tenantId: doc.tenantId,
+      serviceId: doc.serviceId
+    }, revokedBy || 'system');
+
+    logger.info('API key revoked', { keyId });
+    return this._toPublic(updated);
+  }
+
+  /**
+   * Verify a presented key and map it to an identity
+   * @param {string} key - Full key
+   * @returns {Promise<Object>} - { method, keyId, tenantId, userId, serviceId, permissions }
+   * @throws {Error} - If the key is unknown, revoked or expired (error.status = 401)
+   */
+  async verify(key) {
+    const match = KEY_PATTERN.exec(String(key).trim());
+    const fail = (message, code) => {
+      const error = requestError(message, 401);
+      error.code = code;
+      return error;
+    };
+
+    if (!match) {
+      throw fail('Malformed API key', 'MALFORMED_API_KEY');
+    }
+
+    const [, keyId, secret] = match;
+    const doc = await this.store.get(COLLECTION, keyId);
+    const expected = doc ? Buffer.from(doc.hash, 'hex') : crypto.randomBytes(32);
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    if (!doc || !crypto.timingSafeEqual(expected, actual)) {
+      throw fail('Invalid API key', 'INVALID_API_KEY');
+    }
+
+    const status = this._status(doc);
+    if (status !== 'active') {
+      throw fail(`API key ${status}`, status === 'expired' ? 'API_KEY_EXPIRED' : 'API_KEY_REVOKED');
+    }
+
+    this._touch(doc);
+
+    return {
+      method: 'api_key',
+      keyId,
+      tenantId: doc.tenantId,
+      userId: doc.serviceId ? `service:${doc.serviceId}` : `key:${keyId}`,
+      subject: null,
+      serviceId: doc.serviceId,
+      permissions: doc.permissions,
+      claims: {}
+    };
+  }
+
+  /**
+   * Key state: active, expired or revoked (rotated keys count as active until their grace period ends)
+   * @private
+   */
+  _status(doc, now = Date.now()) {
+    if (doc.revokedAt && new Date(doc.revokedAt).getTime() <= now) {
+      return 'revoked';
+    }
+    if (doc.expiresAt && new Date(doc.expiresAt).getTime() <= now) {
+      return 'expired';
+    }
+    return 'active';
+  }
+
+  /**
+   * Record when a key was last used (throttled, best effort)
+   * @private
+   */
+  _touch(doc) {
+    const now = Date.now();
+    if (now - (this.touched.get(doc.id) || 0) < this.config.touchInterval) {
+      return;
+    }
+    this.touched.set(doc.id, now);
+
+    this.store.update(COLLECTION, doc.id, { lastUsedAt: new Date(now).toISOString() }).catch(error => {
+      logger.warn('Failed to record API key use', { keyId: doc.id, error: error.message });
+    });
+  }
+
+  /**
+   * Key as returned by the API (no hash)
+   * @private
+   */
+  _toPublic(doc) {
+    return {
+      keyId: doc.id,
+      name: doc.name,
+      type: doc.type,
+      prefix: doc.prefix,
+      tenantId: doc.tenantId,
+      serviceId: doc.serviceId,
+      permissions: doc.permissions,
+      status: this._status(doc),
+      createdAt: doc.createdAt,
+      createdBy: doc.createdBy,
+      expiresAt: doc.expiresAt,
+      lastUsedAt: doc.lastUsedAt,
+      revokedAt: doc.revokedAt,
+      rotatedFrom: doc.rotatedFrom,
+      rotatedTo: doc.rotatedTo
+    };
+  }
+}
+
+// Singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
@@ -0,0 +1,410 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const storage = require('../storage');
+const auditConfig = require('../config/audit');
+const { canonicalize } = require('../utils/envelopeSignature');
+
+/**
+ * Storage collection holding audit entries (append-only table in Supabase)
+ */
+const COLLECTION = 'audit_log';
+
+/**
+ * prevHash of the first entry of a chain
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Audit Service - Append-only trail of administrative actions and auth failures
+ * Unlike the changelog (capped, trimmable), entries are never removed. Each entry
+ * records who acted and holds the hash of the previous entry of its chain, so
+ * verify() finds entries that were edited, removed or inserted afterwards.
+ * One chain per coordinator (config/audit.js chainId); appends are serialized.
+ */
+class AuditService {
+  constructor() {
+    this.config = auditConfig;
+    this.store = storage;
+    this.head = { sequence: 0, hash: GENESIS_HASH }; // Last entry appended to this chain
+    this.queue = Promise.resolve();
+    this.loaded = null;
+    this.authFailures = new Map(); // Aggregation key -> { action, actor, details, count, timer }
+
+    if (this.config.enabled && !this.config.chainId) {
+      throw new Error('AUDIT_CHAIN_ID must be set when the audit log is enabled in production ' +
+        '(a stable ID per replica, e.g. coordinator-1; or AUDIT_ENABLED=false)');
+    }
+  }
+
+  /**
+   * Whether entries are recorded
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Continue this coordinator's chain from its last stored entry (called on startup,
+   * or by the first record(); later calls wait for the same load). When the load
+   * fails, entries queued behind it fail and the next record() loads again.
+   * @returns {Promise<void>} - Settles when the load is done (never rejects)
+   */
+  load() {
+    if (!this.loaded) {
+      const loading = this._loadHead();
+      this.loaded = loading;
+      this.queue = this.queue.catch(() => {}).then(() => loading);
+      // Appending from an unknown head would repeat sequence numbers
+      loading.catch(() => {
+        if (this.loaded === loading) this.loaded = null;
+      });
+    }
+    return this.loaded.catch(() => {});
+  }
+
+  /**
+   * Actor of an HTTP request
+   * @param {Object} req - Express request (req.auth set by the JWT middleware)
+   * @returns {Object} - { type, userId, tenantId, keyId, serviceId, subject, ip, protocol }
+   */
+  actorFromRequest(req) {
+    return this.actorFrom(req.auth, { ip: req.ip, protocol: 'http' });
+  }
+
+  /**
+   * Actor from an identity
+   * @param {Object|null|undefined} identity - Identity from authService (null = anonymous)
+   * @param {Object} origin - { ip, protocol }
+   * @returns {Object}
+   */
+  actorFrom(identity, { ip = null, protocol = null } = {}) {
+    return {
+      type: identity?.method || 'anonymous',
+      userId: identity?.userId ?? null,
+      tenantId: identity?.tenantId ?? null,
+      keyId: identity?.keyId ?? null,
+      serviceId: identity?.serviceId ?? null,
+      subject: identity?.subject ?? null,
+      ip,
+      protocol
+    };
+  }
+
+  /**
+   * Append an entry (never throws; a failed write is logged and leaves the chain as it was)
+   * @param {Object} event - { action, actor, target, details, outcome }
+   * @param {string} event.action - What happened (service_registered, api_key_revoked, auth_failed, ...)
+   * @param {Object} event.actor - From actorFrom / actorFromRequest
+   * @param {Object} event.target - What it happened to, e.g. { type: 'service', id, name }
+   * @param {Object} event.details - Extra fields (never secrets)
+   * @param {string} event.outcome - success or failure
+   * @returns {Promise<Object|null>} - Stored entry, or null when not recorded
+   */
+  record({ action, actor, target = null, details = {}, outcome = 'success' }) {
+    if (!this.config.enabled) {
+      return Promise.resolve(null);
+    }
+
+    this.load();
+    const appended = this.queue.then(() => this._append({
+      action,
+      outcome,
+      actor: actor || this.actorFrom(null),
+      target,
+      details
+    }));
+    this.queue = appended.catch(() => {});
+    return appended.catch(error => {
+      logger.error('Failed to append audit entry', { action, error: error.message });
+      return null;
+    });
+  }
+
+  /**
+   * Record an action performed through an HTTP request
+   * @param {Object} req - Express request
+   * @param {string} action - Action name
+   * @param {Object} event - { target, details, outcome }
+   * @returns {Promise<Object|null>}
+   */
+  recordRequest(req, action, event = {}) {
+    return this.record({ ...event, action, actor: this.actorFromRequest(req) });
+  }
+
+  /**
+   * Record rejected credentials or a denied permission (AUDIT_AUTH_FAILURES)
+   * The first failure of a kind from an IP and credential is recorded at once; repeats within
+   * AUDIT_AUTH_FAILURE_WINDOW are counted and recorded as one entry (details.repeated) when it ends
+   * @param {string} action - auth_failed or access_denied
+   * @param {Object} actor - From actorFrom / actorFromRequest
+   * @param {Object} details - { method, path, code, permission, reason, ... }
+   * @returns {Promise<Object|null>} - Stored entry, or null when counted or not recorded
+   */
+  recordAuthFailure(action, actor, details) {
+    if (!this.config.recordAuthFailures) {
+      return Promise.resolve(null);
+    }
+
+    let key = [action, actor?.ip, actor?.keyId || actor?.userId || actor?.subject].join('|');
+    if (!this.authFailures.has(key) && this.authFailures.size >= this.config.authFailureMaxTracked) {
+      key = `${action}|*`;
+      actor = this.actorFrom(null);
+      details = { reason: 'Failures from more sources than AUDIT_AUTH_FAILURE_MAX_TRACKED' };
+    }
+
+    const pending = this.authFailures.get(key);
+    if (pending) {
+      pending.count++;
+      pending.details = details;
+      return Promise.resolve(null);
+    }
+
+    const timer = setTimeout(() => this._flushAuthFailures(key), this.config.authFailureWindow);
+    timer.unref();
+    this.authFailures.set(key, { action, actor, details, count: 0, timer });
+    return this.record({ action, actor, details, outcome: 'failure' });
+  }
+
+  /**
+   * Query entries, newest first
+   * @param {Object} filters - { action, outcome, chainId, userId, tenantId, since, until }
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Entries per page
+   * @returns {Promise<Object>} - { entries, pagination }
+   */
+  async list(filters = {}, page = 1, limit = 50) {
+    const entries = (await this.query(filters)).reverse();
+    const start = (page - 1) * limit;
+
+    return {
+      entries: entries.slice(start, start + limit),
+      pagination: {
+        page,
+        limit,
+        total: entries.length,
+        totalPages: Math.ceil(entries.length / limit)
+      }
+    };
+  }
+
+  /**
+   * Matching entries in append order (by chain, then sequence)
+   * @param {Object} filters - { action, outcome, chainId, userId, tenantId, since, until }
+   * @returns {Promise<Array>}
+   */
+  async query({ action, outcome, chainId, userId, tenantId, since, until } = {}) {
+    const where = {};
+    if (action) where.action = action;
+    if (outcome) where.outcome = outcome;
+    if (chainId) where.chainId = chainId;
+
+    const entries = await this.store.list(COLLECTION, { where });
+    return entries
+      .filter(entry => (!userId || entry.actor?.userId === userId) &&
+        (!tenantId || entry.actor?.tenantId === tenantId) &&
+        (!since || entry.timestamp >= since) &&
+        (!until || entry.timestamp <= until))
+      .sort((a, b) => a.chainId.localeCompare(b.chainId) || a.sequence - b.sequence);
+  }
+
+  /**
+   * Check every chain: recomputed hashes, links to the previous entry and
+   * consecutive sequence numbers. This coordinator's chain must also reach the
+   * last entry it appended (entries removed from the end).
+   * @param {Object} options - { chainId } to check a single chain
+   * @returns {Promise<Object>} - { valid, entries, chains: [{ chainId, valid, entries, firstSequence, lastSequence, headHash, problems }] }
+   */
+  async verify({ chainId } = {}) {
+    if (this.loaded) {
+      await this.queue.catch(() => {});
+    }
+
+    const entries = await this.store.list(COLLECTION, chainId ? { where: { chainId } } : {});
+    const byChain = new Map();
+    for (const entry of entries) {
+      if (!byChain.has(entry.chainId)) byChain.set(entry.chainId, []);
+      byChain.get(entry.chainId).push(entry);
+    }
+    if ((!chainId || chainId === this.config.chainId) && this.head.sequence > 0 && !byChain.has(this.config.chainId)) {
+      byChain.set(this.config.chainId, []);
+    }
+
+    const chains = Array.from(byChain.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([id, chain]) => this._verifyChain(id, chain.sort((a, b) => a.sequence - b.sequence)));
+
+    const result = {
+      valid: chains.every(chain => chain.valid),
+      entries: entries.length,
+      chains
+    };
+
+    if (!result.valid) {
+      logger.warn('Audit log verification failed', {
+        chains: chains.filter(chain => !chain.valid).map(chain => chain.chainId)
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Configuration summary
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      chainId: this.config.chainId,
+      keyed: !!this.config.hmacSecret,
+      recordAuthFailures: this.config.recordAuthFailures,
+      authFailureWindow: this.config.authFailureWindow,
+      head: this.head
+    };
+  }
+
+  /**
+   * Record the repeats counted for an aggregation key and stop tracking it
+   * @private
+   */
+  _flushAuthFailures(key) {
+    const pending = this.authFailures.get(key);
+    this.authFailures.delete(key);
+    if (!pending || pending.count === 0) {
+      return Promise.resolve(null);
+    }
+
+    return this.record({
+      action: pending.action,
+      actor: pending.actor,
+      details: { ...pending.details, repeated: pending.count, windowMs: this.config.authFailureWindow },
+      outcome: 'failure'
+    });
+  }
+
+  /**
+   * Find the last stored entry of this coordinator's chain
+   * @private
+   */
+  async _loadHead() {
+    try {
+      const [last] = await this.store.list(COLLECTION, {
+        where: { chainId: this.config.chainId },
+        orderBy: 'sequence',
+        descending: true,
+        limit: 1
+      });
+      if (last) {
+        this.head = { sequence: last.sequence, hash: last.hash };
+      }
+      logger.info('Audit log loaded from storage', { chainId: this.config.chainId, sequence: this.head.sequence });
+    } catch (error) {
+      logger.error('Failed to load audit log head; entries are not recorded until it loads', {
+        chainId: this.config.chainId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Link an entry to the head, store it, then move the head
+   * @private
+   */
+  async _append(event) {
+    const entry = {
+      id: uuidv4(),
+      chainId: this.config.chainId,
+      sequence: this.head.sequence + 1,
+      timestamp: new Date().toISOString(),
+      ...JSON.parse(JSON.stringify(event)),
+      prevHash: this.head.hash
+    };
+    entry.hash = this._hash(entry);
+
+    await this.store.put(COLLECTION, entry);
+    this.head = { sequence: entry.sequence, hash: entry.hash };
+
+    logger.debug('Audit entry appended', { action: entry.action, sequence: entry.sequence });
+    return entry;
+  }
+
+  /**
+   * Hash of an entry: every field but the hash itself, canonical JSON
+   * @private
+   */
+  _hash(entry) {
+    const { hash, ...content } = entry;
+    const hmac = this.config.hmacSecret
+      ? crypto.createHmac('sha256', this.config.hmacSecret)
+      : crypto.createHash('sha256');
+    return hmac.update(canonicalize(content)).digest('hex');
+  }
+
+  /**
+   * Problems of one chain (entries sorted by sequence)
+   * @private
+   */
+  _verifyChain(chainId, entries) {
+    const problems = [];
+    let previous = null;
+
+    for (const entry of entries) {
+      const expectedSequence = previous ? previous.sequence + 1 : 1;
+      if (entry.sequence > expectedSequence) {
+        problems.push({
+          sequence: entry.sequence,
+          problem: 'gap',
+          detail: `${this._describeRange(expectedSequence, entry.sequence - 1)} missing`
+        });
+      } else if (entry.sequence < expectedSequence) {
+        problems.push({ sequence: entry.sequence, problem: 'duplicate', detail: `sequence ${entry.sequence} appears more than once` });
+      }
+
+      const expectedPrev = previous ? previous.hash : GENESIS_HASH;
+      if (entry.sequence === expectedSequence && entry.prevHash !== expectedPrev) {
+        problems.push({ sequence: entry.sequence, problem: 'broken_link', detail: 'prevHash does not match the previous entry' });
+      }
+
+      if (this._hash(entry) !== entry.hash) {
+        problems.push({ sequence: entry.sequence, problem: 'modified', detail: 'content does not match its hash' });
+      }
+
+      previous = entry;
+    }
+
+    const lastSequence = previous ? previous.sequence : 0;
+    if (chainId === this.config.chainId && lastSequence < this.head.sequence) {
+      problems.push({
+        sequence: lastSequence + 1,
+        problem: 'truncated',
+        detail: `${this._describeRange(lastSequence + 1, this.head.sequence)} appended by this coordinator missing`
+      });
+    }
+
+    return {
+      chainId,
+      valid: problems.length === 0,
+      entries: entries.length,
+      firstSequence: entries.length ? entries[0].sequence : null,
+      lastSequence: previous ? previous.sequence : null,
+      headHash: previous ? previous.hash : null,
+      problems
+    };
+  }
+
+  /**
+   * "entry 4 is" / "entries 4-6 are"
+   * @private
+   */
+  _describeRange(from, to) {
+    return from === to ? `entry ${from} is` : `entries ${from}-${to} are`;
+  }
+}
+
+// Singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const authConfig = require('../config/auth');
+const apiKeyService = require('./apiKeyService');
+
+/**
+ * Signature schemes per JWT algorithm
+ * (HMAC keys are only ever the shared secret, so a public key can't be used as an HMAC secret)
+ */
+const ALGORITHMS = {
+  HS256: { type: 'hmac', hash: 'sha256' },
+  RS256: { type: 'rsa', hash: 'sha256', keyType: 'rsa' },
+  ES256: { type: 'ecdsa', hash: 'sha256', keyType: 'ec', curve: 'prime256v1' }
+};
+
+/**
+ * Build an authentication error
+ * @param {string} message - Error message
+ * @param {string} code - Machine readable reason
+ * @returns {Error} - Error with status 401
+ */
+function authError(message, code = 'INVALID_TOKEN') {
+  const error = new Error(message);
+  error.status = 401;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Decode a base64url JSON segment
+ * @private
+ */
+function decodeSegment(segment, name) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw authError(`Malformed token ${name}`, 'MALFORMED_TOKEN');
+  }
+}
+
+/**
+ * Auth Service - Verifies JWTs and API keys presented over HTTP (Authorization /
+ * X-API-Key headers) and gRPC (authorization / x-api-key metadata) and maps
+ * them to a caller identity
+ */
+class AuthService {
+  constructor() {
+    this.config = authConfig.jwt;
+    this.keys = []; // { kid, alg, keyType, key }
+    this._loadKeys();
+  }
+
+  /**
+   * Whether tokens are verified at all
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Whether a path can be reached without a token
+   * @param {string} path - Request path
+   * @returns {boolean}
+   */
+  isPublicPath(path) {
+    return this.config.publicPaths.some(publicPath =>
+      path === publicPath || path.startsWith(publicPath.endsWith('/') ? publicPath : `${publicPath}/`)
+    );
+  }
+
+  /**
+   * Authenticate from request credentials (an API key wins over the Authorization header)
+   * @param {Object} credentials - { authorization: "Bearer <token>" | "ApiKey <key>", apiKey }
+   * @returns {Promise<Object|null>} - Identity, or null for an anonymous caller (when allowed)
+   * @throws {Error} - If credentials are missing (and required) or invalid (error.status = 401)
+   */
+  async authenticate({ authorization, apiKey } = {}) {
+    const match = authorization ? /^(Bearer|ApiKey)\s+(\S+)$/i.exec(String(authorization).trim()) : null;
+    const key = apiKey || (match && match[1].toLowerCase() === 'apikey' ? match[2] : null);
+
+    if (key) {
+      if (!apiKeyService.isEnabled()) {
+        throw authError('API keys are not accepted', 'API_KEYS_DISABLED');
+      }
+      return apiKeyService.verify(key);
+    }
+
+    if (!authorization) {
+      if (this.config.allowAnonymous) {
+        return null;
+      }
+      throw authError('Authentication required', 'TOKEN_MISSING');
+    }
+
+    if (!match) {
+      throw authError('Authorization header must be "Bearer <token>" or "ApiKey <key>"', 'MALFORMED_TOKEN');
+    }
+
+    return this.verifyToken(match[2]);
+  }
+
+  /**
+   * Verify a JWT and map its claims to an identity
+   * @param {string} token - Compact JWT
+   * @returns {Object} - { method, tenantId, userId, subject, claims }
+   * @throws {Error} - If the token is invalid (error.status = 401)
+   */
+  verifyToken(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+      throw authError('Malformed token', 'MALFORMED_TOKEN');
+    }
+
+    const [headerSegment, payloadSegment, signatureSegment] = parts;
+    const header = decodeSegment(headerSegment, 'header');
+    const claims = decodeSegment(payloadSegment, 'payload');
+
+    const algorithm = ALGORITHMS[header.alg];
+    if (!algorithm || !this.config.algorithms.includes(header.alg)) {
+      throw authError(`Token algorithm ${header.alg} is not accepted`, 'UNSUPPORTED_ALGORITHM');
+    }
+
+    const signed = Buffer.from(`${headerSegment}.${payloadSegment}`);
+    const signature = Buffer.from(signatureSegment, 'base64url');
+    if (!this._verifySignature(header, algorithm, signed, signature)) {
+      throw authError('Invalid token signature', 'INVALID_SIGNATURE');
+    }
+
+    this._checkClaims(claims);
+
+    const tenantId = claims[this.config.tenantClaim];
+    const userId = claims[this.config.userClaim];
+    return {
+      method: 'jwt',
+      tenantId: tenantId !== undefined && tenantId !== null ? String(tenantId) : null,
+      userId: userId !== undefined && userId !== null ? String(userId) : null,
+      subject: claims.sub ?? null,
+      claims
+    };
+  }
+
+  /**
+   * Get verification setup (no key material)
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      allowAnonymous: this.config.allowAnonymous,
+      algorithms: this.config.algorithms,
+      hasSecret: !!this.config.secret,
+      publicKeys: this.keys.length,
+      audience: this.config.audience,
+      issuer: this.config.issuer,
+      apiKeys: apiKeyService.isEnabled()
+    };
+  }
+
+  /**
+   * Check the signature with the key matching the algorithm (and kid, when given)
+   * @returns {boolean}
+   * @private
+   */
+  _verifySignature(header, algorithm, signed, signature) {
+    if (algorithm.type === 'hmac') {
+      if (!this.config.secret) {
+        throw authError('HS256 tokens are not accepted (no JWT_SECRET configured)', 'UNSUPPORTED_ALGORITHM');
+      }
+      const expected = crypto.createHmac(algorithm.hash, this.config.secret).update(signed).digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    const candidates = this.keys.filter(entry =>
+      entry.keyType === algorithm.keyType &&
+      (!algorithm.curve || entry.key.asymmetricKeyDetails?.namedCurve === algorithm.curve) &&
+      (!entry.alg || entry.alg === header.alg) &&
+      (!header.kid || !entry.kid || entry.kid === header.kid)
+    );
+    if (candidates.length === 0) {
+      throw authError(`No public key for ${header.alg}${header.kid ? ` (kid ${header.kid})` : ''}`, 'UNKNOWN_KEY');
+    }
+
+    return candidates.some(entry => {
+      try {
+        return crypto.verify(
+          algorithm.hash,
+          signed,
+          algorithm.type === 'ecdsa' ? { key: entry.key, dsaEncoding: 'ieee-p1363' } : entry.key,
+          signature
+        );
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Check expiry, not-before, issuer and audience
+   * @private
+   */
+  _checkClaims(claims) {
+    const now = Math.floor(Date.now() / 1000);
+    const skew = this.config.clockSkew;
+
+    if (claims.exp === undefined) {
+      if (this.config.requireExpiry) {
+        throw authError('Token has no expiry', 'TOKEN_EXPIRY_MISSING');
+      }
+    } else if (typeof claims.exp !== 'number' || now > claims.exp + skew) {
+      throw authError('Token expired', 'TOKEN_EXPIRED');
+    }
+
+    if (claims.nbf !== undefined && (typeof claims.nbf !== 'number' || now < claims.nbf - skew)) {
+      throw authError('Token not valid yet', 'TOKEN_NOT_YET_VALID');
+    }
+
+    if (claims.iat !== undefined && (typeof claims.iat !== 'number' || claims.iat > now + skew)) {
+      throw authError('Token issued in the future', 'INVALID_TOKEN');
+    }
+
+    if (this.config.issuer.length > 0 && !this.config.issuer.includes(claims.iss)) {
+      throw authError('Token issuer not accepted', 'INVALID_ISSUER');
+    }
+
+    if (this.config.audience.length > 0) {
+      const audiences = [].concat(claims.aud ?? []);
+      if (!audiences.some(audience => this.config.audience.includes(audience))) {
+        throw authError('Token audience not accepted', 'INVALID_AUDIENCE');
+      }
+    }
+  }
+
+  /**
+   * Load public keys from JWT_PUBLIC_KEY and the JWKS file
+   * @private
+   */
+  _loadKeys() {
+    if (!this.config.enabled) {
+      return;
+    }
+
+    if (this.config.publicKey) {
+      try {
+        const key = crypto.createPublicKey(this.config.publicKey);
+        this.keys.push({ kid: null, alg: null, keyType: key.asymmetricKeyType, key });
+      } catch (error) {
+        logger.error('Invalid JWT_PUBLIC_KEY, ignoring it', { error: error.message });
+      }
+    }
+
+    if (this.config.jwksPath) {
+      try {
+        const jwks = JSON.parse(fs.readFileSync(this.config.jwksPath, 'utf8'));
+        for (const jwk of jwks.keys || []) {
+          if (jwk.use && jwk.use !== 'sig') {
+            continue;
+          }
+          try {
+            const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+            this.keys.push({ kid: jwk.kid || null, alg: jwk.alg || null, keyType: key.asymmetricKeyType, key });
+          } catch (error) {
+            logger.warn('Skipping invalid JWKS key', { kid: jwk.kid, error: error.message });
+          }
+        }
+      } catch (error) {
+        logger.error('Failed to load JWKS file', { path: this.config.jwksPath, error: error.message });
+      }
+    }
+
+    if (!this.config.secret && this.keys.length === 0) {
+      logger.error('JWT_ENABLED=true but no JWT_SECRET, JWT_PUBLIC_KEY or JWT_JWKS_PATH is configured - every token will be rejected');
+    }
+
+    logger.info('JWT verification enabled', {
+      algorithms: this.config.algorithms,
+      hasSecret: !!this.config.secret,
+      publicKeys: this.keys.length,
+      audience: this.config.audience,
+      issuer: this.config.issuer,
+      clockSkew: this.config.clockSkew
+    });
+  }
+}
+
+// Singleton instance
+const authService = new AuthService();
+
+module.exports = authService;
@@ -1,16 +1,44 @@
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const storage = require('../storage');
+
+/**
+ * Storage collection holding change entries
+ */
+const COLLECTION = 'changelog';
 
 /**
  * Changelog Service - Tracks all system changes
+ * Entries are served from memory and written through to storage
  */
 class ChangelogService {
   constructor() {
+    this.store = storage;
     this.changes = [];
     this.maxEntries = 1000; // Keep last 1000 entries
     logger.info('ChangelogService initialized');
   }
 
+  /**
+   * Load stored entries (called once on startup)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const stored = await this.store.list(COLLECTION);
+      stored.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+      // Entries recorded before loading finished stay on top
+      const known = new Set(this.changes.map(change => change.id));
+      this.changes = this.changes.concat(stored.filter(change => !known.has(change.id)));
+      this._trim(this.maxEntries);
+
+      logger.info('Changelog loaded from storage', { entries: this.changes.length });
+    } catch (error) {
+      logger.error('Failed to load changelog from storage', { error: error.message });
+    }
+  }
+
   /**
    * Record a change event
    * @param {string} type - Type of change
@@ -27,11 +55,12 @@ class ChangelogService {
     };
 
     this.changes.unshift(change); // Add to beginning
+    this.store.put(COLLECTION, change).catch(error => {
+      logger.warn('Failed to store change', { changeId: change.id, error: error.message });
+    });
 
     // Maintain max entries limit
-    if (this.changes.length > this.maxEntries) {
-      this.changes = this.changes.slice(0, this.maxEntries);
-    }
+    this._trim(this.maxEntries);
 
     logger.debug('Change recorded', {
       type,
@@ -108,16 +137,48 @@ class ChangelogService {
    * @param {string} serviceName - Service name
    * @param {string} oldStatus - Previous status
    * @param {string} newStatus - New status
+   * @param {string} instanceId - Instance ID when only one instance changed (optional)
    */
-  recordStatusChange(serviceId, serviceName, oldStatus, newStatus) {
+  recordStatusChange(serviceId, serviceName, oldStatus, newStatus, instanceId = null) {
     return this.recordChange('service_status_changed', {
       serviceId,
       serviceName,
+      ...(instanceId && { instanceId }),
       oldStatus,
       newStatus
     });
   }
 
+  /**
+   * Record service update
+   * @param {string} serviceId - Service ID
+   * @param {string} serviceName - Service name
+   * @param {Array<string>} fields - Changed fields
+   */
+  recordServiceUpdate(serviceId, serviceName, fields) {
+    return this.recordChange('service_updated', {
+      serviceId,
+      serviceName,
+      fields
+    });
+  }
+
+  /**
+   * Record service removal from the registry
+   * @param {string} serviceId - Service ID
+   * @param {string} serviceName - Service name
+   * @param {string} reason - Why it was removed (lease_expired, deregistered, drained, ...)
+   * @param {string} instanceId - Instance ID when only one instance was removed (optional)
+   */
+  recordServiceRemoval(serviceId, serviceName, reason, instanceId = null) {
+    return this.recordChange(instanceId ? 'instance_removed' : 'service_removed', {
+      serviceId,
+      serviceName,
+      ...(instanceId && { instanceId }),
+      reason
+    });
+  }
+
   /**
    * Record knowledge graph update
    * @param {string} operation - Operation type (rebuild, update, etc.)
@@ -144,6 +205,53 @@ class ChangelogService {
     });
   }
 
+  /**
+   * Record a request denied by access control
+   * @param {Object} details - { protocol, method, path, permission, reason, tenantId, userId, roles }
+   */
+  recordAccessDenied(details) {
+    return this.recordChange('access_denied', details, 'rbac');
+  }
+
+  /**
+   * Record an API key operation
+   * @param {string} operation - Operation type (issue, rotate, revoke)
+   * @param {Object} details - { keyId, type, tenantId, serviceId, ... }
+   * @param {string} source - Caller that performed it
+   */
+  recordApiKeyOperation(operation, details, source = 'system') {
+    return this.recordChange('api_key_operation', {
+      operation,
+      ...details
+    }, source);
+  }
+
+  /**
+   * Record a routing rule operation
+   * @param {string} operation - Operation type (create, update, delete)
+   * @param {Object} details - { ruleId, name, target, priority, enabled, ... }
+   * @param {string} source - Caller that performed it
+   */
+  recordRoutingRuleOperation(operation, details, source = 'system') {
+    return this.recordChange('routing_rule_operation', {
+      operation,
+      ...details
+    }, source);
+  }
+
+  /**
+   * Record an envelope signing key operation
+   * @param {string} operation - Operation type (create, rotate)
+   * @param {Object} details - { serviceId, keyId, ... } (never the secret)
+   * @param {string} source - Caller that performed it
+   */
+  recordSigningKeyOperation(operation, details, source = 'system') {
+    return this.recordChange('signing_key_operation', {
+      operation,
+      ...details
+    }, source);
+  }
+
   /**
    * Get changelog with pagination
    * @param {number} page - Page number (1-based)
@@ -225,16 +333,36 @@ class ChangelogService {
    * @param {number} keepCount - Number of entries to keep
    */
   cleanup(keepCount = 500) {
-    if (this.changes.length > keepCount) {
-      const removed = this.changes.length - keepCount;
-      this.changes = this.changes.slice(0, keepCount);
-      
+    const removed = this._trim(keepCount);
+    if (removed > 0) {
       logger.info('Changelog cleanup performed', {
         removed,
         remaining: this.changes.length
       });
     }
   }
+
+  /**
+   * Drop the oldest entries beyond a limit (from memory and storage)
+   * @param {number} keepCount - Number of entries to keep
+   * @returns {number} - Number of entries removed
+   * @private
+   */
+  _trim(keepCount) {
+    if (this.changes.length <= keepCount) {
+      return 0;
+    }
+
+    const removed = this.changes.slice(keepCount);
+    this.changes = this.changes.slice(0, keepCount);
+
+    for (const change of removed) {
+      this.store.remove(COLLECTION, change.id).catch(error => {
+        logger.warn('Failed to remove old change from storage', { changeId: change.id, error: error.message });
+      });
+    }
+    return removed.length;
+  }
 }
 
 // Singleton instance
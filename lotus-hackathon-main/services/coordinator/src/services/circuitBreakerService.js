@@ -0,0 +1,328 @@
+const logger = require('../utils/logger');
+const metricsService = require('./metricsService');
+const circuitBreakerConfig = require('../config/circuitBreaker');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Error codes raised before a call reaches the service (no instance to call,
+ * URL rejected by the endpoint policy, circuit already open): the service
+ * itself did not fail, so these never count against its breaker
+ */
+const NON_SERVICE_ERROR_CODES = ['NO_HEALTHY_INSTANCES', 'ENDPOINT_NOT_ALLOWED', 'CIRCUIT_OPEN'];
+
+/**
+ * gRPC status codes that mean the service failed: UNKNOWN, DEADLINE_EXCEEDED,
+ * RESOURCE_EXHAUSTED, INTERNAL and UNAVAILABLE. Other statuses (INVALID_ARGUMENT,
+ * NOT_FOUND, PERMISSION_DENIED, ...) are the service answering a bad request.
+ */
+const GRPC_SERVICE_FAILURE_CODES = [2, 4, 8, 13, 14];
+
+/**
+ * Circuit Breaker Service - Per-service circuit breakers (closed/open/half-open)
+ * Shared by CommunicationService (HTTP + gRPC) and ProxyService so a failing
+ * service is skipped instead of costing a full timeout on every request
+ */
+class CircuitBreakerService {
+  constructor() {
+    this.config = circuitBreakerConfig;
+    this.breakers = new Map(); // serviceName -> breaker state
+  }
+
+  /**
+   * Get or create breaker for a service
+   * @param {string} serviceName - Service name
+   * @returns {Object} - Breaker state
+   * @private
+   */
+  _getBreaker(serviceName) {
+    let breaker = this.breakers.get(serviceName);
+    if (!breaker) {
+      breaker = {
+        state: STATES.CLOSED,
+        consecutiveFailures: 0,
+        halfOpenSuccesses: 0,
+        halfOpenInFlight: 0,
+        openedAt: null,
+        lastFailureAt: null,
+        lastError: null,
+        totalFailures: 0,
+        totalSuccesses: 0,
+        totalRejected: 0
+      };
+      this.breakers.set(serviceName, breaker);
+    }
+    return breaker;
+  }
+
+  /**
+   * Check whether a call to the service may proceed
+   * Moves open circuits to half-open once the reset timeout has elapsed and
+   * reserves a trial slot while half-open
+   * @param {string} serviceName - Service name
+   * @returns {boolean} - True if the call may proceed
+   */
+  canRequest(serviceName) {
+    if (!this.config.enabled) {
+      return true;
+    }
+
+    const breaker = this._getBreaker(serviceName);
+
+    if (breaker.state === STATES.OPEN) {
+      if (Date.now() - breaker.openedAt >= this.config.resetTimeout) {
+        this._transition(serviceName, breaker, STATES.HALF_OPEN);
+      } else {
+        this._reject(serviceName, breaker);
+        return false;
+      }
+    }
+
+    if (breaker.state === STATES.HALF_OPEN) {
+      if (breaker.halfOpenInFlight >= this.config.halfOpenMaxCalls) {
+        this._reject(serviceName, breaker);
+        return false;
+      }
+      breaker.halfOpenInFlight += 1;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether a service's circuit is currently rejecting calls (no side effects)
+   * @param {string} serviceName - Service name
+   * @returns {boolean} - True if open and still within the reset timeout
+   */
+  isOpen(serviceName) {
+    if (!this.config.enabled) {
+      return false;
+    }
+
+    const breaker = this.breakers.get(serviceName);
+    return !!breaker &&
+      breaker.state === STATES.OPEN &&
+      Date.now() - breaker.openedAt < this.config.resetTimeout;
+  }
+
+  /**
+   * Record a successful call
+   * @param {string} serviceName - Service name
+   */
+  recordSuccess(serviceName) {
+    if (!this.config.enabled) {
+      return;
+    }
+
+    const breaker = this._getBreaker(serviceName);
+    breaker.totalSuccesses += 1;
+    breaker.consecutiveFailures = 0;
+
+    if (breaker.state === STATES.HALF_OPEN) {
+      breaker.halfOpenInFlight = Math.max(0, breaker.halfOpenInFlight - 1);
+      breaker.halfOpenSuccesses += 1;
+
+      if (breaker.halfOpenSuccesses >= this.config.successThreshold) {
+        this._transition(serviceName, breaker, STATES.CLOSED);
+      }
+    }
+  }
+
+  /**
+   * Record a failed call (network error, timeout or 5xx)
+   * @param {string} serviceName - Service name
+   * @param {Error|string} error - Failure cause
+   */
+  recordFailure(serviceName, error) {
+    if (!this.config.enabled) {
+      return;
+    }
+
+    const breaker = this._getBreaker(serviceName);
+    breaker.totalFailures += 1;
+    breaker.consecutiveFailures += 1;
+    breaker.lastFailureAt = new Date().toISOString();
+    breaker.lastError = error?.message || error || null;
+
+    if (breaker.state === STATES.HALF_OPEN) {
+      // Trial call failed - back to open for another reset period
+      breaker.halfOpenInFlight = Math.max(0, breaker.halfOpenInFlight - 1);
+      this._transition(serviceName, breaker, STATES.OPEN);
+      return;
+    }
+
+    if (breaker.state === STATES.CLOSED && breaker.consecutiveFailures >= this.config.failureThreshold) {
+      this._transition(serviceName, breaker, STATES.OPEN);
+    }
+  }
+
+  /**
+   * Record a call that threw: transport failures (unreachable, timeout) and 5xx
+   * count as failures, anything else (policy denials, no healthy instance, 4xx)
+   * only gives back the half-open trial slot the call held
+   * @param {string} serviceName - Service name
+   * @param {Error} error - Thrown error
+   */
+  recordError(serviceName, error) {
+    if (this.isServiceFailure(error)) {
+      this.recordFailure(serviceName, error);
+    } else {
+      this.release(serviceName);
+    }
+  }
+
+  /**
+   * Check whether a thrown error means the service failed
+   * @param {Error} error - Thrown error
+   * @returns {boolean}
+   */
+  isServiceFailure(error) {
+    if (NON_SERVICE_ERROR_CODES.includes(error?.code)) {
+      return false;
+    }
+    return !(error?.status >= 400 && error.status < 500);
+  }
+
+  /**
+   * Check whether a gRPC call's error status means the service failed
+   * @param {Object} grpcError - { code, details } from the gRPC client
+   * @returns {boolean}
+   */
+  isGrpcServiceFailure(grpcError) {
+    return grpcError.code === undefined || GRPC_SERVICE_FAILURE_CODES.includes(grpcError.code);
+  }
+
+  /**
+   * Give back a half-open trial slot without counting the call either way
+   * @param {string} serviceName - Service name
+   */
+  release(serviceName) {
+    if (!this.config.enabled) {
+      return;
+    }
+
+    const breaker = this.breakers.get(serviceName);
+    if (breaker && breaker.state === STATES.HALF_OPEN) {
+      breaker.halfOpenInFlight = Math.max(0, breaker.halfOpenInFlight - 1);
+    }
+  }
+
+  /**
+   * Build the error thrown when a circuit rejects a call
+   * @param {string} serviceName - Service name
+   * @returns {Error} - Error with code CIRCUIT_OPEN
+   */
+  createOpenError(serviceName) {
+    const error = new Error(`Circuit open for service '${serviceName}'`);
+    error.code = 'CIRCUIT_OPEN';
+    error.status = 503;
+    error.serviceName = serviceName;
+    return error;
+  }
+
+  /**
+   * Get breaker state for a service
+   * @param {string} serviceName - Service name
+   * @returns {Object} - Breaker state summary
+   */
+  getState(serviceName) {
+    const breaker = this.breakers.get(serviceName);
+    if (!breaker) {
+      return { state: STATES.CLOSED, consecutiveFailures: 0, openedAt: null, lastError: null };
+    }
+
+    return {
+      state: breaker.state,
+      consecutiveFailures: breaker.consecutiveFailures,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+      retryAt: breaker.state === STATES.OPEN
+        ? new Date(breaker.openedAt + this.config.resetTimeout).toISOString()
+        : null,
+      lastFailureAt: breaker.lastFailureAt,
+      lastError: breaker.lastError,
+      totalFailures: breaker.totalFailures,
+      totalSuccesses: breaker.totalSuccesses,
+      totalRejected: breaker.totalRejected
+    };
+  }
+
+  /**
+   * Get breaker states for all known services
+   * @returns {Object} - serviceName -> breaker state summary
+   */
+  getAllStates() {
+    const states = {};
+    for (const serviceName of this.breakers.keys()) {
+      states[serviceName] = this.getState(serviceName);
+    }
+    return states;
+  }
+
+  /**
+   * Reset breaker for a service (e.g. after it is re-registered)
+   * @param {string} serviceName - Service name
+   */
+  reset(serviceName) {
+    const breaker = this.breakers.get(serviceName);
+    if (breaker && breaker.state !== STATES.CLOSED) {
+      this._transition(serviceName, breaker, STATES.CLOSED);
+    }
+    this.breakers.delete(serviceName);
+  }
+
+  /**
+   * Count a rejected call
+   * @param {string} serviceName - Service name
+   * @param {Object} breaker - Breaker state
+   * @private
+   */
+  _reject(serviceName, breaker) {
+    breaker.totalRejected += 1;
+    if (metricsService.recordCircuitBreakerRejection) {
+      metricsService.recordCircuitBreakerRejection(serviceName);
+    }
+  }
+
+  /**
+   * Move breaker to a new state
+   * @param {string} serviceName - Service name
+   * @param {Object} breaker - Breaker state
+   * @param {string} newState - Target state
+   * @private
+   */
+  _transition(serviceName, breaker, newState) {
+    const oldState = breaker.state;
+    breaker.state = newState;
+
+    if (newState === STATES.OPEN) {
+      breaker.openedAt = Date.now();
+    } else if (newState === STATES.HALF_OPEN) {
+      breaker.halfOpenSuccesses = 0;
+      breaker.halfOpenInFlight = 0;
+    } else if (newState === STATES.CLOSED) {
+      breaker.openedAt = null;
+      breaker.consecutiveFailures = 0;
+      breaker.halfOpenSuccesses = 0;
+      breaker.halfOpenInFlight = 0;
+    }
+
+    logger.warn(`Circuit breaker ${oldState} -> ${newState}`, {
+      serviceName,
+      consecutiveFailures: breaker.consecutiveFailures,
+      lastError: breaker.lastError
+    });
+
+    if (metricsService.recordCircuitBreakerState) {
+      metricsService.recordCircuitBreakerState(serviceName, newState);
+    }
+  }
+}
+
+// Singleton instance
+const circuitBreakerService = new CircuitBreakerService();
+
+module.exports = circuitBreakerService;
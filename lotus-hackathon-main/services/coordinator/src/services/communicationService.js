@@ -3,6 +3,10 @@ const envelopeService = require('./envelopeService');
 const metricsService = require('./metricsService');
 const routingConfig = require('../config/routing');
 const registryService = require('./registryService');
+const circuitBreakerService = require('./circuitBreakerService');
+const loadBalancerService = require('./loadBalancerService');
+const signingService = require('./signingService');
+const endpointPolicyService = require('./endpointPolicyService');
 
 // Lazy load gRPC client to avoid crashes if dependencies missing
 let grpcClient = null;
@@ -20,6 +24,12 @@ function getGrpcClient() {
   return grpcClient;
 }
 
+/**
+ * gRPC statuses a call fails over to the next instance on (when it was not
+ * delivered): DEADLINE_EXCEEDED and UNAVAILABLE
+ */
+const GRPC_RETRYABLE_CODES = [4, 14];
+
 /**
  * Communication Service - Protocol abstraction layer
  * Supports both gRPC and HTTP calls to microservices
@@ -120,35 +130,60 @@ class CommunicationService {
 
   /**
    * Call a single service via gRPC
+   * Balances across the service's healthy instances and fails over on transport errors
    * @param {Object} service - Service information
    * @param {Object} envelope - Universal Envelope
+   * @param {Object} options - Call options
+   * @param {number} options.timeout - Optional timeout override in milliseconds (shared by instance failover)
    * @returns {Promise<Object>} - Service response
    */
-  async callServiceViaGrpc(service, envelope) {
+  async callServiceViaGrpc(service, envelope, options = {}) {
     const startTime = Date.now();
+
+    // Call service using gRPC client (checked first: a missing client is not the service's failure)
+    const grpc = getGrpcClient();
+    if (!grpc) {
+      throw new Error('gRPC client not available. Install @grpc/grpc-js and @grpc/proto-loader, or use HTTP protocol.');
+    }
+
+    if (!circuitBreakerService.canRequest(service.serviceName)) {
+      throw circuitBreakerService.createOpenError(service.serviceName);
+    }
     
     try {
-      logger.debug('Calling service via gRPC', {
-        serviceName: service.serviceName,
-        endpoint: service.endpoint
-      });
-
       // Convert envelope to JSON string for gRPC transmission
       const envelopeJson = envelopeService.envelopeToJson(envelope);
-      
-      // Call service using gRPC client
-      const grpc = getGrpcClient();
-      if (!grpc) {
-        throw new Error('gRPC client not available. Install @grpc/grpc-js and @grpc/proto-loader, or use HTTP protocol.');
-      }
-      const result = await grpc.callMicroserviceViaGrpc(
-        service.serviceName,
-        service.endpoint,
-        envelopeJson
+
+      const { result, instance, attempts } = await loadBalancerService.execute(
+        service,
+        async (instance, remaining) => {
+          logger.debug('Calling service via gRPC', {
+            serviceName: service.serviceName,
+            instanceId: instance.instanceId,
+            endpoint: instance.endpoint
+          });
+          // The channel dials the checked address, not whatever the host resolves to later
+          const address = await endpointPolicyService.assertAllowed(instance.endpoint);
+          const signature = await this._signatureFor(service, envelope);
+          return grpc.callMicroserviceViaGrpc(service.serviceName, instance.endpoint, envelopeJson, remaining, signature, service.grpcTls, address);
+        },
+        {
+          timeout: options.timeout,
+          // Only calls the instance never received (unreachable, no connection in time) move on to the next one
+          isRetryable: result => !!result.grpcError && !result.grpcError.delivered
+            && GRPC_RETRYABLE_CODES.includes(result.grpcError.code)
+        }
       );
 
       const processingTime = Date.now() - startTime;
 
+      // Unreachable, overloaded or failing services trip the breaker; client errors and application errors don't
+      if (result.grpcError && circuitBreakerService.isGrpcServiceFailure(result.grpcError)) {
+        circuitBreakerService.recordFailure(service.serviceName, result.error);
+      } else {
+        circuitBreakerService.recordSuccess(service.serviceName);
+      }
+
       // Record metrics
       if (metricsService.recordGrpcClientCall) {
         const status = result.success ? 'success' : 'error';
@@ -160,7 +195,9 @@ class CommunicationService {
         envelope: result.envelope,
         error: result.error,
         processingTime: `${processingTime}ms`,
-        protocol: 'grpc'
+        protocol: 'grpc',
+        instanceId: instance.instanceId,
+        instanceAttempts: attempts
       };
 
     } catch (error) {
@@ -172,6 +209,8 @@ class CommunicationService {
         processingTime: `${processingTime}ms`
       });
 
+      circuitBreakerService.recordError(service.serviceName, error);
+
       // Record error metrics
       if (metricsService.recordGrpcClientCall) {
         metricsService.recordGrpcClientCall(service.serviceName, 'error', processingTime / 1000);
@@ -183,66 +222,44 @@ class CommunicationService {
 
   /**
    * Call a single service via HTTP
+   * Balances across the service's healthy instances and fails over on network errors and 5xx
    * @param {Object} service - Service information
    * @param {Object} envelope - Universal Envelope
+   * @param {Object} options - Call options
+   * @param {number} options.timeout - Optional timeout override in milliseconds (shared by instance failover)
    * @returns {Promise<Object>} - Service response
    */
-  async callServiceViaHttp(service, envelope) {
+  async callServiceViaHttp(service, envelope, options = {}) {
     const startTime = Date.now();
+    const timeout = options.timeout || this.timeout;
+
+    if (!circuitBreakerService.canRequest(service.serviceName)) {
+      throw circuitBreakerService.createOpenError(service.serviceName);
+    }
     
     try {
-      logger.debug('Calling service via HTTP', {
-        serviceName: service.serviceName,
-        endpoint: service.endpoint
-      });
-
-      // Prepare HTTP request
-      const targetUrl = `${service.endpoint}/api/process`; // Standard endpoint for envelope processing
-      
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-      
-      const fetchOptions = {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Coordinator-Service': 'coordinator',
-          'X-Target-Service': service.serviceName,
-          'X-Protocol': 'http',
-          'X-Request-ID': envelope.request_id
-        },
-        body: JSON.stringify(envelope),
-        signal: controller.signal
-      };
-
-      // Make HTTP request
-      let response;
-      try {
-        response = await fetch(targetUrl, fetchOptions);
-        clearTimeout(timeoutId);
-      } catch (fetchError) {
-        clearTimeout(timeoutId);
-        if (fetchError.name === 'AbortError') {
-          throw new Error(`HTTP request timeout after ${this.timeout}ms`);
+      const { result: response, instance, attempts } = await loadBalancerService.execute(
+        service,
+        (instance, remaining) => this._postEnvelope(service, instance, envelope, remaining),
+        {
+          timeout,
+          isRetryable: response => response.status >= 500
         }
-        throw fetchError;
-      }
-
-      // Parse response
-      const contentType = response.headers.get('content-type');
-      let responseData;
-      
-      if (contentType && contentType.includes('application/json')) {
-        responseData = await response.json();
-      } else {
-        responseData = await response.text();
-      }
+      );
 
       const processingTime = Date.now() - startTime;
       const success = response.ok;
 
+      // 5xx means the service itself is failing; 4xx is the caller's problem
+      if (response.status >= 500) {
+        circuitBreakerService.recordFailure(service.serviceName, `HTTP ${response.status}`);
+      } else {
+        circuitBreakerService.recordSuccess(service.serviceName);
+      }
+
       logger.debug('HTTP service call completed', {
         serviceName: service.serviceName,
+        instanceId: instance.instanceId,
         status: response.status,
         success,
         processingTime: `${processingTime}ms`
@@ -250,10 +267,12 @@ class CommunicationService {
 
       return {
         success: success,
-        envelope: success ? responseData : null,
+        envelope: success ? response.data : null,
         error: success ? null : `HTTP ${response.status}: ${response.statusText}`,
         processingTime: `${processingTime}ms`,
-        protocol: 'http'
+        protocol: 'http',
+        instanceId: instance.instanceId,
+        instanceAttempts: attempts
       };
 
     } catch (error) {
@@ -265,10 +284,114 @@ class CommunicationService {
         processingTime: `${processingTime}ms`
       });
 
+      circuitBreakerService.recordError(service.serviceName, error);
+
       throw error;
     }
   }
 
+  /**
+   * POST an envelope to one instance's processing endpoint
+   * @param {Object} service - Service information
+   * @param {Object} instance - Instance to call
+   * @param {Object} envelope - Universal Envelope
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<Object>} - { status, statusText, ok, data }
+   * @private
+   */
+  async _postEnvelope(service, instance, envelope, timeout) {
+    logger.debug('Calling service via HTTP', {
+      serviceName: service.serviceName,
+      instanceId: instance.instanceId,
+      endpoint: instance.endpoint
+    });
+
+    // Prepare HTTP request
+    const targetUrl = `${instance.endpoint}/api/process`; // Standard endpoint for envelope processing
+
+    // Re-checked with the host's current addresses (DNS may have changed since registration)
+    await endpointPolicyService.assertAllowed(targetUrl);
+    
+    // Signed before the timeout starts so a slow key lookup doesn't eat into the call
+    const signature = await this._signatureFor(service, envelope);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    
+    const fetchOptions = {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Coordinator-Service': 'coordinator',
+        'X-Target-Service': service.serviceName,
+        'X-Protocol': 'http',
+        'X-Request-ID': envelope.request_id,
+        ...signature
+      },
+      body: JSON.stringify(envelope),
+      signal: controller.signal,
+      // A redirect could point past the endpoint policy
+      redirect: 'manual',
+      // Checks the addresses actually dialed (the host may resolve differently than for the check above)
+      dispatcher: endpointPolicyService.dispatcher
+    };
+
+    // Make HTTP request
+    let response;
+    try {
+      response = await fetch(targetUrl, fetchOptions);
+      clearTimeout(timeoutId);
+    } catch (fetchError) {
+      clearTimeout(timeoutId);
+      if (fetchError.name === 'AbortError') {
+        throw new Error(`HTTP request timeout after ${timeout}ms`);
+      }
+      if (fetchError.cause?.code === 'ENDPOINT_NOT_ALLOWED') {
+        throw fetchError.cause;
+      }
+      throw fetchError;
+    }
+
+    // Parse response
+    const contentType = response.headers.get('content-type');
+    let responseData;
+    
+    if (contentType && contentType.includes('application/json')) {
+      responseData = await response.json();
+    } else {
+      responseData = await response.text();
+    }
+
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      ok: response.ok,
+      data: responseData
+    };
+  }
+
+  /**
+   * Signature headers / metadata for an envelope (see utils/envelopeSignature.js)
+   * A failed key lookup sends the envelope unsigned rather than failing the call
+   * (services that verify signatures reject it themselves)
+   * @param {Object} service - Target service
+   * @param {Object} envelope - Universal Envelope
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _signatureFor(service, envelope) {
+    try {
+      return await signingService.sign(service, envelope);
+    } catch (error) {
+      logger.error('Failed to sign envelope, sending it unsigned', {
+        serviceName: service.serviceName,
+        requestId: envelope.request_id,
+        error: error.message
+      });
+      return {};
+    }
+  }
+
   /**
    * Create Universal Envelope for service calls
    * @param {Object} requestData - Original request data
@@ -332,7 +455,9 @@ class CommunicationService {
       defaultProtocol: this.defaultProtocol,
       timeout: this.timeout,
       grpcClientStatus: getGrpcClient()?.getStatus() || { available: false, reason: 'gRPC dependencies not installed' },
-      supportedProtocols: ['http', 'grpc']
+      supportedProtocols: ['http', 'grpc'],
+      circuitBreakers: circuitBreakerService.getAllStates(),
+      loadBalancing: loadBalancerService.getStatus()
     };
   }
 
@@ -387,6 +512,8 @@ class CommunicationService {
         serviceName: service.serviceName,
         confidence: service.confidence,
         reasoning: service.reasoning,
+        instanceId: null,
+        instanceAttempts: 0,
         success: false,
         quality: 0,
         duration: 0,
@@ -405,10 +532,11 @@ class CommunicationService {
         const callPromise = (async () => {
           // Use service-specific protocol if determined, otherwise use requested protocol
           const actualProtocol = this.selectProtocolForService(service) || protocol;
+          const callOptions = { timeout: config.attemptTimeout };
           if (actualProtocol === 'grpc') {
-            return await this.callServiceViaGrpc(service, envelope);
+            return await this.callServiceViaGrpc(service, envelope, callOptions);
           } else {
-            return await this.callServiceViaHttp(service, envelope);
+            return await this.callServiceViaHttp(service, envelope, callOptions);
           }
         })();
 
@@ -416,6 +544,8 @@ class CommunicationService {
 
         const duration = Date.now() - attemptStartTime;
         attemptResult.duration = duration;
+        attemptResult.instanceId = serviceResult.instanceId || null;
+        attemptResult.instanceAttempts = serviceResult.instanceAttempts || 1;
 
         // Extract data from result
         // HTTP services return {success: true, data: {...}}, so extract the data field
@@ -447,6 +577,7 @@ class CommunicationService {
           const actualProtocol = this.selectProtocolForService(service) || protocol;
           successfulResult = {
             serviceName: service.serviceName,
+            instanceId: attemptResult.instanceId,
             rank,
             confidence: service.confidence,
             data: data,
@@ -495,6 +626,19 @@ class CommunicationService {
         attemptResult.duration = duration;
         attemptResult.error = error.message;
 
+        if (error.code === 'CIRCUIT_OPEN' || error.code === 'NO_HEALTHY_INSTANCES') {
+          // Skipped without calling the service
+          attemptResult.rejectReason = error.code === 'CIRCUIT_OPEN' ? 'circuit_open' : 'no_healthy_instances';
+
+          logger.info(`${error.message}, skipping to next`, {
+            rank,
+            serviceName: service.serviceName
+          });
+
+          allAttempts.push(attemptResult);
+          continue;
+        }
+
         logger.warn(`Service call failed - ${error.message}, trying next`, {
           rank,
           serviceName: service.serviceName,
@@ -747,7 +891,8 @@ class CommunicationService {
     try {
       const grpc = getGrpcClient();
       if (grpc) {
-        results.grpc = await grpc.healthCheck(service.serviceName, service.endpoint);
+        const address = await endpointPolicyService.assertAllowed(service.endpoint);
+        results.grpc = await grpc.healthCheck(service.serviceName, service.endpoint, service.grpcTls, address);
       } else {
         results.grpc = { available: false, reason: 'gRPC client not available' };
       }
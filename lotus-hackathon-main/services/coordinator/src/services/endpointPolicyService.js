@@ -0,0 +1,287 @@
+const dns = require('dns');
+const net = require('net');
+const { Agent } = require('undici');
+const logger = require('../utils/logger');
+const endpointPolicyConfig = require('../config/endpointPolicy');
+
+/**
+ * Default port per scheme (URLs without an explicit port)
+ */
+const DEFAULT_PORTS = { http: 80, https: 443 };
+
+/**
+ * Endpoint Policy Service - Guards against services registering endpoints
+ * that point the coordinator at internal targets (SSRF): cloud metadata
+ * addresses, admin ports, hosts outside the allowed network.
+ * URLs are checked statically at registration; before each call the host is
+ * resolved and every address it resolves to is checked as well, so a DNS
+ * name can't be re-pointed at a denied address after registration.
+ * The check and the connection must see the same addresses (a host could
+ * resolve to an allowed address for the check and a denied one for the
+ * connection, DNS rebinding): HTTP calls go through a dispatcher whose lookup
+ * checks the addresses actually dialed, and gRPC channels dial the address
+ * assertAllowed checked.
+ */
+class EndpointPolicyService {
+  constructor() {
+    this.config = endpointPolicyConfig;
+    this.allowedCidrs = this._blockList(this.config.allowedCidrs, 'ENDPOINT_ALLOWED_CIDRS');
+    this.deniedCidrs = this._blockList(this.config.deniedCidrs, 'ENDPOINT_DENIED_CIDRS');
+    this.allowedPorts = this._portRanges(this.config.allowedPorts, 'ENDPOINT_ALLOWED_PORTS');
+    this.deniedPorts = this._portRanges(this.config.deniedPorts, 'ENDPOINT_DENIED_PORTS');
+    this.verdicts = new Map(); // hostname -> { reason, addresses, expiresAt }
+    // Pass as fetch's dispatcher option for calls to service endpoints
+    this.dispatcher = new Agent({
+      connect: { lookup: (hostname, options, callback) => this.lookup(hostname, options, callback) }
+    });
+  }
+
+  /**
+   * Whether endpoints are checked
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Check a URL without resolving it (scheme, host name, port, literal IP address)
+   * @param {string} endpoint - Endpoint URL
+   * @returns {Object} - { allowed, reason, hostname }
+   */
+  checkUrl(endpoint) {
+    let url;
+    try {
+      // Bare "host:port" endpoints (gRPC services) are checked as grpc://host:port
+      url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(endpoint) ? endpoint : `grpc://${endpoint}`);
+    } catch (error) {
+      return { allowed: false, reason: 'not a valid URL' };
+    }
+
+    const scheme = url.protocol.replace(/:$/, '');
+    // WHATWG URLs keep IPv6 literals in brackets; a trailing dot names the same host
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+
+    if (!this.config.enabled) {
+      return { allowed: true, reason: null, hostname };
+    }
+
+    if (!this.config.allowedSchemes.includes(scheme)) {
+      return { allowed: false, reason: `scheme '${scheme}' is not allowed (allowed: ${this.config.allowedSchemes.join(', ')})`, hostname };
+    }
+
+    if (url.username || url.password) {
+      return { allowed: false, reason: 'credentials in the URL are not allowed', hostname };
+    }
+
+    if (this.config.deniedHosts.some(pattern => this._matchesHost(hostname, pattern))) {
+      return { allowed: false, reason: `host '${hostname}' is denied`, hostname };
+    }
+    if (this.config.allowedHosts.length > 0 && !this.config.allowedHosts.some(pattern => this._matchesHost(hostname, pattern))) {
+      return { allowed: false, reason: `host '${hostname}' does not match an allowed host pattern`, hostname };
+    }
+
+    const port = url.port ? parseInt(url.port) : DEFAULT_PORTS[scheme];
+    if (port !== undefined) {
+      if (this.deniedPorts.some(([from, to]) => port >= from && port <= to)) {
+        return { allowed: false, reason: `port ${port} is denied`, hostname };
+      }
+      if (this.allowedPorts.length > 0 && !this.allowedPorts.some(([from, to]) => port >= from && port <= to)) {
+        return { allowed: false, reason: `port ${port} is not in an allowed port range`, hostname };
+      }
+    }
+
+    if (net.isIP(hostname)) {
+      const reason = this.checkAddress(hostname);
+      if (reason) {
+        return { allowed: false, reason, hostname };
+      }
+    }
+
+    return { allowed: true, reason: null, hostname };
+  }
+
+  /**
+   * Check one IP address against the CIDR lists
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {string|null} - Reason it is not allowed, null when allowed
+   */
+  checkAddress(address) {
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    if (this.deniedCidrs.check(address, type)) {
+      return `address ${address} is in a denied range`;
+    }
+    if (this.config.allowedCidrs.length > 0 && !this.allowedCidrs.check(address, type)) {
+      return `address ${address} is not in an allowed range`;
+    }
+    return null;
+  }
+
+  /**
+   * Check a URL and every address its host resolves to
+   * A host that doesn't resolve is let through at registration (the check is
+   * repeated before each call); before a call the lookup error is thrown
+   * @param {string} endpoint - Endpoint URL
+   * @param {Object} options - { phase: 'registration' | 'call' }
+   * @returns {Promise<string|null>} - Checked address to dial (null for IP literals, when the
+   *   policy is off, or when the host doesn't resolve at registration)
+   * @throws {Error} - status 400, code ENDPOINT_NOT_ALLOWED when the policy rejects the URL
+   */
+  async assertAllowed(endpoint, { phase = 'call' } = {}) {
+    if (!this.config.enabled) {
+      return null;
+    }
+
+    const { allowed, reason, hostname } = this.checkUrl(endpoint);
+    if (!allowed) {
+      throw this._violation(endpoint, reason, phase);
+    }
+    if (net.isIP(hostname)) {
+      return null;
+    }
+
+    const cached = this.verdicts.get(hostname);
+    if (cached && cached.expiresAt > Date.now()) {
+      if (cached.reason) {
+        throw this._violation(endpoint, cached.reason, phase);
+      }
+      return cached.addresses[0].address;
+    }
+
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+      if (phase === 'registration') {
+        logger.warn('Endpoint host does not resolve; its addresses will be checked before each call', {
+          endpoint,
+          error: error.message
+        });
+        return null;
+      }
+      throw error;
+    }
+
+    const verdictReason = this._resolvedReason(hostname, addresses);
+    this.verdicts.set(hostname, { reason: verdictReason, addresses, expiresAt: Date.now() + this.config.dnsCacheTtl });
+
+    if (verdictReason) {
+      throw this._violation(endpoint, verdictReason, phase);
+    }
+    return addresses[0].address;
+  }
+
+  /**
+   * dns.lookup for connections to service endpoints: fails with ENDPOINT_NOT_ALLOWED
+   * when the host resolves to a denied address at the moment it is dialed
+   * @param {string} hostname - Host being connected to
+   * @param {Object} options - dns.lookup options
+   * @param {Function} callback - dns.lookup callback
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      const reason = this.config.enabled ? this._resolvedReason(hostname, addresses) : null;
+      if (reason) {
+        callback(this._violation(hostname, reason, 'connect'));
+      } else if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  }
+
+  /**
+   * Policy summary (GET /info)
+   * @returns {Object}
+   */
+  getStatus() {
+    const { enabled, allowedSchemes, allowedCidrs, deniedCidrs, allowedHosts, deniedHosts, allowedPorts, deniedPorts } = this.config;
+    return { enabled, allowedSchemes, allowedCidrs, deniedCidrs, allowedHosts, deniedHosts, allowedPorts, deniedPorts };
+  }
+
+  /**
+   * Why a host's resolved addresses are not allowed (null when they all are)
+   * @private
+   */
+  _resolvedReason(hostname, addresses) {
+    const reason = addresses
+      .map(({ address }) => this.checkAddress(address))
+      .find(Boolean);
+    return reason
+      ? `host '${hostname}' resolves to ${reason.replace(/^address (\S+) /, '$1, which ')}`
+      : null;
+  }
+
+  /**
+   * Error for a rejected endpoint (logged once here)
+   * @private
+   */
+  _violation(endpoint, reason, phase) {
+    logger.warn('Endpoint rejected by endpoint policy', { endpoint, reason, phase });
+
+    const error = new Error(`Endpoint ${endpoint} is not allowed: ${reason}`);
+    error.status = 400;
+    error.code = 'ENDPOINT_NOT_ALLOWED';
+    return error;
+  }
+
+  /**
+   * Match a host name against "name" or "*.domain" (subdomains of domain)
+   * @private
+   */
+  _matchesHost(hostname, pattern) {
+    const normalized = pattern.toLowerCase();
+    if (normalized.startsWith('*.')) {
+      return hostname.endsWith(normalized.slice(1));
+    }
+    return hostname === normalized;
+  }
+
+  /**
+   * Build a net.BlockList from CIDR strings (a bare address is a single-address range)
+   * @private
+   */
+  _blockList(cidrs, variable) {
+    const blockList = new net.BlockList();
+    for (const cidr of cidrs) {
+      const [address, prefix] = cidr.split('/');
+      const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+      const bits = prefix === undefined ? (type === 'ipv6' ? 128 : 32) : Number(prefix);
+      try {
+        if (!net.isIP(address) || !Number.isInteger(bits)) {
+          throw new Error('not a CIDR range');
+        }
+        blockList.addSubnet(address, bits, type);
+      } catch (error) {
+        throw new Error(`Invalid ${variable} entry '${cidr}': ${error.message}`);
+      }
+    }
+    return blockList;
+  }
+
+  /**
+   * Parse "80,443,4000-4999" into [[80, 80], [443, 443], [4000, 4999]]
+   * @private
+   */
+  _portRanges(ports, variable) {
+    return ports.map(entry => {
+      const [from, to = from] = entry.split('-').map(part => Number(part.trim()));
+      if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to > 65535 || from > to) {
+        throw new Error(`Invalid ${variable} entry '${entry}'`);
+      }
+      return [from, to];
+    });
+  }
+}
+
+// Singleton instance
+const endpointPolicyService = new EndpointPolicyService();
+
+module.exports = endpointPolicyService;
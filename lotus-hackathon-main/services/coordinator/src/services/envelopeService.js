@@ -72,6 +72,9 @@ class EnvelopeService {
    * Create envelope from HTTP request data
    * @param {Object} httpData - HTTP request data
    * @param {Object} options - Additional options
+   * @param {string} options.tenantId - Tenant identifier (verified, takes precedence over httpData)
+   * @param {string} options.userId - User identifier (verified, takes precedence over httpData)
+   * @param {Object} options.auth - Verified identity (req.auth); replaces tenant/user entirely when set
    * @returns {Object} - Universal Envelope
    */
   createEnvelopeFromHttpRequest(httpData, options = {}) {
@@ -86,8 +89,8 @@ class EnvelopeService {
     }
 
     return this.createEnvelope({
-      tenantId: options.tenantId || httpData.tenant_id || 'default',
-      userId: options.userId || httpData.user_id || 'anonymous',
+      tenantId: options.auth ? options.auth.tenantId : (options.tenantId || httpData.tenant_id),
+      userId: options.auth ? options.auth.userId : (options.userId || httpData.user_id),
       query: query,
       metadata: httpData.metadata || {},
       context: {
@@ -95,7 +98,8 @@ class EnvelopeService {
         protocol: 'http',
         timestamp: new Date().toISOString(),
         originalData: httpData
-      }
+      },
+      requestId: options.requestId || httpData.request_id
     });
   }
 
@@ -0,0 +1,355 @@
+const logger = require('../utils/logger');
+const healthCheckConfig = require('../config/healthCheck');
+const registryService = require('./registryService');
+const changelogService = require('./changelogService');
+const communicationService = require('./communicationService');
+const endpointPolicyService = require('./endpointPolicyService');
+
+// Lazy load gRPC client to avoid crashes if dependencies missing
+let grpcClient = null;
+let grpcClientLoadAttempted = false;
+function getGrpcClient() {
+  if (!grpcClient && !grpcClientLoadAttempted) {
+    grpcClientLoadAttempted = true;
+    try {
+      grpcClient = require('../grpc/client');
+    } catch (error) {
+      logger.warn('gRPC client not available for health checks', { error: error.message });
+      return null;
+    }
+  }
+  return grpcClient;
+}
+
+/**
+ * Health Check Service - Background poller for registered services
+ * Probes each instance's health path (and gRPC health RPC when supported),
+ * moves instances between active, degraded and unhealthy, and lets the
+ * registry derive each service's status from its instances
+ */
+class HealthCheckService {
+  constructor() {
+    this.config = healthCheckConfig;
+    this.timer = null;
+    this.running = false;
+    this.lastRunAt = null;
+    this.state = new Map(); // serviceId -> probe state
+  }
+
+  /**
+   * Start the background poller
+   */
+  start() {
+    if (!this.config.enabled) {
+      logger.info('Health check poller disabled via HEALTH_CHECK_ENABLED=false');
+      return;
+    }
+
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runChecks().catch(error => {
+        logger.error('Health check cycle failed', { error: error.message });
+      });
+    }, this.config.interval);
+
+    // Don't keep the process alive just for health checks
+    this.timer.unref();
+
+    logger.info('Health check poller started', {
+      interval: this.config.interval,
+      timeout: this.config.timeout,
+      thresholds: this.config.thresholds
+    });
+  }
+
+  /**
+   * Stop the background poller
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Health check poller stopped');
+    }
+  }
+
+  /**
+   * Probe all registered services once and apply status transitions
+   * @returns {Promise<Array>} - Probe results
+   */
+  async runChecks() {
+    // Skip if the previous cycle is still in flight
+    if (this.running) {
+      logger.debug('Health check cycle already running, skipping');
+      return [];
+    }
+
+    this.running = true;
+    try {
+      const services = await registryService.getAllServicesFull();
+      const probed = services.filter(service => this.config.probedStatuses.includes(service.status));
+
+      // Forget instances that are no longer registered
+      const knownKeys = new Set();
+      for (const service of services) {
+        for (const instance of service.instances) {
+          knownKeys.add(`${service.id}:${instance.instanceId}`);
+        }
+      }
+      for (const stateKey of this.state.keys()) {
+        if (!knownKeys.has(stateKey)) {
+          this.state.delete(stateKey);
+        }
+      }
+
+      const results = await Promise.all(probed.map(service => this.checkService(service)));
+      this.lastRunAt = new Date().toISOString();
+
+      logger.debug('Health check cycle completed', {
+        probed: results.length,
+        healthy: results.filter(r => r.healthy).length,
+        unhealthy: results.filter(r => !r.healthy).length
+      });
+
+      return results;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Probe every live instance of a service and apply instance status transitions
+   * The service status follows its healthiest instance
+   * @param {Object} service - Service entry from the registry
+   * @returns {Promise<Object>} - Probe result
+   */
+  async checkService(service) {
+    const instances = service.instances.filter(instance => instance.status !== 'expired');
+    const probes = await Promise.all(instances.map(instance => this._probe(service, instance)));
+    const checkedAt = new Date().toISOString();
+    const updates = {};
+    const expected = {};
+    const statusChanges = [];
+
+    instances.forEach((instance, index) => {
+      const probe = probes[index];
+      const stateKey = `${service.id}:${instance.instanceId}`;
+      const state = this.state.get(stateKey) || {
+        serviceId: service.id,
+        instanceId: instance.instanceId,
+        consecutiveFailures: 0,
+        consecutiveSuccesses: 0
+      };
+
+      if (probe.healthy) {
+        state.consecutiveSuccesses += 1;
+        state.consecutiveFailures = 0;
+      } else {
+        state.consecutiveFailures += 1;
+        state.consecutiveSuccesses = 0;
+      }
+
+      state.lastCheckedAt = checkedAt;
+      state.lastProbe = probe;
+      this.state.set(stateKey, state);
+
+      const newStatus = this._nextStatus(instance.status, state);
+      updates[instance.instanceId] = { lastHealthCheck: checkedAt };
+      // Skipped if the instance moved or expired while it was probed
+      expected[instance.instanceId] = { endpoint: instance.endpoint, status: instance.status };
+
+      if (newStatus !== instance.status) {
+        logger.warn('Instance health status changed', {
+          serviceId: service.id,
+          serviceName: service.serviceName,
+          instanceId: instance.instanceId,
+          endpoint: instance.endpoint,
+          oldStatus: instance.status,
+          newStatus,
+          consecutiveFailures: state.consecutiveFailures,
+          consecutiveSuccesses: state.consecutiveSuccesses,
+          error: probe.error
+        });
+
+        updates[instance.instanceId].status = newStatus;
+        statusChanges.push({ instanceId: instance.instanceId, oldStatus: instance.status, newStatus });
+      }
+    });
+
+    // Stamps lastHealthCheck and re-derives the service status (recorded in the changelog on change)
+    const { previousStatus, status, skipped } = await registryService.applyInstanceChanges(service, {
+      updates,
+      expected,
+      fields: { lastHealthCheck: checkedAt }
+    });
+
+    statusChanges
+      .filter(change => !skipped.includes(change.instanceId))
+      .forEach(change => changelogService.recordStatusChange(service.id, service.serviceName, change.oldStatus, change.newStatus, change.instanceId));
+
+    return {
+      serviceId: service.id,
+      serviceName: service.serviceName,
+      previousStatus,
+      status,
+      healthy: probes.some(probe => probe.healthy),
+      instances: instances.map((instance, index) => ({
+        instanceId: instance.instanceId,
+        endpoint: instance.endpoint,
+        status: updates[instance.instanceId].status || instance.status,
+        ...probes[index]
+      }))
+    };
+  }
+
+  /**
+   * Determine next status from current status and probe counters
+   * @param {string} currentStatus - Current registry status
+   * @param {Object} state - Probe state with consecutive counters
+   * @returns {string} - Next status
+   * @private
+   */
+  _nextStatus(currentStatus, state) {
+    const { thresholds } = this.config;
+
+    if (state.consecutiveFailures >= thresholds.unhealthy) {
+      return 'unhealthy';
+    }
+
+    if (state.consecutiveFailures >= thresholds.degraded) {
+      // Never promote an unhealthy service on failures
+      return currentStatus === 'unhealthy' ? 'unhealthy' : 'degraded';
+    }
+
+    if (state.consecutiveSuccesses >= thresholds.recovery) {
+      return 'active';
+    }
+
+    return currentStatus;
+  }
+
+  /**
+   * Probe an instance - gRPC health RPC for gRPC services (when implemented), HTTP otherwise
+   * @param {Object} service - Service entry
+   * @param {Object} instance - Instance entry
+   * @returns {Promise<Object>} - { healthy, protocol, latency, error }
+   * @private
+   */
+  async _probe(service, instance) {
+    const startTime = Date.now();
+
+    // Endpoints the policy rejects (e.g. a host now resolving to a denied address) aren't probed
+    let address = null;
+    try {
+      address = await endpointPolicyService.assertAllowed(instance.endpoint);
+    } catch (error) {
+      if (error.code === 'ENDPOINT_NOT_ALLOWED') {
+        return { healthy: false, protocol: null, latency: 0, error: error.message };
+      }
+    }
+
+    if (communicationService.selectProtocolForService({ ...service, endpoint: instance.endpoint }) === 'grpc') {
+      const grpc = getGrpcClient();
+      if (grpc) {
+        try {
+          const result = await grpc.checkHealth(service.serviceName, instance.endpoint, this.config.timeout, service.grpcTls, address);
+          if (result.supported) {
+            return {
+              healthy: result.healthy,
+              protocol: 'grpc',
+              latency: Date.now() - startTime,
+              error: result.healthy ? null : (result.error || `gRPC health status: ${result.status}`)
+            };
+          }
+        } catch (error) {
+          logger.debug('gRPC health probe failed, falling back to HTTP', {
+            serviceName: service.serviceName,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    return this._probeHttp(service, instance, startTime);
+  }
+
+  /**
+   * Probe an instance's HTTP health check path
+   * @param {Object} service - Service entry
+   * @param {Object} instance - Instance entry
+   * @param {number} startTime - Probe start timestamp
+   * @returns {Promise<Object>} - { healthy, protocol, latency, error }
+   * @private
+   */
+  async _probeHttp(service, instance, startTime = Date.now()) {
+    const healthPath = service.healthCheck || '/health';
+    const targetUrl = `${instance.endpoint.replace(/\/+$/, '')}${healthPath.startsWith('/') ? '' : '/'}${healthPath}`;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const response = await fetch(targetUrl, {
+        method: 'GET',
+        headers: { 'X-Coordinator-Service': 'coordinator' },
+        signal: controller.signal,
+        // Refuses to connect if the host now resolves to a denied address
+        dispatcher: endpointPolicyService.dispatcher
+      });
+
+      // Drain body so the connection can be reused
+      await response.text().catch(() => null);
+
+      return {
+        healthy: response.ok,
+        protocol: 'http',
+        latency: Date.now() - startTime,
+        error: response.ok ? null : `HTTP ${response.status}: ${response.statusText}`
+      };
+    } catch (error) {
+      return {
+        healthy: false,
+        protocol: 'http',
+        latency: Date.now() - startTime,
+        error: error.name === 'AbortError'
+          ? `Health check timeout after ${this.config.timeout}ms`
+          : (error.cause?.message || error.message)
+      };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Get poller status and per-service probe state
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      running: !!this.timer,
+      interval: this.config.interval,
+      timeout: this.config.timeout,
+      thresholds: this.config.thresholds,
+      lastRunAt: this.lastRunAt,
+      instances: Array.from(this.state.values()).map(state => ({
+        serviceId: state.serviceId,
+        instanceId: state.instanceId,
+        consecutiveFailures: state.consecutiveFailures,
+        consecutiveSuccesses: state.consecutiveSuccesses,
+        lastCheckedAt: state.lastCheckedAt,
+        protocol: state.lastProbe?.protocol || null,
+        latency: state.lastProbe?.latency ?? null,
+        lastError: state.lastProbe?.error || null
+      }))
+    };
+  }
+}
+
+// Singleton instance
+const healthCheckService = new HealthCheckService();
+
+module.exports = healthCheckService;
@@ -1,22 +1,26 @@
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
-const supabase = require('../config/supabase');
+const storage = require('../storage');
+const storageConfig = require('../config/storage');
 const registryService = require('./registryService');
 
+/**
+ * Storage collection holding knowledge graph versions
+ */
+const COLLECTION = 'knowledge_graph';
+
 /**
  * Knowledge Graph Service - Manages persistent knowledge graph storage
  */
 class KnowledgeGraphService {
   constructor() {
-    this.useSupabase = !!supabase;
+    this.store = storage;
+    this.historyLimit = storageConfig.graphHistory; // versions kept (0 = all)
     this.cache = null;
     this.lastUpdate = null;
     this.cacheTTL = 30000; // 30 seconds cache
-    
-    if (this.useSupabase) {
-      logger.info('KnowledgeGraphService initialized with Supabase');
-    } else {
-      logger.info('KnowledgeGraphService initialized with in-memory cache only');
-    }
+
+    logger.info('KnowledgeGraphService initialized', { storage: this.store.name });
   }
 
   /**
@@ -137,58 +141,35 @@ class KnowledgeGraphService {
   }
 
   /**
-   * Save knowledge graph to Supabase
+   * Save knowledge graph as a new version in storage
    * @param {Object} graph - Knowledge graph structure
    * @returns {Promise<boolean>}
    */
   async saveGraph(graph) {
-    if (!this.useSupabase) {
-      // Fallback to in-memory cache
-      this.cache = graph;
-      this.lastUpdate = Date.now();
-      logger.info('Knowledge graph cached in memory');
-      return true;
-    }
-
     try {
-      // Get current version (handle case where table is empty)
-      let nextVersion = 1;
-      const { data: latest, error: versionError } = await supabase
-        .from('knowledge_graph')
-        .select('version')
-        .order('version', { ascending: false })
-        .limit(1)
-        .maybeSingle();
-
-      if (!versionError && latest) {
-        nextVersion = latest.version + 1;
-      }
+      // Get current version (handle case where nothing is stored yet)
+      const [latest] = await this.store.list(COLLECTION, { orderBy: 'version', descending: true, limit: 1 });
+      const nextVersion = latest ? latest.version + 1 : 1;
       graph.metadata.version = nextVersion;
 
-      const { error } = await supabase
-        .from('knowledge_graph')
-        .insert([{
-          graph_data: graph,
-          version: nextVersion
-        }]);
-
-      if (error) {
-        logger.error('Failed to save knowledge graph to Supabase', { error: error.message });
-        // Fallback to cache
-        this.cache = graph;
-        this.lastUpdate = Date.now();
-        return false;
-      }
+      await this.store.put(COLLECTION, {
+        id: uuidv4(),
+        version: nextVersion,
+        graphData: graph,
+        lastUpdated: new Date().toISOString()
+      });
 
       // Update cache
       this.cache = graph;
       this.lastUpdate = Date.now();
 
-      logger.info('Knowledge graph saved to Supabase', {
+      logger.info('Knowledge graph saved', {
         version: nextVersion,
-        totalServices: graph.metadata.totalServices
+        totalServices: graph.metadata.totalServices,
+        storage: this.store.name
       });
 
+      await this._pruneHistory();
       return true;
     } catch (error) {
       logger.error('Error saving knowledge graph', { error: error.message });
@@ -200,7 +181,7 @@ class KnowledgeGraphService {
   }
 
   /**
-   * Get knowledge graph (from cache or Supabase)
+   * Get knowledge graph (from cache or storage)
    * @param {boolean} forceRebuild - Force rebuild even if cache is valid
    * @returns {Promise<Object>}
    */
@@ -214,29 +195,22 @@ class KnowledgeGraphService {
       }
     }
 
-    // Try to get from Supabase
-    if (this.useSupabase) {
-      try {
-        const { data, error } = await supabase
-          .from('knowledge_graph')
-          .select('graph_data, version, last_updated')
-          .order('version', { ascending: false })
-          .limit(1)
-          .single();
-
-        if (!error && data && data.graph_data) {
-          this.cache = data.graph_data;
-          this.lastUpdate = new Date(data.last_updated).getTime();
-          logger.info('Knowledge graph loaded from Supabase', {
-            version: data.version
-          });
-          return this.cache;
-        }
-      } catch (error) {
-        logger.warn('Failed to load knowledge graph from Supabase', {
-          error: error.message
+    // Try to get the latest stored version
+    try {
+      const [latest] = await this.store.list(COLLECTION, { orderBy: 'version', descending: true, limit: 1 });
+
+      if (latest && latest.graphData) {
+        this.cache = latest.graphData;
+        this.lastUpdate = new Date(latest.lastUpdated).getTime();
+        logger.info('Knowledge graph loaded from storage', {
+          version: latest.version
         });
+        return this.cache;
       }
+    } catch (error) {
+      logger.warn('Failed to load knowledge graph from storage', {
+        error: error.message
+      });
     }
 
     // Rebuild from services
@@ -268,7 +242,7 @@ class KnowledgeGraphService {
           totalServices: graph.metadata.totalServices
         });
       } else {
-        logger.warn('Knowledge graph rebuilt but failed to save to Supabase');
+        logger.warn('Knowledge graph rebuilt but failed to save to storage');
       }
       
       return graph;
@@ -356,6 +330,22 @@ class KnowledgeGraphService {
     return related.sort((a, b) => (b.weight || 0) - (a.weight || 0));
   }
 
+  /**
+   * Drop stored versions beyond the history limit
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _pruneHistory() {
+    if (!this.historyLimit) {
+      return;
+    }
+
+    const versions = await this.store.list(COLLECTION, { orderBy: 'version', descending: true });
+    for (const old of versions.slice(this.historyLimit)) {
+      await this.store.remove(COLLECTION, old.id);
+    }
+  }
+
   /**
    * Get next version number
    * @returns {number}
@@ -0,0 +1,218 @@
+const logger = require('../utils/logger');
+const leaseConfig = require('../config/lease');
+const registryService = require('./registryService');
+const changelogService = require('./changelogService');
+const circuitBreakerService = require('./circuitBreakerService');
+
+/**
+ * Lease Service - Heartbeat renewal and expiry of service instances
+ * Instances whose lease runs out are marked expired (and dropped from balancing),
+ * then removed from the registry once the grace period has passed. The same
+ * sweep finishes deregistrations whose drain period has ended
+ */
+class LeaseService {
+  constructor() {
+    this.config = leaseConfig;
+    this.timer = null;
+    this.sweeping = false;
+    this.lastSweepAt = null;
+  }
+
+  /**
+   * Start the background lease sweeper
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => {
+        logger.error('Lease sweep failed', { error: error.message });
+      });
+    }, this.config.sweepInterval);
+
+    // Don't keep the process alive just for lease sweeps
+    this.timer.unref();
+
+    logger.info('Lease sweeper started', {
+      sweepInterval: this.config.sweepInterval,
+      gracePeriod: this.config.gracePeriod,
+      defaultTtl: this.config.defaultTtl
+    });
+  }
+
+  /**
+   * Stop the background lease sweeper
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Lease sweeper stopped');
+    }
+  }
+
+  /**
+   * Renew an instance's lease
+   * @param {string} serviceId - Service ID
+   * @param {number|null} leaseTtl - New lease TTL in ms (defaults to the current one)
+   * @param {string|null} instanceId - Instance to renew (optional for single-instance services)
+   * @returns {Promise<Object>} - { service, instance }
+   */
+  async heartbeat(serviceId, leaseTtl = null, instanceId = null) {
+    const { service, instance, previousInstanceStatus } = await registryService.renewLease(serviceId, leaseTtl, instanceId);
+
+    if (previousInstanceStatus !== instance.status) {
+      logger.info('Expired instance renewed its lease', {
+        serviceId,
+        serviceName: service.serviceName,
+        instanceId: instance.instanceId,
+        newStatus: instance.status
+      });
+      changelogService.recordStatusChange(serviceId, service.serviceName, previousInstanceStatus, instance.status, instance.instanceId);
+    }
+
+    return { service, instance };
+  }
+
+  /**
+   * Expire instances whose lease has run out and remove those past the grace period
+   * A service expires with its last live instance and is removed with its last instance;
+   * draining services are removed once their drain period is over
+   * @returns {Promise<Object>} - { expired, removed } as serviceName/instanceId, drained service names
+   */
+  async sweep() {
+    // Skip if the previous sweep is still in flight
+    if (this.sweeping) {
+      return { expired: [], removed: [], drained: [] };
+    }
+
+    this.sweeping = true;
+    try {
+      const services = await registryService.getAllServicesFull({ includeExpired: true });
+      const now = Date.now();
+      const expired = [];
+      const removed = [];
+      const drained = [];
+
+      for (const service of services) {
+        // Deregistration with a drain period - remove once it is over
+        if (registryService.isDrained(service, now)) {
+          if (await registryService.completeDrain(service)) {
+            circuitBreakerService.reset(service.serviceName);
+            drained.push(service.serviceName);
+          }
+          continue;
+        }
+
+        const updates = {};
+        const remove = [];
+        const expected = {};
+        const transitions = [];
+
+        for (const instance of service.instances) {
+          if (!instance.leaseExpiresAt) {
+            continue;
+          }
+
+          const expiresAt = Date.parse(instance.leaseExpiresAt);
+          if (now < expiresAt) {
+            continue;
+          }
+
+          // A heartbeat received while sweeping moves the lease, so the change is skipped
+          expected[instance.instanceId] = { leaseExpiresAt: instance.leaseExpiresAt, status: instance.status };
+
+          if (instance.status !== 'expired') {
+            updates[instance.instanceId] = { status: 'expired' };
+            transitions.push({ instance, removed: false });
+          } else if (now >= expiresAt + this.config.gracePeriod) {
+            remove.push(instance.instanceId);
+            transitions.push({ instance, removed: true });
+          }
+        }
+
+        if (transitions.length === 0) {
+          continue;
+        }
+
+        let result;
+        try {
+          result = await registryService.applyInstanceChanges(service, {
+            updates,
+            remove,
+            expected,
+            reason: 'lease_expired'
+          });
+        } catch (error) {
+          // Removed meanwhile (deregistered or by another replica)
+          if (error.status === 404) {
+            continue;
+          }
+          throw error;
+        }
+
+        for (const { instance, removed: isRemoval } of transitions) {
+          if (result.skipped.includes(instance.instanceId)) {
+            continue;
+          }
+
+          const label = `${service.serviceName}/${instance.instanceId}`;
+          if (!isRemoval) {
+            logger.warn('Instance lease expired', {
+              serviceId: service.id,
+              serviceName: service.serviceName,
+              instanceId: instance.instanceId,
+              oldStatus: instance.status,
+              leaseExpiresAt: instance.leaseExpiresAt
+            });
+            changelogService.recordStatusChange(service.id, service.serviceName, instance.status, 'expired', instance.instanceId);
+            expired.push(label);
+          } else {
+            logger.warn('Removed expired instance after grace period', {
+              serviceId: service.id,
+              serviceName: service.serviceName,
+              instanceId: instance.instanceId,
+              leaseExpiresAt: instance.leaseExpiresAt
+            });
+            // The service removal itself is recorded when it was its last instance
+            if (!result.deleted) {
+              changelogService.recordServiceRemoval(service.id, service.serviceName, 'lease_expired', instance.instanceId);
+            }
+            removed.push(label);
+          }
+        }
+
+        if (result.deleted) {
+          circuitBreakerService.reset(service.serviceName);
+        }
+      }
+
+      this.lastSweepAt = new Date().toISOString();
+      return { expired, removed, drained };
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * Get sweeper status
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      running: !!this.timer,
+      defaultTtl: this.config.defaultTtl,
+      minTtl: this.config.minTtl,
+      gracePeriod: this.config.gracePeriod,
+      sweepInterval: this.config.sweepInterval,
+      lastSweepAt: this.lastSweepAt
+    };
+  }
+}
+
+// Singleton instance
+const leaseService = new LeaseService();
+
+module.exports = leaseService;
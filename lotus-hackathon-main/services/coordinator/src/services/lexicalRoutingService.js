@@ -0,0 +1,99 @@
+const logger = require('../utils/logger');
+const routingConfig = require('../config/routing');
+const routingCacheService = require('./routingCacheService');
+const Bm25Index = require('../utils/bm25');
+const { serviceFields, requestText } = require('../utils/serviceDocument');
+
+/**
+ * Confidence of the weakest and the best possible lexical match
+ * Kept between the default fallback (0.3) and a certain AI decision
+ */
+const MIN_CONFIDENCE = 0.3;
+const MAX_CONFIDENCE = 0.95;
+
+/**
+ * Lexical Routing Service - Ranks services by BM25 over their text fields
+ * Each routable service is indexed by name, description, capabilities and tags,
+ * endpoint paths (without parameters) and descriptions, and event names, with a
+ * weight per field (see config/routing.js). Like the semantic index, it is
+ * rebuilt when the registry version changes.
+ * Scores are turned into confidences against the highest score the query terms
+ * could reach, so a service matching every query term in its name ranks near
+ * 0.95 and a single common word in a long description stays near 0.3.
+ */
+class LexicalRoutingService {
+  constructor() {
+    this.config = routingConfig.lexical;
+    this.index = new Bm25Index(this.config);
+    this.version = null;
+    this.builtAt = null;
+    this.rebuilds = 0;
+  }
+
+  /**
+   * Rank services by lexical relevance to the request
+   * @param {Object} data - Request data ({ type, payload, context })
+   * @param {Array} services - Routable services
+   * @returns {Array} - [{ serviceName, score, confidence, matches: { term: [fields] } }],
+   *   best first; only services sharing at least one term with the request
+   */
+  rank(data, services) {
+    const query = [data.type, requestText(data)].filter(part => typeof part === 'string').join(' ');
+    if (!query.trim() || services.length === 0) {
+      return [];
+    }
+
+    this._ensureIndex(services);
+
+    return this.index.search(query)
+      .slice(0, this.config.maxCandidates)
+      .map(result => ({
+        serviceName: result.id,
+        score: Math.round(result.score * 1000) / 1000,
+        confidence: Math.round((MIN_CONFIDENCE + (MAX_CONFIDENCE - MIN_CONFIDENCE) * result.relevance) * 1000) / 1000,
+        matches: result.matches
+      }));
+  }
+
+  /**
+   * Index summary
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      ...this.index.getStatus(),
+      registryVersion: this.version,
+      builtAt: this.builtAt,
+      rebuilds: this.rebuilds
+    };
+  }
+
+  /**
+   * Rebuild the index if the registry version changed
+   * @private
+   */
+  _ensureIndex(services) {
+    const version = routingCacheService.registryVersion(services);
+    if (this.version === version) {
+      return;
+    }
+
+    this.index.build(services.map(service => ({
+      id: service.serviceName,
+      fields: serviceFields(service)
+    })));
+    this.version = version;
+    this.builtAt = new Date().toISOString();
+    this.rebuilds += 1;
+
+    logger.debug('Lexical routing index rebuilt', {
+      services: services.length,
+      terms: this.index.documentFrequency.size
+    });
+  }
+}
+
+// Singleton instance
+const lexicalRoutingService = new LexicalRoutingService();
+
+module.exports = lexicalRoutingService;
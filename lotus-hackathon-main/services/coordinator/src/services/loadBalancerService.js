@@ -0,0 +1,277 @@
+const logger = require('../utils/logger');
+const loadBalancingConfig = require('../config/loadBalancing');
+const registryService = require('./registryService');
+
+/**
+ * Load Balancer Service - Client-side balancing across service instances
+ * Orders healthy instances by strategy (round-robin, least outstanding requests
+ * or weighted) and fails over between them before the caller gives up on the service
+ */
+class LoadBalancerService {
+  constructor() {
+    this.config = loadBalancingConfig;
+    this.strategy = this.config.strategies.includes(this.config.strategy)
+      ? this.config.strategy
+      : 'round_robin';
+    this.cursors = new Map(); // serviceName -> round-robin cursor
+    this.currentWeights = new Map(); // serviceName -> Map(instanceId -> smooth weighted RR weight)
+    this.outstanding = new Map(); // serviceName:instanceId -> in-flight requests
+
+    if (this.strategy !== this.config.strategy) {
+      logger.warn('Unknown load balancing strategy, using round_robin', {
+        strategy: this.config.strategy,
+        supported: this.config.strategies
+      });
+    }
+  }
+
+  /**
+   * Get instances of a service
+   * Ranked services and ad-hoc service objects without instances get one
+   * synthesized from their endpoint
+   * @param {Object} service - Service entry
+   * @returns {Array} - Instance entries
+   */
+  getInstances(service) {
+    if (Array.isArray(service.instances) && service.instances.length > 0) {
+      return service.instances;
+    }
+
+    return [{
+      instanceId: service.id || service.serviceName,
+      endpoint: service.endpoint,
+      weight: 1,
+      status: 'active'
+    }];
+  }
+
+  /**
+   * Order healthy instances for a call: the selected instance first, then failover candidates
+   * Active instances always come before degraded ones
+   * @param {Object} service - Service entry
+   * @returns {Array} - Ordered instances (empty if none is healthy)
+   */
+  selectInstances(service) {
+    const now = Date.now();
+    const healthy = this.getInstances(service).filter(instance =>
+      registryService.isRoutable(instance) && !registryService.isLeaseExpired(instance, now)
+    );
+
+    if (healthy.length <= 1) {
+      return healthy;
+    }
+
+    let ordered;
+    if (this.strategy === 'least_outstanding') {
+      // Stable sort over the round-robin order so ties keep rotating
+      ordered = this._roundRobin(service.serviceName, healthy)
+        .sort((a, b) => this.getOutstanding(service, a) - this.getOutstanding(service, b));
+    } else if (this.strategy === 'weighted') {
+      ordered = this._weighted(service.serviceName, healthy);
+    } else {
+      ordered = this._roundRobin(service.serviceName, healthy);
+    }
+
+    return [
+      ...ordered.filter(instance => instance.status === 'active'),
+      ...ordered.filter(instance => instance.status !== 'active')
+    ];
+  }
+
+  /**
+   * Run a call against a service's instances, failing over to the next instance
+   * on errors (or retryable results) until one succeeds or attempts run out
+   * @param {Object} service - Service entry
+   * @param {Function} call - async (instance, remainingMs) => result
+   * @param {Object} options - Execution options
+   * @param {number} options.timeout - Overall budget in ms shared by all instances
+   * @param {Function} options.isRetryable - (result) => true to fail over on this result
+   * @param {Function} options.shouldRetryError - (error) => false to stop on this error
+   * @returns {Promise<Object>} - { result, instance, attempts }
+   */
+  async execute(service, call, options = {}) {
+    const candidates = this.selectInstances(service);
+
+    if (candidates.length === 0) {
+      const error = new Error(`No healthy instances for service '${service.serviceName}'`);
+      error.code = 'NO_HEALTHY_INSTANCES';
+      error.status = 503;
+      throw error;
+    }
+
+    const isRetryable = options.isRetryable || (() => false);
+    const shouldRetryError = options.shouldRetryError || (() => true);
+    const deadline = options.timeout ? Date.now() + options.timeout : null;
+    const maxAttempts = Math.min(candidates.length, this.config.maxInstanceAttempts);
+
+    let lastResult = null;
+    let lastInstance = null;
+    let lastError = null;
+    let attempts = 0;
+
+    for (const instance of candidates.slice(0, maxAttempts)) {
+      const remaining = deadline ? deadline - Date.now() : null;
+      if (remaining !== null && remaining <= 0) {
+        break;
+      }
+
+      attempts += 1;
+      this._acquire(service, instance);
+      try {
+        const result = await call(instance, remaining);
+        lastResult = result;
+        lastInstance = instance;
+        lastError = null;
+
+        if (!isRetryable(result)) {
+          return { result, instance, attempts };
+        }
+      } catch (error) {
+        lastResult = null;
+        lastInstance = instance;
+        lastError = error;
+
+        if (!shouldRetryError(error)) {
+          throw error;
+        }
+      } finally {
+        this._release(service, instance);
+      }
+
+      if (attempts < maxAttempts) {
+        logger.warn('Instance call failed, failing over to next instance', {
+          serviceName: service.serviceName,
+          instanceId: instance.instanceId,
+          endpoint: instance.endpoint,
+          error: lastError?.message || 'retryable response'
+        });
+      }
+    }
+
+    if (lastError || !lastResult) {
+      throw lastError || new Error(`Call to service '${service.serviceName}' timed out before any instance answered`);
+    }
+
+    // Every instance gave a retryable result - hand back the last one
+    return { result: lastResult, instance: lastInstance, attempts };
+  }
+
+  /**
+   * Get in-flight request count for an instance
+   * @param {Object} service - Service entry
+   * @param {Object} instance - Instance entry
+   * @returns {number}
+   */
+  getOutstanding(service, instance) {
+    return this.outstanding.get(`${service.serviceName}:${instance.instanceId}`) || 0;
+  }
+
+  /**
+   * Get balancer status
+   * @returns {Object}
+   */
+  getStatus() {
+    const outstanding = {};
+    for (const [key, count] of this.outstanding.entries()) {
+      if (count > 0) {
+        outstanding[key] = count;
+      }
+    }
+
+    return {
+      strategy: this.strategy,
+      maxInstanceAttempts: this.config.maxInstanceAttempts,
+      outstanding
+    };
+  }
+
+  /**
+   * Rotate instances so each call starts at the next one
+   * @param {string} serviceName - Service name
+   * @param {Array} instances - Healthy instances
+   * @returns {Array} - Rotated copy
+   * @private
+   */
+  _roundRobin(serviceName, instances) {
+    const cursor = this.cursors.get(serviceName) || 0;
+    this.cursors.set(serviceName, (cursor + 1) % Number.MAX_SAFE_INTEGER);
+
+    const start = cursor % instances.length;
+    return [...instances.slice(start), ...instances.slice(0, start)];
+  }
+
+  /**
+   * Smooth weighted round-robin (nginx style): pick one instance proportionally
+   * to weight, then order the rest by weight for failover
+   * @param {string} serviceName - Service name
+   * @param {Array} instances - Healthy instances
+   * @returns {Array} - Selected instance first
+   * @private
+   */
+  _weighted(serviceName, instances) {
+    let weights = this.currentWeights.get(serviceName);
+    if (!weights) {
+      weights = new Map();
+      this.currentWeights.set(serviceName, weights);
+    }
+
+    let total = 0;
+    let selected = null;
+    for (const instance of instances) {
+      const weight = instance.weight || 1;
+      total += weight;
+      weights.set(instance.instanceId, (weights.get(instance.instanceId) || 0) + weight);
+      if (!selected || weights.get(instance.instanceId) > weights.get(selected.instanceId)) {
+        selected = instance;
+      }
+    }
+    weights.set(selected.instanceId, weights.get(selected.instanceId) - total);
+
+    // Drop weights of instances that are no longer healthy
+    const ids = new Set(instances.map(instance => instance.instanceId));
+    for (const instanceId of weights.keys()) {
+      if (!ids.has(instanceId)) {
+        weights.delete(instanceId);
+      }
+    }
+
+    return [
+      selected,
+      ...instances
+        .filter(instance => instance !== selected)
+        .sort((a, b) => (b.weight || 1) - (a.weight || 1))
+    ];
+  }
+
+  /**
+   * Count a request as in flight
+   * @param {Object} service - Service entry
+   * @param {Object} instance - Instance entry
+   * @private
+   */
+  _acquire(service, instance) {
+    const key = `${service.serviceName}:${instance.instanceId}`;
+    this.outstanding.set(key, (this.outstanding.get(key) || 0) + 1);
+  }
+
+  /**
+   * Count a request as finished
+   * @param {Object} service - Service entry
+   * @param {Object} instance - Instance entry
+   * @private
+   */
+  _release(service, instance) {
+    const key = `${service.serviceName}:${instance.instanceId}`;
+    const count = (this.outstanding.get(key) || 1) - 1;
+    if (count > 0) {
+      this.outstanding.set(key, count);
+    } else {
+      this.outstanding.delete(key);
+    }
+  }
+}
+
+// Singleton instance
+const loadBalancerService = new LoadBalancerService();
+
+module.exports = loadBalancerService;
@@ -45,6 +45,31 @@ class MetricsService {
       attemptsBeforeSuccessCount: 0
     };
     
+    // Circuit breaker metrics (per service)
+    this.circuitBreakerMetrics = {
+      state: {},        // { serviceName: 'closed' | 'open' | 'half_open' }
+      openedTotal: {},  // { serviceName: count }
+      rejectedTotal: {} // { serviceName: count }
+    };
+
+    // Rate limiting metrics
+    this.rateLimitMetrics = {
+      rejectedTotal: {} // { 'tier|protocol': count }
+    };
+
+    // Routing decision cache metrics
+    this.routingCacheMetrics = {
+      hitsTotal: 0,
+      missesTotal: 0,
+      evictionsTotal: {}, // { reason: count } (ttl, lru, invalidated)
+      entries: 0
+    };
+
+    // Routing rule metrics
+    this.routingRuleMetrics = {
+      matchesTotal: {} // { ruleId: count }
+    };
+    
     logger.info('MetricsService initialized');
   }
 
@@ -133,6 +158,75 @@ class MetricsService {
     });
   }
 
+  /**
+   * Record circuit breaker state transition
+   * @param {string} serviceName - Service name
+   * @param {string} state - New state ('closed', 'open', 'half_open')
+   */
+  recordCircuitBreakerState(serviceName, state) {
+    this.circuitBreakerMetrics.state[serviceName] = state;
+    if (state === 'open') {
+      this.circuitBreakerMetrics.openedTotal[serviceName] =
+        (this.circuitBreakerMetrics.openedTotal[serviceName] || 0) + 1;
+    }
+  }
+
+  /**
+   * Record call rejected by an open circuit
+   * @param {string} serviceName - Service name
+   */
+  recordCircuitBreakerRejection(serviceName) {
+    this.circuitBreakerMetrics.rejectedTotal[serviceName] =
+      (this.circuitBreakerMetrics.rejectedTotal[serviceName] || 0) + 1;
+  }
+
+  /**
+   * Record request rejected by the rate limiter
+   * @param {string} tier - Rate limit tier ('ai', 'read', 'default')
+   * @param {string} protocol - 'http' or 'grpc'
+   */
+  recordRateLimitRejection(tier, protocol) {
+    const key = `${tier}|${protocol}`;
+    this.rateLimitMetrics.rejectedTotal[key] = (this.rateLimitMetrics.rejectedTotal[key] || 0) + 1;
+  }
+
+  /**
+   * Record routing cache lookup
+   * @param {boolean} hit - Whether a cached decision was used
+   */
+  recordRoutingCacheLookup(hit) {
+    if (hit) {
+      this.routingCacheMetrics.hitsTotal += 1;
+    } else {
+      this.routingCacheMetrics.missesTotal += 1;
+    }
+  }
+
+  /**
+   * Record routing decisions dropped from the cache
+   * @param {string} reason - 'ttl', 'lru' or 'invalidated'
+   * @param {number} count - Decisions dropped
+   */
+  recordRoutingCacheEviction(reason, count = 1) {
+    this.routingCacheMetrics.evictionsTotal[reason] = (this.routingCacheMetrics.evictionsTotal[reason] || 0) + count;
+  }
+
+  /**
+   * Update number of cached routing decisions
+   * @param {number} count - Current number of entries
+   */
+  updateRoutingCacheEntries(count) {
+    this.routingCacheMetrics.entries = count;
+  }
+
+  /**
+   * Record a request routed by a routing rule
+   * @param {string} ruleId - Rule that matched
+   */
+  recordRoutingRuleMatch(ruleId) {
+    this.routingRuleMetrics.matchesTotal[ruleId] = (this.routingRuleMetrics.matchesTotal[ruleId] || 0) + 1;
+  }
+
   /**
    * Get all metrics in Prometheus format
    * @returns {string} - Prometheus metrics format
@@ -186,6 +280,69 @@ class MetricsService {
 `;
     }
     
+    // Build circuit breaker metrics (state gauge: 0=closed, 1=half_open, 2=open)
+    const stateValues = { closed: 0, half_open: 1, open: 2 };
+    let circuitBreakerMetrics = `# HELP coordinator_circuit_breaker_state Circuit breaker state per service (0=closed, 1=half_open, 2=open)
+# TYPE coordinator_circuit_breaker_state gauge
+`;
+    for (const [serviceName, state] of Object.entries(this.circuitBreakerMetrics.state)) {
+      circuitBreakerMetrics += `coordinator_circuit_breaker_state{service="${serviceName}"} ${stateValues[state] ?? 0}
+`;
+    }
+    circuitBreakerMetrics += `
+# HELP coordinator_circuit_breaker_opened_total Times a service circuit opened
+# TYPE coordinator_circuit_breaker_opened_total counter
+`;
+    for (const [serviceName, count] of Object.entries(this.circuitBreakerMetrics.openedTotal)) {
+      circuitBreakerMetrics += `coordinator_circuit_breaker_opened_total{service="${serviceName}"} ${count}
+`;
+    }
+    circuitBreakerMetrics += `
+# HELP coordinator_circuit_breaker_rejected_total Calls skipped because the service circuit was open
+# TYPE coordinator_circuit_breaker_rejected_total counter
+`;
+    for (const [serviceName, count] of Object.entries(this.circuitBreakerMetrics.rejectedTotal)) {
+      circuitBreakerMetrics += `coordinator_circuit_breaker_rejected_total{service="${serviceName}"} ${count}
+`;
+    }
+    
+    let rateLimitCounter = `# HELP coordinator_rate_limited_total Requests rejected by the rate limiter
+# TYPE coordinator_rate_limited_total counter
+`;
+    for (const [key, count] of Object.entries(this.rateLimitMetrics.rejectedTotal)) {
+      const [tier, protocol] = key.split('|');
+      rateLimitCounter += `coordinator_rate_limited_total{tier="${tier}",protocol="${protocol}"} ${count}
+`;
+    }
+
+    let routingCacheMetrics = `# HELP coordinator_routing_cache_hits_total Routing requests answered from the routing cache
+# TYPE coordinator_routing_cache_hits_total counter
+coordinator_routing_cache_hits_total ${this.routingCacheMetrics.hitsTotal}
+
+# HELP coordinator_routing_cache_misses_total Routing requests that asked the AI model
+# TYPE coordinator_routing_cache_misses_total counter
+coordinator_routing_cache_misses_total ${this.routingCacheMetrics.missesTotal}
+
+# HELP coordinator_routing_cache_entries Routing decisions currently cached
+# TYPE coordinator_routing_cache_entries gauge
+coordinator_routing_cache_entries ${this.routingCacheMetrics.entries}
+
+# HELP coordinator_routing_cache_evictions_total Routing decisions dropped (ttl, lru, invalidated)
+# TYPE coordinator_routing_cache_evictions_total counter
+`;
+    for (const [reason, count] of Object.entries(this.routingCacheMetrics.evictionsTotal)) {
+      routingCacheMetrics += `coordinator_routing_cache_evictions_total{reason="${reason}"} ${count}
+`;
+    }
+
+    let routingRuleCounter = `# HELP coordinator_routing_rule_matches_total Requests routed by a routing rule
+# TYPE coordinator_routing_rule_matches_total counter
+`;
+    for (const [ruleId, count] of Object.entries(this.routingRuleMetrics.matchesTotal)) {
+      routingRuleCounter += `coordinator_routing_rule_matches_total{rule="${ruleId}"} ${count}
+`;
+    }
+    
     return `# HELP coordinator_registered_services_total Total number of registered services
 # TYPE coordinator_registered_services_total gauge
 coordinator_registered_services_total ${this.metrics.registeredServices}
@@ -212,7 +369,11 @@ ${attemptsBeforeSuccessHistogram}
 # TYPE coordinator_primary_success_total counter
 coordinator_primary_success_total ${this.cascadingMetrics.primarySuccessTotal}
 
-${fallbackUsedCounter}`;
+${fallbackUsedCounter}
+${circuitBreakerMetrics}
+${rateLimitCounter}
+${routingCacheMetrics}
+${routingRuleCounter}`;
   }
 
   /**
@@ -239,6 +400,23 @@ ${fallbackUsedCounter}`;
         },
         primarySuccessTotal: this.cascadingMetrics.primarySuccessTotal,
         fallbackUsedTotal: this.cascadingMetrics.fallbackUsedTotal
+      },
+      circuitBreaker: {
+        state: this.circuitBreakerMetrics.state,
+        openedTotal: this.circuitBreakerMetrics.openedTotal,
+        rejectedTotal: this.circuitBreakerMetrics.rejectedTotal
+      },
+      rateLimit: {
+        rejectedTotal: this.rateLimitMetrics.rejectedTotal
+      },
+      routingCache: {
+        hitsTotal: this.routingCacheMetrics.hitsTotal,
+        missesTotal: this.routingCacheMetrics.missesTotal,
+        evictionsTotal: this.routingCacheMetrics.evictionsTotal,
+        entries: this.routingCacheMetrics.entries
+      },
+      routingRules: {
+        matchesTotal: this.routingRuleMetrics.matchesTotal
       }
     };
   }
@@ -1,9 +1,17 @@
 const logger = require('../utils/logger');
 const aiRoutingService = require('./aiRoutingService');
 const registryService = require('./registryService');
+const circuitBreakerService = require('./circuitBreakerService');
+const loadBalancerService = require('./loadBalancerService');
+const endpointPolicyService = require('./endpointPolicyService');
 
 /**
- * Proxy Service - Forwards requests to microservices using AI routing
+ * Methods that can be replayed on another instance after a failure
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Proxy Service - Forwards requests to microservices chosen by routing rules or AI routing
  */
 class ProxyService {
   constructor() {
@@ -43,111 +51,183 @@ class ProxyService {
 
   /**
    * Forward request to target microservice
+   * Balances across the service's healthy instances and fails over to another
+   * instance when it is safe to replay the request
    * @param {Object} req - Express request object
    * @param {Object} targetService - Target service information
    * @returns {Promise<Object>} - Response from microservice
    */
   async forwardRequest(req, targetService) {
-    const targetUrl = `${targetService.endpoint}${req.path}`;
+    if (!circuitBreakerService.canRequest(targetService.serviceName)) {
+      throw circuitBreakerService.createOpenError(targetService.serviceName);
+    }
+
+    // Non-idempotent requests are only replayed when they never reached the instance
+    const idempotent = IDEMPOTENT_METHODS.includes(req.method);
+
+    try {
+      const { result: response, instance } = await loadBalancerService.execute(
+        targetService,
+        instance => this._forwardToInstance(req, targetService, instance),
+        {
+          timeout: this.timeout,
+          isRetryable: response => idempotent && response.status >= 500,
+          // Requests rejected by the endpoint policy were never sent either
+          shouldRetryError: error => idempotent || error.connectFailed === true || error.code === 'ENDPOINT_NOT_ALLOWED'
+        }
+      );
+
+      if (response.status >= 500) {
+        circuitBreakerService.recordFailure(targetService.serviceName, `HTTP ${response.status}`);
+      } else {
+        circuitBreakerService.recordSuccess(targetService.serviceName);
+      }
+
+      return { ...response, instanceId: instance.instanceId };
+    } catch (error) {
+      logger.error('Failed to forward request to microservice', {
+        error: error.message,
+        path: req.path,
+        serviceName: targetService.serviceName
+      });
+
+      circuitBreakerService.recordError(targetService.serviceName, error);
+
+      if (error.code === 'NO_HEALTHY_INSTANCES') {
+        throw error;
+      }
+      throw new Error(`Failed to forward request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forward request to one instance
+   * @param {Object} req - Express request object
+   * @param {Object} targetService - Target service information
+   * @param {Object} instance - Instance to forward to
+   * @returns {Promise<Object>} - { status, statusText, headers, body }
+   * @private
+   */
+  async _forwardToInstance(req, targetService, instance) {
+    const targetUrl = `${instance.endpoint}${req.path}`;
     
     logger.info('Forwarding request to microservice', {
       method: req.method,
       path: req.path,
       targetUrl,
-      serviceName: targetService.serviceName
+      serviceName: targetService.serviceName,
+      instanceId: instance.instanceId
     });
 
-    try {
-      // Prepare headers (exclude host and connection)
-      const headers = { ...req.headers };
-      delete headers.host;
-      delete headers.connection;
-      delete headers['content-length'];
-      
-      // Add X-Forwarded-* headers
-      headers['X-Forwarded-For'] = req.ip || req.connection.remoteAddress;
-      headers['X-Forwarded-Proto'] = req.protocol;
-      headers['X-Forwarded-Host'] = req.get('host');
-      headers['X-Coordinator-Service'] = 'coordinator';
-      headers['X-Target-Service'] = targetService.serviceName;
-
-      // Prepare fetch options with timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-      
-      const fetchOptions = {
-        method: req.method,
-        headers: headers,
-        signal: controller.signal
-      };
+    // Re-checked with the host's current addresses (DNS may have changed since registration)
+    await endpointPolicyService.assertAllowed(targetUrl);
 
-      // Add body for POST, PUT, PATCH requests
-      if (['POST', 'PUT', 'PATCH'].includes(req.method) && req.body) {
-        fetchOptions.body = JSON.stringify(req.body);
-        fetchOptions.headers['Content-Type'] = 'application/json';
-      }
+    // Prepare headers (exclude host and connection)
+    const headers = { ...req.headers };
+    delete headers.host;
+    delete headers.connection;
+    delete headers['content-length'];
 
-      // Add query string if exists
-      let fullUrl = targetUrl;
-      if (req.query && Object.keys(req.query).length > 0) {
-        const queryString = new URLSearchParams(req.query).toString();
-        fullUrl = `${targetUrl}?${queryString}`;
-      }
+    // Coordinator API keys are credentials for the coordinator only
+    delete headers['x-api-key'];
+    if (/^ApiKey\s/i.test(headers.authorization || '')) {
+      delete headers.authorization;
+    }
+    
+    // Add X-Forwarded-* headers
+    headers['X-Forwarded-For'] = req.ip || req.connection.remoteAddress;
+    headers['X-Forwarded-Proto'] = req.protocol;
+    headers['X-Forwarded-Host'] = req.get('host');
+    headers['X-Coordinator-Service'] = 'coordinator';
+    headers['X-Target-Service'] = targetService.serviceName;
 
-      // Forward the request
-      let response;
-      try {
-        // Check if fetch is available (Node.js 18+ has built-in fetch)
-        if (typeof fetch === 'undefined') {
-          throw new Error('fetch is not available. Node.js 18+ required or install node-fetch');
-        }
-        
-        response = await fetch(fullUrl, fetchOptions);
-        clearTimeout(timeoutId);
-      } catch (error) {
-        clearTimeout(timeoutId);
-        if (error.name === 'AbortError') {
-          throw new Error(`Request timeout after ${this.timeout}ms to ${targetUrl}`);
-        }
-        // Provide more specific error messages
-        if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-          throw new Error(`Cannot connect to microservice at ${targetUrl}. Service may be down or endpoint is incorrect.`);
-        }
-        if (error.code === 'ETIMEDOUT') {
-          throw new Error(`Connection timeout to ${targetUrl}. Service may be slow or unreachable.`);
-        }
-        throw error;
-      }
+    // With JWT auth on (req.auth set, null for anonymous callers) pass on the
+    // verified caller instead of identity headers sent by the client
+    if (req.auth !== undefined) {
+      delete headers['x-tenant-id'];
+      delete headers['x-user-id'];
+      if (req.auth?.tenantId) headers['X-Tenant-Id'] = req.auth.tenantId;
+      if (req.auth?.userId) headers['X-User-Id'] = req.auth.userId;
+    }
+
+    // Prepare fetch options with timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    
+    const fetchOptions = {
+      method: req.method,
+      headers: headers,
+      signal: controller.signal,
+      // Redirects go back to the caller instead of being followed past the endpoint policy
+      redirect: 'manual',
+      // Checks the addresses actually dialed (the host may resolve differently than for the check above)
+      dispatcher: endpointPolicyService.dispatcher
+    };
+
+    // Add body for POST, PUT, PATCH requests
+    if (['POST', 'PUT', 'PATCH'].includes(req.method) && req.body) {
+      fetchOptions.body = JSON.stringify(req.body);
+      fetchOptions.headers['Content-Type'] = 'application/json';
+    }
 
-      // Get response body
-      const contentType = response.headers.get('content-type');
-      let body;
+    // Add query string if exists
+    let fullUrl = targetUrl;
+    if (req.query && Object.keys(req.query).length > 0) {
+      const queryString = new URLSearchParams(req.query).toString();
+      fullUrl = `${targetUrl}?${queryString}`;
+    }
+
+    // Forward the request
+    let response;
+    try {
+      // Check if fetch is available (Node.js 18+ has built-in fetch)
+      if (typeof fetch === 'undefined') {
+        throw new Error('fetch is not available. Node.js 18+ required or install node-fetch');
+      }
       
-      if (contentType && contentType.includes('application/json')) {
-        body = await response.json();
-      } else {
-        body = await response.text();
+      response = await fetch(fullUrl, fetchOptions);
+      clearTimeout(timeoutId);
+    } catch (error) {
+      clearTimeout(timeoutId);
+      if (error.name === 'AbortError') {
+        throw new Error(`Request timeout after ${this.timeout}ms to ${targetUrl}`);
+      }
+      if (error.cause?.code === 'ENDPOINT_NOT_ALLOWED') {
+        throw error.cause;
+      }
+      // Provide more specific error messages (undici puts the socket error on cause)
+      const code = error.cause?.code || error.code;
+      if (code === 'ENOTFOUND' || code === 'ECONNREFUSED') {
+        const connectError = new Error(`Cannot connect to microservice at ${targetUrl}. Service may be down or endpoint is incorrect.`);
+        connectError.connectFailed = true;
+        throw connectError;
+      }
+      if (code === 'ETIMEDOUT') {
+        throw new Error(`Connection timeout to ${targetUrl}. Service may be slow or unreachable.`);
       }
+      throw error;
+    }
 
-      return {
-        status: response.status,
-        statusText: response.statusText,
-        headers: Object.fromEntries(response.headers.entries()),
-        body: body
-      };
-    } catch (error) {
-      logger.error('Failed to forward request to microservice', {
-        error: error.message,
-        targetUrl,
-        serviceName: targetService.serviceName
-      });
-      
-      throw new Error(`Failed to forward request: ${error.message}`);
+    // Get response body
+    const contentType = response.headers.get('content-type');
+    let body;
+    
+    if (contentType && contentType.includes('application/json')) {
+      body = await response.json();
+    } else {
+      body = await response.text();
     }
+
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(response.headers.entries()),
+      body: body
+    };
   }
 
   /**
-   * Proxy request using AI routing
+   * Proxy request using routing rules, else AI routing
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @returns {Promise<void>}
@@ -189,10 +269,13 @@ class ProxyService {
 
       const routingConfig = {
         strategy: 'single',
-        priority: 'accuracy'
+        priority: 'accuracy',
+        tenantId: req.auth?.tenantId,
+        // Routing rules may match on the proxied request's headers
+        headers: req.headers
       };
 
-      // Use AI routing to find target service
+      // Routing rules first, then AI routing to find target service
       // Note: routeRequest already handles fallback internally if AI routing fails
       let routingResult;
       try {
@@ -238,7 +321,22 @@ class ProxyService {
         });
       }
 
-      const firstTargetService = routingResult.routing.targetServices[0];
+      // Take the highest ranked target whose circuit is not open
+      const targetServices = routingResult.routing.targetServices;
+      const firstTargetService = targetServices.find(s => !circuitBreakerService.isOpen(s.serviceName));
+
+      if (!firstTargetService) {
+        return res.status(503).json({
+          success: false,
+          message: 'All candidate services have open circuits',
+          query: query,
+          candidates: targetServices.map(s => ({
+            serviceName: s.serviceName,
+            circuit: circuitBreakerService.getState(s.serviceName).state
+          }))
+        });
+      }
+
       const serviceName = firstTargetService.serviceName;
 
       // Get full service details
@@ -276,6 +374,7 @@ class ProxyService {
         method: req.method,
         path: req.path,
         targetService: serviceName,
+        instanceId: response.instanceId,
         statusCode: response.status
       });
 
@@ -300,6 +399,13 @@ class ProxyService {
           totalServices: allServices.length,
           activeServices: allServices.filter(s => s.status === 'active').length
         };
+      } else if (error.code === 'CIRCUIT_OPEN' || error.code === 'NO_HEALTHY_INSTANCES') {
+        return res.status(503).json({
+          success: false,
+          message: error.message,
+          path: req.path,
+          method: req.method
+        });
       } else if (error.message.includes('Cannot connect')) {
         errorMessage = error.message;
       } else if (error.message.includes('timeout')) {
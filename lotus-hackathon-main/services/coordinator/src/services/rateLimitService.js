@@ -0,0 +1,151 @@
+const logger = require('../utils/logger');
+const rateLimitConfig = require('../config/rateLimit');
+const metricsService = require('./metricsService');
+const { createStore } = require('../rateLimit');
+const { compilePattern } = require('../utils/routePattern');
+
+/**
+ * Rate Limit Service - Token buckets per caller and tier
+ * A caller is its API key, else its verified tenant, else its IP address
+ * (config/rateLimit.js keyBy). Each tier (ai, read, default) refills `limit`
+ * tokens per `window` and holds at most `burst`; a request takes one token.
+ * The `ip` tier is taken per IP address before authentication, so callers
+ * presenting bad credentials are limited as well.
+ * Used by the HTTP middleware and the gRPC CoordinatorService.
+ */
+class RateLimitService {
+  constructor() {
+    this.config = rateLimitConfig;
+    this.store = createStore();
+    this.routes = rateLimitConfig.routes.map(route => ({ ...route, regex: compilePattern(route.path) }));
+  }
+
+  /**
+   * Whether requests are limited
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Replace the bucket store (see rateLimit/index.js for the interface)
+   * @param {Object} store - { take(key, limit), getStatus() }
+   */
+  setStore(store) {
+    this.store = store;
+    logger.info('Rate limit store replaced', { store: store.name || 'custom' });
+  }
+
+  /**
+   * Tier of an HTTP route
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @returns {string|null} - Tier name, or null when the path is exempt
+   */
+  resolveTier(method, path) {
+    if (this.config.exemptPaths.some(exempt => path === exempt || path.startsWith(`${exempt}/`))) {
+      return null;
+    }
+    const route = this.routes.find(candidate =>
+      (candidate.method === '*' || candidate.method === method) && candidate.regex.test(path)
+    );
+    return route ? route.tier : 'default';
+  }
+
+  /**
+   * Key identifying the caller (first available of config keyBy)
+   * @param {Object|null|undefined} identity - Identity from authService (req.auth)
+   * @param {string} ip - Client IP address
+   * @returns {string} - e.g. "api_key:<keyId>", "tenant:<tenantId>", "ip:<address>"
+   */
+  callerKey(identity, ip) {
+    for (const kind of this.config.keyBy) {
+      if (kind === 'api_key' && identity?.keyId) return `api_key:${identity.keyId}`;
+      if (kind === 'tenant' && identity?.tenantId) return `tenant:${identity.tenantId}`;
+      if (kind === 'ip' && ip) return `ip:${ip}`;
+    }
+    return 'anonymous';
+  }
+
+  /**
+   * Take a token for a request
+   * A failing store lets the request through rather than failing it
+   * @param {Object} request - { tier, identity, ip, protocol, key } (key replaces the caller key)
+   * @returns {Promise<Object>} - { allowed, tier, key, limit, remaining, reset, retryAfter, policy }
+   *   (reset / retryAfter in seconds)
+   */
+  async consume({ tier, identity, ip, protocol = 'http', key = this.callerKey(identity, ip) }) {
+    const { limit, window, burst } = this.config.tiers[tier] || this.config.tiers.default;
+    const refillPerMs = limit / window;
+
+    let outcome;
+    try {
+      outcome = await this.store.take(`${tier}:${key}`, { capacity: burst, refillPerMs, cost: 1 });
+    } catch (error) {
+      logger.error('Rate limit store failed, request not limited', { tier, key, error: error.message });
+      outcome = { allowed: true, tokens: burst };
+    }
+
+    const tokens = Math.max(0, outcome.tokens);
+    const result = {
+      allowed: outcome.allowed,
+      tier,
+      key,
+      limit: burst,
+      remaining: Math.floor(tokens),
+      reset: Math.ceil((burst - tokens) / refillPerMs / 1000),
+      retryAfter: outcome.allowed ? 0 : Math.max(1, Math.ceil((1 - tokens) / refillPerMs / 1000)),
+      policy: `${limit};w=${Math.ceil(window / 1000)}${burst !== limit ? `;burst=${burst}` : ''}`
+    };
+
+    if (!result.allowed) {
+      logger.debug('Request rate limited', { tier, key, protocol, retryAfter: result.retryAfter });
+      metricsService.recordRateLimitRejection(tier, protocol);
+    }
+
+    return result;
+  }
+
+  /**
+   * Take a token from the IP address's bucket (before the caller is authenticated)
+   * @param {Object} request - { ip, protocol }
+   * @returns {Promise<Object>} - Same as consume()
+   */
+  async consumeByIp({ ip, protocol = 'http' }) {
+    return this.consume({ tier: 'ip', protocol, key: `ip:${ip || 'unknown'}` });
+  }
+
+  /**
+   * RateLimit-* response headers (IETF RateLimit header fields draft)
+   * @param {Object} result - Result of consume()
+   * @returns {Object} - Header name -> value
+   */
+  headersFor(result) {
+    return {
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.reset),
+      'RateLimit-Policy': result.policy,
+      ...(!result.allowed && { 'Retry-After': String(result.retryAfter) })
+    };
+  }
+
+  /**
+   * Configuration summary
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      keyBy: this.config.keyBy,
+      tiers: this.config.tiers,
+      store: this.store.getStatus()
+    };
+  }
+}
+
+// Singleton instance
+const rateLimitService = new RateLimitService();
+
+module.exports = rateLimitService;
@@ -0,0 +1,206 @@
+const logger = require('../utils/logger');
+const rbacConfig = require('../config/rbac');
+const changelogService = require('./changelogService');
+const { compilePattern } = require('../utils/routePattern');
+// Lazy load registryService to avoid circular dependency
+let registryService = null;
+function getRegistryService() {
+  if (!registryService) {
+    registryService = require('./registryService');
+  }
+  return registryService;
+}
+
+/**
+ * RBAC Service - Roles, permissions and service ownership
+ * Identities come from authService (JWT roles claim, or the permissions of an
+ * API key). Denied requests are
+ * logged and recorded in the changelog as access_denied.
+ */
+class RbacService {
+  constructor() {
+    this.config = rbacConfig;
+    this.roles = this._loadRoles();
+    this.routes = rbacConfig.routes.map(route => ({ ...route, regex: compilePattern(route.path) }));
+  }
+
+  /**
+   * Whether permissions are enforced
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Roles of a caller
+   * @param {Object|null} identity - Identity from authService (null = anonymous)
+   * @returns {Array<string>}
+   */
+  getRoles(identity) {
+    if (!identity) {
+      return this.config.anonymousRole ? [this.config.anonymousRole] : [];
+    }
+
+    const claim = identity.claims?.[this.config.rolesClaim];
+    const roles = Array.isArray(claim)
+      ? claim.map(String)
+      : (typeof claim === 'string' ? claim.split(/[\s,]+/).filter(Boolean) : []);
+    return roles.length > 0 ? roles : [this.config.defaultRole];
+  }
+
+  /**
+   * Permissions of a caller (identities that carry their own permissions keep them)
+   * @param {Object|null} identity - Identity
+   * @returns {Array<string>}
+   */
+  getPermissions(identity) {
+    if (Array.isArray(identity?.permissions)) {
+      return identity.permissions;
+    }
+    return [...new Set(this.getRoles(identity).flatMap(role => this.roles[role] || []))];
+  }
+
+  /**
+   * Check a permission ('*' and 'area:*' grants included)
+   * @param {Object|null} identity - Identity
+   * @param {string} permission - Permission such as services:manage
+   * @returns {boolean}
+   */
+  hasPermission(identity, permission) {
+    const [area] = permission.split(':');
+    return this.getPermissions(identity).some(granted =>
+      granted === '*' || granted === permission || granted === `${area}:*`
+    );
+  }
+
+  /**
+   * Find the permission rule of a route
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @returns {Object|null} - { permission, owner, deny, params }
+   */
+  resolveRoute(method, path) {
+    for (const route of this.routes) {
+      if (route.method !== '*' && route.method !== method) {
+        continue;
+      }
+      const match = route.regex.exec(path);
+      if (match) {
+        return { permission: route.permission, owner: route.owner || null, deny: route.deny === true, params: match.groups || {} };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Owner record stored on services registered by a caller
+   * @param {Object|null|undefined} identity - Identity
+   * @returns {Object|null} - { tenantId, userId } or null when nobody is authenticated
+   */
+  ownerOf(identity) {
+    if (!identity || !identity.userId) {
+      return null;
+    }
+    return { tenantId: identity.tenantId ?? null, userId: identity.userId };
+  }
+
+  /**
+   * Whether a caller registered a service (service-scoped API keys own the service they were issued for)
+   * @param {Object|null} identity - Identity
+   * @param {Object} service - Service entry
+   * @returns {boolean}
+   */
+  isOwner(identity, service) {
+    if (identity?.serviceId) {
+      return identity.serviceId === service.id;
+    }
+
+    const owner = this.ownerOf(identity);
+    return !!(owner && service.owner &&
+      service.owner.userId === owner.userId &&
+      (service.owner.tenantId ?? null) === owner.tenantId);
+  }
+
+  /**
+   * Decide whether a caller may use a permission, on a given service when ownership applies
+   * @param {Object|null} identity - Identity
+   * @param {string} permission - Required permission
+   * @param {Object} target - { serviceId }, { serviceName } or { keyId } for owner checks (optional)
+   * @returns {Promise<Object>} - { allowed, reason }
+   */
+  async authorize(identity, permission, target = {}) {
+    if (!this.hasPermission(identity, permission)) {
+      return { allowed: false, reason: `Missing permission ${permission}` };
+    }
+
+    // API keys may rotate themselves; other keys need keys:admin
+    if (target.keyId) {
+      return identity?.keyId === target.keyId || this.hasPermission(identity, 'keys:admin')
+        ? { allowed: true }
+        : { allowed: false, reason: 'API key belongs to another caller' };
+    }
+
+    if ((!target.serviceId && !target.serviceName) || this.hasPermission(identity, 'services:admin')) {
+      return { allowed: true };
+    }
+
+    const registry = getRegistryService();
+    const service = target.serviceId
+      ? await registry.getServiceById(target.serviceId)
+      : await registry.getServiceByName(target.serviceName);
+
+    // Unknown services are left to the route (404, or a new registration),
+    // except for service-scoped keys which can't reach any other service
+    if (service ? this.isOwner(identity, service) : !identity?.serviceId) {
+      return { allowed: true };
+    }
+
+    if (!service) {
+      return { allowed: false, reason: `API key is limited to service ${identity.serviceId}` };
+    }
+
+    return { allowed: false, reason: `Service ${service.serviceName} belongs to another owner` };
+  }
+
+  /**
+   * Log and record a denied request
+   * @param {Object|null} identity - Identity
+   * @param {Object} details - { method, path, permission, reason, protocol }
+   */
+  recordDenied(identity, details) {
+    const entry = {
+      ...details,
+      tenantId: identity?.tenantId ?? null,
+      userId: identity?.userId ?? null,
+      roles: this.getRoles(identity)
+    };
+
+    logger.warn('Access denied', entry);
+    changelogService.recordAccessDenied(entry);
+  }
+
+  /**
+   * Roles from config, with RBAC_ROLES merged over the defaults
+   * @returns {Object} - role -> permissions
+   * @private
+   */
+  _loadRoles() {
+    if (!this.config.customRoles) {
+      return this.config.roles;
+    }
+
+    try {
+      const custom = JSON.parse(this.config.customRoles);
+      return { ...this.config.roles, ...custom };
+    } catch (error) {
+      logger.error('Invalid RBAC_ROLES, using the default roles', { error: error.message });
+      return this.config.roles;
+    }
+  }
+}
+
+// Singleton instance
+const rbacService = new RbacService();
+
+module.exports = rbacService;
@@ -1,6 +1,12 @@
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
-const supabase = require('../config/supabase');
+const storage = require('../storage');
+const leaseConfig = require('../config/lease');
+const discoveryConfig = require('../config/discovery');
+const { compareVersions, parseRange, satisfies } = require('../utils/version');
+const changelogService = require('./changelogService');
+const endpointPolicyService = require('./endpointPolicyService');
+const routingCacheService = require('./routingCacheService');
 // Lazy load knowledgeGraphService to avoid circular dependency
 let knowledgeGraphService = null;
 function getKnowledgeGraphService() {
@@ -11,48 +17,42 @@ function getKnowledgeGraphService() {
 }
 
 /**
- * Add timeout to a promise
- * @param {Promise} promise - Promise to add timeout to
- * @param {number} timeoutMs - Timeout in milliseconds
- * @param {string} operation - Operation name for error message
- * @returns {Promise}
+ * Statuses that may receive routed traffic
+ * (unhealthy services are skipped until the health poller recovers them)
  */
-function withTimeout(promise, timeoutMs, operation) {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) => {
-      setTimeout(() => {
-        reject(new Error(`${operation} timed out after ${timeoutMs}ms`));
-      }, timeoutMs);
-    })
-  ]);
-}
+const ROUTABLE_STATUSES = ['active', 'degraded'];
+
+/**
+ * Statuses derived from instance health (pending_migration is managed by the two-stage registration)
+ */
+const HEALTH_STATUSES = ['active', 'degraded', 'unhealthy', 'expired'];
+
+/**
+ * Storage collection holding registered services
+ */
+const COLLECTION = 'services';
 
 /**
- * Service Registry - Supabase-backed storage with in-memory fallback
- * Automatically uses Supabase if configured, otherwise falls back to in-memory
+ * Service Registry - Registered services kept in the configured storage backend
+ * (Supabase, local file or in-memory, see config/storage.js)
  */
 class RegistryService {
   constructor() {
-    // Fallback: In-memory storage if Supabase is not available
-    this.services = new Map();
-    this.useSupabase = !!supabase;
-    
-    if (this.useSupabase) {
-      logger.info('RegistryService initialized with Supabase');
-    } else {
-      logger.info('RegistryService initialized with in-memory storage (Supabase not configured)');
-    }
+    this.store = storage;
+    this.instanceLocks = new Map(); // serviceId -> tail of queued instance changes
+    logger.info('RegistryService initialized', { storage: this.store.name });
   }
 
   /**
    * Register a new microservice
    * @param {Object} serviceData - Service registration data
+   * @param {Object} serviceData.owner - { tenantId, userId } of the caller (services:manage is limited to owners)
+   * @param {Object} serviceData.grpcTls - { enabled, caCert, serverName, mutual } for gRPC calls to the service
    * @returns {Promise<Object>} - Registration result with serviceId
    */
   async registerService(serviceData) {
     try {
-      const { serviceName, version, endpoint, healthCheck, description, metadata, migrationFile } = serviceData;
+      const { serviceName, version, endpoint, healthCheck, description, metadata, migrationFile, leaseTtl, weight, owner, grpcTls } = serviceData;
 
       // Validate required fields
       if (!serviceName || !version || !endpoint) {
@@ -70,12 +70,13 @@ class RegistryService {
         throw validationError;
       }
 
-      // Check if service name already exists
+      // Scheme, host, port and resolved addresses must pass the endpoint policy
+      await endpointPolicyService.assertAllowed(endpoint, { phase: 'registration' });
+
+      // A known service name registers another instance (replica) of that service
       const existingService = await this.getServiceByName(serviceName);
       if (existingService) {
-        const error = new Error(`Service with name '${serviceName}' already exists`);
-        error.status = 409; // Conflict
-        throw error;
+        return await this.addInstance(existingService, { endpoint, version, weight, leaseTtl });
       }
 
       // Generate unique service ID
@@ -84,126 +85,61 @@ class RegistryService {
       // Determine initial status
       const initialStatus = migrationFile ? 'active' : 'pending_migration';
 
+      // First instance (carries the lease; 0 = never expires)
+      const instance = this._createInstance({ endpoint, version, weight, leaseTtl });
+
       // Create service entry
       const serviceEntry = {
         id: serviceId,
-        service_name: serviceName.trim(),
+        serviceName: serviceName.trim(),
         version: version.trim(),
         endpoint: endpoint.trim(),
-        health_check: healthCheck ? healthCheck.trim() : '/health',
-        migration_file: migrationFile || null,
-        registered_at: new Date().toISOString(),
-        last_health_check: null,
-        status: initialStatus
+        healthCheck: healthCheck ? healthCheck.trim() : '/health',
+        description: description ? description.trim() : null,
+        metadata: metadata || {},
+        migrationFile: migrationFile ? this._parseMigrationFile(migrationFile) : null,
+        owner: owner || null,
+        grpcTls: grpcTls || null,
+        registeredAt: new Date().toISOString(),
+        lastHealthCheck: null,
+        status: initialStatus,
+        leaseTtl: instance.leaseTtl,
+        leaseExpiresAt: instance.leaseExpiresAt,
+        instances: [instance]
       };
 
-      // Store in Supabase or fallback to memory
-      if (this.useSupabase) {
-        try {
-          const { data, error } = await withTimeout(
-            supabase
-              .from('registered_services')
-              .insert([serviceEntry])
-              .select()
-              .single(),
-            15000, // 15 second timeout
-            'registerService insert'
-          );
-
-          if (error) {
-            logger.error('Supabase insert failed', { error: error.message });
-            throw new Error(`Failed to register service: ${error.message}`);
-          }
+      let stored;
+      try {
+        stored = await this.store.put(COLLECTION, serviceEntry);
+      } catch (error) {
+        throw new Error(`Failed to register service: ${error.message}`);
+      }
 
-          logger.info('Service registered successfully in Supabase', {
-            serviceId,
-            serviceName,
-            version,
-            endpoint
-          });
+      logger.info('Service registered successfully', {
+        serviceId,
+        serviceName,
+        version,
+        endpoint,
+        storage: this.store.name
+      });
 
-          // Rebuild knowledge graph after registration (async, non-blocking)
-          getKnowledgeGraphService().rebuildGraph().catch(error => {
-            logger.error('Failed to rebuild knowledge graph after registration', {
-              error: error.message,
-              stack: error.stack
-            });
-          });
+      // Cached routing decisions don't know the new service
+      routingCacheService.invalidate('service_registered');
 
-          return {
-            success: true,
-            serviceId,
-            service: this._mapSupabaseToService(data)
-          };
-        } catch (timeoutError) {
-          logger.error('Supabase insert timeout, falling back to in-memory storage', {
-            error: timeoutError.message,
-            serviceName
-          });
-          // Fallback to in-memory storage if Supabase times out
-          const service = {
-            id: serviceId,
-            serviceName: serviceEntry.service_name,
-            version: serviceEntry.version,
-            endpoint: serviceEntry.endpoint,
-            healthCheck: serviceEntry.health_check,
-            migrationFile: serviceEntry.migration_file,
-            registeredAt: serviceEntry.registered_at,
-            lastHealthCheck: serviceEntry.last_health_check,
-            status: serviceEntry.status
-          };
-          this.services.set(serviceId, service);
-          
-          logger.warn('Service registered in memory due to Supabase timeout', {
-            serviceId,
-            serviceName
-          });
-          
-          return {
-            success: true,
-            serviceId,
-            service
-          };
-        }
-      } else {
-        // Fallback to in-memory storage
-        const inMemoryEntry = {
-          id: serviceId,
-          serviceName: serviceName.trim(),
-          version: version.trim(),
-          endpoint: endpoint.trim(),
-          healthCheck: healthCheck ? healthCheck.trim() : '/health',
-          description: description ? description.trim() : null,
-          metadata: metadata || {},
-          migrationFile: migrationFile || null,
-          registeredAt: new Date().toISOString(),
-          lastHealthCheck: null,
-          status: initialStatus
-        };
-        
-        this.services.set(serviceId, inMemoryEntry);
-
-        logger.info('Service registered successfully (in-memory)', {
-          serviceId,
-          serviceName,
-          version,
-          endpoint
-        });
-
-        // Rebuild knowledge graph after registration (async, non-blocking)
-        getKnowledgeGraphService().rebuildGraph().catch(error => {
-          logger.error('Failed to rebuild knowledge graph after registration', {
-            error: error.message,
-            stack: error.stack
-          });
+      // Rebuild knowledge graph after registration (async, non-blocking)
+      getKnowledgeGraphService().rebuildGraph().catch(error => {
+        logger.error('Failed to rebuild knowledge graph after registration', {
+          error: error.message,
+          stack: error.stack
         });
+      });
 
-        return {
-          success: true,
-          serviceId,
-          service: inMemoryEntry
-        };
-      }
+      return {
+        success: true,
+        serviceId,
+        instanceId: instance.instanceId,
+        service: this._toService(stored)
+      };
     } catch (error) {
       logger.error('Failed to register service', {
         error: error.message,
@@ -215,36 +151,33 @@ class RegistryService {
 
   /**
    * Get all registered services with full details (for knowledge graph)
+   * Services whose lease has run out are left out unless includeExpired is set
+   * @param {Object} options - Query options
+   * @param {boolean} options.includeExpired - Also return expired services
    * @returns {Promise<Array>} - Array of service entries with full details
    */
-  async getAllServicesFull() {
-    if (this.useSupabase) {
-      try {
-        const { data, error } = await withTimeout(
-          supabase
-            .from('registered_services')
-            .select('*')
-            .order('registered_at', { ascending: false }),
-          10000, // 10 second timeout
-          'getAllServicesFull'
-        );
-
-        if (error) {
-          logger.error('Failed to fetch services from Supabase', { error: error.message });
-          return [];
-        }
+  async getAllServicesFull(options = {}) {
+    const services = await this._fetchAllServicesFull();
+    if (options.includeExpired) {
+      return services;
+    }
 
-        return data.map(service => this._mapSupabaseToService(service));
-      } catch (timeoutError) {
-        logger.error('Supabase query timeout in getAllServicesFull, using in-memory', {
-          error: timeoutError.message
-        });
-        // Fallback to in-memory
-        return Array.from(this.services.values());
-      }
-    } else {
-      // Fallback to in-memory
-      return Array.from(this.services.values());
+    const now = Date.now();
+    return services.filter(service => !this.isLeaseExpired(service, now));
+  }
+
+  /**
+   * Fetch every registered service from storage
+   * @returns {Promise<Array>} - Array of service entries with full details
+   * @private
+   */
+  async _fetchAllServicesFull() {
+    try {
+      const docs = await this.store.list(COLLECTION, { orderBy: 'registeredAt', descending: true });
+      return docs.map(doc => this._toService(doc));
+    } catch (error) {
+      logger.error('Failed to fetch services from storage', { error: error.message });
+      return [];
     }
   }
 
@@ -253,34 +186,117 @@ class RegistryService {
    * @returns {Promise<Array>} - Array of service entries
    */
   async getAllServices() {
-    if (this.useSupabase) {
-      const { data, error } = await supabase
-        .from('registered_services')
-        .select('*')
-        .order('registered_at', { ascending: false });
-
-      if (error) {
-        logger.error('Failed to fetch services from Supabase', { error: error.message });
-        return [];
-      }
+    const services = await this._fetchAllServicesFull();
+    return services.map(service => this.toSummary(service));
+  }
 
-      return data.map(service => ({
-        serviceName: service.service_name,
-        version: service.version,
-        endpoint: service.endpoint,
-        status: service.status,
-        registeredAt: service.registered_at
-      }));
-    } else {
-      // Fallback to in-memory
-      return Array.from(this.services.values()).map(service => ({
-        serviceName: service.serviceName,
-        version: service.version,
-        endpoint: service.endpoint,
-        status: service.status,
-        registeredAt: service.registeredAt
-      }));
-    }
+  /**
+   * Find services for discovery (filter, search, sort and cursor pagination)
+   * @param {Object} query - Query options (see normalizeServiceQuery)
+   * @param {Array<string>} query.status - Statuses to include (any)
+   * @param {Array<string>} query.capability - Capabilities a service must have (all, metadata.capabilities)
+   * @param {Array<string>} query.tag - Tags a service must have (all, metadata.tags)
+   * @param {string} query.version - Version range (e.g. ^1.2.0, >=1.0.0 <2.0.0)
+   * @param {string} query.search - Free text matched against name and description
+   * @param {string} query.sort - Sort field (see config/discovery.js)
+   * @param {string} query.order - asc or desc
+   * @param {number} query.limit - Page size
+   * @param {string} query.cursor - Cursor returned with the previous page
+   * @param {string} query.view - summary or full
+   * @returns {Promise<Object>} - { services, total, nextCursor }
+   */
+  async queryServices(query = {}) {
+    const sort = query.sort || 'registeredAt';
+    const order = query.order || (sort === 'registeredAt' ? 'desc' : 'asc');
+    const limit = Math.min(query.limit || discoveryConfig.defaultLimit, discoveryConfig.maxLimit);
+    const versionRange = query.version ? parseRange(query.version) : null;
+    const after = query.cursor ? this._decodeCursor(query.cursor, sort, order) : null;
+
+    const services = (await this._fetchAllServicesFull())
+      .filter(service => this._matchesQuery(service, query, versionRange));
+
+    const direction = order === 'desc' ? -1 : 1;
+    const compare = (a, b) => this._compareForSort(a, b, sort) * direction || a.id.localeCompare(b.id);
+    services.sort(compare);
+
+    const remaining = after
+      ? services.filter(service => compare(service, after) > 0)
+      : services;
+    const page = remaining.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      services: page.map(service => (query.view === 'full' ? this.toFullView(service) : this.toSummary(service))),
+      total: services.length,
+      nextCursor: remaining.length > limit ? this._encodeCursor(last, sort, order) : null
+    };
+  }
+
+  /**
+   * Summary view of a service (GET /services)
+   * @param {Object} service - Service entry
+   * @returns {Object}
+   */
+  toSummary(service) {
+    return {
+      serviceId: service.id,
+      serviceName: service.serviceName,
+      version: service.version,
+      endpoint: service.endpoint,
+      status: service.status,
+      instanceCount: service.instances.length,
+      registeredAt: service.registeredAt
+    };
+  }
+
+  /**
+   * Full view of a service (?view=full and detail endpoints)
+   * The raw migration file is reduced to what routing uses: API endpoints and events
+   * @param {Object} service - Service entry
+   * @returns {Object}
+   */
+  toFullView(service) {
+    const migrationFile = service.migrationFile && typeof service.migrationFile === 'object'
+      ? service.migrationFile
+      : null;
+
+    return {
+      serviceId: service.id,
+      serviceName: service.serviceName,
+      version: service.version,
+      endpoint: service.endpoint,
+      healthCheck: service.healthCheck,
+      description: service.description,
+      metadata: service.metadata,
+      status: service.status,
+      registeredAt: service.registeredAt,
+      lastHealthCheck: service.lastHealthCheck,
+      leaseTtl: service.leaseTtl,
+      leaseExpiresAt: service.leaseExpiresAt,
+      drainUntil: service.drainUntil,
+      instances: service.instances,
+      grpcTls: service.grpcTls
+        ? {
+          enabled: service.grpcTls.enabled !== false,
+          mutual: !!service.grpcTls.mutual,
+          serverName: service.grpcTls.serverName || null,
+          customCa: !!service.grpcTls.caCert
+        }
+        : null,
+      migration: migrationFile
+        ? {
+          endpoints: (migrationFile.api?.endpoints || []).map(endpoint => ({
+            method: endpoint.method,
+            path: endpoint.path,
+            description: endpoint.description
+          })),
+          events: {
+            publishes: migrationFile.events?.publishes || [],
+            subscribes: migrationFile.events?.subscribes || []
+          }
+        }
+        : null
+    };
   }
 
   /**
@@ -289,20 +305,12 @@ class RegistryService {
    * @returns {Promise<Object|null>} - Service entry or null
    */
   async getServiceById(serviceId) {
-    if (this.useSupabase) {
-      const { data, error } = await supabase
-        .from('registered_services')
-        .select('*')
-        .eq('id', serviceId)
-        .single();
-
-      if (error || !data) {
-        return null;
-      }
-
-      return this._mapSupabaseToService(data);
-    } else {
-      return this.services.get(serviceId) || null;
+    try {
+      const doc = await this.store.get(COLLECTION, serviceId);
+      return doc ? this._toService(doc) : null;
+    } catch (error) {
+      logger.error('Failed to get service from storage', { serviceId, error: error.message });
+      return null;
     }
   }
 
@@ -312,42 +320,11 @@ class RegistryService {
    * @returns {Promise<Object|null>} - Service entry or null
    */
   async getServiceByName(serviceName) {
-    if (this.useSupabase) {
-      try {
-        const { data, error } = await withTimeout(
-          supabase
-            .from('registered_services')
-            .select('*')
-            .eq('service_name', serviceName)
-            .single(),
-          10000, // 10 second timeout
-          'getServiceByName'
-        );
-
-        if (error || !data) {
-          return null;
-        }
-
-        return this._mapSupabaseToService(data);
-      } catch (timeoutError) {
-        logger.error('Supabase query timeout in getServiceByName', {
-          error: timeoutError.message,
-          serviceName
-        });
-        // Fallback to in-memory check if Supabase times out
-        for (const service of this.services.values()) {
-          if (service.serviceName === serviceName) {
-            return service;
-          }
-        }
-        return null;
-      }
-    } else {
-      for (const service of this.services.values()) {
-        if (service.serviceName === serviceName) {
-          return service;
-        }
-      }
+    try {
+      const [doc] = await this.store.list(COLLECTION, { where: { serviceName }, limit: 1 });
+      return doc ? this._toService(doc) : null;
+    } catch (error) {
+      logger.error('Failed to get service by name from storage', { serviceName, error: error.message });
       return null;
     }
   }
@@ -358,22 +335,21 @@ class RegistryService {
    * @param {string} status - New status
    */
   async updateServiceStatus(serviceId, status) {
-    if (this.useSupabase) {
-      const { error } = await supabase
-        .from('registered_services')
-        .update({
-          status,
-          last_health_check: new Date().toISOString()
-        })
-        .eq('id', serviceId);
-
-      if (error) {
-        logger.error('Failed to update service status in Supabase', { error: error.message });
-        return;
-      }
+    let service;
+    try {
+      service = await this._updateService(serviceId, {
+        status,
+        lastHealthCheck: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Failed to update service status', { serviceId, error: error.message });
+      return;
+    }
+
+    if (service) {
+      logger.info('Service status updated', { serviceId, status });
+      routingCacheService.invalidate('status_changed');
 
-      logger.info('Service status updated in Supabase', { serviceId, status });
-      
       // Rebuild knowledge graph after status update
       setImmediate(async () => {
         try {
@@ -384,57 +360,606 @@ class RegistryService {
           });
         }
       });
+    }
+  }
+
+  /**
+   * Check if a service may receive routed traffic
+   * Degraded services stay routable but are ranked after active ones
+   * @param {Object} service - Service entry
+   * @returns {boolean}
+   */
+  isRoutable(service) {
+    return ROUTABLE_STATUSES.includes(service.status);
+  }
+
+  /**
+   * Check if a service's lease has run out (or it was already marked expired)
+   * @param {Object} service - Service entry
+   * @param {number} now - Current timestamp in ms
+   * @returns {boolean}
+   */
+  isLeaseExpired(service, now = Date.now()) {
+    if (service.status === 'expired') {
+      return true;
+    }
+    return !!service.leaseExpiresAt && Date.parse(service.leaseExpiresAt) <= now;
+  }
+
+  /**
+   * Renew an instance's lease (heartbeat)
+   * An expired instance that heartbeats before removal is brought back
+   * @param {string} serviceId - Service ID
+   * @param {number|null} leaseTtl - New lease TTL in ms (defaults to the current one)
+   * @param {string|null} instanceId - Instance to renew (optional for single-instance services)
+   * @returns {Promise<Object>} - { service, instance, previousInstanceStatus }
+   */
+  async renewLease(serviceId, leaseTtl = null, instanceId = null) {
+    const service = await this.getServiceById(serviceId);
+    if (!service) {
+      const error = new Error('Service not found');
+      error.status = 404;
+      throw error;
+    }
+
+    let instance;
+    if (instanceId) {
+      instance = service.instances.find(i => i.instanceId === instanceId);
+      if (!instance) {
+        const error = new Error('Instance not found');
+        error.status = 404;
+        throw error;
+      }
+    } else if (service.instances.length === 1) {
+      instance = service.instances[0];
     } else {
-      const service = this.services.get(serviceId);
-      if (service) {
-        service.status = status;
-        service.lastHealthCheck = new Date().toISOString();
-        this.services.set(serviceId, service);
-        logger.info('Service status updated (in-memory)', { serviceId, status });
-        
-        // Rebuild knowledge graph after status update
-        setImmediate(async () => {
-          try {
-            await getKnowledgeGraphService().rebuildGraph();
-          } catch (error) {
-            logger.warn('Failed to rebuild knowledge graph after status update', {
-              error: error.message
-            });
-          }
+      const error = new Error('instanceId is required for services with multiple instances');
+      error.status = 400;
+      throw error;
+    }
+
+    const ttl = this._resolveLeaseTtl(leaseTtl ?? instance.leaseTtl);
+    if (!ttl) {
+      const error = new Error('Instance has no lease; send leaseTtl to start one');
+      error.status = 400;
+      throw error;
+    }
+
+    const leaseExpiresAt = new Date(Date.now() + ttl).toISOString();
+    const { service: updated } = await this.applyInstanceChanges(service, {
+      updates: {
+        [instance.instanceId]: {
+          leaseTtl: ttl,
+          leaseExpiresAt,
+          ...(instance.status === 'expired' && { status: 'active' })
+        }
+      }
+    });
+
+    logger.debug('Instance lease renewed', {
+      serviceId,
+      serviceName: service.serviceName,
+      instanceId: instance.instanceId,
+      leaseTtl: ttl,
+      leaseExpiresAt
+    });
+
+    return {
+      service: updated,
+      instance: updated.instances.find(i => i.instanceId === instance.instanceId),
+      previousInstanceStatus: instance.status
+    };
+  }
+
+  /**
+   * Update mutable fields of a registered service
+   * An endpoint change applies to one instance (instanceId is required when there are several)
+   * @param {string} serviceId - Service ID
+   * @param {Object} updates - { endpoint, version, healthCheck, description, metadata, instanceId }
+   * @returns {Promise<Object>} - { service, changedFields }
+   */
+  async updateService(serviceId, updates) {
+    const service = await this.getServiceById(serviceId);
+    if (!service) {
+      const error = new Error('Service not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const fields = {};
+    if (updates.version !== undefined) fields.version = updates.version.trim();
+    if (updates.healthCheck !== undefined) fields.healthCheck = updates.healthCheck.trim() || '/health';
+    if (updates.description !== undefined) fields.description = updates.description ? updates.description.trim() : null;
+    if (updates.metadata !== undefined) fields.metadata = updates.metadata;
+    if (updates.grpcTls !== undefined) fields.grpcTls = updates.grpcTls;
+
+    const instanceUpdates = {};
+    if (updates.endpoint !== undefined) {
+      const endpoint = updates.endpoint.trim();
+      let instance;
+      if (updates.instanceId) {
+        instance = service.instances.find(i => i.instanceId === updates.instanceId);
+        if (!instance) {
+          const error = new Error('Instance not found');
+          error.status = 404;
+          throw error;
+        }
+      } else if (service.instances.length === 1) {
+        instance = service.instances[0];
+      } else {
+        const error = new Error('instanceId is required to change the endpoint of a service with multiple instances');
+        error.status = 400;
+        throw error;
+      }
+
+      if (service.instances.some(i => i !== instance && i.endpoint === endpoint)) {
+        const error = new Error(`Service '${service.serviceName}' already has an instance at ${endpoint}`);
+        error.status = 409; // Conflict
+        throw error;
+      }
+
+      await endpointPolicyService.assertAllowed(endpoint, { phase: 'registration' });
+
+      instanceUpdates[instance.instanceId] = { endpoint };
+    }
+
+    const { service: updated } = await this.applyInstanceChanges(service, {
+      updates: instanceUpdates,
+      fields: { ...fields, updatedAt: new Date().toISOString() }
+    });
+
+    const changedFields = [
+      ...Object.keys(fields),
+      ...(updates.endpoint !== undefined ? ['endpoint'] : [])
+    ];
+
+    logger.info('Service updated', {
+      serviceId,
+      serviceName: service.serviceName,
+      changedFields
+    });
+    changelogService.recordServiceUpdate(serviceId, service.serviceName, changedFields);
+    routingCacheService.invalidate('service_updated');
+
+    // Rebuild knowledge graph after update (async, non-blocking)
+    setImmediate(() => {
+      getKnowledgeGraphService().rebuildGraph().catch(error => {
+        logger.warn('Failed to rebuild knowledge graph after service update', {
+          error: error.message
         });
+      });
+    });
+
+    return { service: updated, changedFields };
+  }
+
+  /**
+   * Deregister a service, optionally draining it first
+   * A draining service gets no new routes and is removed by the lease sweeper once drainUntil passes
+   * @param {string} serviceId - Service ID
+   * @param {number} drainPeriod - Drain period in ms (0 = remove now)
+   * @returns {Promise<Object>} - { service, deleted, drainUntil }
+   */
+  async deregisterService(serviceId, drainPeriod = 0) {
+    const service = await this.getServiceById(serviceId);
+    if (!service) {
+      const error = new Error('Service not found');
+      error.status = 404;
+      throw error;
+    }
+
+    if (drainPeriod > 0) {
+      const previousStatus = service.status;
+      const drainUntil = new Date(Date.now() + drainPeriod).toISOString();
+      const updated = await this._updateService(serviceId, { status: 'draining', drainUntil });
+
+      logger.info('Service draining before deregistration', {
+        serviceId,
+        serviceName: service.serviceName,
+        drainUntil
+      });
+      if (previousStatus !== 'draining') {
+        changelogService.recordStatusChange(serviceId, service.serviceName, previousStatus, 'draining');
       }
+
+      this._rebuildGraphAfterDeregistration();
+      return { service: updated, deleted: false, drainUntil };
+    }
+
+    const deleted = await this.deleteService(serviceId);
+    if (!deleted) {
+      const error = new Error('Failed to deregister service');
+      error.status = 500;
+      throw error;
     }
+
+    logger.info('Service deregistered', { serviceId, serviceName: service.serviceName });
+    changelogService.recordServiceRemoval(serviceId, service.serviceName, 'deregistered');
+
+    this._rebuildGraphAfterDeregistration();
+    return { service, deleted: true, drainUntil: null };
   }
 
   /**
-   * Get total number of registered services
-   * @returns {Promise<number>}
+   * Check if a draining service has reached the end of its drain period
+   * @param {Object} service - Service entry
+   * @param {number} now - Current timestamp in ms
+   * @returns {boolean}
    */
-  async getTotalServices() {
-    if (this.useSupabase) {
-      try {
-        const { count, error } = await withTimeout(
-          supabase
-            .from('registered_services')
-            .select('*', { count: 'exact', head: true }),
-          5000, // 5 second timeout
-          'getTotalServices'
-        );
-
-        if (error) {
-          logger.error('Failed to count services in Supabase', { error: error.message });
-          return 0;
-        }
+  isDrained(service, now = Date.now()) {
+    return service.status === 'draining' &&
+      (!service.drainUntil || Date.parse(service.drainUntil) <= now);
+  }
+
+  /**
+   * Remove a service whose drain period is over
+   * @param {Object} service - Draining service entry
+   * @returns {Promise<boolean>} - True if removed
+   */
+  async completeDrain(service) {
+    const deleted = await this.deleteService(service.id);
+    if (deleted) {
+      logger.info('Drained service deregistered', {
+        serviceId: service.id,
+        serviceName: service.serviceName,
+        drainUntil: service.drainUntil
+      });
+      changelogService.recordServiceRemoval(service.id, service.serviceName, 'drained');
+      this._rebuildGraphAfterDeregistration();
+    }
+    return deleted;
+  }
 
-        return count || 0;
-      } catch (timeoutError) {
-        logger.error('Supabase query timeout in getTotalServices, using in-memory', {
-          error: timeoutError.message
+  /**
+   * Rebuild knowledge graph once a service stops taking routes
+   * @private
+   */
+  _rebuildGraphAfterDeregistration() {
+    routingCacheService.invalidate('service_deregistered');
+    setImmediate(() => {
+      getKnowledgeGraphService().rebuildGraph().catch(error => {
+        logger.warn('Failed to rebuild knowledge graph after deregistration', {
+          error: error.message
         });
-        return this.services.size;
+      });
+    });
+  }
+
+  /**
+   * Register another instance of an existing service
+   * Re-registering the endpoint of an expired instance brings that instance back
+   * @param {Object} service - Existing service entry
+   * @param {Object} instanceData - { endpoint, version, weight, leaseTtl }
+   * @returns {Promise<Object>} - Registration result with serviceId and instanceId
+   */
+  async addInstance(service, instanceData) {
+    const endpoint = instanceData.endpoint.trim();
+    const existing = service.instances.find(i => i.endpoint === endpoint);
+
+    if (existing && !this.isLeaseExpired(existing)) {
+      const error = new Error(`Service '${service.serviceName}' already has an instance at ${endpoint}`);
+      error.status = 409; // Conflict
+      throw error;
+    }
+
+    const instance = this._createInstance(instanceData);
+    const changes = existing
+      ? { updates: { [existing.instanceId]: { ...instance, instanceId: existing.instanceId } } }
+      : { add: [instance] };
+
+    const { service: updated } = await this.applyInstanceChanges(service, changes);
+    const instanceId = existing ? existing.instanceId : instance.instanceId;
+
+    if (existing) {
+      changelogService.recordStatusChange(service.id, service.serviceName, 'expired', 'active', instanceId);
+    }
+
+    logger.info('Service instance registered', {
+      serviceId: service.id,
+      serviceName: service.serviceName,
+      instanceId,
+      endpoint,
+      instanceCount: updated.instances.length
+    });
+
+    return {
+      success: true,
+      serviceId: service.id,
+      instanceId,
+      service: updated
+    };
+  }
+
+  /**
+   * Add, update or remove instances of a service and re-derive its endpoint, lease and status
+   * Deletes the service when its last instance is removed.
+   * Changes to one service are applied one at a time against the stored instances,
+   * so a probe or sweep that took a while doesn't write back a stale instance list
+   * over an instance registered or a heartbeat received in the meantime.
+   * @param {Object} service - Service entry (its instances are re-read from storage)
+   * @param {Object} changes - Instance changes
+   * @param {Array} changes.add - New instances
+   * @param {Object} changes.updates - instanceId -> fields to merge
+   * @param {Array} changes.remove - instanceIds to remove
+   * @param {Object} changes.expected - instanceId -> fields the stored instance must still have
+   *   for its update or removal to apply (e.g. the lease a sweep saw as expired)
+   * @param {Object} changes.fields - Extra service-level fields (e.g. lastHealthCheck)
+   * @param {string} changes.reason - Removal reason recorded when the service is deleted
+   * @returns {Promise<Object>} - { service, previousStatus, status, deleted, skipped }
+   *   (skipped: instanceIds whose update or removal was not applied)
+   */
+  async applyInstanceChanges(service, changes = {}) {
+    return this._withInstanceLock(service.id, () => this._applyInstanceChanges(service.id, changes));
+  }
+
+  /**
+   * Apply instance changes to the stored service
+   * @private
+   */
+  async _applyInstanceChanges(serviceId, changes) {
+    const { add = [], updates = {}, remove = [], expected = {}, fields = {}, reason = 'instances_removed' } = changes;
+
+    const service = await this.getServiceById(serviceId);
+    if (!service) {
+      const error = new Error('Service not found');
+      error.status = 404;
+      throw error;
+    }
+    const previousStatus = service.status;
+
+    const current = new Set(service.instances.map(instance => instance.instanceId));
+    const applies = instance => Object.entries(expected[instance.instanceId] || {})
+      .every(([field, value]) => instance[field] === value);
+    const skipped = [...new Set([...Object.keys(updates), ...remove])]
+      .filter(instanceId => !current.has(instanceId) ||
+        !applies(service.instances.find(instance => instance.instanceId === instanceId)));
+
+    const instances = service.instances
+      .filter(instance => !(remove.includes(instance.instanceId) && applies(instance)))
+      .map(instance => (applies(instance) ? { ...instance, ...(updates[instance.instanceId] || {}) } : instance))
+      .concat(add);
+
+    if (instances.length === 0) {
+      const deleted = await this.deleteService(service.id);
+      if (deleted) {
+        changelogService.recordServiceRemoval(service.id, service.serviceName, reason);
+        routingCacheService.invalidate('service_removed');
       }
-    } else {
-      return this.services.size;
+      return { service: null, previousStatus, status: null, deleted, skipped };
+    }
+
+    const status = this._nextServiceStatus(service, instances);
+    const updated = await this._updateService(serviceId, {
+      ...fields,
+      ...this._summarizeInstances(instances),
+      instances,
+      ...(status !== previousStatus && { status })
+    });
+
+    if (!updated) {
+      const error = new Error('Service not found');
+      error.status = 404;
+      throw error;
+    }
+
+    if (status !== previousStatus) {
+      logger.info('Service status derived from instances changed', {
+        serviceId: service.id,
+        serviceName: service.serviceName,
+        oldStatus: previousStatus,
+        newStatus: status
+      });
+      changelogService.recordStatusChange(service.id, service.serviceName, previousStatus, status);
+      routingCacheService.invalidate('status_changed');
+
+      // Routable set changed
+      setImmediate(() => {
+        getKnowledgeGraphService().rebuildGraph().catch(error => {
+          logger.warn('Failed to rebuild knowledge graph after status change', {
+            error: error.message
+          });
+        });
+      });
+    }
+
+    return { service: updated, previousStatus, status, deleted: false, skipped };
+  }
+
+  /**
+   * Run instance changes to a service after the ones already queued for it
+   * @private
+   */
+  _withInstanceLock(serviceId, apply) {
+    const previous = this.instanceLocks.get(serviceId) || Promise.resolve();
+    const run = previous.then(apply);
+    const tail = run.catch(() => {});
+    this.instanceLocks.set(serviceId, tail);
+    tail.then(() => {
+      if (this.instanceLocks.get(serviceId) === tail) {
+        this.instanceLocks.delete(serviceId);
+      }
+    });
+    return run;
+  }
+
+  /**
+   * Build a new instance entry
+   * @param {Object} instanceData - { endpoint, version, weight, leaseTtl }
+   * @returns {Object} - Instance entry
+   * @private
+   */
+  _createInstance({ endpoint, version, weight, leaseTtl }) {
+    const ttl = this._resolveLeaseTtl(leaseTtl);
+
+    return {
+      instanceId: uuidv4(),
+      endpoint: endpoint.trim(),
+      version: version ? version.trim() : null,
+      weight: parseInt(weight) > 0 ? parseInt(weight) : 1,
+      status: 'active',
+      registeredAt: new Date().toISOString(),
+      lastHealthCheck: null,
+      leaseTtl: ttl || null,
+      leaseExpiresAt: ttl ? new Date(Date.now() + ttl).toISOString() : null
+    };
+  }
+
+  /**
+   * Derive service-level endpoint and lease from its instances
+   * The primary endpoint is the first live instance; the service lease only
+   * runs out once every instance's lease has
+   * @param {Array} instances - Instance entries
+   * @returns {Object} - { endpoint, leaseTtl, leaseExpiresAt }
+   * @private
+   */
+  _summarizeInstances(instances) {
+    const live = instances.filter(instance => instance.status !== 'expired');
+    const primary = live[0] || instances[0];
+
+    if (instances.some(instance => !instance.leaseExpiresAt)) {
+      return { endpoint: primary.endpoint, leaseTtl: null, leaseExpiresAt: null };
+    }
+
+    const latest = instances.reduce((a, b) =>
+      Date.parse(b.leaseExpiresAt) > Date.parse(a.leaseExpiresAt) ? b : a
+    );
+
+    return {
+      endpoint: primary.endpoint,
+      leaseTtl: latest.leaseTtl,
+      leaseExpiresAt: latest.leaseExpiresAt
+    };
+  }
+
+  /**
+   * Determine service status from its instances
+   * A service is as healthy as its best instance; pending_migration is kept
+   * until the migration upload
+   * @param {Object} service - Service entry
+   * @param {Array} instances - Instance entries after the change
+   * @returns {string} - Service status
+   * @private
+   */
+  _nextServiceStatus(service, instances) {
+    // Deregistration in progress - instance changes don't bring it back
+    if (service.status === 'draining') {
+      return 'draining';
+    }
+
+    const live = instances.filter(instance => instance.status !== 'expired');
+
+    let derived = 'unhealthy';
+    if (live.length === 0) {
+      derived = 'expired';
+    } else if (live.some(instance => instance.status === 'active')) {
+      derived = 'active';
+    } else if (live.some(instance => instance.status === 'degraded')) {
+      derived = 'degraded';
+    }
+
+    if (derived === 'expired') {
+      return 'expired';
+    }
+    if (service.status === 'expired') {
+      // Revived - a service that never uploaded its migration goes back to waiting for it
+      return service.migrationFile ? derived : 'pending_migration';
+    }
+    if (HEALTH_STATUSES.includes(service.status)) {
+      return derived;
+    }
+    return service.status;
+  }
+
+  /**
+   * Instances of a stored service, synthesizing one from the service endpoint
+   * for rows registered before instances were tracked
+   * @param {Array|null} instances - Stored instances
+   * @param {Object} service - Service entry (camelCase)
+   * @returns {Array} - Instance entries
+   * @private
+   */
+  _normalizeInstances(instances, service) {
+    if (Array.isArray(instances) && instances.length > 0) {
+      return instances;
+    }
+
+    return [{
+      instanceId: service.id,
+      endpoint: service.endpoint,
+      version: service.version,
+      weight: 1,
+      status: HEALTH_STATUSES.includes(service.status) ? service.status : 'active',
+      registeredAt: service.registeredAt,
+      lastHealthCheck: service.lastHealthCheck,
+      leaseTtl: service.leaseTtl,
+      leaseExpiresAt: service.leaseExpiresAt
+    }];
+  }
+
+  /**
+   * Apply the configured default and minimum to a requested lease TTL
+   * @param {number|null|undefined} leaseTtl - Requested TTL in ms
+   * @returns {number} - Effective TTL in ms (0 = no lease)
+   * @private
+   */
+  _resolveLeaseTtl(leaseTtl) {
+    const ttl = leaseTtl === undefined || leaseTtl === null
+      ? leaseConfig.defaultTtl
+      : parseInt(leaseTtl) || 0;
+
+    if (ttl <= 0) {
+      return 0;
+    }
+    return Math.max(ttl, leaseConfig.minTtl);
+  }
+
+  /**
+   * Migration file as an object; the API also accepts it as JSON text
+   * @param {Object|string} migrationFile - Migration file (already checked against the route schema)
+   * @returns {Object}
+   * @private
+   */
+  _parseMigrationFile(migrationFile) {
+    if (typeof migrationFile !== 'string') {
+      return migrationFile;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(migrationFile);
+    } catch (parseError) {
+      parsed = null;
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      const error = new Error('migrationFile must be a JSON object');
+      error.status = 400;
+      throw error;
+    }
+    return parsed;
+  }
+
+  /**
+   * Update fields of a service in storage
+   * @param {string} serviceId - Service ID
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} - Updated service or null if not found
+   * @private
+   */
+  async _updateService(serviceId, changes) {
+    const updated = await this.store.update(COLLECTION, serviceId, changes);
+    return updated ? this._toService(updated) : null;
+  }
+
+  /**
+   * Get total number of registered services
+   * @returns {Promise<number>}
+   */
+  async getTotalServices() {
+    try {
+      return await this.store.count(COLLECTION);
+    } catch (error) {
+      logger.error('Failed to count services in storage', { error: error.message });
+      return 0;
     }
   }
 
@@ -443,104 +968,70 @@ class RegistryService {
    * @returns {Promise<number>}
    */
   async getActiveServicesCount() {
-    if (this.useSupabase) {
-      const { count, error } = await supabase
-        .from('registered_services')
-        .select('*', { count: 'exact', head: true })
-        .eq('status', 'active');
-
-      if (error) {
-        logger.error('Failed to count active services in Supabase', { error: error.message });
-        return 0;
-      }
-
-      return count || 0;
-    } else {
-      return Array.from(this.services.values()).filter(s => s.status === 'active').length;
+    try {
+      return await this.store.count(COLLECTION, { status: 'active' });
+    } catch (error) {
+      logger.error('Failed to count active services in storage', { error: error.message });
+      return 0;
     }
   }
 
   /**
    * Complete migration for a registered service (Stage 2)
+   * A service waiting for its migration becomes active; any other status is kept,
+   * and a draining service doesn't take uploads (409).
    * @param {string} serviceId - Service ID
-   * @param {Object} migrationFile - Migration file data
+   * @param {Object|string} migrationFile - Migration file data (object or JSON text)
    * @returns {Promise<Object>} - Updated service
    */
   async completeMigration(serviceId, migrationFile) {
     try {
-      if (this.useSupabase) {
-        // Update service in Supabase with migration file and set to active
-        const { data, error } = await supabase
-          .from('registered_services')
-          .update({
-            migration_file: migrationFile,
-            status: 'active',
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', serviceId)
-          .select()
-          .single();
-
-        if (error) {
-          logger.error('Supabase migration update failed', { error: error.message, serviceId });
-          throw new Error(`Failed to complete migration: ${error.message}`);
-        }
-
-        if (!data) {
-          logger.error('Service not found for migration update', { serviceId });
-          const error = new Error('Service not found');
-          error.status = 404;
+      const parsed = this._parseMigrationFile(migrationFile);
+      // Under the instance lock, so a concurrent status change isn't overwritten
+      const { service, previousStatus } = await this._withInstanceLock(serviceId, async () => {
+        const existing = await this.getServiceById(serviceId);
+        if (existing?.status === 'draining') {
+          const error = new Error('Service is draining and no longer takes migration uploads');
+          error.status = 409;
           throw error;
         }
 
-        logger.info('Migration completed successfully in Supabase', {
-          serviceId,
-          serviceName: data.service_name
-        });
-
-        // Trigger knowledge graph rebuild
-        const knowledgeGraphService = require('./knowledgeGraphService');
-        setImmediate(() => {
-          getKnowledgeGraphService().rebuildGraph().catch(error => {
-            logger.warn('Failed to rebuild knowledge graph after migration', {
-              error: error.message
-            });
-          });
+        const updated = existing && await this._updateService(serviceId, {
+          migrationFile: parsed,
+          ...(existing.status === 'pending_migration' && { status: 'active' }),
+          updatedAt: new Date().toISOString()
         });
+        return { service: updated, previousStatus: existing?.status };
+      });
 
-        return this._mapSupabaseToService(data);
-      } else {
-        // Update service in memory
-        const service = this.services.get(serviceId);
-        if (!service) {
-          const error = new Error('Service not found');
-          error.status = 404;
-          throw error;
-        }
-
-        service.migrationFile = migrationFile;
-        service.status = 'active';
-        service.updatedAt = new Date().toISOString();
+      if (!service) {
+        logger.error('Service not found for migration update', { serviceId });
+        const error = new Error('Service not found');
+        error.status = 404;
+        throw error;
+      }
 
-        this.services.set(serviceId, service);
+      if (service.status !== previousStatus) {
+        changelogService.recordStatusChange(service.id, service.serviceName, previousStatus, service.status);
+      }
 
-        logger.info('Migration completed successfully in memory', {
-          serviceId,
-          serviceName: service.serviceName
-        });
+      logger.info('Migration completed successfully', {
+        serviceId,
+        serviceName: service.serviceName,
+        status: service.status
+      });
+      routingCacheService.invalidate('migration_uploaded');
 
-        // Trigger knowledge graph rebuild
-        const knowledgeGraphService = require('./knowledgeGraphService');
-        setImmediate(() => {
-          getKnowledgeGraphService().rebuildGraph().catch(error => {
-            logger.warn('Failed to rebuild knowledge graph after migration', {
-              error: error.message
-            });
+      // Trigger knowledge graph rebuild
+      setImmediate(() => {
+        getKnowledgeGraphService().rebuildGraph().catch(error => {
+          logger.warn('Failed to rebuild knowledge graph after migration', {
+            error: error.message
           });
         });
+      });
 
-        return service;
-      }
+      return service;
     } catch (error) {
       logger.error('Failed to complete migration', {
         error: error.message,
@@ -557,30 +1048,11 @@ class RegistryService {
    */
   async deleteService(serviceId) {
     try {
-      if (this.useSupabase) {
-        const { error } = await supabase
-          .from('registered_services')
-          .delete()
-          .eq('id', serviceId);
-
-        if (error) {
-          logger.error('Failed to delete service from Supabase', {
-            serviceId,
-            error: error.message
-          });
-          return false;
-        }
-
-        logger.info('Service deleted from Supabase', { serviceId });
-        return true;
-      } else {
-        // In-memory deletion
-        const deleted = this.services.delete(serviceId);
-        if (deleted) {
-          logger.info('Service deleted from memory', { serviceId });
-        }
-        return deleted;
+      const deleted = await this.store.remove(COLLECTION, serviceId);
+      if (deleted) {
+        logger.info('Service deleted', { serviceId, storage: this.store.name });
       }
+      return deleted;
     } catch (error) {
       logger.error('Failed to delete service', {
         serviceId,
@@ -591,22 +1063,114 @@ class RegistryService {
   }
 
   /**
-   * Map Supabase row to service object (snake_case to camelCase)
-   * @param {Object} row - Supabase row
-   * @returns {Object} - Service object
+   * Check a service against discovery filters
+   * @param {Object} service - Service entry
+   * @param {Object} query - Query options
+   * @param {Array|null} versionRange - Parsed version range
+   * @returns {boolean}
+   * @private
    */
-  _mapSupabaseToService(row) {
-    return {
-      id: row.id,
-      serviceName: row.service_name,
-      version: row.version,
-      endpoint: row.endpoint,
-      healthCheck: row.health_check,
-      migrationFile: row.migration_file,
-      registeredAt: row.registered_at,
-      lastHealthCheck: row.last_health_check,
-      status: row.status
+  _matchesQuery(service, query, versionRange) {
+    if (query.status?.length && !query.status.includes(service.status)) {
+      return false;
+    }
+
+    const hasAll = (values, wanted) => {
+      const have = (Array.isArray(values) ? values : []).map(value => String(value).toLowerCase());
+      return wanted.every(value => have.includes(value.toLowerCase()));
+    };
+    if (query.capability?.length && !hasAll(service.metadata.capabilities, query.capability)) {
+      return false;
+    }
+    if (query.tag?.length && !hasAll(service.metadata.tags, query.tag)) {
+      return false;
+    }
+
+    if (versionRange && !satisfies(service.version, versionRange)) {
+      return false;
+    }
+
+    if (query.search) {
+      const text = `${service.serviceName} ${service.description || ''}`.toLowerCase();
+      if (!text.includes(query.search.toLowerCase())) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Compare two services on a sort field (missing values sort last)
+   * @private
+   */
+  _compareForSort(a, b, field) {
+    const left = a[field] ?? null;
+    const right = b[field] ?? null;
+    if (left === right) return 0;
+    if (left === null) return 1;
+    if (right === null) return -1;
+    if (field === 'version') return compareVersions(left, right);
+    return String(left).localeCompare(String(right));
+  }
+
+  /**
+   * Encode the position after a service as an opaque cursor
+   * @private
+   */
+  _encodeCursor(service, sort, order) {
+    return Buffer.from(JSON.stringify({ s: sort, o: order, v: service[sort] ?? null, id: service.id })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor into a { id, [sort]: value } stand-in for the last service seen
+   * @throws {Error} - If the cursor is invalid or was made for another sort (error.status = 400)
+   * @private
+   */
+  _decodeCursor(cursor, sort, order) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || typeof decoded.id !== 'string') {
+      const error = new Error('Invalid cursor');
+      error.status = 400;
+      throw error;
+    }
+    if (decoded.s !== sort || decoded.o !== order) {
+      const error = new Error('Cursor was issued for a different sort; repeat the sort and order of the first page');
+      error.status = 400;
+      throw error;
+    }
+
+    return { id: decoded.id, [sort]: decoded.v };
+  }
+
+  /**
+   * Fill defaults of a stored service document
+   * @param {Object} doc - Service document from storage
+   * @returns {Object} - Service entry
+   * @private
+   */
+  _toService(doc) {
+    const service = {
+      ...doc,
+      healthCheck: doc.healthCheck || '/health',
+      description: doc.description ?? null,
+      metadata: doc.metadata || {},
+      migrationFile: doc.migrationFile ?? null,
+      owner: doc.owner ?? null,
+      grpcTls: doc.grpcTls ?? null,
+      lastHealthCheck: doc.lastHealthCheck ?? null,
+      leaseTtl: doc.leaseTtl ?? null,
+      leaseExpiresAt: doc.leaseExpiresAt ?? null,
+      drainUntil: doc.drainUntil ?? null
     };
+    service.instances = this._normalizeInstances(doc.instances, service);
+    return service;
   }
 }
 
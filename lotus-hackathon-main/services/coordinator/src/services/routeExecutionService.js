@@ -0,0 +1,293 @@
+const logger = require('../utils/logger');
+const aiRoutingService = require('./aiRoutingService');
+const registryService = require('./registryService');
+const envelopeService = require('./envelopeService');
+const communicationService = require('./communicationService');
+
+/**
+ * Route Execution Service
+ * Runs the full route pipeline (envelope -> AI ranking -> cascading fallback -> response assembly)
+ * shared by the gRPC Route RPC and POST /route/execute so both protocols return the same shape
+ */
+class RouteExecutionService {
+  /**
+   * Execute a routed request end-to-end
+   * @param {Object} request - Route request
+   * @param {string} request.tenantId - Tenant identifier
+   * @param {string} request.userId - User identifier
+   * @param {string} request.queryText - Query text
+   * @param {Object} request.metadata - Request metadata
+   * @param {Object} options - Execution options
+   * @param {string} options.protocol - Inbound protocol ('grpc' or 'http')
+   * @param {string} options.source - Request source ('rag', 'rest', ...)
+   * @param {Object} options.routingConfig - Routing strategy/priority
+   * @returns {Promise<Object>} - { envelope, routingResult, cascadeResult, response, processingTime }
+   */
+  async execute(request, options = {}) {
+    const startTime = Date.now();
+    const protocol = options.protocol || 'http';
+    const source = options.source || (protocol === 'grpc' ? 'rag' : 'rest');
+    const routingConfig = {
+      strategy: options.routingConfig?.strategy || 'single',
+      priority: options.routingConfig?.priority || 'accuracy'
+    };
+
+    // Step 1: Create Universal Envelope
+    const envelope = protocol === 'grpc'
+      ? envelopeService.createEnvelopeFromGrpcRequest({
+        tenant_id: request.tenantId,
+        user_id: request.userId,
+        query_text: request.queryText,
+        metadata: request.metadata
+      })
+      : envelopeService.createEnvelope({
+        tenantId: request.tenantId,
+        userId: request.userId,
+        query: request.queryText,
+        metadata: request.metadata || {},
+        context: {
+          source,
+          protocol,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    logger.debug('Created envelope for route execution', {
+      requestId: envelope.request_id,
+      tenantId: envelope.tenant_id,
+      protocol,
+      query: envelope.payload.query
+    });
+
+    // Step 2: Get routable services from registry
+    const services = await registryService.getAllServicesFull();
+    const activeServices = services.filter(service => registryService.isRoutable(service));
+
+    if (activeServices.length === 0) {
+      logger.error('Route execution failed - no active services', {
+        requestId: envelope.request_id,
+        protocol
+      });
+      const error = new Error('No active services available for routing');
+      error.status = 502;
+      throw error;
+    }
+
+    // Step 3: AI routing (same logic as POST /route)
+    const routingData = {
+      type: protocol === 'grpc' ? 'grpc_query' : 'http_query',
+      payload: envelope.payload,
+      context: {
+        protocol,
+        source,
+        tenantId: request.tenantId,
+        userId: request.userId
+      }
+    };
+
+    logger.debug('Performing AI routing for route execution', {
+      requestId: envelope.request_id,
+      activeServiceCount: activeServices.length,
+      strategy: routingConfig.strategy
+    });
+
+    const routingResult = await aiRoutingService.routeRequest(routingData, routingConfig);
+
+    if (!routingResult.success || !routingResult.routing.rankedServices || routingResult.routing.rankedServices.length === 0) {
+      logger.error('AI routing failed during route execution', {
+        requestId: envelope.request_id,
+        protocol
+      });
+      const error = new Error('AI routing failed to find suitable services');
+      error.status = 404;
+      throw error;
+    }
+
+    // Step 4: Get ranked services for cascading
+    const rankedServices = routingResult.routing.rankedServices;
+
+    logger.info('Route execution routing completed', {
+      requestId: envelope.request_id,
+      totalCandidates: routingResult.routing.totalCandidates,
+      primaryTarget: routingResult.routing.primaryTarget?.serviceName,
+      primaryConfidence: routingResult.routing.primaryTarget?.confidence,
+      method: routingResult.routing.method
+    });
+
+    // Step 5: Call services with cascading fallback
+    const requestData = protocol === 'grpc'
+      ? {
+        tenant_id: request.tenantId,
+        user_id: request.userId,
+        query_text: request.queryText,
+        metadata: request.metadata,
+        context: { protocol: 'grpc', source },
+        request_id: envelope.request_id
+      }
+      : {
+        tenant_id: request.tenantId,
+        user_id: request.userId,
+        payload: { query: request.queryText },
+        metadata: request.metadata || {},
+        context: { protocol: 'http', source },
+        request_id: envelope.request_id
+      };
+
+    const cascadeResult = await communicationService.callWithCascadingFallback(
+      rankedServices,
+      requestData,
+      protocol,
+      {
+        tenantId: request.tenantId,
+        userId: request.userId,
+        requestId: envelope.request_id,
+        protocol
+      }
+    );
+
+    logger.info('Cascading routing completed', {
+      requestId: envelope.request_id,
+      successful_service: cascadeResult.successfulResult?.serviceName,
+      rank_used: cascadeResult.successfulResult?.rank,
+      total_attempts: cascadeResult.totalAttempts,
+      stopped_reason: cascadeResult.stopped,
+      total_duration: cascadeResult.totalTime
+    });
+
+    // Step 6: Assemble response
+    const processingTime = Date.now() - startTime;
+    const response = this._buildResponse(request, envelope, routingResult, cascadeResult, routingConfig, processingTime);
+
+    return {
+      envelope,
+      routingResult,
+      cascadeResult,
+      response,
+      processingTime
+    };
+  }
+
+  /**
+   * Build protocol-neutral route response
+   * envelope_json and routing_metadata are objects here; gRPC serializes them to strings
+   * @param {Object} request - Route request
+   * @param {Object} envelope - Universal Envelope
+   * @param {Object} routingResult - Result of aiRoutingService.routeRequest
+   * @param {Object} cascadeResult - Result of callWithCascadingFallback
+   * @param {Object} routingConfig - Routing strategy/priority
+   * @param {number} processingTime - Total processing time in ms
+   * @returns {Object} - { target_services, normalized_fields, envelope_json, routing_metadata }
+   * @private
+   */
+  _buildResponse(request, envelope, routingResult, cascadeResult, routingConfig, processingTime) {
+    // Extract base normalized fields and add cascade information
+    const baseNormalizedFields = envelopeService.extractNormalizedFields(envelope);
+    const normalizedFields = {
+      ...baseNormalizedFields,
+      // Cascade information
+      successful_service: cascadeResult.successfulResult?.serviceName || 'none',
+      rank_used: cascadeResult.successfulResult?.rank?.toString() || '0',
+      total_attempts: cascadeResult.totalAttempts.toString(),
+      // AI ranking information
+      primary_target: routingResult.routing.primaryTarget?.serviceName || 'none',
+      primary_confidence: routingResult.routing.primaryTarget?.confidence?.toString() || '0',
+      // Execution information
+      stopped_reason: cascadeResult.stopped,
+      quality_score: cascadeResult.successfulResult?.quality?.toString() || '0',
+      total_time: cascadeResult.totalTime,
+      processing_time: `${processingTime}ms`
+    };
+
+    // Full cascade details
+    const envelopeJson = {
+      request: {
+        tenant_id: request.tenantId,
+        user_id: request.userId,
+        query_text: request.queryText
+      },
+      aiRanking: routingResult.routing.rankedServices.map(s => ({
+        serviceName: s.serviceName,
+        endpoint: s.endpoint,
+        confidence: s.confidence,
+        reasoning: s.reasoning
+      })),
+      cascadeAttempts: cascadeResult.allAttempts.map(a => ({
+        rank: a.rank,
+        serviceName: a.serviceName,
+        instanceId: a.instanceId,
+        instanceAttempts: a.instanceAttempts,
+        confidence: a.confidence,
+        success: a.success,
+        quality: a.quality,
+        duration: a.duration,
+        error: a.error,
+        rejectReason: a.rejectReason
+      })),
+      successfulResult: cascadeResult.successfulResult ? {
+        serviceName: cascadeResult.successfulResult.serviceName,
+        instanceId: cascadeResult.successfulResult.instanceId,
+        rank: cascadeResult.successfulResult.rank,
+        confidence: cascadeResult.successfulResult.confidence,
+        quality: cascadeResult.successfulResult.quality,
+        duration: cascadeResult.successfulResult.duration,
+        protocol: cascadeResult.successfulResult.protocol,
+        reasoning: cascadeResult.successfulResult.reasoning,
+        data: cascadeResult.successfulResult.data
+      } : null,
+      metadata: {
+        total_attempts: cascadeResult.totalAttempts,
+        stopped_reason: cascadeResult.stopped,
+        total_time: cascadeResult.totalTime,
+        processing_time: `${processingTime}ms`
+      },
+      original_envelope: envelope
+    };
+
+    // Cascade execution details
+    const routingMetadata = {
+      routing_strategy: 'cascading_fallback',
+      ai_ranking: routingResult.routing.rankedServices.map(s => ({
+        name: s.serviceName,
+        confidence: s.confidence,
+        reasoning: s.reasoning
+      })),
+      execution: {
+        total_attempts: cascadeResult.totalAttempts,
+        successful_rank: cascadeResult.successfulResult?.rank || null,
+        stopped_reason: cascadeResult.stopped,
+        successful_service: cascadeResult.successfulResult?.serviceName || null
+      },
+      performance: {
+        cascade_time: cascadeResult.totalTime,
+        total_duration_ms: processingTime
+      },
+      all_attempts: cascadeResult.allAttempts.map(a => ({
+        rank: a.rank,
+        service: a.serviceName,
+        success: a.success,
+        quality: a.quality,
+        duration: a.duration,
+        reject_reason: a.rejectReason,
+        error: a.error
+      })),
+      ai_routing: {
+        method: routingResult.routing.method,
+        processingTime: routingResult.routing.processingTime,
+        strategy: routingConfig.strategy,
+        totalCandidates: routingResult.routing.totalCandidates
+      }
+    };
+
+    return {
+      target_services: cascadeResult.allAttempts.map(a => a.serviceName),
+      normalized_fields: normalizedFields,
+      envelope_json: envelopeJson,
+      routing_metadata: routingMetadata
+    };
+  }
+}
+
+// Singleton instance
+const routeExecutionService = new RouteExecutionService();
+
+module.exports = routeExecutionService;
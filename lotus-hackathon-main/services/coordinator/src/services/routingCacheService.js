@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const metricsService = require('./metricsService');
+const routingCacheConfig = require('../config/routingCache');
+
+/**
+ * Hash of a cache key part
+ * @private
+ */
+const digest = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * JSON with object keys in a fixed order (equal payloads give equal text)
+ * @private
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Routing Cache Service - Reuses AI routing decisions
+ * Decisions are keyed by normalized query, request type, tenant, routing
+ * preferences and the registry version (a hash of the routable services' ids,
+ * statuses, versions and update times), so a registration, status change,
+ * update or migration upload on any replica starts new entries. Changes seen by
+ * this replica also drop every entry at once (invalidate()).
+ * Only the service ranking is cached: instances, degraded demotion and circuit
+ * state are applied fresh to every hit.
+ */
+class RoutingCacheService {
+  constructor() {
+    this.config = routingCacheConfig;
+    this.entries = new Map(); // key -> { result, expiresAt }, least recently used first
+    this.hits = 0;
+    this.misses = 0;
+    this.lastInvalidation = null;
+    logger.info('RoutingCacheService initialized', {
+      enabled: this.config.enabled,
+      ttl: this.config.ttl,
+      maxEntries: this.config.maxEntries
+    });
+  }
+
+  /**
+   * Check if decisions are cached
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Registry version the routable services are at
+   * @param {Array} services - Routable services
+   * @returns {string}
+   */
+  registryVersion(services) {
+    const state = services
+      .map(service => [service.id, service.status, service.version, service.updatedAt || service.registeredAt].join('|'))
+      .sort()
+      .join('\n');
+    return digest(state).slice(0, 16);
+  }
+
+  /**
+   * Cache key of a routing request
+   * Payload and context are taken as the model sees them (redacted): a decision
+   * is only reused for a request the model would have been shown the same way.
+   * @param {Object} data - Request data ({ type, payload, context })
+   * @param {Object} routing - Routing configuration ({ strategy, priority, tenantId })
+   * @param {Array} services - Routable services
+   * @param {Object} prompted - Request data as sent to the model (redacted), data when omitted
+   * @returns {string}
+   */
+  keyFor(data, routing, services, prompted = data) {
+    const query = prompted.payload?.query;
+    const request = typeof query === 'string' && query.trim()
+      ? `query:${this.normalizeQuery(query)}`
+      : `payload:${stableStringify(prompted.payload ?? null)}`;
+
+    return digest(stableStringify({
+      type: data.type || null,
+      tenant: routing.tenantId ?? data.context?.tenantId ?? null,
+      strategy: routing.strategy || 'single',
+      priority: routing.priority || 'accuracy',
+      registry: this.registryVersion(services),
+      request,
+      context: digest(stableStringify(prompted.context ?? {}))
+    }));
+  }
+
+  /**
+   * Query text as compared for caching (case, spacing and surrounding punctuation ignored)
+   * @param {string} query - Query text
+   * @returns {string}
+   */
+  normalizeQuery(query) {
+    return query
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '');
+  }
+
+  /**
+   * Cached decision (counts a hit or a miss)
+   * @param {string} key - Cache key
+   * @returns {Object|null} - Routing result as returned by the model, or null
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this._recordEviction('ttl', 1);
+    } else if (entry) {
+      // Most recently used goes last
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      this.hits += 1;
+      metricsService.recordRoutingCacheLookup(true);
+      return entry.result;
+    }
+
+    this.misses += 1;
+    metricsService.recordRoutingCacheLookup(false);
+    return null;
+  }
+
+  /**
+   * Cache a decision
+   * @param {string} key - Cache key
+   * @param {Object} result - Routing result as returned by the model
+   */
+  set(key, result) {
+    this.entries.delete(key);
+    this.entries.set(key, { result, expiresAt: Date.now() + this.config.ttl });
+
+    if (this.entries.size > this.config.maxEntries) {
+      const excess = this.entries.size - this.config.maxEntries;
+      const oldest = [...this.entries.keys()].slice(0, excess);
+      oldest.forEach(oldKey => this.entries.delete(oldKey));
+      this._recordEviction('lru', excess);
+    }
+    metricsService.updateRoutingCacheEntries(this.entries.size);
+  }
+
+  /**
+   * Drop every cached decision (the registry changed)
+   * @param {string} reason - What changed (e.g. service_registered)
+   * @returns {number} - Decisions dropped
+   */
+  invalidate(reason) {
+    const dropped = this.entries.size;
+    this.entries.clear();
+    this.lastInvalidation = { reason, at: new Date().toISOString(), dropped };
+
+    if (dropped > 0) {
+      this._recordEviction('invalidated', dropped);
+      logger.debug('Routing cache invalidated', { reason, dropped });
+    }
+    return dropped;
+  }
+
+  /**
+   * Cache summary
+   * @returns {Object}
+   */
+  getStatus() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.config.enabled,
+      entries: this.entries.size,
+      maxEntries: this.config.maxEntries,
+      ttl: this.config.ttl,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 1000 : null,
+      lastInvalidation: this.lastInvalidation
+    };
+  }
+
+  /**
+   * Count dropped decisions and update the size gauge
+   * @private
+   */
+  _recordEviction(reason, count) {
+    metricsService.recordRoutingCacheEviction(reason, count);
+    metricsService.updateRoutingCacheEntries(this.entries.size);
+  }
+}
+
+// Singleton instance
+const routingCacheService = new RoutingCacheService();
+
+module.exports = routingCacheService;
@@ -0,0 +1,471 @@
+const vm = require('vm');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const storage = require('../storage');
+const routingRulesConfig = require('../config/routingRules');
+const changelogService = require('./changelogService');
+const metricsService = require('./metricsService');
+const { unsafeRegexReason } = require('../utils/safeRegex');
+
+/**
+ * Storage collection holding routing rules
+ */
+const COLLECTION = 'routing_rules';
+
+/**
+ * Conditions a rule may match on
+ */
+const CONDITIONS = ['pathPrefix', 'pathRegex', 'methods', 'headers', 'type', 'tenantId', 'queryRegex'];
+
+/**
+ * Runs a rule's regular expression in a context with a deadline (vm timeout),
+ * so a pattern that backtracks on a crafted value can't block the event loop
+ */
+const MATCH_SCRIPT = new vm.Script('pattern.test(text)');
+
+/**
+ * Build a request error
+ * @private
+ */
+function requestError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check that a path starts with a prefix at a segment boundary
+ * (/api/payment matches /api/payment and /api/payment/refunds, not /api/payments)
+ * @private
+ */
+function hasPathPrefix(path, prefix) {
+  if (path === prefix || prefix === '/') {
+    return true;
+  }
+  return path.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`);
+}
+
+/**
+ * Header value as one string (repeated headers joined like Node does)
+ * @private
+ */
+function headerValue(headers, name) {
+  const value = headers?.[name];
+  return Array.isArray(value) ? value.join(', ') : value;
+}
+
+/**
+ * Routing Rules Service - Requests routed by declared rules instead of a model
+ * Each rule has conditions (path prefix or regex, methods, headers, request type,
+ * tenant, query regex), all of which must hold, and a target service. Rules are
+ * tried by priority (highest first, then oldest first); the first matching rule
+ * whose target is routable decides. Rules are served from memory, written
+ * through to storage and reloaded every ROUTING_RULES_REFRESH_INTERVAL so
+ * changes made on other replicas are picked up.
+ */
+class RoutingRulesService {
+  constructor() {
+    this.store = storage;
+    this.config = routingRulesConfig;
+    this.rules = []; // Evaluation order, with compiled patterns
+    this.loadedAt = 0;
+    this.loading = null;
+    this.writes = 0; // Times the rules were replaced, so a load started before a local write doesn't undo it
+    this.matchContext = vm.createContext({ pattern: null, text: '' });
+    this.timedOut = new Set(); // "<ruleId>:<updatedAt>" of rules that hit the match deadline
+    logger.info('RoutingRulesService initialized', { enabled: this.config.enabled });
+  }
+
+  /**
+   * Check if rules are evaluated
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Load rules from storage (on startup and every refresh interval)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.loading) {
+      const writes = this.writes;
+      this.loading = this.store.list(COLLECTION)
+        .then(docs => {
+          if (writes !== this.writes) {
+            return;
+          }
+          this._setRules(docs);
+          logger.debug('Routing rules loaded from storage', { rules: docs.length });
+        })
+        .catch(error => {
+          logger.error('Failed to load routing rules from storage', { error: error.message });
+        })
+        .finally(() => {
+          // Retry after the next interval on failure too, rather than on every request
+          this.loadedAt = Date.now();
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Create a rule
+   * @param {Object} input - { name, description, enabled, priority, match, target: { serviceName } }
+   * @param {string} createdBy - Caller that created it
+   * @returns {Promise<Object>} - Stored rule
+   */
+  async create(input, createdBy = null) {
+    await this._refresh();
+    if (this.rules.length >= this.config.maxRules) {
+      throw requestError(`At most ${this.config.maxRules} routing rules can be defined`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const rule = {
+      id: uuidv4(),
+      ...this._validate(input),
+      createdAt: now,
+      createdBy,
+      updatedAt: now,
+      updatedBy: createdBy
+    };
+
+    await this.store.put(COLLECTION, rule);
+    this._setRules([...this.rules.map(entry => entry.rule), rule]);
+    changelogService.recordRoutingRuleOperation('create', this._describe(rule), createdBy || 'system');
+    logger.info('Routing rule created', { ruleId: rule.id, name: rule.name, target: rule.target.serviceName });
+
+    return rule;
+  }
+
+  /**
+   * List rules in evaluation order
+   * @param {Object} filters - { serviceName, enabled }
+   * @returns {Promise<Array>}
+   */
+  async list(filters = {}) {
+    await this._refresh();
+    return this.rules
+      .map(entry => entry.rule)
+      .filter(rule => !filters.serviceName || rule.target.serviceName === filters.serviceName)
+      .filter(rule => filters.enabled === undefined || rule.enabled === filters.enabled);
+  }
+
+  /**
+   * Get a rule
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(ruleId) {
+    return this.store.get(COLLECTION, ruleId);
+  }
+
+  /**
+   * Change a rule (given fields replace the stored ones; match is replaced as a whole)
+   * @param {string} ruleId - Rule ID
+   * @param {Object} changes - Any of name, description, enabled, priority, match, target
+   * @param {string} updatedBy - Caller that changed it
+   * @returns {Promise<Object>} - Updated rule
+   */
+  async update(ruleId, changes, updatedBy = null) {
+    const existing = await this.store.get(COLLECTION, ruleId);
+    if (!existing) {
+      throw requestError('Routing rule not found', 404);
+    }
+
+    const fields = this._validate({ ...existing, ...changes });
+    const updated = await this.store.update(COLLECTION, ruleId, {
+      ...fields,
+      updatedAt: new Date().toISOString(),
+      updatedBy
+    });
+    if (!updated) {
+      throw requestError('Routing rule not found', 404);
+    }
+
+    this._setRules([...this.rules.map(entry => entry.rule).filter(rule => rule.id !== ruleId), updated]);
+    changelogService.recordRoutingRuleOperation('update', {
+      ...this._describe(updated),
+      fields: Object.keys(changes)
+    }, updatedBy || 'system');
+    logger.info('Routing rule updated', { ruleId, fields: Object.keys(changes) });
+
+    return updated;
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} ruleId - Rule ID
+   * @param {string} removedBy - Caller that deleted it
+   * @returns {Promise<Object>} - Deleted rule
+   */
+  async remove(ruleId, removedBy = null) {
+    const existing = await this.store.get(COLLECTION, ruleId);
+    if (!existing) {
+      throw requestError('Routing rule not found', 404);
+    }
+
+    await this.store.remove(COLLECTION, ruleId);
+    this._setRules(this.rules.map(entry => entry.rule).filter(rule => rule.id !== ruleId));
+    changelogService.recordRoutingRuleOperation('delete', this._describe(existing), removedBy || 'system');
+    logger.info('Routing rule deleted', { ruleId, name: existing.name });
+
+    return existing;
+  }
+
+  /**
+   * First enabled rule matching a request whose target is routable
+   * @param {Object} request - { method, path, headers (lowercase names), type, tenantId, query }
+   * @param {Array} services - Routable services
+   * @returns {Promise<Object|null>} - { rule, service }, or null when no rule decides
+   */
+  async evaluate(request, services) {
+    if (!this.config.enabled) {
+      return null;
+    }
+    await this._refresh();
+
+    for (const entry of this.rules) {
+      if (!entry.rule.enabled || this.timedOut.has(this._version(entry.rule)) || !this._matches(entry, request)) {
+        continue;
+      }
+
+      const service = services.find(s => s.serviceName === entry.rule.target.serviceName);
+      if (!service) {
+        logger.warn('Routing rule matched but its target is not routable, trying the next rule', {
+          ruleId: entry.rule.id,
+          name: entry.rule.name,
+          target: entry.rule.target.serviceName
+        });
+        continue;
+      }
+
+      metricsService.recordRoutingRuleMatch(entry.rule.id);
+      return { rule: entry.rule, service };
+    }
+
+    return null;
+  }
+
+  /**
+   * Rules summary
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      rules: this.rules.length,
+      enabledRules: this.rules.filter(entry => entry.rule.enabled).length,
+      timedOutRules: this.rules.filter(entry => this.timedOut.has(this._version(entry.rule))).map(entry => entry.rule.id),
+      refreshInterval: this.config.refreshInterval,
+      loadedAt: this.loadedAt ? new Date(this.loadedAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Reload rules when the refresh interval has passed
+   * @private
+   */
+  async _refresh() {
+    if (Date.now() - this.loadedAt >= this.config.refreshInterval) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Replace the rules held in memory, sorted in evaluation order
+   * @private
+   */
+  _setRules(rules) {
+    this.writes += 1;
+    this.rules = rules
+      .map(rule => ({ rule, patterns: this._compile(rule.match) }))
+      .filter(({ rule, patterns }) => {
+        // Rules stored before patterns were checked
+        if (!patterns) {
+          logger.warn('Routing rule skipped: unsafe regular expression', { ruleId: rule.id, name: rule.name });
+        }
+        return !!patterns;
+      })
+      .sort((a, b) => (b.rule.priority - a.rule.priority)
+        || Date.parse(a.rule.createdAt) - Date.parse(b.rule.createdAt)
+        || a.rule.id.localeCompare(b.rule.id));
+
+    const versions = new Set(this.rules.map(entry => this._version(entry.rule)));
+    for (const version of this.timedOut) {
+      if (!versions.has(version)) this.timedOut.delete(version);
+    }
+  }
+
+  /**
+   * Regular expressions of a rule (null when one of them is unsafe to run)
+   * @private
+   */
+  _compile(match) {
+    const sources = [match.pathRegex, match.queryRegex, ...Object.values(match.headers || {})].filter(Boolean);
+    if (sources.some(source => unsafeRegexReason(source))) {
+      return null;
+    }
+    return {
+      path: match.pathRegex ? new RegExp(match.pathRegex) : null,
+      query: match.queryRegex ? new RegExp(match.queryRegex, 'i') : null,
+      headers: Object.entries(match.headers || {}).map(([name, pattern]) => [name, new RegExp(pattern)])
+    };
+  }
+
+  /**
+   * Check every condition of a rule against a request
+   * @private
+   */
+  _matches({ rule, patterns }, request) {
+    const { match } = rule;
+    const path = request.path || '';
+
+    if (match.pathPrefix && !hasPathPrefix(path, match.pathPrefix)) return false;
+    if (patterns.path && !this._test(rule, patterns.path, path)) return false;
+    if (match.methods && !match.methods.includes(String(request.method || '').toUpperCase())) return false;
+    if (match.type && request.type !== match.type) return false;
+    if (match.tenantId && request.tenantId !== match.tenantId) return false;
+    if (patterns.query && !this._test(rule, patterns.query, request.query || '')) return false;
+
+    return patterns.headers.every(([name, pattern]) => {
+      const value = headerValue(request.headers, name);
+      return value !== undefined && this._test(rule, pattern, value);
+    });
+  }
+
+  /**
+   * Run a rule's regular expression on a request value no longer than maxInputLength,
+   * within matchTimeout. A rule that runs out of time doesn't match and is skipped
+   * until it is updated.
+   * @private
+   */
+  _test(rule, pattern, value) {
+    const text = String(value);
+    if (text.length > this.config.maxInputLength) {
+      return false;
+    }
+
+    this.matchContext.pattern = pattern;
+    this.matchContext.text = text;
+    try {
+      return MATCH_SCRIPT.runInContext(this.matchContext, { timeout: this.config.matchTimeout });
+    } catch (error) {
+      if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        throw error;
+      }
+      this.timedOut.add(this._version(rule));
+      logger.warn('Routing rule skipped: regular expression ran out of time', {
+        ruleId: rule.id,
+        name: rule.name,
+        pattern: pattern.source,
+        timeout: this.config.matchTimeout,
+        inputLength: text.length
+      });
+      return false;
+    } finally {
+      this.matchContext.pattern = null;
+      this.matchContext.text = '';
+    }
+  }
+
+  /**
+   * Version of a rule ("<id>:<updatedAt>"); an update clears a match timeout
+   * @private
+   */
+  _version(rule) {
+    return `${rule.id}:${rule.updatedAt}`;
+  }
+
+  /**
+   * Check and normalize the fields of a rule
+   * @private
+   */
+  _validate(input) {
+    const { name, description, enabled = true, priority = 0, match, target } = input;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      throw requestError('name is required', 400);
+    }
+    if (!Number.isInteger(priority)) {
+      throw requestError('priority must be an integer', 400);
+    }
+    if (typeof target?.serviceName !== 'string' || !target.serviceName.trim()) {
+      throw requestError('target.serviceName is required', 400);
+    }
+    if (!match || typeof match !== 'object') {
+      throw requestError('match is required', 400);
+    }
+
+    const conditions = Object.fromEntries(Object.entries(match)
+      .filter(([key, value]) => CONDITIONS.includes(key) && value !== undefined && value !== null));
+    if (Object.keys(conditions).length === 0) {
+      throw requestError(`match needs at least one of ${CONDITIONS.join(', ')}`, 400);
+    }
+
+    if (conditions.pathPrefix !== undefined && !/^\/\S*$/.test(conditions.pathPrefix)) {
+      throw requestError('match.pathPrefix must start with /', 400);
+    }
+    if (conditions.methods !== undefined) {
+      conditions.methods = [...new Set(conditions.methods.map(method => method.toUpperCase()))];
+    }
+    if (conditions.headers !== undefined) {
+      conditions.headers = Object.fromEntries(Object.entries(conditions.headers)
+        .map(([header, pattern]) => [header.toLowerCase(), pattern]));
+    }
+
+    const patterns = [
+      ['match.pathRegex', conditions.pathRegex],
+      ['match.queryRegex', conditions.queryRegex],
+      ...Object.entries(conditions.headers || {}).map(([header, pattern]) => [`match.headers.${header}`, pattern])
+    ];
+    for (const [field, pattern] of patterns) {
+      if (pattern === undefined) {
+        continue;
+      }
+      if (pattern.length > this.config.maxPatternLength) {
+        throw requestError(`${field} is longer than ${this.config.maxPatternLength} characters`, 400);
+      }
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw requestError(`${field} is not a valid regular expression: ${error.message}`, 400);
+      }
+      const unsafe = unsafeRegexReason(pattern);
+      if (unsafe) {
+        throw requestError(`${field} could take too long to match: ${unsafe}`, 400);
+      }
+    }
+
+    return {
+      name: name.trim(),
+      description: description ?? null,
+      enabled,
+      priority,
+      match: conditions,
+      target: { serviceName: target.serviceName.trim() }
+    };
+  }
+
+  /**
+   * Changelog details of a rule
+   * @private
+   */
+  _describe(rule) {
+    return {
+      ruleId: rule.id,
+      name: rule.name,
+      target: rule.target.serviceName,
+      priority: rule.priority,
+      enabled: rule.enabled
+    };
+  }
+}
+
+// Singleton instance
+const routingRulesService = new RoutingRulesService();
+
+module.exports = routingRulesService;
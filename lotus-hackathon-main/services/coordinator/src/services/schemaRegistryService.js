@@ -1,16 +1,44 @@
 const logger = require('../utils/logger');
+const storage = require('../storage');
 const registryService = require('./registryService');
 
+/**
+ * Storage collection holding one document per service: { id: serviceId, schemas, versions }
+ */
+const COLLECTION = 'schemas';
+
 /**
  * Schema Registry Service - Manages and validates schemas for microservices
+ * Schemas are served from memory and written through to storage
  */
 class SchemaRegistryService {
   constructor() {
+    this.store = storage;
     this.schemas = new Map(); // serviceId -> schemas
     this.schemaVersions = new Map(); // serviceId -> [versions]
     logger.info('SchemaRegistryService initialized');
   }
 
+  /**
+   * Load stored schemas (called once on startup)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const stored = await this.store.list(COLLECTION);
+      for (const doc of stored) {
+        // Keep schemas registered while loading
+        if (!this.schemas.has(doc.id)) {
+          this.schemas.set(doc.id, doc.schemas);
+          this.schemaVersions.set(doc.id, doc.versions || []);
+        }
+      }
+      logger.info('Schemas loaded from storage', { services: stored.length });
+    } catch (error) {
+      logger.error('Failed to load schemas from storage', { error: error.message });
+    }
+  }
+
   /**
    * Register schemas from migration file
    * @param {string} serviceId - Service ID
@@ -39,6 +67,12 @@ class SchemaRegistryService {
       });
       this.schemaVersions.set(serviceId, versions);
 
+      try {
+        await this.store.put(COLLECTION, { id: serviceId, schemas, versions });
+      } catch (error) {
+        logger.warn('Failed to store schemas', { serviceId, error: error.message });
+      }
+
       logger.info('Schemas registered successfully', {
         serviceId,
         serviceName: service.serviceName,
@@ -0,0 +1,219 @@
+const logger = require('../utils/logger');
+const semanticConfig = require('../config/semanticRouting');
+const redactionConfig = require('../config/redaction');
+const routingCacheService = require('./routingCacheService');
+const { createEmbedder } = require('../embeddings');
+const { tokenize } = require('../utils/text');
+const { serviceFields, requestText } = require('../utils/serviceDocument');
+const { redact } = require('../utils/redaction');
+
+/**
+ * Cosine similarity of unit-length vectors
+ * @private
+ */
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+};
+
+/**
+ * Semantic Routing Service - Ranks services by embedding similarity
+ * Each routable service is described by one document (name, description,
+ * capabilities, tags, endpoint paths and descriptions, event names) kept in an
+ * in-memory vector index. The index is rebuilt when the registry version
+ * changes (see routingCacheService.registryVersion), so registrations, status
+ * changes, updates and migration uploads on any replica are picked up on the
+ * next query. Queries are ranked by cosine similarity. Queries and documents
+ * are masked like the AI routing prompt before they are embedded.
+ */
+class SemanticRoutingService {
+  constructor() {
+    this.config = semanticConfig;
+    this.embedder = createEmbedder();
+    this.index = { version: null, entries: [], builtAt: null };
+    this.building = null; // { version, promise } of the rebuild in progress
+    this.vectors = new Map(); // document -> vector, reused by embedders without fit()
+    this.rebuilds = 0;
+    logger.info('SemanticRoutingService initialized', {
+      enabled: this.config.enabled,
+      embeddings: this.embedder.name
+    });
+  }
+
+  /**
+   * Check if semantic ranking is tried before lexical matching
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Replace the embedder (the index is rebuilt on the next query)
+   * @param {Object} embedder - Object with embed(), name and getStatus() (see src/embeddings)
+   */
+  setEmbedder(embedder) {
+    this.embedder = embedder;
+    this.index = { version: null, entries: [], builtAt: null };
+    this.vectors.clear();
+    logger.info('Semantic routing embedder replaced', { embeddings: embedder.name || 'custom' });
+  }
+
+  /**
+   * Text a service is matched on
+   * @param {Object} service - Service entry
+   * @returns {string}
+   */
+  describeService(service) {
+    return Object.values(serviceFields(service)).filter(Boolean).join('\n');
+  }
+
+  /**
+   * Rank services by similarity to the request
+   * @param {Object} data - Request data
+   * @param {Array} services - Routable services
+   * @returns {Promise<Array>} - [{ serviceName, similarity, confidence, terms }], most similar
+   *   first (terms: stems shared with the query); empty when even the best match is below
+   *   the minimum similarity. Less similar services stay listed for cascading.
+   */
+  async rank(data, services) {
+    const query = requestText(this._redact(data));
+    if (!query.trim() || services.length === 0) {
+      return [];
+    }
+
+    const index = await this._ensureIndex(services);
+    const [vector] = await this.embedder.embed([query]);
+    const queryTokens = [...new Set(tokenize(query))];
+
+    const matches = index.entries
+      .map(entry => {
+        const similarity = Math.max(0, Math.round(dot(vector, entry.vector) * 1000) / 1000);
+        return {
+          serviceName: entry.serviceName,
+          similarity,
+          confidence: this.confidenceOf(similarity),
+          terms: queryTokens.filter(token => entry.tokens.has(token))
+        };
+      })
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, this.config.maxCandidates);
+
+    return matches.length > 0 && matches[0].similarity >= this.config.minSimilarity ? matches : [];
+  }
+
+  /**
+   * Routing confidence of a similarity, on the scale of the other routing methods:
+   * the minimum similarity is 0.3 (the cascading threshold) and 1 stays 1
+   * @param {number} similarity - Cosine similarity (0-1)
+   * @returns {number}
+   */
+  confidenceOf(similarity) {
+    const min = Math.min(this.config.minSimilarity, 0.99);
+    const confidence = similarity >= min
+      ? 0.3 + 0.7 * (similarity - min) / (1 - min)
+      : 0.3 * similarity / min;
+    return Math.round(Math.min(1, Math.max(0, confidence)) * 1000) / 1000;
+  }
+
+  /**
+   * Index summary
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      embedder: this.embedder.getStatus(),
+      minSimilarity: this.config.minSimilarity,
+      indexedServices: this.index.entries.length,
+      registryVersion: this.index.version,
+      builtAt: this.index.builtAt,
+      rebuilds: this.rebuilds
+    };
+  }
+
+  /**
+   * Mask secrets and personal data before embedding (same setting as the AI routing prompt)
+   * @private
+   */
+  _redact(value) {
+    return redactionConfig.prompts ? redact(value) : value;
+  }
+
+  /**
+   * Index of the given registry version (one rebuild at a time per version)
+   * @private
+   */
+  async _ensureIndex(services) {
+    const version = routingCacheService.registryVersion(services);
+    if (this.index.version === version) {
+      return this.index;
+    }
+    if (this.building?.version === version) {
+      return this.building.promise;
+    }
+
+    const promise = this._build(services, version).finally(() => {
+      if (this.building?.promise === promise) {
+        this.building = null;
+      }
+    });
+    this.building = { version, promise };
+    return promise;
+  }
+
+  /**
+   * Embed every service document
+   * @private
+   */
+  async _build(services, version) {
+    const startTime = Date.now();
+    const documents = services.map(service => {
+      const text = this._redact(this.describeService(service));
+      return { serviceName: service.serviceName, text, tokens: new Set(tokenize(text)) };
+    });
+    const texts = documents.map(document => document.text);
+
+    let vectors;
+    if (typeof this.embedder.fit === 'function') {
+      // Corpus statistics changed, so every document is embedded again
+      this.embedder.fit(texts);
+      vectors = await this.embedder.embed(texts);
+    } else {
+      const missing = [...new Set(texts.filter(text => !this.vectors.has(text)))];
+      const embedded = await this.embedder.embed(missing);
+      missing.forEach((text, i) => this.vectors.set(text, embedded[i]));
+      vectors = texts.map(text => this.vectors.get(text));
+
+      // Forget documents of services that changed or left
+      const current = new Set(texts);
+      for (const text of this.vectors.keys()) {
+        if (!current.has(text)) {
+          this.vectors.delete(text);
+        }
+      }
+    }
+
+    this.index = {
+      version,
+      entries: documents.map((document, i) => ({ ...document, vector: vectors[i] })),
+      builtAt: new Date().toISOString()
+    };
+    this.rebuilds += 1;
+
+    logger.info('Semantic routing index rebuilt', {
+      services: documents.length,
+      embeddings: this.embedder.name,
+      duration: `${Date.now() - startTime}ms`
+    });
+    return this.index;
+  }
+}
+
+// Singleton instance
+const semanticRoutingService = new SemanticRoutingService();
+
+module.exports = semanticRoutingService;
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const storage = require('../storage');
+const signingConfig = require('../config/signing');
+const changelogService = require('./changelogService');
+const { signEnvelope } = require('../utils/envelopeSignature');
+
+/**
+ * Storage collection holding signing secrets (one document per service)
+ */
+const COLLECTION = 'signing_keys';
+
+/**
+ * How long (ms) a loaded signing document is used before reading it again
+ */
+const CACHE_TTL = 60000;
+
+/**
+ * Signing Service - Per-service secrets used to sign outgoing envelopes
+ * Each service has one current secret; after a rotation the previous one keeps
+ * signing (as a second signature) until its grace period ends, so instances can
+ * switch secrets without rejecting requests.
+ */
+class SigningService {
+  constructor() {
+    this.store = storage;
+    this.config = signingConfig;
+    this.keys = new Map(); // serviceId -> { doc, loadedAt }
+  }
+
+  /**
+   * Whether envelopes are signed
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Create the service's secret on first use
+   * @param {Object} service - Registered service
+   * @returns {Promise<Object>} - { key: { keyId, secret, algorithm }, created }
+   *   (created is false when the service already had a secret)
+   */
+  async ensureServiceKey(service) {
+    const doc = await this._load(service.id);
+    if (doc) {
+      return { key: this._toKey(doc.keys[0]), created: false };
+    }
+
+    const key = this._newKey();
+    await this._save({ id: service.id, serviceName: service.serviceName, keys: [key] });
+    changelogService.recordSigningKeyOperation('create', { serviceId: service.id, keyId: key.keyId });
+
+    logger.info('Envelope signing key created', { serviceId: service.id, keyId: key.keyId });
+    return { key: this._toKey(key), created: true };
+  }
+
+  /**
+   * Replace a service's secret
+   * @param {Object} service - Registered service
+   * @param {Object} options - { gracePeriod (ms the previous secret keeps signing), rotatedBy }
+   * @returns {Promise<Object>} - { keyId, secret, algorithm, previousKeyId, previousRetiresAt }
+   */
+  async rotate(service, { gracePeriod = this.config.rotationGracePeriod, rotatedBy = 'system' } = {}) {
+    const doc = await this._load(service.id);
+    const key = this._newKey();
+    const now = Date.now();
+
+    // Keep only the key being replaced (older ones are past their grace period or cut short)
+    const previous = doc?.keys[0]
+      ? { ...doc.keys[0], retiresAt: new Date(now + gracePeriod).toISOString() }
+      : null;
+
+    await this._save({
+      id: service.id,
+      serviceName: service.serviceName,
+      keys: previous && gracePeriod > 0 ? [key, previous] : [key]
+    });
+
+    changelogService.recordSigningKeyOperation('rotate', {
+      serviceId: service.id,
+      keyId: key.keyId,
+      previousKeyId: previous?.keyId || null,
+      gracePeriod
+    }, rotatedBy);
+
+    logger.info('Envelope signing key rotated', {
+      serviceId: service.id,
+      keyId: key.keyId,
+      previousKeyId: previous?.keyId || null,
+      gracePeriod
+    });
+
+    return {
+      ...this._toKey(key),
+      previousKeyId: previous?.keyId || null,
+      previousRetiresAt: previous && gracePeriod > 0 ? previous.retiresAt : null
+    };
+  }
+
+  /**
+   * Signature headers (or gRPC metadata) for an envelope sent to a service
+   * @param {Object} service - Target service
+   * @param {Object} envelope - Universal Envelope
+   * @returns {Promise<Object>} - { 'x-coordinator-timestamp', 'x-coordinator-signature' }, or {} when signing is off
+   */
+  async sign(service, envelope) {
+    if (!this.config.enabled || !service.id) {
+      return {};
+    }
+
+    let doc = await this._load(service.id);
+    if (!doc) {
+      // Services registered before signing was enabled
+      await this.ensureServiceKey(service);
+      doc = await this._load(service.id);
+    }
+
+    const now = Date.now();
+    const keys = doc.keys.filter(key => !key.retiresAt || new Date(key.retiresAt).getTime() > now);
+    return signEnvelope(envelope, keys.map(key => ({ keyId: key.keyId, secret: key.secret })));
+  }
+
+  /**
+   * Load a service's signing document (cached briefly, so rotations made by
+   * another coordinator instance are picked up)
+   * @private
+   */
+  async _load(serviceId) {
+    const cached = this.keys.get(serviceId);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL) {
+      return cached.doc;
+    }
+
+    const doc = await this.store.get(COLLECTION, serviceId);
+    if (doc) {
+      this.keys.set(serviceId, { doc, loadedAt: Date.now() });
+    }
+    return doc;
+  }
+
+  /**
+   * Store a signing document and refresh the cache
+   * @private
+   */
+  async _save(doc) {
+    await this.store.put(COLLECTION, doc);
+    this.keys.set(doc.id, { doc, loadedAt: Date.now() });
+  }
+
+  /**
+   * Generate a secret
+   * @private
+   */
+  _newKey() {
+    return {
+      keyId: crypto.randomBytes(8).toString('hex'),
+      secret: crypto.randomBytes(32).toString('base64url'),
+      createdAt: new Date().toISOString(),
+      retiresAt: null
+    };
+  }
+
+  /**
+   * Key as returned to the service
+   * @private
+   */
+  _toKey(key) {
+    return { keyId: key.keyId, secret: key.secret, algorithm: 'HMAC-SHA256' };
+  }
+}
+
+// Singleton instance
+const signingService = new SigningService();
+
+module.exports = signingService;
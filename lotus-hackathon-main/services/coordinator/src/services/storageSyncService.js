@@ -0,0 +1,96 @@
+const logger = require('../utils/logger');
+const storageConfig = require('../config/storage');
+const storage = require('../storage');
+
+/**
+ * Storage Sync Service - Replays writes queued during a Supabase outage
+ * Only the Supabase backend queues writes; with other backends the sync loop
+ * is not started and the status reports nothing pending
+ */
+class StorageSyncService {
+  constructor() {
+    this.config = storageConfig.sync;
+    this.timer = null;
+  }
+
+  /**
+   * Whether the storage backend queues writes during outages
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof storage.sync === 'function';
+  }
+
+  /**
+   * Start the background sync loop
+   */
+  start() {
+    if (this.timer || !this.isSupported()) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runSync().catch(error => {
+        logger.error('Storage sync failed', { error: error.message });
+      });
+    }, this.config.interval);
+
+    // Don't keep the process alive just for storage sync
+    this.timer.unref();
+
+    logger.info('Storage sync started', {
+      interval: this.config.interval,
+      conflictPolicy: this.config.conflictPolicy
+    });
+  }
+
+  /**
+   * Stop the background sync loop
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Storage sync stopped');
+    }
+  }
+
+  /**
+   * Replay queued writes now
+   * @returns {Promise<Object>} - { replayed, conflicts, failed, pending }
+   */
+  async runSync() {
+    if (!this.isSupported()) {
+      return { replayed: 0, conflicts: 0, failed: 0, pending: 0 };
+    }
+    return storage.sync();
+  }
+
+  /**
+   * Get outage and queue state for /registry/sync-status
+   * @returns {Promise<Object>}
+   */
+  async getStatus() {
+    if (!this.isSupported()) {
+      return {
+        backend: storage.name,
+        supported: false,
+        online: true,
+        pending: 0,
+        operations: [],
+        conflicts: []
+      };
+    }
+
+    return {
+      supported: true,
+      interval: this.config.interval,
+      ...(await storage.getSyncStatus())
+    };
+  }
+}
+
+// Singleton instance
+const storageSyncService = new StorageSyncService();
+
+module.exports = storageSyncService;
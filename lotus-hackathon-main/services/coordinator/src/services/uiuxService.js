@@ -1,16 +1,44 @@
 const logger = require('../utils/logger');
+const storage = require('../storage');
+
+/**
+ * Storage collection and document holding the current configuration
+ */
+const COLLECTION = 'uiux';
+const DOCUMENT_ID = 'current';
 
 /**
  * UI/UX Configuration Service - Manages centralized UI/UX configuration
+ * The configuration is served from memory and written through to storage
  */
 class UIUXService {
   constructor() {
+    this.store = storage;
     this.config = null;
     this.updatedAt = null;
     this.version = 0;
     logger.info('UIUXService initialized');
   }
 
+  /**
+   * Load the stored configuration (called once on startup)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const stored = await this.store.get(COLLECTION, DOCUMENT_ID);
+      // Keep a configuration pushed while loading
+      if (stored && stored.version > this.version) {
+        this.config = stored.config;
+        this.updatedAt = stored.updatedAt;
+        this.version = stored.version;
+        logger.info('UI/UX configuration loaded from storage', { version: this.version });
+      }
+    } catch (error) {
+      logger.error('Failed to load UI/UX configuration from storage', { error: error.message });
+    }
+  }
+
   /**
    * Update UI/UX configuration
    * @param {Object} config - UI/UX configuration object
@@ -26,6 +54,15 @@ class UIUXService {
       this.updatedAt = new Date().toISOString();
       this.version += 1;
 
+      this.store.put(COLLECTION, {
+        id: DOCUMENT_ID,
+        config: this.config,
+        updatedAt: this.updatedAt,
+        version: this.version
+      }).catch(error => {
+        logger.warn('Failed to store UI/UX configuration', { version: this.version, error: error.message });
+      });
+
       logger.info('UI/UX configuration updated', {
         version: this.version,
         updatedAt: this.updatedAt
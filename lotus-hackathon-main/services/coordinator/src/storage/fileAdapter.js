@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const MemoryAdapter = require('./memoryAdapter');
+
+/**
+ * File Adapter - Durable local storage in an append-only JSON lines file
+ * Documents are served from memory; every write is appended to the file before
+ * it resolves, and the file is replayed on startup so state survives restarts.
+ * The log is compacted (rewritten with only current documents) once it grows
+ * well past the number of live documents.
+ */
+class FileAdapter extends MemoryAdapter {
+  /**
+   * @param {Object} options - File options
+   * @param {string} options.path - Log file path
+   * @param {number} options.compactThreshold - Log lines before compaction is considered
+   */
+  constructor(options) {
+    super();
+    this.name = 'file';
+    this.filePath = path.resolve(options.path);
+    this.compactThreshold = options.compactThreshold;
+    this.logLength = 0;
+    this.writes = Promise.resolve();
+
+    this._load();
+  }
+
+  async put(collection, doc) {
+    const stored = await super.put(collection, doc);
+    await this._append({ op: 'put', collection, doc: stored });
+    return stored;
+  }
+
+  async update(collection, id, changes) {
+    const updated = await super.update(collection, id, changes);
+    if (updated) {
+      await this._append({ op: 'put', collection, doc: updated });
+    }
+    return updated;
+  }
+
+  async remove(collection, id) {
+    const removed = await super.remove(collection, id);
+    if (removed) {
+      await this._append({ op: 'del', collection, id });
+    }
+    return removed;
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      durable: true,
+      path: this.filePath,
+      logLength: this.logLength
+    };
+  }
+
+  /**
+   * Replay the log file into memory
+   * @private
+   */
+  _load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) {
+      logger.info('Storage file not found, starting empty', { path: this.filePath });
+      return;
+    }
+
+    let skipped = 0;
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(line => line.trim());
+    for (const line of lines) {
+      try {
+        const entry = JSON.parse(line);
+        if (entry.op === 'put') {
+          this._collection(entry.collection).set(entry.doc.id, entry.doc);
+        } else if (entry.op === 'del') {
+          this._collection(entry.collection).delete(entry.id);
+        }
+      } catch (error) {
+        // A torn last line from a crash mid-write
+        skipped += 1;
+      }
+    }
+    this.logLength = lines.length;
+
+    logger.info('Storage file loaded', {
+      path: this.filePath,
+      entries: lines.length,
+      skipped,
+      ...this.getStatus().collections
+    });
+  }
+
+  /**
+   * Append a log entry (writes are serialized in call order)
+   * @param {Object} entry - { op, collection, doc | id }
+   * @returns {Promise<void>}
+   * @private
+   */
+  _append(entry) {
+    const write = this.writes.then(async () => {
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+      this.logLength += 1;
+
+      if (this.logLength >= this.compactThreshold && this.logLength > 2 * this._size()) {
+        await this._compact();
+      }
+    });
+
+    // Keep the chain going after a failed write; the caller still sees the error
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Rewrite the log with one entry per current document
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _compact() {
+    const lines = [];
+    for (const [collection, docs] of this.collections.entries()) {
+      for (const doc of docs.values()) {
+        lines.push(JSON.stringify({ op: 'put', collection, doc }));
+      }
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    await fs.promises.rename(tempPath, this.filePath);
+
+    logger.info('Storage file compacted', {
+      path: this.filePath,
+      before: this.logLength,
+      after: lines.length
+    });
+    this.logLength = lines.length;
+  }
+
+  /**
+   * Number of live documents across collections
+   * @returns {number}
+   * @private
+   */
+  _size() {
+    let size = 0;
+    for (const docs of this.collections.values()) {
+      size += docs.size;
+    }
+    return size;
+  }
+}
+
+module.exports = FileAdapter;
@@ -0,0 +1,55 @@
+const logger = require('../utils/logger');
+const storageConfig = require('../config/storage');
+const MemoryAdapter = require('./memoryAdapter');
+const FileAdapter = require('./fileAdapter');
+const SupabaseAdapter = require('./supabaseAdapter');
+
+/**
+ * Storage - Adapter shared by every service that keeps state
+ *
+ * Adapters store JSON documents (with an `id`) per collection and expose:
+ *   list(collection, { where, orderBy, descending, limit }), get(collection, id),
+ *   put(collection, doc), update(collection, id, changes), remove(collection, id),
+ *   count(collection, where), getStatus()
+ * The Supabase adapter also exposes sync() and getSyncStatus() for writes
+ * queued during an outage (see storageSyncService).
+ *
+ * Backends: supabase (Postgres), file (append-only JSON lines, survives restarts)
+ * and memory (volatile). Selected by STORAGE_BACKEND.
+ */
+function createStorage() {
+  const backend = storageConfig.backends.includes(storageConfig.backend)
+    ? storageConfig.backend
+    : 'memory';
+
+  if (backend !== storageConfig.backend) {
+    logger.warn('Unknown storage backend, using memory', {
+      backend: storageConfig.backend,
+      supported: storageConfig.backends
+    });
+  }
+
+  if (backend === 'supabase') {
+    const supabase = require('../config/supabase');
+    if (supabase) {
+      return new SupabaseAdapter(supabase, {
+        timeout: storageConfig.timeout,
+        sync: storageConfig.sync
+      });
+    }
+    logger.warn('STORAGE_BACKEND=supabase but Supabase is not configured, using memory');
+    return new MemoryAdapter();
+  }
+
+  if (backend === 'file') {
+    return new FileAdapter(storageConfig.file);
+  }
+
+  return new MemoryAdapter();
+}
+
+// Singleton instance
+const storage = createStorage();
+logger.info('Storage initialized', { backend: storage.name });
+
+module.exports = storage;
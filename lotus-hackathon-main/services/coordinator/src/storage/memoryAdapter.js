@@ -0,0 +1,168 @@
+/**
+ * Check whether a document matches an equality filter
+ * @param {Object} doc - Document
+ * @param {Object} where - field -> value
+ * @returns {boolean}
+ */
+function matches(doc, where) {
+  return Object.entries(where).every(([field, value]) => doc[field] === value);
+}
+
+/**
+ * Compare two documents on a field (missing values sort last)
+ * @param {Object} a - Document
+ * @param {Object} b - Document
+ * @param {string} field - Field to compare
+ * @returns {number}
+ */
+function compareBy(a, b, field) {
+  const left = a[field];
+  const right = b[field];
+  if (left === right) return 0;
+  if (left === undefined || left === null) return 1;
+  if (right === undefined || right === null) return -1;
+  return left < right ? -1 : 1;
+}
+
+/**
+ * Memory Adapter - Volatile storage backend (state is lost on restart)
+ * Documents are kept per collection and handed out as copies, so callers
+ * only change stored state through put/update/remove
+ */
+class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.collections = new Map(); // collection -> Map(id -> document)
+  }
+
+  /**
+   * List documents of a collection
+   * @param {string} collection - Collection name
+   * @param {Object} options - Query options
+   * @param {Object} options.where - Equality filter (field -> value)
+   * @param {string} options.orderBy - Field to sort by
+   * @param {boolean} options.descending - Sort descending
+   * @param {number} options.limit - Max documents
+   * @returns {Promise<Array>} - Documents
+   */
+  async list(collection, options = {}) {
+    const docs = MemoryAdapter.query(Array.from(this._collection(collection).values()), options);
+    return docs.map(doc => structuredClone(doc));
+  }
+
+  /**
+   * Filter, sort and limit documents (same options as list)
+   * @param {Array} docs - Documents
+   * @param {Object} options - { where, orderBy, descending, limit }
+   * @returns {Array} - Matching documents (not copied)
+   */
+  static query(docs, options = {}) {
+    let result = options.where ? docs.filter(doc => matches(doc, options.where)) : docs.slice();
+
+    if (options.orderBy) {
+      const direction = options.descending ? -1 : 1;
+      result.sort((a, b) => {
+        const order = compareBy(a, b, options.orderBy);
+        // Missing values stay last in both directions
+        return a[options.orderBy] == null || b[options.orderBy] == null ? order : order * direction;
+      });
+    }
+
+    if (options.limit) {
+      result = result.slice(0, options.limit);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get a document by ID
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(collection, id) {
+    const doc = this._collection(collection).get(id);
+    return doc ? structuredClone(doc) : null;
+  }
+
+  /**
+   * Insert or replace a document
+   * @param {string} collection - Collection name
+   * @param {Object} doc - Document with an id
+   * @returns {Promise<Object>} - Stored document
+   */
+  async put(collection, doc) {
+    this._collection(collection).set(doc.id, structuredClone(doc));
+    return structuredClone(doc);
+  }
+
+  /**
+   * Merge fields into a document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @param {Object} changes - Fields to merge
+   * @returns {Promise<Object|null>} - Updated document or null if not found
+   */
+  async update(collection, id, changes) {
+    const docs = this._collection(collection);
+    const existing = docs.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updated = { ...existing, ...structuredClone(changes), id };
+    docs.set(id, updated);
+    return structuredClone(updated);
+  }
+
+  /**
+   * Remove a document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @returns {Promise<boolean>} - True if removed
+   */
+  async remove(collection, id) {
+    return this._collection(collection).delete(id);
+  }
+
+  /**
+   * Count documents of a collection
+   * @param {string} collection - Collection name
+   * @param {Object} where - Equality filter (optional)
+   * @returns {Promise<number>}
+   */
+  async count(collection, where = null) {
+    const docs = Array.from(this._collection(collection).values());
+    return where ? docs.filter(doc => matches(doc, where)).length : docs.length;
+  }
+
+  /**
+   * Get adapter status
+   * @returns {Object}
+   */
+  getStatus() {
+    const collections = {};
+    for (const [name, docs] of this.collections.entries()) {
+      collections[name] = docs.size;
+    }
+    return { backend: this.name, durable: false, collections };
+  }
+
+  /**
+   * Get or create a collection
+   * @param {string} collection - Collection name
+   * @returns {Map}
+   * @private
+   */
+  _collection(collection) {
+    let docs = this.collections.get(collection);
+    if (!docs) {
+      docs = new Map();
+      this.collections.set(collection, docs);
+    }
+    return docs;
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,839 @@
+const logger = require('../utils/logger');
+const MemoryAdapter = require('./memoryAdapter');
+const FileAdapter = require('./fileAdapter');
+
+/**
+ * Collections with their own Supabase table: document field (camelCase) -> column (snake_case)
+ * Every other collection is stored as JSON in coordinator_documents.
+ * Collections with replay: false are not cached or queued during an outage
+ * (knowledge graph versions are rebuilt from the registry instead)
+ */
+const TABLES = {
+  services: {
+    table: 'registered_services',
+    columns: {
+      id: 'id',
+      serviceName: 'service_name',
+      version: 'version',
+      endpoint: 'endpoint',
+      healthCheck: 'health_check',
+      description: 'description',
+      metadata: 'metadata',
+      migrationFile: 'migration_file',
+      owner: 'owner',
+      grpcTls: 'grpc_tls',
+      registeredAt: 'registered_at',
+      lastHealthCheck: 'last_health_check',
+      status: 'status',
+      leaseTtl: 'lease_ttl',
+      leaseExpiresAt: 'lease_expires_at',
+      instances: 'instances',
+      drainUntil: 'drain_until',
+      updatedAt: 'updated_at'
+    }
+  },
+  knowledge_graph: {
+    table: 'knowledge_graph',
+    replay: false,
+    columns: {
+      id: 'id',
+      version: 'version',
+      graphData: 'graph_data',
+      lastUpdated: 'last_updated'
+    }
+  },
+  audit_log: {
+    table: 'coordinator_audit_log',
+    columns: {
+      id: 'id',
+      chainId: 'chain_id',
+      sequence: 'sequence',
+      timestamp: 'recorded_at',
+      action: 'action',
+      outcome: 'outcome',
+      actor: 'actor',
+      target: 'target',
+      details: 'details',
+      prevHash: 'prev_hash',
+      hash: 'hash'
+    }
+  },
+  routing_rules: {
+    table: 'coordinator_routing_rules',
+    columns: {
+      id: 'id',
+      name: 'name',
+      description: 'description',
+      enabled: 'enabled',
+      priority: 'priority',
+      match: 'match',
+      target: 'target',
+      createdAt: 'created_at',
+      createdBy: 'created_by',
+      updatedAt: 'updated_at',
+      updatedBy: 'updated_by'
+    }
+  }
+};
+
+const DOCUMENTS_TABLE = 'coordinator_documents';
+
+/**
+ * Queue collection: one entry per document with writes waiting for Supabase
+ */
+const PENDING = 'pending';
+
+/**
+ * Errors that mean Supabase could not be reached (as opposed to a rejected query)
+ */
+const UNAVAILABLE_PATTERN = /fetch failed|network|ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|socket/i;
+
+/**
+ * Conflicts kept for /registry/sync-status
+ */
+const MAX_CONFLICTS = 50;
+
+/**
+ * Add timeout to a promise
+ * @param {Promise} promise - Promise to add timeout to
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {string} operation - Operation name for error message
+ * @returns {Promise}
+ */
+function withTimeout(promise, timeoutMs, operation) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${operation} timed out after ${timeoutMs}ms`);
+        error.code = 'STORAGE_TIMEOUT';
+        reject(error);
+      }, timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Supabase Adapter - Postgres storage through the Supabase client
+ *
+ * Documents read or written are mirrored in memory. When Supabase times out or
+ * can't be reached the adapter switches to outage mode: reads are served from
+ * the mirror and writes are applied to it and recorded in a write-ahead queue
+ * (one entry per document, persisted to a local file). sync() replays the queue
+ * once Supabase answers again, checking each row's updated_at against the
+ * version seen before the outage to detect rows changed in the meantime.
+ */
+class SupabaseAdapter {
+  /**
+   * @param {Object} client - Supabase client
+   * @param {Object} options - Adapter options
+   * @param {number} options.timeout - Per-operation timeout in ms
+   * @param {Object} options.sync - { conflictPolicy, queuePath }
+   */
+  constructor(client, options) {
+    this.name = 'supabase';
+    this.client = client;
+    this.timeout = options.timeout;
+    this.conflictPolicy = options.sync.conflictPolicy;
+    this.cache = new MemoryAdapter();
+    this.queue = options.sync.queuePath
+      ? new FileAdapter({ path: options.sync.queuePath, compactThreshold: 200 })
+      : new MemoryAdapter();
+    this.versions = new Map(); // collection:id -> updated_at last seen in Supabase (null = known absent)
+    this.outageSince = null;
+    this.syncing = false;
+    this.lastSyncAt = null;
+    this.lastSyncError = null;
+    this.replayed = 0;
+    this.conflicts = [];
+  }
+
+  async list(collection, options = {}) {
+    const docs = await this._read(`list ${collection}`, collection, async () => {
+      let query = this._select(collection, '*');
+
+      for (const [field, value] of Object.entries(options.where || {})) {
+        query = query.eq(this._column(collection, field), this._filterValue(collection, value));
+      }
+      if (options.orderBy) {
+        query = query.order(this._column(collection, options.orderBy), { ascending: !options.descending });
+      }
+      if (options.limit) {
+        query = query.limit(options.limit);
+      }
+
+      const { data, error } = await query;
+      if (error) {
+        throw this._error(`list ${collection}`, error);
+      }
+
+      const remote = data.map(row => this._remember(collection, row));
+      if (!options.where && !options.limit) {
+        await this._mirror(collection, remote);
+      }
+      return remote;
+    }, () => this.cache.list(collection, options));
+
+    return this._overlay(collection, docs, options);
+  }
+
+  async get(collection, id) {
+    const pending = await this.queue.get(PENDING, this._key(collection, id));
+    if (pending) {
+      return pending.op === 'remove' ? null : pending.doc;
+    }
+
+    return this._read(`get ${collection}`, collection, async () => {
+      const { data, error } = await this._select(collection, '*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) {
+        throw this._error(`get ${collection}`, error);
+      }
+      if (!data) {
+        this.versions.set(this._key(collection, id), null);
+        return null;
+      }
+      return this._remember(collection, data);
+    }, () => this.cache.get(collection, id));
+  }
+
+  async put(collection, doc) {
+    return this._write(collection, doc.id, 'put', async () => {
+      const { data, error } = await this.client
+        .from(this._table(collection))
+        .upsert([this._toRow(collection, doc)])
+        .select()
+        .single();
+
+      if (error) {
+        throw this._error(`put ${collection}`, error);
+      }
+      return this._remember(collection, data);
+    }, () => this.cache.put(collection, doc));
+  }
+
+  async update(collection, id, changes) {
+    return this._write(collection, id, 'update', async () => {
+      let row;
+      if (TABLES[collection]) {
+        row = this._toRow(collection, changes);
+      } else {
+        // JSON documents are replaced whole
+        const existing = await this.get(collection, id);
+        if (!existing) {
+          return null;
+        }
+        row = this._toRow(collection, { ...existing, ...changes, id });
+      }
+
+      const { data, error } = await this._scope(collection, this.client.from(this._table(collection)).update(row))
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw this._error(`update ${collection}`, error);
+      }
+      return data ? this._remember(collection, data) : null;
+    }, () => this.cache.update(collection, id, changes));
+  }
+
+  async remove(collection, id) {
+    return this._write(collection, id, 'remove', async () => {
+      const { data, error } = await this._scope(collection, this.client.from(this._table(collection)).delete())
+        .eq('id', id)
+        .select('id');
+
+      if (error) {
+        throw this._error(`remove ${collection}`, error);
+      }
+
+      this.versions.set(this._key(collection, id), null);
+      await this.cache.remove(collection, id);
+      return data.length > 0;
+    }, () => this.cache.remove(collection, id));
+  }
+
+  async count(collection, where = null) {
+    const pending = await this.queue.count(PENDING, { collection });
+    if (pending > 0 || this.outageSince) {
+      return (await this.list(collection, where ? { where } : {})).length;
+    }
+
+    return this._read(`count ${collection}`, collection, async () => {
+      let query = this._select(collection, '*', { count: 'exact', head: true });
+      for (const [field, value] of Object.entries(where || {})) {
+        query = query.eq(this._column(collection, field), this._filterValue(collection, value));
+      }
+
+      const { count, error } = await query;
+      if (error) {
+        throw this._error(`count ${collection}`, error);
+      }
+      return count || 0;
+    }, () => this.cache.count(collection, where));
+  }
+
+  getStatus() {
+    return {
+      backend: this.name,
+      durable: true,
+      timeout: this.timeout,
+      online: !this.outageSince,
+      outageSince: this.outageSince ? new Date(this.outageSince).toISOString() : null
+    };
+  }
+
+  /**
+   * Replay writes queued during an outage
+   * Entries are replayed oldest first; replay stops at the first sign that
+   * Supabase is still unreachable
+   * @returns {Promise<Object>} - { replayed, conflicts, failed, pending }
+   */
+  async sync() {
+    if (this.syncing) {
+      return { skipped: true };
+    }
+
+    this.syncing = true;
+    const result = { replayed: 0, conflicts: 0, failed: 0, pending: 0 };
+    try {
+      const entries = await this.queue.list(PENDING, { orderBy: 'queuedAt' });
+
+      if (entries.length === 0) {
+        if (this.outageSince) {
+          await this._probe();
+          this._endOutage();
+        }
+        return result;
+      }
+
+      for (const entry of entries) {
+        try {
+          const outcome = await this._replay(entry);
+          result.replayed += 1;
+          if (outcome.conflict) {
+            result.conflicts += 1;
+          }
+        } catch (error) {
+          if (this._isUnavailable(error)) {
+            throw error;
+          }
+
+          // Rejected by Supabase (not an outage) - keep it queued and show why
+          result.failed += 1;
+          const current = await this.queue.get(PENDING, entry.id);
+          if (current) {
+            await this.queue.put(PENDING, {
+              ...current,
+              attempts: current.attempts + 1,
+              lastAttemptAt: new Date().toISOString(),
+              lastError: error.message
+            });
+          }
+          logger.error('Queued storage write rejected by Supabase', {
+            collection: entry.collection,
+            id: entry.docId,
+            op: entry.op,
+            error: error.message
+          });
+        }
+      }
+
+      this._endOutage();
+      this.lastSyncError = null;
+      this.replayed += result.replayed;
+
+      if (result.replayed > 0) {
+        logger.info('Queued storage writes replayed to Supabase', result);
+      }
+      return result;
+    } catch (error) {
+      this._startOutage(error);
+      this.lastSyncError = error.message;
+      this.replayed += result.replayed;
+      result.error = error.message;
+      return result;
+    } finally {
+      result.pending = await this.queue.count(PENDING);
+      this.lastSyncAt = new Date().toISOString();
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Get outage and write-ahead queue state
+   * @returns {Promise<Object>}
+   */
+  async getSyncStatus() {
+    const entries = await this.queue.list(PENDING, { orderBy: 'queuedAt' });
+
+    return {
+      backend: this.name,
+      online: !this.outageSince,
+      outageSince: this.outageSince ? new Date(this.outageSince).toISOString() : null,
+      conflictPolicy: this.conflictPolicy,
+      queue: this.queue.name === 'file' ? this.queue.filePath : 'memory',
+      lastSyncAt: this.lastSyncAt,
+      lastSyncError: this.lastSyncError,
+      replayed: this.replayed,
+      pending: entries.length,
+      operations: entries.map(entry => ({
+        collection: entry.collection,
+        id: entry.docId,
+        op: entry.op,
+        writes: entry.writes,
+        queuedAt: entry.queuedAt,
+        lastWriteAt: entry.lastWriteAt,
+        attempts: entry.attempts,
+        lastAttemptAt: entry.lastAttemptAt,
+        lastError: entry.lastError
+      })),
+      conflicts: this.conflicts
+    };
+  }
+
+  /**
+   * Read from Supabase, or from the in-memory mirror during an outage
+   * @param {string} operation - Operation name
+   * @param {string} collection - Collection name
+   * @param {Function} remote - async () => result from Supabase
+   * @param {Function} local - async () => result from the mirror
+   * @returns {Promise<*>}
+   * @private
+   */
+  async _read(operation, collection, remote, local) {
+    if (!this._replays(collection)) {
+      return this._call(operation, remote);
+    }
+
+    if (!this.outageSince) {
+      try {
+        return await this._call(operation, remote);
+      } catch (error) {
+        if (!this._isUnavailable(error)) {
+          throw error;
+        }
+        this._startOutage(error);
+      }
+    }
+
+    return local();
+  }
+
+  /**
+   * Write to Supabase, or apply the write to the mirror and queue it during an outage
+   * Documents that already have queued writes keep queueing so writes replay in order
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @param {string} op - put, update or remove
+   * @param {Function} remote - async () => result from Supabase
+   * @param {Function} local - async () => result from the mirror
+   * @returns {Promise<*>}
+   * @private
+   */
+  async _write(collection, id, op, remote, local) {
+    if (!this._replays(collection)) {
+      return this._call(`${op} ${collection}`, remote);
+    }
+
+    const key = this._key(collection, id);
+    const pending = await this.queue.get(PENDING, key);
+
+    if (!this.outageSince && !pending) {
+      try {
+        return await this._call(`${op} ${collection}`, remote);
+      } catch (error) {
+        if (!this._isUnavailable(error)) {
+          throw error;
+        }
+        this._startOutage(error);
+      }
+    }
+
+    // A queued document may not be mirrored yet (queue loaded after a restart)
+    if (pending && pending.op !== 'remove' && !(await this.cache.get(collection, id))) {
+      await this.cache.put(collection, pending.doc);
+    }
+
+    const result = await local();
+    if (op === 'remove' ? result : result !== null) {
+      await this._enqueue(collection, id, op, pending);
+    }
+    return result;
+  }
+
+  /**
+   * Record a local write in the write-ahead queue (coalesced per document)
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @param {string} op - put, update or remove
+   * @param {Object|null} pending - Existing queue entry for the document
+   * @private
+   */
+  async _enqueue(collection, id, op, pending) {
+    const key = this._key(collection, id);
+    const now = new Date().toISOString();
+    const doc = op === 'remove' ? null : await this.cache.get(collection, id);
+
+    if (pending) {
+      // Created and removed during the outage - Supabase never needs to see it
+      if (op === 'remove' && pending.created) {
+        await this.queue.remove(PENDING, key);
+        return;
+      }
+      await this.queue.put(PENDING, {
+        ...pending,
+        op: op === 'remove' ? 'remove' : 'put',
+        doc,
+        writes: pending.writes + 1,
+        seq: pending.seq + 1,
+        lastWriteAt: now
+      });
+      return;
+    }
+
+    const baseKnown = this.versions.has(key);
+    const base = baseKnown ? this.versions.get(key) : null;
+    await this.queue.put(PENDING, {
+      id: key,
+      collection,
+      docId: id,
+      op: op === 'remove' ? 'remove' : 'put',
+      doc,
+      // Version seen before the outage, checked against Supabase on replay
+      base,
+      baseKnown,
+      // Known to be absent from Supabase, so a later remove can simply drop the entry
+      created: op === 'put' && baseKnown && base === null,
+      writes: 1,
+      seq: 1,
+      queuedAt: now,
+      lastWriteAt: now,
+      attempts: 0,
+      lastAttemptAt: null,
+      lastError: null
+    });
+
+    logger.warn('Storage write queued until Supabase is reachable', { collection, id, op });
+  }
+
+  /**
+   * Replay one queued entry
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<Object>} - { conflict }
+   * @private
+   */
+  async _replay(entry) {
+    const { collection, docId } = entry;
+
+    const row = await this._call(`sync get ${collection}`, async () => {
+      const { data, error } = await this._select(collection, '*').eq('id', docId).maybeSingle();
+      if (error) {
+        throw this._error(`sync get ${collection}`, error);
+      }
+      return data;
+    });
+
+    const remoteVersion = row ? row.updated_at ?? null : null;
+    const conflict = entry.baseKnown ? remoteVersion !== entry.base : !!row;
+
+    if (conflict) {
+      const resolution = this.conflictPolicy === 'remote' ? 'kept_remote' : 'kept_local';
+      this.conflicts.unshift({
+        collection,
+        id: docId,
+        op: entry.op,
+        expectedVersion: entry.baseKnown ? entry.base : null,
+        remoteVersion,
+        resolution,
+        detectedAt: new Date().toISOString()
+      });
+      this.conflicts = this.conflicts.slice(0, MAX_CONFLICTS);
+
+      logger.warn('Storage sync conflict - row changed in Supabase while a write was queued', {
+        collection,
+        id: docId,
+        op: entry.op,
+        resolution
+      });
+
+      if (this.conflictPolicy === 'remote') {
+        if (row) {
+          this._remember(collection, row);
+        } else {
+          this.versions.set(this._key(collection, docId), null);
+          await this.cache.remove(collection, docId);
+        }
+        await this._dequeue(entry, remoteVersion);
+        return { conflict: true };
+      }
+    }
+
+    let version = null;
+    if (entry.op === 'remove') {
+      await this._call(`sync remove ${collection}`, async () => {
+        const { error } = await this._scope(collection, this.client.from(this._table(collection)).delete()).eq('id', docId);
+        if (error) {
+          throw this._error(`sync remove ${collection}`, error);
+        }
+      });
+      this.versions.set(this._key(collection, docId), null);
+    } else {
+      const stored = await this._call(`sync put ${collection}`, async () => {
+        const { data, error } = await this.client
+          .from(this._table(collection))
+          .upsert([this._toRow(collection, entry.doc)])
+          .select()
+          .single();
+        if (error) {
+          throw this._error(`sync put ${collection}`, error);
+        }
+        return data;
+      });
+      version = stored.updated_at ?? null;
+      this.versions.set(this._key(collection, docId), version);
+    }
+
+    await this._dequeue(entry, version);
+    return { conflict };
+  }
+
+  /**
+   * Drop a replayed entry, unless more writes were queued for the document meanwhile
+   * @param {Object} entry - Replayed queue entry
+   * @param {string|null} version - Supabase version after the replay
+   * @private
+   */
+  async _dequeue(entry, version) {
+    const current = await this.queue.get(PENDING, entry.id);
+    if (current && current.seq !== entry.seq) {
+      // Newer local writes replay on the next sync, against the version just written
+      await this.queue.put(PENDING, { ...current, base: version, baseKnown: true, created: false });
+      return;
+    }
+    await this.queue.remove(PENDING, entry.id);
+  }
+
+  /**
+   * Apply queued writes on top of documents read from Supabase or the mirror
+   * @param {string} collection - Collection name
+   * @param {Array} docs - Documents
+   * @param {Object} options - List options
+   * @returns {Promise<Array>}
+   * @private
+   */
+  async _overlay(collection, docs, options) {
+    const pending = await this.queue.list(PENDING, { where: { collection } });
+    if (pending.length === 0) {
+      return docs;
+    }
+
+    const byId = new Map(docs.map(doc => [doc.id, doc]));
+    for (const entry of pending) {
+      if (entry.op === 'remove') {
+        byId.delete(entry.docId);
+      } else {
+        byId.set(entry.docId, entry.doc);
+      }
+    }
+    return MemoryAdapter.query(Array.from(byId.values()), options);
+  }
+
+  /**
+   * Replace the mirror of a collection with a full listing from Supabase
+   * @param {string} collection - Collection name
+   * @param {Array} docs - Every document of the collection
+   * @private
+   */
+  async _mirror(collection, docs) {
+    const ids = new Set(docs.map(doc => doc.id));
+    for (const cached of await this.cache.list(collection)) {
+      if (!ids.has(cached.id)) {
+        await this.cache.remove(collection, cached.id);
+      }
+    }
+  }
+
+  /**
+   * Map a row read from Supabase, mirror it and note its version
+   * @param {string} collection - Collection name
+   * @param {Object} row - Supabase row
+   * @returns {Object} - Document
+   * @private
+   */
+  _remember(collection, row) {
+    const doc = this._fromRow(collection, row);
+    if (this._replays(collection)) {
+      this.versions.set(this._key(collection, doc.id), row.updated_at ?? null);
+      this.cache.put(collection, doc);
+    }
+    return doc;
+  }
+
+  /**
+   * Run a Supabase operation with the adapter timeout
+   * @param {string} operation - Operation name
+   * @param {Function} run - async () => result
+   * @returns {Promise<*>}
+   * @private
+   */
+  async _call(operation, run) {
+    if (this.outageSince && !this.syncing) {
+      const error = new Error(`Supabase unavailable since ${new Date(this.outageSince).toISOString()}`);
+      error.code = 'STORAGE_UNAVAILABLE';
+      throw error;
+    }
+    return withTimeout(run(), this.timeout, operation);
+  }
+
+  /**
+   * Cheap query to check Supabase is reachable again
+   * @private
+   */
+  async _probe() {
+    await this._call('probe', async () => {
+      const { error } = await this.client.from(TABLES.services.table).select('id').limit(1);
+      if (error) {
+        throw this._error('probe', error);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _startOutage(error) {
+    if (!this.outageSince) {
+      this.outageSince = Date.now();
+      logger.error('Supabase unreachable - serving from memory and queueing writes', {
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _endOutage() {
+    if (this.outageSince) {
+      logger.info('Supabase reachable again', {
+        outageMs: Date.now() - this.outageSince
+      });
+      this.outageSince = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isUnavailable(error) {
+    return ['STORAGE_TIMEOUT', 'STORAGE_UNAVAILABLE'].includes(error.code) || !!error.unavailable;
+  }
+
+  /**
+   * @private
+   */
+  _replays(collection) {
+    return TABLES[collection]?.replay !== false;
+  }
+
+  /**
+   * @private
+   */
+  _key(collection, id) {
+    return `${collection}:${id}`;
+  }
+
+  /**
+   * Start a select query scoped to the collection
+   * @private
+   */
+  _select(collection, columns, options) {
+    return this._scope(collection, this.client.from(this._table(collection)).select(columns, options));
+  }
+
+  /**
+   * Restrict a JSON document query to its collection
+   * @private
+   */
+  _scope(collection, query) {
+    return TABLES[collection] ? query : query.eq('collection', collection);
+  }
+
+  /**
+   * @private
+   */
+  _table(collection) {
+    return TABLES[collection] ? TABLES[collection].table : DOCUMENTS_TABLE;
+  }
+
+  /**
+   * Column for a document field (JSON path for document collections)
+   * @private
+   */
+  _column(collection, field) {
+    if (TABLES[collection]) {
+      return TABLES[collection].columns[field] || field;
+    }
+    return field === 'id' ? 'id' : `data->>${field}`;
+  }
+
+  /**
+   * JSON path filters compare text
+   * @private
+   */
+  _filterValue(collection, value) {
+    return TABLES[collection] ? value : String(value);
+  }
+
+  /**
+   * Map a document to a row (unknown and undefined fields are dropped)
+   * @private
+   */
+  _toRow(collection, doc) {
+    if (!TABLES[collection]) {
+      return { collection, id: doc.id, data: doc, updated_at: new Date().toISOString() };
+    }
+
+    const row = {};
+    for (const [field, column] of Object.entries(TABLES[collection].columns)) {
+      // updated_at is maintained by Supabase (and used for conflict detection)
+      if (doc[field] !== undefined && column !== 'updated_at') {
+        row[column] = doc[field];
+      }
+    }
+    return row;
+  }
+
+  /**
+   * Map a row back to a document
+   * @private
+   */
+  _fromRow(collection, row) {
+    if (!TABLES[collection]) {
+      return { ...row.data, id: row.id };
+    }
+
+    const doc = {};
+    for (const [field, column] of Object.entries(TABLES[collection].columns)) {
+      doc[field] = row[column] ?? null;
+    }
+    return doc;
+  }
+
+  /**
+   * @private
+   */
+  _error(operation, error) {
+    const storageError = new Error(`Supabase ${operation} failed: ${error.message}`);
+    storageError.code = 'STORAGE_ERROR';
+    storageError.unavailable = UNAVAILABLE_PATTERN.test(error.message || '');
+    return storageError;
+  }
+}
+
+module.exports = SupabaseAdapter;
@@ -0,0 +1,138 @@
+const { tokenize } = require('./text');
+
+/**
+ * BM25 index - Lexical ranking of documents with weighted fields (BM25F)
+ *
+ * A term's frequency is summed over the fields of a document, each field
+ * weighted and normalized by its length against the field's average, then
+ * saturated with k1:
+ *   score(d, q) = sum over t in q of idf(t) * tf(t, d) * (k1 + 1) / (tf(t, d) + k1)
+ *   tf(t, d)    = sum over fields f of weight(f) * count(t, f) / (1 - b + b * length(f) / avgLength(f))
+ *   idf(t)      = ln(1 + (N - df(t) + 0.5) / (df(t) + 0.5))
+ * Text is tokenized with utils/text (stemmed, no stop words), so only whole
+ * words match: "id" no longer matches "paid".
+ */
+class Bm25Index {
+  /**
+   * @param {Object} options - Index options
+   * @param {number} options.k1 - Term frequency saturation (higher = repeated terms count longer)
+   * @param {number} options.b - Length normalization (0 = none, 1 = full)
+   * @param {Object} options.fieldWeights - Field name -> weight (fields not listed weigh 1)
+   */
+  constructor({ k1 = 1.2, b = 0.75, fieldWeights = {} } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.fieldWeights = fieldWeights;
+    this.documents = []; // [{ id, terms: { field: Map(term -> count) }, lengths: { field: n } }]
+    this.documentFrequency = new Map();
+    this.averageLengths = {};
+  }
+
+  /**
+   * Replace the indexed documents
+   * @param {Array} documents - [{ id, fields: { field: text } }]
+   */
+  build(documents) {
+    this.documentFrequency = new Map();
+    const totals = {};
+
+    this.documents = documents.map(({ id, fields }) => {
+      const terms = {};
+      const lengths = {};
+      const seen = new Set();
+
+      for (const [field, text] of Object.entries(fields)) {
+        const tokens = tokenize(text);
+        const counts = new Map();
+        tokens.forEach(token => {
+          counts.set(token, (counts.get(token) || 0) + 1);
+          seen.add(token);
+        });
+        terms[field] = counts;
+        lengths[field] = tokens.length;
+        totals[field] = (totals[field] || 0) + tokens.length;
+      }
+
+      seen.forEach(term => this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1));
+      return { id, terms, lengths };
+    });
+
+    this.averageLengths = Object.fromEntries(Object.entries(totals)
+      .map(([field, total]) => [field, total / Math.max(1, this.documents.length)]));
+  }
+
+  /**
+   * Inverse document frequency of a term (0 for terms no document has)
+   * @param {string} term - Stemmed term
+   * @returns {number}
+   */
+  idf(term) {
+    const df = this.documentFrequency.get(term) || 0;
+    if (df === 0) {
+      return 0;
+    }
+    const n = this.documents.length;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Rank documents for a query
+   * relevance is the score against its upper bound, sum of idf(t) * (k1 + 1) over
+   * the query terms (reached only as every term's frequency grows without limit),
+   * so it is comparable across queries and below 1; query terms no document has
+   * are ignored.
+   * @param {string} query - Query text
+   * @returns {Array} - [{ id, score, relevance, matches: { term: [fields] } }] with score > 0, best first
+   */
+  search(query) {
+    const terms = [...new Set(tokenize(query))].filter(term => this.documentFrequency.has(term));
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const bound = terms.reduce((sum, term) => sum + this.idf(term) * (this.k1 + 1), 0);
+
+    return this.documents
+      .map(document => {
+        let score = 0;
+        const matches = {};
+
+        for (const term of terms) {
+          let tf = 0;
+          for (const [field, counts] of Object.entries(document.terms)) {
+            const count = counts.get(term);
+            if (!count) {
+              continue;
+            }
+            const averageLength = this.averageLengths[field] || 1;
+            const norm = 1 - this.b + this.b * (document.lengths[field] / averageLength);
+            tf += (this.fieldWeights[field] ?? 1) * count / norm;
+            (matches[term] = matches[term] || []).push(field);
+          }
+          if (tf > 0) {
+            score += this.idf(term) * tf * (this.k1 + 1) / (tf + this.k1);
+          }
+        }
+
+        return { id: document.id, score, relevance: score / bound, matches };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Index summary
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      documents: this.documents.length,
+      terms: this.documentFrequency.size,
+      k1: this.k1,
+      b: this.b,
+      fieldWeights: this.fieldWeights
+    };
+  }
+}
+
+module.exports = Bm25Index;
@@ -0,0 +1,236 @@
+/**
+ * Envelope Signatures
+ * HMAC-SHA256 signatures proving an envelope was sent by the coordinator.
+ *
+ * Only depends on Node's crypto module so microservices can require or copy
+ * this file to verify requests:
+ *
+ *   const { expressVerifier } = require('./envelopeSignature');
+ *   app.post('/api/process', express.json(), expressVerifier({ secrets: { [keyId]: secret } }), handler);
+ *
+ * Signed string: "<timestamp>.<request_id>.<canonical JSON of the envelope>"
+ * Headers (HTTP) / metadata keys (gRPC):
+ *   X-Coordinator-Timestamp: unix seconds at signing time
+ *   X-Coordinator-Signature: v1=<keyId>:<hex signature>[,v1=<keyId>:<hex signature>]
+ * Several signatures are sent while a rotated key is in its grace period;
+ * one matching signature is enough.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-coordinator-signature';
+const TIMESTAMP_HEADER = 'x-coordinator-timestamp';
+const SCHEME = 'v1';
+
+/**
+ * Default accepted distance (seconds) between the signing time and now
+ */
+const DEFAULT_REPLAY_WINDOW = 300;
+
+/**
+ * Serialize a value as JSON with object keys sorted, so signer and verifier
+ * agree regardless of key order or whitespace
+ * @param {*} value - JSON value (or object serializable as JSON)
+ * @returns {string}
+ */
+function canonicalize(value) {
+  const normalize = (node) => {
+    if (Array.isArray(node)) {
+      return node.map(normalize);
+    }
+    if (node && typeof node === 'object') {
+      return Object.keys(node).sort().reduce((sorted, key) => {
+        sorted[key] = normalize(node[key]);
+        return sorted;
+      }, {});
+    }
+    return node;
+  };
+
+  // Round-trip first so toJSON, undefined and Date follow JSON semantics on both sides
+  return JSON.stringify(normalize(JSON.parse(JSON.stringify(value))));
+}
+
+/**
+ * Compute one signature
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix seconds
+ * @param {Object} envelope - Universal Envelope
+ * @returns {string} - Hex HMAC-SHA256
+ */
+function computeSignature(secret, timestamp, envelope) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${envelope.request_id}.${canonicalize(envelope)}`)
+    .digest('hex');
+}
+
+/**
+ * Sign an envelope
+ * @param {Object} envelope - Universal Envelope
+ * @param {Array<Object>} keys - [{ keyId, secret }] (all are used; verifiers need one match)
+ * @param {number} timestamp - Unix seconds (default now)
+ * @returns {Object} - Headers / metadata to send: { 'x-coordinator-timestamp', 'x-coordinator-signature' }
+ */
+function signEnvelope(envelope, keys, timestamp = Math.floor(Date.now() / 1000)) {
+  return {
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: keys
+      .map(({ keyId, secret }) => `${SCHEME}=${keyId}:${computeSignature(secret, timestamp, envelope)}`)
+      .join(',')
+  };
+}
+
+/**
+ * Parse the signature header
+ * @param {string} header - Header value
+ * @returns {Array<Object>} - [{ keyId, signature }]
+ * @private
+ */
+function parseSignatures(header) {
+  return String(header || '')
+    .split(',')
+    .map(part => /^\s*v1=([^:\s]+):([0-9a-f]{64})\s*$/i.exec(part))
+    .filter(Boolean)
+    .map(([, keyId, signature]) => ({ keyId, signature: signature.toLowerCase() }));
+}
+
+/**
+ * Remembers request_ids inside the replay window so a captured request can't be sent again
+ * @param {number} replayWindow - Seconds to remember each request_id
+ * @returns {Object} - { seen(requestId) } (true when the id was already used)
+ */
+function createReplayGuard(replayWindow = DEFAULT_REPLAY_WINDOW) {
+  const ids = new Map(); // requestId -> forget at (ms)
+
+  return {
+    seen(requestId) {
+      const now = Date.now();
+      for (const [id, forgetAt] of ids) {
+        if (forgetAt > now) break; // insertion order = expiry order
+        ids.delete(id);
+      }
+      if (ids.has(requestId)) {
+        return true;
+      }
+      ids.set(requestId, now + replayWindow * 2000); // timestamps may be up to one window in the past or future
+      return false;
+    }
+  };
+}
+
+/**
+ * Verify a signed envelope
+ * @param {Object} options - Verification options
+ * @param {Object} options.envelope - Received envelope (parsed body / envelope_json)
+ * @param {string} options.signature - X-Coordinator-Signature value
+ * @param {string|number} options.timestamp - X-Coordinator-Timestamp value
+ * @param {Object|Array|string} options.secrets - { keyId: secret }, or secrets tried for any keyId
+ * @param {number} options.replayWindow - Accepted clock distance in seconds (default 300)
+ * @param {Object} options.replayGuard - Guard from createReplayGuard() (optional)
+ * @returns {Object} - { valid, keyId, reason }
+ */
+function verifyEnvelope({ envelope, signature, timestamp, secrets, replayWindow = DEFAULT_REPLAY_WINDOW, replayGuard = null }) {
+  if (!envelope || typeof envelope !== 'object' || !envelope.request_id) {
+    return { valid: false, reason: 'Missing envelope or request_id' };
+  }
+
+  const signatures = parseSignatures(signature);
+  if (signatures.length === 0) {
+    return { valid: false, reason: 'Missing or malformed signature' };
+  }
+
+  const signedAt = Number(timestamp);
+  if (!Number.isInteger(signedAt)) {
+    return { valid: false, reason: 'Missing or malformed timestamp' };
+  }
+  if (Math.abs(Math.floor(Date.now() / 1000) - signedAt) > replayWindow) {
+    return { valid: false, reason: 'Timestamp outside the replay window' };
+  }
+
+  const lookup = (keyId) => {
+    if (typeof secrets === 'string') return [secrets];
+    if (Array.isArray(secrets)) return secrets;
+    return secrets && secrets[keyId] ? [secrets[keyId]] : [];
+  };
+
+  for (const { keyId, signature: received } of signatures) {
+    for (const secret of lookup(keyId)) {
+      const expected = Buffer.from(computeSignature(secret, signedAt, envelope), 'hex');
+      if (crypto.timingSafeEqual(expected, Buffer.from(received, 'hex'))) {
+        if (replayGuard && replayGuard.seen(envelope.request_id)) {
+          return { valid: false, keyId, reason: 'Replayed request_id' };
+        }
+        return { valid: true, keyId };
+      }
+    }
+  }
+
+  return { valid: false, reason: 'No signature matches a known key' };
+}
+
+/**
+ * Express middleware for microservices (mount after express.json())
+ * Rejects unsigned or invalid envelopes with 401 and sets req.coordinatorKeyId
+ * @param {Object} options - { secrets, replayWindow, replayGuard (default: a new guard; false = off) }
+ * @returns {Function}
+ */
+function expressVerifier({ secrets, replayWindow = DEFAULT_REPLAY_WINDOW, replayGuard } = {}) {
+  const guard = replayGuard === undefined ? createReplayGuard(replayWindow) : replayGuard || null;
+
+  return (req, res, next) => {
+    const result = verifyEnvelope({
+      envelope: req.body,
+      signature: req.get(SIGNATURE_HEADER),
+      timestamp: req.get(TIMESTAMP_HEADER),
+      secrets,
+      replayWindow,
+      replayGuard: guard
+    });
+
+    if (!result.valid) {
+      return res.status(401).json({
+        success: false,
+        message: `Invalid coordinator signature: ${result.reason}`
+      });
+    }
+
+    req.coordinatorKeyId = result.keyId;
+    next();
+  };
+}
+
+/**
+ * Verify a gRPC Process call (metadata + envelope_json)
+ * @param {Object} call - gRPC call object
+ * @param {Object} options - { secrets, replayWindow, replayGuard }
+ * @returns {Object} - { valid, keyId, reason, envelope }
+ */
+function verifyGrpcCall(call, options = {}) {
+  let envelope;
+  try {
+    envelope = JSON.parse(call.request.envelope_json);
+  } catch (error) {
+    return { valid: false, reason: 'Malformed envelope_json' };
+  }
+
+  const [signature] = call.metadata.get(SIGNATURE_HEADER);
+  const [timestamp] = call.metadata.get(TIMESTAMP_HEADER);
+  return {
+    ...verifyEnvelope({ ...options, envelope, signature, timestamp }),
+    envelope
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DEFAULT_REPLAY_WINDOW,
+  canonicalize,
+  computeSignature,
+  signEnvelope,
+  verifyEnvelope,
+  createReplayGuard,
+  expressVerifier,
+  verifyGrpcCall
+};
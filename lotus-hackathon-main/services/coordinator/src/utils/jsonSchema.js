@@ -0,0 +1,302 @@
+/**
+ * JSON Schema validation (the subset of draft 2020-12 the coordinator's route
+ * schemas use): type, enum, const, properties, required, additionalProperties,
+ * min/maxProperties, items, min/maxItems, uniqueItems, min/maxLength, pattern,
+ * format, minimum/maximum (and exclusive), anyOf, oneOf, allOf, not and $ref
+ * to "#/components/schemas/<name>".
+ *
+ * "x-message" on a schema replaces the messages of its own keywords
+ * (e.g. "must be a non-empty string"); nested schemas keep their own.
+ */
+
+const { isDeepStrictEqual } = require('util');
+
+const REF_PREFIX = '#/components/schemas/';
+
+/**
+ * Formats every validation understands ({ name: { validate, message } })
+ */
+const BUILTIN_FORMATS = {
+  uri: {
+    validate: (value) => {
+      try {
+        new URL(value);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    message: 'must be a valid URL'
+  },
+  'date-time': {
+    validate: (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) &&
+      !Number.isNaN(Date.parse(value)),
+    message: 'must be an ISO 8601 date-time'
+  },
+  uuid: {
+    validate: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+    message: 'must be a UUID'
+  },
+  email: {
+    validate: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: 'must be an email address'
+  },
+  hostname: {
+    validate: (value) => /^[A-Za-z0-9.-]+$/.test(value),
+    message: 'must be a host name'
+  }
+};
+
+/**
+ * JSON type of a value (integers are also numbers)
+ * @param {*} value - Value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+/**
+ * Whether a value is of a schema type
+ * @private
+ */
+const isType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer' && Number.isFinite(value));
+};
+
+/**
+ * "a string", "an integer or null"
+ * @private
+ */
+const describeTypes = (types) => types
+  .map(type => (type === 'null' ? 'null' : `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`))
+  .join(' or ');
+
+/**
+ * Dotted label of a path: grpcTls.caCert, permissions[0]
+ * @param {Array<string|number>} path - Path segments
+ * @returns {string}
+ */
+const formatPath = (path) => path.reduce((label, segment) => (typeof segment === 'number'
+  ? `${label}[${segment}]`
+  : label ? `${label}.${segment}` : segment), '');
+
+/**
+ * Resolve a $ref against the components
+ * @private
+ */
+const resolveRef = (ref, components) => {
+  const schema = ref.startsWith(REF_PREFIX) ? components[ref.slice(REF_PREFIX.length)] : undefined;
+  if (!schema) {
+    throw new Error(`Unresolvable schema reference: ${ref}`);
+  }
+  return schema;
+};
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {Object} options - Validation options
+ * @param {Object} options.components - Schemas $ref can point to (by name)
+ * @param {Object} options.formats - Extra formats ({ name: { validate(value) => boolean, message } })
+ * @param {string} options.root - Label of the value itself in messages (default "value")
+ * @returns {Array<Object>} - Errors: [{ path, field, keyword, message }] (empty when valid)
+ */
+function validate(schema, value, { components = {}, formats = {}, root = 'value' } = {}) {
+  const context = { components, formats: { ...BUILTIN_FORMATS, ...formats }, root };
+  return check(schema, value, [], context);
+}
+
+/**
+ * Errors of one value
+ * @private
+ */
+function check(schema, value, path, context) {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [error(path, 'false', 'is not allowed', context)];
+
+  if (schema.$ref) {
+    return check(resolveRef(schema.$ref, context.components), value, path, context);
+  }
+
+  const errors = [];
+  const fail = (keyword, message) => errors.push(error(path, keyword, schema['x-message'] || message, context));
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => isType(value, type))) {
+      fail('type', `must be ${describeTypes(types)}`);
+      return errors; // Other keywords would only repeat the type error
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => isDeepStrictEqual(option, value))) {
+    fail('enum', `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !isDeepStrictEqual(schema.const, value)) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    checkString(schema, value, fail, context);
+  } else if (typeof value === 'number') {
+    checkNumber(schema, value, fail);
+  } else if (Array.isArray(value)) {
+    checkArray(schema, value, path, context, fail, errors);
+  } else if (value !== null && typeof value === 'object') {
+    checkObject(schema, value, path, context, fail, errors);
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(branch => errors.push(...check(branch, value, path, context)));
+  }
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(branch => check(branch, value, path, context));
+    if (!results.some(result => result.length === 0)) {
+      if (schema['x-message']) {
+        fail('anyOf');
+      } else {
+        // Report the branch that came closest
+        errors.push(...results.reduce((best, result) => (result.length < best.length ? result : best)));
+      }
+    }
+  }
+
+  if (schema.oneOf) {
+    const results = schema.oneOf.map(branch => check(branch, value, path, context));
+    const matches = results.filter(result => result.length === 0).length;
+    if (matches === 0) {
+      if (schema['x-message']) {
+        fail('oneOf');
+      } else {
+        errors.push(...results.reduce((best, result) => (result.length < best.length ? result : best)));
+      }
+    } else if (matches > 1) {
+      fail('oneOf', 'must match exactly one of the allowed forms');
+    }
+  }
+
+  if (schema.not && check(schema.not, value, path, context).length === 0) {
+    fail('not', 'is not allowed');
+  }
+
+  return errors;
+}
+
+/**
+ * @private
+ */
+function checkString(schema, value, fail, context) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    fail('maxLength', `must be at most ${schema.maxLength} characters`);
+  }
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+    fail('pattern', `must match ${schema.pattern}`);
+  }
+  if (schema.format !== undefined) {
+    const format = context.formats[schema.format];
+    if (!format) {
+      throw new Error(`Unknown schema format: ${schema.format}`);
+    }
+    if (!format.validate(value)) {
+      fail('format', format.message || `must be a valid ${schema.format}`);
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function checkNumber(schema, value, fail) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    fail('minimum', `must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    fail('maximum', `must be at most ${schema.maximum}`);
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    fail('exclusiveMinimum', `must be greater than ${schema.exclusiveMinimum}`);
+  }
+  if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+    fail('exclusiveMaximum', `must be less than ${schema.exclusiveMaximum}`);
+  }
+}
+
+/**
+ * @private
+ */
+function checkArray(schema, value, path, context, fail, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    fail('minItems', schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    fail('maxItems', `must have at most ${schema.maxItems} items`);
+  }
+  if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => isDeepStrictEqual(other, item)) !== i)) {
+    fail('uniqueItems', 'must not contain duplicates');
+  }
+  if (schema.items !== undefined) {
+    value.forEach((item, i) => errors.push(...check(schema.items, item, [...path, i], context)));
+  }
+}
+
+/**
+ * @private
+ */
+function checkObject(schema, value, path, context, fail, errors) {
+  const keys = Object.keys(value);
+  const properties = schema.properties || {};
+
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    fail('minProperties', schema.minProperties === 1 ? 'must not be empty' : `must have at least ${schema.minProperties} fields`);
+  }
+  if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+    fail('maxProperties', `must have at most ${schema.maxProperties} fields`);
+  }
+
+  for (const name of schema.required || []) {
+    if (value[name] === undefined) {
+      errors.push(error([...path, name], 'required', 'is required', context));
+    }
+  }
+
+  for (const key of keys) {
+    if (value[key] === undefined) continue;
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+      errors.push(...check(properties[key], value[key], [...path, key], context));
+    } else if (schema.additionalProperties === false) {
+      errors.push(error([...path, key], 'additionalProperties', 'is not allowed', context));
+    } else if (typeof schema.additionalProperties === 'object') {
+      errors.push(...check(schema.additionalProperties, value[key], [...path, key], context));
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function error(path, keyword, message, context) {
+  const field = formatPath(path);
+  return {
+    path,
+    field,
+    keyword,
+    message: `${field || context.root} ${message}`
+  };
+}
+
+module.exports = {
+  validate,
+  typeOf,
+  formatPath,
+  BUILTIN_FORMATS
+};
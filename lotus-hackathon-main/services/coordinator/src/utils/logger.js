@@ -1,5 +1,18 @@
 const winston = require('winston');
 const path = require('path');
+const redactionConfig = require('../config/redaction');
+const { redact } = require('./redaction');
+
+/**
+ * Mask secrets and personal data in the message and metadata (utils/redaction.js)
+ */
+const redactFormat = winston.format((info) => {
+  if (!redactionConfig.logs) {
+    return info;
+  }
+  const { level, timestamp, service, ...fields } = info;
+  return Object.assign(info, redact(fields));
+});
 
 // Create logger instance
 const logger = winston.createLogger({
@@ -12,6 +25,7 @@ const logger = winston.createLogger({
         winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
         winston.format.errors({ stack: true }),
         winston.format.splat(),
+        redactFormat(),
         // Use JSON format in production, pretty format in development
         process.env.NODE_ENV === 'production'
           ? winston.format.json() // JSON format for production (better for log aggregation)
@@ -0,0 +1,108 @@
+/**
+ * OpenAPI 3.1 document of the coordinator, built from the route schemas
+ * (src/schemas) that middleware/validation.js enforces
+ */
+
+const { version } = require('../../package.json');
+const { operations, components } = require('../schemas');
+
+/**
+ * Parameters of a path or query schema
+ * @private
+ */
+const toParameters = (schema, location) => Object.entries(schema?.properties || {})
+  .map(([name, { description, ...property }]) => ({
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    ...(description && { description }),
+    schema: property
+  }));
+
+/**
+ * Rules that span parameters or body fields ("must include ...")
+ * @private
+ */
+const describeConstraints = (schema, label) => (schema?.allOf || [])
+  .filter(rule => rule['x-message'])
+  .map(rule => `The ${label} ${rule['x-message']}.`);
+
+/**
+ * OpenAPI operation of a route declaration
+ * @private
+ */
+const toOperation = (operation) => {
+  const constraints = [
+    ...describeConstraints(operation.query, 'query string'),
+    ...describeConstraints(operation.body, 'body')
+  ];
+  const responses = Object.fromEntries(Object.entries(operation.responses || {})
+    .map(([status, { description, schema, contentType = 'application/json' }]) => [status, {
+      description,
+      ...(schema && { content: { [contentType]: { schema } } })
+    }]));
+
+  if ((operation.params || operation.query || operation.body) && !responses[400]) {
+    responses[400] = {
+      description: 'Request does not match the route schema',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+    };
+  }
+
+  return {
+    operationId: operation.operationId,
+    summary: operation.summary,
+    ...(constraints.length && { description: constraints.join(' ') }),
+    tags: operation.tags,
+    parameters: [
+      ...toParameters(operation.params, 'path'),
+      ...toParameters(operation.query, 'query')
+    ],
+    ...(operation.body && {
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: operation.body } }
+      }
+    }),
+    responses
+  };
+};
+
+/**
+ * Build the document
+ * @param {Object} options - Document options
+ * @param {string} options.serverUrl - Base URL of the coordinator (omitted when unknown)
+ * @returns {Object} - OpenAPI document
+ */
+function buildOpenApiDocument({ serverUrl = null } = {}) {
+  const paths = {};
+  for (const operation of operations.filter(declared => !declared.alias)) {
+    const path = operation.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = paths[path] || {};
+    paths[path][operation.method.toLowerCase()] = toOperation(operation);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Coordinator API',
+      version,
+      description: 'Service registry, discovery and AI routing. /registry serves the same routes as ' +
+        '/services and /graph the same as /knowledge-graph; other paths are proxied to microservices.'
+    },
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    security: [{}, { bearerAuth: [] }, { apiKey: [] }],
+    paths,
+    components: {
+      schemas: components,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,222 @@
+/**
+ * Redaction
+ * Masks secrets and personal data before they reach the logs or the AI routing prompt.
+ *
+ * Two layers (config/redaction.js):
+ *   - fields: the whole value of a sensitive field (password, apiKey, authorization, ...)
+ *   - detectors: matching parts of any string (emails, bearer tokens, JWTs, API keys,
+ *     card numbers, "password=..." pairs)
+ *
+ * A mask carries a keyed hash of the value, e.g. "[email:5f0c2a9e]": the same
+ * value always gets the same mask, so the routing model (and someone reading the
+ * logs) can still tell equal values apart without seeing them.
+ *
+ * Doesn't require the logger (the logger requires this module).
+ */
+
+const crypto = require('crypto');
+const redactionConfig = require('../config/redaction');
+
+/**
+ * Field names ending in one of these are sensitive whatever REDACTION_FIELDS says
+ */
+const SENSITIVE_SUFFIXES = ['password', 'secret', 'token', 'apikey'];
+
+/**
+ * Built-in detectors, applied in this order (authorization before jwt, so a
+ * "Bearer <jwt>" header keeps its scheme)
+ * mask(match, ...groups) returns the replacement; the default masks the whole match
+ */
+const DETECTORS = {
+  authorization: {
+    // Credentials are at least 16 characters with a digit, so prose ("basic information") is left alone
+    regex: /\b(Bearer|Basic|Digest)\s+(?=[A-Za-z._~+/=-]*\d)([A-Za-z0-9._~+/=-]{16,})/gi,
+    mask: (match, scheme, credentials) => `${scheme} ${maskValue('token', credentials)}`
+  },
+  jwt: {
+    regex: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g
+  },
+  api_key: {
+    // Coordinator keys (ck_), OpenAI, AWS access keys, GitHub tokens, Slack tokens
+    regex: /\b(?:ck_[0-9a-f]{8,}_[A-Za-z0-9_-]{16,}|sk-[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{30,}|xox[abprs]-[A-Za-z0-9-]{10,})/g,
+    name: 'token'
+  },
+  email: {
+    regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  card: {
+    // 13-19 digits starting 2-6 (card issuers, not epoch milliseconds), optionally grouped
+    // by spaces or dashes; only Luhn-valid numbers are masked
+    regex: /\b[2-6](?:[ -]?\d){12,18}\b/g,
+    mask: (match) => (luhnValid(match.replace(/[ -]/g, '')) ? maskValue('card', match.replace(/[ -]/g, '')) : match)
+  },
+  credential: {
+    // password=..., "secret": "...", api_key: ... inside free text (values already masked are skipped)
+    regex: /(?<!\[)\b([A-Za-z_-]*(?:password|passwd|secret|token|api[_-]?key))(["']?\s*[:=]\s*["']?)(?!\[)([^\s"'&,;}]+)/gi,
+    mask: (match, key, separator, value) => `${key}${separator}${maskValue('redacted', value)}`
+  }
+};
+
+const hashKey = redactionConfig.hashSecret || crypto.randomBytes(32).toString('hex');
+const sensitiveFields = new Set([...redactionConfig.fields, ...redactionConfig.extraFields].map(normalizeField));
+const detectors = buildDetectors();
+
+/**
+ * Mask of one value: "[<kind>:<first 8 hex of HMAC-SHA256>]"
+ * @param {string} kind - What was masked (email, token, card, redacted, ...)
+ * @param {*} value - Masked value
+ * @returns {string}
+ */
+function maskValue(kind, value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  const digest = crypto.createHmac('sha256', hashKey).update(text ?? '').digest('hex');
+  return `[${kind}:${digest.slice(0, 8)}]`;
+}
+
+/**
+ * Whether a field name is sensitive (compared without case, "-" and "_")
+ * @param {string} name - Field name
+ * @returns {boolean}
+ */
+function isSensitiveField(name) {
+  const normalized = normalizeField(name);
+  return sensitiveFields.has(normalized) || SENSITIVE_SUFFIXES.some(suffix => normalized.endsWith(suffix));
+}
+
+/**
+ * Mask detector matches in a string
+ * @param {string} text - Any string
+ * @returns {string}
+ */
+function redactText(text) {
+  if (typeof text !== 'string' || text.length === 0) {
+    return text;
+  }
+  return detectors.reduce((result, detector) => result.replace(detector.regex, detector.mask), text);
+}
+
+/**
+ * Copy of a value with sensitive fields and detector matches masked
+ * (the value itself is left untouched; circular references become "[Circular]")
+ * @param {*} value - Any value (objects, arrays, strings, errors, ...)
+ * @returns {*}
+ */
+function redact(value) {
+  const seen = new WeakSet();
+
+  const visit = (node, depth) => {
+    if (typeof node === 'string') {
+      return redactText(node);
+    }
+    if (node === null || typeof node !== 'object') {
+      return node;
+    }
+    if (node instanceof Date) {
+      return node;
+    }
+    if (Buffer.isBuffer(node)) {
+      return `[Buffer ${node.length} bytes]`;
+    }
+    if (seen.has(node)) {
+      return '[Circular]';
+    }
+    if (depth >= redactionConfig.maxDepth) {
+      return '[Truncated]';
+    }
+    seen.add(node);
+
+    let copy;
+    if (Array.isArray(node)) {
+      copy = node.map(item => visit(item, depth + 1));
+    } else {
+      copy = {};
+      if (node instanceof Error) {
+        // Own properties of errors (message, stack) aren't enumerable
+        copy.name = node.name;
+        copy.message = redactText(node.message);
+        copy.stack = redactText(node.stack);
+      }
+      for (const [key, child] of Object.entries(node)) {
+        copy[key] = isSensitiveField(key) && child !== null && child !== undefined && child !== ''
+          ? maskValue('redacted', child)
+          : visit(child, depth + 1);
+      }
+    }
+
+    seen.delete(node);
+    return copy;
+  };
+
+  return visit(value, 0);
+}
+
+/**
+ * Luhn checksum (card numbers)
+ * @private
+ */
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * @private
+ */
+function normalizeField(name) {
+  return String(name).toLowerCase().replace(/[-_]/g, '');
+}
+
+/**
+ * Enabled built-in detectors followed by REDACTION_PATTERNS
+ * @private
+ */
+function buildDetectors() {
+  const unknown = redactionConfig.detectors.filter(name => !DETECTORS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown REDACTION_DETECTORS entries: ${unknown.join(', ')} (available: ${Object.keys(DETECTORS).join(', ')})`);
+  }
+
+  const builtIn = Object.entries(DETECTORS)
+    .filter(([name]) => redactionConfig.detectors.includes(name))
+    .map(([name, detector]) => ({
+      regex: detector.regex,
+      mask: detector.mask || ((match) => maskValue(detector.name || name, match))
+    }));
+
+  if (!redactionConfig.patterns) {
+    return builtIn;
+  }
+
+  let patterns;
+  try {
+    patterns = JSON.parse(redactionConfig.patterns);
+  } catch (error) {
+    throw new Error(`Invalid REDACTION_PATTERNS: ${error.message}`);
+  }
+
+  const custom = Object.entries(patterns).map(([name, source]) => {
+    try {
+      const regex = new RegExp(source, 'g');
+      return { regex, mask: (match) => maskValue(name, match) };
+    } catch (error) {
+      throw new Error(`Invalid REDACTION_PATTERNS entry '${name}': ${error.message}`);
+    }
+  });
+
+  return [...builtIn, ...custom];
+}
+
+module.exports = {
+  redact,
+  redactText,
+  isSensitiveField,
+  maskValue
+};
@@ -0,0 +1,30 @@
+/**
+ * Route patterns shared by route tables (config/rbac.js, config/rateLimit.js)
+ * ":param" matches one path segment, a trailing "*" any rest, "*" alone every path.
+ * Matching ignores case like Express routing does, so /REGISTER/:id can't reach
+ * the /register router while skipping the rule declared for it.
+ */
+
+/**
+ * Turn a route pattern (/register/:serviceId, /services*) into a regex with named params
+ * @param {string} pattern - Route pattern
+ * @returns {RegExp}
+ */
+function compilePattern(pattern) {
+  if (pattern === '*') {
+    return /^.*$/;
+  }
+
+  const wildcard = pattern.endsWith('*');
+  const body = (wildcard ? pattern.slice(0, -1) : pattern)
+    .split('/')
+    .map(segment => (segment.startsWith(':')
+      ? `(?<${segment.slice(1)}>[^/]+)`
+      : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+  return new RegExp(`^${body}${wildcard ? '.*' : '/?'}$`, 'i');
+}
+
+module.exports = {
+  compilePattern
+};
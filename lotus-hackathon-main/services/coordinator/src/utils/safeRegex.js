@@ -0,0 +1,100 @@
+/**
+ * Safe regex check for patterns supplied through the API (routing rules)
+ * JavaScript regexes backtrack, so some patterns take exponential time on a
+ * crafted input: a group repeated without bound that itself repeats ("(a+)+",
+ * "(\w*)*") or holds alternatives ("(a|aa)+"), and backreferences. Patterns are
+ * checked structurally, without running them; the check is conservative and
+ * rejects some patterns that would be fine, like "(get|post)+". It doesn't catch
+ * polynomial backtracking ("^a*a*a*a*$"), so matching also runs with a deadline
+ * (routingRulesService).
+ */
+
+/**
+ * Most repetition operators a pattern may use
+ */
+const MAX_REPETITIONS = 25;
+
+/**
+ * Quantifier at a position ("*", "+", "{2,}", "{1,5}"), null when there is none
+ * Bounded to one ("?", "{1}", "{0,1}") doesn't repeat and counts as no quantifier.
+ * @private
+ * @returns {Object|null} - { length, unbounded }
+ */
+function repetitionAt(pattern, index) {
+  const char = pattern[index];
+  if (char === '*' || char === '+') {
+    return { length: 1, unbounded: true };
+  }
+  if (char !== '{') {
+    return null;
+  }
+  const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+  if (!match) {
+    return null;
+  }
+  const max = match[2] === undefined ? Number(match[1]) : (match[3] === '' ? Infinity : Number(match[3]));
+  return max > 1 ? { length: match[0].length, unbounded: max === Infinity } : null;
+}
+
+/**
+ * Why a pattern is unsafe to run on untrusted input
+ * @param {string} pattern - Regular expression source (already known to compile)
+ * @returns {string|null} - Reason, or null when the pattern is safe
+ */
+function unsafeRegexReason(pattern) {
+  // Innermost open group last: { repeats, alternates }
+  const groups = [{ repeats: false, alternates: false }];
+  let repetitions = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    let atomRepeats = false; // The atom ending here repeats something inside it
+
+    if (char === '\\') {
+      const next = pattern[i + 1];
+      if (/[1-9]/.test(next) || (next === 'k' && pattern[i + 2] === '<')) {
+        return 'backreferences are not allowed';
+      }
+      i += 1;
+    } else if (char === '[') {
+      // Character class: skip to its closing bracket
+      for (i += 1; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i += 1;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+      continue;
+    } else if (char === ')') {
+      const group = groups.pop();
+      atomRepeats = group.repeats || group.alternates;
+      if (group.repeats) {
+        groups[groups.length - 1].repeats = true;
+      }
+    } else if (char === '|') {
+      groups[groups.length - 1].alternates = true;
+      continue;
+    }
+
+    const quantifier = repetitionAt(pattern, i + 1);
+    if (quantifier) {
+      // A bounded count ("(\d{1,3}\.){3}") limits the backtracking as well
+      if (atomRepeats && quantifier.unbounded) {
+        return 'a repeated group may not contain repetition or alternatives (e.g. "(a+)+", "(a|b)*")';
+      }
+      repetitions += 1;
+      if (repetitions > MAX_REPETITIONS) {
+        return `at most ${MAX_REPETITIONS} repetition operators are allowed`;
+      }
+      groups[groups.length - 1].repeats = true;
+      i += quantifier.length;
+      // Lazy quantifier
+      if (pattern[i + 1] === '?') i += 1;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  unsafeRegexReason
+};
@@ -0,0 +1,74 @@
+/**
+ * Service documents - What lexical and semantic routing match requests against
+ */
+
+/**
+ * Payload fields holding the query text, in order of preference
+ */
+const QUERY_FIELDS = ['query', 'intent', 'query_text', 'queryText'];
+
+/**
+ * Path of an endpoint without parameters (/users/:id/orders/{orderId} -> /users/orders),
+ * so placeholder names like "id" never match a query
+ * @private
+ */
+const stripParams = (path) => String(path || '').replace(/\/(:[^/]+|\{[^}]*\}|<[^>]*>)/g, '');
+
+/**
+ * Text fields of a service
+ * @param {Object} service - Service entry
+ * @returns {Object} - { name, description, capabilities, endpoints, events } (empty strings when unknown)
+ */
+function serviceFields(service) {
+  const endpoints = service.migrationFile?.api?.endpoints || [];
+  const events = service.migrationFile?.events || {};
+
+  return {
+    name: service.serviceName.replace(/[-_.]+/g, ' '),
+    description: service.description || '',
+    capabilities: [...(service.metadata?.capabilities || []), ...(service.metadata?.tags || [])]
+      .filter(item => typeof item === 'string')
+      .join(', '),
+    endpoints: endpoints
+      .map(endpoint => [stripParams(endpoint.path), endpoint.description || endpoint.summary]
+        .filter(part => typeof part === 'string' && part.trim())
+        .join(' '))
+      .join('\n'),
+    events: [...(events.publishes || []), ...(events.subscribes || [])]
+      .filter(item => typeof item === 'string')
+      .join('\n')
+  };
+}
+
+/**
+ * Query text of a routing request (the query field, else every string in the payload)
+ * @param {Object} data - Request data ({ type, payload, context })
+ * @returns {string}
+ */
+function requestText(data) {
+  const payload = data.payload;
+  if (typeof payload === 'string') {
+    return payload;
+  }
+
+  const field = QUERY_FIELDS.find(name => typeof payload?.[name] === 'string' && payload[name].trim());
+  if (field) {
+    return payload[field];
+  }
+
+  const strings = [];
+  const collect = (value, depth) => {
+    if (typeof value === 'string') {
+      strings.push(value);
+    } else if (value && typeof value === 'object' && depth < 5) {
+      Object.values(value).forEach(item => collect(item, depth + 1));
+    }
+  };
+  collect(payload, 0);
+  return strings.join(' ');
+}
+
+module.exports = {
+  serviceFields,
+  requestText
+};
@@ -0,0 +1,118 @@
+/**
+ * Text helpers - Tokens for matching queries against service descriptions
+ *
+ * Text is split on anything that is not a letter or digit and on camelCase
+ * boundaries ("processPayment", "payment.completed", "/api/payment-status"),
+ * lowercased, stripped of stop words and reduced to a stem, so "payments",
+ * "Payment", "paying" and "paid" compare equal to "payment" and "pay".
+ */
+
+/**
+ * Words that say nothing about which service should answer
+ */
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+  'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'for', 'from', 'get',
+  'had', 'has', 'have', 'having', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if', 'in', 'into',
+  'is', 'it', 'its', 'just', 'me', 'my', 'need', 'no', 'not', 'of', 'on', 'or', 'our', 'out', 'please',
+  'she', 'should', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'those', 'to', 'too', 'up', 'us', 'very', 'want', 'was', 'we', 'were', 'what',
+  'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+  // Words every service description and path shares
+  'api', 'service', 'services', 'http', 'https', 'v1', 'v2'
+]);
+
+/**
+ * Suffixes removed by stem(), longest first: [suffix, replacement]
+ */
+const SUFFIXES = [
+  ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['iveness', 'ive'],
+  ['ations', 'ate'], ['ation', 'ate'], ['ements', ''], ['ement', ''], ['ments', ''], ['ment', ''],
+  ['ness', ''], ['ings', ''], ['ing', ''], ['ies', 'y'], ['ied', 'y'], ['edly', ''], ['ed', ''],
+  ['ers', ''], ['er', ''], ['ly', ''], ['es', ''], ['s', '']
+];
+
+/**
+ * Irregular forms suffix stripping can't reach: [form, base word]
+ */
+const IRREGULAR_FORMS = new Map([
+  ['paid', 'pay'], ['bought', 'buy'], ['sold', 'sell'], ['sent', 'send'], ['spent', 'spend'],
+  ['lent', 'lend'], ['built', 'build'], ['made', 'make'], ['gave', 'give'], ['given', 'give'],
+  ['took', 'take'], ['taken', 'take'], ['chose', 'choose'], ['chosen', 'choose'], ['got', 'get'],
+  ['gotten', 'get'], ['kept', 'keep'], ['left', 'leave'], ['lost', 'lose'], ['found', 'find'],
+  ['held', 'hold'], ['told', 'tell'], ['wrote', 'write'], ['written', 'write'], ['ran', 'run'],
+  ['children', 'child'], ['people', 'person'], ['men', 'man'], ['women', 'woman']
+]);
+
+/**
+ * Reduce a lowercase word to its stem (irregular forms, then light suffix stripping)
+ * Stems are only compared with each other, so they need not be words.
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function stem(word) {
+  if (IRREGULAR_FORMS.has(word)) {
+    return stem(IRREGULAR_FORMS.get(word));
+  }
+  if (word.length <= 3 || /\d/.test(word)) {
+    return word;
+  }
+
+  let stemmed = word;
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (!word.endsWith(suffix)) {
+      continue;
+    }
+    // Keep address, status, analysis
+    if (suffix === 's' && /(ss|us|is)$/.test(word)) {
+      break;
+    }
+    // boxes -> box, but invoices -> invoice
+    if (suffix === 'es' && !/(s|x|z|ch|sh)es$/.test(word)) {
+      continue;
+    }
+    const base = word.slice(0, -suffix.length);
+    if (base.length < 3) {
+      continue;
+    }
+    stemmed = base + replacement;
+    // stopped -> stop
+    if (/([^aeiouls])\1$/.test(stemmed)) {
+      stemmed = stemmed.slice(0, -1);
+    }
+    break;
+  }
+
+  // create, created and creating -> creat
+  return stemmed.length > 4 && stemmed.endsWith('e') ? stemmed.slice(0, -1) : stemmed;
+}
+
+/**
+ * Split text into words (lowercase, camelCase split, no stop words, not stemmed)
+ * @param {string} text - Any text
+ * @returns {Array<string>}
+ */
+function words(text) {
+  return String(text ?? '')
+    .normalize('NFKC')
+    .replace(/([\p{Ll}\d])(\p{Lu})/gu, '$1 $2')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Split text into stemmed tokens
+ * @param {string} text - Any text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return words(text).map(stem);
+}
+
+module.exports = {
+  STOP_WORDS,
+  stem,
+  words,
+  tokenize
+};
@@ -0,0 +1,204 @@
+/**
+ * Version helpers - Semantic version comparison and ranges for service discovery
+ *
+ * Ranges use the usual npm-style syntax:
+ *   1.2.3, =1.2.3, >=1.2.0, <2.0.0 (space = and), ^1.2.0, ~1.2.0, 1.x, 1.2.*, *
+ *   alternatives are separated by ||  (e.g. "^1.0.0 || >=3.1.0")
+ */
+
+const VERSION_PATTERN = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?$/;
+const COMPARATOR_PATTERN = /^(>=|<=|>|<|=|\^|~)?\s*(.+)$/;
+
+/**
+ * Parse a version string (missing minor/patch count as 0)
+ * @param {string} version - Version such as 1.2.3, v2 or 1.0.0-beta.1
+ * @returns {Object|null} - { major, minor, patch, prerelease } or null if not a version
+ */
+function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(String(version ?? '').trim());
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2] || 0),
+    patch: Number(match[3] || 0),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+/**
+ * Compare prerelease identifiers (a release sorts after its prereleases)
+ * @private
+ */
+function comparePrerelease(a, b) {
+  if (a.length === 0 || b.length === 0) {
+    return b.length - a.length;
+  }
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    const numericA = /^\d+$/.test(a[i]);
+    const numericB = /^\d+$/.test(b[i]);
+    if (numericA && numericB) return Number(a[i]) < Number(b[i]) ? -1 : 1;
+    if (numericA) return -1;
+    if (numericB) return 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Compare two parsed versions
+ * @private
+ */
+function compareParsed(a, b) {
+  for (const part of ['major', 'minor', 'patch']) {
+    if (a[part] !== b[part]) {
+      return a[part] < b[part] ? -1 : 1;
+    }
+  }
+  return comparePrerelease(a.prerelease, b.prerelease);
+}
+
+/**
+ * Compare two version strings
+ * Versions that don't parse sort before the ones that do, and among
+ * themselves as plain strings
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} - Negative, 0 or positive
+ */
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+
+  if (left && right) {
+    return compareParsed(left, right);
+  }
+  if (left || right) {
+    return left ? 1 : -1;
+  }
+  return String(a ?? '').localeCompare(String(b ?? ''));
+}
+
+/**
+ * Turn one comparator (>=1.2, ^1.0.0, 1.x, ...) into { op, version } bounds
+ * @param {string} comparator - Comparator text
+ * @returns {Array<Object>} - Bounds that must all hold
+ * @private
+ */
+function parseComparator(comparator) {
+  const [, operator = '', rest] = COMPARATOR_PATTERN.exec(comparator);
+  const match = PARTIAL_PATTERN.exec(rest.trim());
+  if (!match) {
+    throw new Error(`Invalid version in range: ${comparator}`);
+  }
+
+  const wildcard = value => value === undefined || /^[xX*]$/.test(value);
+  const parts = [match[1], match[2], match[3]];
+  const known = parts.findIndex(wildcard);
+  const precision = known === -1 ? 3 : known; // Number of leading parts given
+  const [major, minor, patch] = parts.map(value => (wildcard(value) ? 0 : Number(value)));
+  const prerelease = match[4] ? match[4].split('.') : [];
+  const base = { major, minor, patch, prerelease };
+
+  const nextAt = level => ({
+    major: level === 0 ? major + 1 : major,
+    minor: level === 0 ? 0 : (level === 1 ? minor + 1 : minor),
+    patch: level === 2 ? patch + 1 : 0,
+    prerelease: ['0']
+  });
+
+  if (precision === 0) {
+    // *, x - any version (strict comparisons against "nothing" match nothing)
+    return operator === '<' || operator === '>' ? [{ op: '<', version: { major: 0, minor: 0, patch: 0, prerelease: ['0'] } }] : [];
+  }
+
+  switch (operator) {
+    case '^': {
+      // Changes that keep the leftmost non-zero part
+      const level = major > 0 || precision === 1 ? 0 : (minor > 0 || precision === 2 ? 1 : 2);
+      return [{ op: '>=', version: base }, { op: '<', version: nextAt(level) }];
+    }
+    case '~':
+      return [{ op: '>=', version: base }, { op: '<', version: nextAt(precision === 1 ? 0 : 1) }];
+    case '>':
+      return precision === 3
+        ? [{ op: '>', version: base }]
+        : [{ op: '>=', version: nextAt(precision - 1) }];
+    case '<=':
+      return precision === 3
+        ? [{ op: '<=', version: base }]
+        : [{ op: '<', version: nextAt(precision - 1) }];
+    case '>=':
+    case '<':
+      return [{ op: operator, version: base }];
+    default:
+      // Exact version, or every version under a partial one (1.2 = 1.2.x)
+      return precision === 3
+        ? [{ op: '=', version: base }]
+        : [{ op: '>=', version: base }, { op: '<', version: nextAt(precision - 1) }];
+  }
+}
+
+/**
+ * Parse a range into alternatives of bounds
+ * @param {string} range - Range text
+ * @returns {Array<Array<Object>>} - Alternatives (any may hold), each a list of bounds (all must hold)
+ * @throws {Error} - If the range is invalid (error.status = 400)
+ */
+function parseRange(range) {
+  try {
+    const alternatives = String(range).split('||').map(set => {
+      // Allow ">= 1.2.0" as well as ">=1.2.0"
+      const comparators = set.trim().replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1').split(/\s+/).filter(Boolean);
+      if (comparators.length === 0) {
+        throw new Error('Empty version range');
+      }
+      return comparators.flatMap(parseComparator);
+    });
+    return alternatives;
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Check whether a version satisfies a range
+ * Versions that don't parse only match an exact, identical range
+ * @param {string} version - Version
+ * @param {string|Array} range - Range text or the result of parseRange
+ * @returns {boolean}
+ */
+function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    return typeof range === 'string' && String(version).trim() === range.trim();
+  }
+
+  const alternatives = Array.isArray(range) ? range : parseRange(range);
+  return alternatives.some(bounds => bounds.every(({ op, version: bound }) => {
+    const order = compareParsed(parsed, bound);
+    switch (op) {
+      case '>': return order > 0;
+      case '>=': return order >= 0;
+      case '<': return order < 0;
+      case '<=': return order <= 0;
+      default: return order === 0;
+    }
+  }));
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  parseRange,
+  satisfies
+};
@@ -0,0 +1,87 @@
+/**
+ * AI routing against the scripted provider (test/fixtures/ai-routing.json):
+ * prompt, model call and response parsing run offline
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const aiRoutingService = require('../src/services/aiRoutingService');
+const ScriptedProvider = require('../src/llm/scriptedProvider');
+
+const SERVICES = [
+  { serviceName: 'payment-service', endpoint: 'http://payment:4000', description: 'Payments, refunds and invoices', status: 'active' },
+  { serviceName: 'user-service', endpoint: 'http://user:4001', description: 'User profiles and accounts', status: 'active' },
+  { serviceName: 'inventory-service', endpoint: 'http://inventory:4002', description: 'Stock levels', status: 'active' }
+];
+
+const query = (text) => ({ type: 'http_query', payload: { query: text }, context: {} });
+
+describe('AI routing with the scripted provider', () => {
+  let provider;
+
+  before(() => {
+    provider = new ScriptedProvider({ fixtures: path.join(__dirname, 'fixtures', 'ai-routing.json') });
+    aiRoutingService.setProvider(provider);
+  });
+
+  it('ranks the services the model answers with, most confident first', async () => {
+    const result = await aiRoutingService._aiRoute(query('refund my last payment'), SERVICES, {});
+
+    assert.equal(result.method, 'ai');
+    assert.deepEqual(result.rankedServices.map(service => service.serviceName), ['payment-service', 'user-service']);
+    assert.equal(result.primaryTarget.endpoint, 'http://payment:4000');
+    assert.equal(result.primaryTarget.confidence, 0.93);
+    assert.deepEqual(result.backupTargets.map(service => service.serviceName), ['user-service']);
+    assert.equal(provider.matches.payments, 1);
+  });
+
+  it('parses answers wrapped in a json code fence', async () => {
+    const result = await aiRoutingService._aiRoute(query('update my profile'), SERVICES, {});
+
+    assert.equal(result.primaryTarget.serviceName, 'user-service');
+    assert.equal(result.totalCandidates, 1);
+  });
+
+  it('keeps every service for cascading when the model ranks none', async () => {
+    const result = await aiRoutingService._aiRoute(query('something unrelated'), SERVICES, {});
+
+    assert.deepEqual(result.rankedServices.map(service => service.serviceName), SERVICES.map(service => service.serviceName));
+    assert.ok(result.rankedServices.every(service => service.confidence <= 0.3));
+  });
+
+  it('rejects a failing model', async () => {
+    await assert.rejects(aiRoutingService._aiRoute(query('simulate model outage'), SERVICES, {}), /Scripted model outage/);
+  });
+
+  it('rejects an answer that is not JSON', async () => {
+    await assert.rejects(aiRoutingService._aiRoute(query('simulate malformed answer'), SERVICES, {}), /Invalid AI response format/);
+  });
+});
+
+describe('_parseAIResponse', () => {
+  it('drops services that are not registered and clamps confidence', () => {
+    const result = aiRoutingService._parseAIResponse(JSON.stringify({
+      targetServices: [
+        { serviceName: 'ghost-service', confidence: 0.99 },
+        { serviceName: 'inventory-service', confidence: 1.7 }
+      ]
+    }), SERVICES);
+
+    assert.deepEqual(result.rankedServices.map(service => [service.serviceName, service.confidence]), [['inventory-service', 1]]);
+  });
+
+  it('leaves out services at or below 0.3 confidence', () => {
+    const result = aiRoutingService._parseAIResponse(JSON.stringify({
+      targetServices: [
+        { serviceName: 'user-service', confidence: 0.3 },
+        { serviceName: 'payment-service', confidence: 0.6 }
+      ]
+    }), SERVICES);
+
+    assert.deepEqual(result.rankedServices.map(service => service.serviceName), ['payment-service']);
+  });
+
+  it('rejects a response without targetServices', () => {
+    assert.throws(() => aiRoutingService._parseAIResponse('{"strategy":"single"}', SERVICES), /targetServices must be an array/);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Coordinator routes are matched the way Express serves them (in any case), so
+ * permission checks and request validation can't be skipped by changing the case
+ * of a path, and undeclared coordinator paths are never proxied
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const rbacService = require('../src/services/rbacService');
+const { findOperation } = require('../src/schemas');
+const { validateRequest } = require('../src/middleware/validation');
+
+/**
+ * Run validateRequest on a fake request
+ * @returns {Object} - { next: whether the request was passed on, status, headers, body }
+ */
+const runValidation = ({ method, path, body = {}, query = {} }) => {
+  const outcome = { next: false, status: 200, headers: {}, body: null };
+  const res = {
+    status(code) { outcome.status = code; return this; },
+    set(name, value) { outcome.headers[name] = value; return this; },
+    json(value) { outcome.body = value; return this; }
+  };
+  validateRequest({ method, path, body, query, url: path, originalUrl: path }, res, () => { outcome.next = true; });
+  return outcome;
+};
+
+describe('RBAC route resolution', () => {
+  it('applies the owner rule to an upper-case service path', () => {
+    const route = rbacService.resolveRoute('DELETE', '/REGISTER/0b9d7a43');
+
+    assert.equal(route.permission, 'services:manage');
+    assert.equal(route.owner, 'serviceId');
+    assert.equal(route.deny, false);
+    assert.equal(route.params.serviceId, '0b9d7a43');
+  });
+
+  it('denies methods the coordinator does not serve instead of proxying them', () => {
+    for (const [method, path] of [['PUT', '/register/0b9d7a43'], ['DELETE', '/Services/0b9d7a43'], ['PATCH', '/AUDIT']]) {
+      assert.equal(rbacService.resolveRoute(method, path).deny, true, `${method} ${path}`);
+    }
+  });
+
+  it('leaves proxied paths to the catch-all rule', () => {
+    const route = rbacService.resolveRoute('POST', '/api/payments');
+
+    assert.equal(route.deny, false);
+    assert.equal(route.permission, 'routing:execute');
+  });
+});
+
+describe('Request validation', () => {
+  it('finds the declaration of an upper-case path', () => {
+    assert.equal(findOperation('POST', '/REGISTER').operation.path, '/register');
+    assert.equal(findOperation('DELETE', '/Register/0b9d7a43').params.serviceId, '0b9d7a43');
+  });
+
+  it('checks the body of an upper-case registration', () => {
+    const outcome = runValidation({ method: 'POST', path: '/REGISTER', body: { serviceName: { name: 'x' } } });
+
+    assert.equal(outcome.next, false);
+    assert.equal(outcome.status, 400);
+    assert.equal(outcome.body.code, 'VALIDATION_FAILED');
+  });
+
+  it('checks query values of an upper-case path', () => {
+    const outcome = runValidation({ method: 'DELETE', path: '/REGISTER/0b9d7a43', query: { drainPeriod: '-1' } });
+
+    assert.equal(outcome.status, 400);
+    assert.equal(outcome.body.errors[0].field, 'drainPeriod');
+  });
+
+  it('answers 405 for an undeclared method on a coordinator path', () => {
+    const outcome = runValidation({ method: 'PUT', path: '/Services' });
+
+    assert.equal(outcome.next, false);
+    assert.equal(outcome.status, 405);
+    assert.equal(outcome.headers.Allow, 'GET');
+  });
+
+  it('answers 404 for an undeclared coordinator sub-path', () => {
+    const outcome = runValidation({ method: 'GET', path: '/REGISTER/0b9d7a43/unknown' });
+
+    assert.equal(outcome.next, false);
+    assert.equal(outcome.status, 404);
+  });
+
+  it('passes proxied requests through unchecked', () => {
+    assert.equal(runValidation({ method: 'POST', path: '/api/payments', body: { anything: true } }).next, true);
+  });
+});
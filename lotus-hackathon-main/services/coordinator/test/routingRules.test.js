@@ -0,0 +1,55 @@
+/**
+ * Routing rule regular expressions run on request values with a deadline, so a
+ * pattern that backtracks polynomially can't block the event loop
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const routingRulesService = require('../src/services/routingRulesService');
+const { unsafeRegexReason } = require('../src/utils/safeRegex');
+
+const SERVICES = [{ serviceName: 'payment-service', endpoint: 'http://payment:4000', status: 'active' }];
+
+const rule = (pathRegex, updatedAt = '2026-01-01T00:00:00.000Z') => ({
+  id: 'r1',
+  name: 'slow',
+  enabled: true,
+  priority: 0,
+  match: { pathRegex },
+  target: { serviceName: 'payment-service' },
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt
+});
+
+describe('Routing rule matching', () => {
+  beforeEach(() => {
+    routingRulesService.config = { ...routingRulesService.config, enabled: true };
+    routingRulesService.loadedAt = Date.now();
+  });
+
+  it('gives up on a pattern with adjacent overlapping quantifiers and skips the rule', async () => {
+    const pattern = '^a*a*a*a*a*a*$';
+    assert.equal(unsafeRegexReason(pattern), null);
+    routingRulesService._setRules([rule(pattern)]);
+
+    const started = Date.now();
+    const result = await routingRulesService.evaluate({ path: 'a'.repeat(100) + 'b' }, SERVICES);
+
+    assert.equal(result, null);
+    assert.ok(Date.now() - started < 1000, `took ${Date.now() - started} ms`);
+    assert.deepEqual(routingRulesService.getStatus().timedOutRules, ['r1']);
+    assert.equal(await routingRulesService.evaluate({ path: 'aaa' }, SERVICES), null);
+  });
+
+  it('matches the rule again once it is updated', async () => {
+    routingRulesService._setRules([rule('^a*a*a*a*a*a*$', '2026-02-01T00:00:00.000Z')]);
+
+    assert.deepEqual(routingRulesService.getStatus().timedOutRules, []);
+    assert.equal((await routingRulesService.evaluate({ path: 'aaa' }, SERVICES)).rule.id, 'r1');
+  });
+
+  it('does not run patterns on values longer than maxInputLength', async () => {
+    routingRulesService._setRules([rule('^a+$')]);
+
+    assert.equal(await routingRulesService.evaluate({ path: 'a'.repeat(routingRulesService.config.maxInputLength + 1) }, SERVICES), null);
+  });
+});